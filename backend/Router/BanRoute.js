@@ -0,0 +1,220 @@
+const express = require('express')
+const router = express.Router()
+
+const Ban = require('../models/BanModel')
+const Events = require('../models/EventModel')
+const Users = require('../models/UserModel')
+const Registration = require('../models/RegistrationModel')
+const sendEmail = require('../utils/sendEmail')
+const { activeBanQuery, isBanActive, parseBan, findActiveBan, describeBan } = require('../utils/bans')
+const { findUserTeam, cancelTeam } = require('../utils/teams')
+const { promoteFromWaitlist } = require('../utils/waitlist')
+const { requestRefunds } = require('../utils/refunds')
+const { verifyToken, requireAdmin, requireEventManager, canManageEvent } = require('../middleware/auth')
+
+const populateBan = (query) => query
+    .populate('user', 'username email profilePic')
+    .populate('event', 'title date')
+    .populate('banned_by', 'username')
+    .populate('lifted_by', 'username')
+
+// Take a banned user's seat (or waitlist spot, or team) in an event; they did not give it up, so paid fees
+// are refunded in full (not by the cancellation policy) once the organizer approves the refund
+const removeFromEvent = async (userId, event) => {
+    const team = await findUserTeam(event._id, userId);
+    if (team && String(team.captain) === String(userId)) {
+        const captainRegistration = await cancelTeam(team, event, 'The team captain was banned from the event.');
+        if (captainRegistration?.payment_status === 'completed') {
+            await requestRefunds([{ registration: captainRegistration, event }], { event, reason: 'Team captain banned', full: true });
+        }
+        return true;
+    }
+    if (team) {
+        const member = team.members.find(m => String(m.user) === String(userId) && m.status === 'accepted');
+        member.status = 'left';
+        member.responded_at = new Date();
+        await team.save();
+    }
+    const registration = await Registration.findOneAndDelete({ userId, eventId: event._id });
+    if (!registration) return !!team;
+    if (!registration.is_waitlisted) {
+        await promoteFromWaitlist(event._id);
+        // Team members paid nothing themselves
+        if (!registration.team) await requestRefunds([{ registration, event }], { event, reason: 'Banned from the event', full: true });
+    }
+    return true;
+};
+
+const emailBanNotice = async (user, ban, eventTitle, organizerName) => {
+    const what = ban.scope === 'organizer' ? `events organized by ${organizerName}` : `"${eventTitle}"`;
+    const until = ban.expires_at ? `until ${ban.expires_at.toLocaleString()}` : 'until the organizer lifts the ban';
+    await sendEmail(user.email, 'CampusCrew - You were banned from registering', `Hello ${user.username},
+
+You can no longer register for ${what} ${until}.
+
+Reason: ${ban.reason}
+
+Any registration you had was cancelled; registration fees you paid are refunded in full once the organizer approves the refund.
+
+Best regards,
+CampusCrew Team`);
+};
+
+// Bans on the events an organizer manages and on their own events (every ban for super admins)
+// status=active (default) or all
+router.get('/bans', verifyToken, requireAdmin, async (req, res) => {
+    try {
+        const filter = req.query.status === 'all' ? {} : activeBanQuery();
+        const staff = await Users.findById(req.user.id).select('isSuperAdmin');
+        if (!staff?.isSuperAdmin) {
+            const events = await Events.find({
+                $or: [{ createdBy: req.user.id }, { co_organizers: req.user.id }]
+            }).select('_id');
+            filter.$and = [{
+                $or: [
+                    { scope: 'event', event: { $in: events.map(e => e._id) } },
+                    { scope: 'organizer', organizer: req.user.id }
+                ]
+            }];
+        }
+        const bans = await populateBan(Ban.find(filter).sort({ createdAt: -1 }));
+        res.status(200).json({ success: true, bans });
+    } catch (error) {
+        res.status(500).json({ success: false, message: error.message });
+    }
+})
+
+// The signed-in user's active ban for an event, if any
+router.get('/events/:id/bans/mine', verifyToken, async (req, res) => {
+    try {
+        const event = await Events.findById(req.params.id).select('createdBy');
+        if (!event) {
+            return res.status(404).json({ success: false, message: 'Event not found' });
+        }
+        const ban = await findActiveBan(req.user.id, event);
+        res.status(200).json({
+            success: true,
+            ban: ban ? { scope: ban.scope, reason: ban.reason, expires_at: ban.expires_at, message: describeBan(ban) } : null
+        });
+    } catch (error) {
+        res.status(500).json({ success: false, message: error.message });
+    }
+})
+
+// Bans affecting an event: its own and its organizer's (event organizers only; status=all for lifted and expired ones)
+router.get('/events/:id/bans', verifyToken, requireAdmin, requireEventManager, async (req, res) => {
+    try {
+        const bans = await populateBan(Ban.find({
+            ...(req.query.status === 'all' ? {} : activeBanQuery()),
+            $and: [{
+                $or: [
+                    { scope: 'event', event: req.event._id },
+                    { scope: 'organizer', organizer: req.event.createdBy }
+                ]
+            }]
+        }).sort({ createdAt: -1 }));
+        res.status(200).json({ success: true, bans });
+    } catch (error) {
+        res.status(500).json({ success: false, message: error.message });
+    }
+})
+
+// Ban a user from the event, or from every event of its organizer (scope 'organizer', event creator only)
+// The user's registrations are cancelled and they get an email with the reason
+router.post('/events/:id/bans', verifyToken, requireAdmin, requireEventManager, async (req, res) => {
+    try {
+        const { ban: fields, error } = parseBan(req.body);
+        if (error) {
+            return res.status(400).json({ success: false, message: error });
+        }
+        const event = req.event;
+        const staff = await Users.findById(req.user.id).select('isSuperAdmin');
+        if (fields.scope === 'organizer' && String(event.createdBy) !== req.user.id && !staff?.isSuperAdmin) {
+            return res.status(403).json({ success: false, message: "Only the event's creator can ban users from all of their events" });
+        }
+        const user = await Users.findById(req.body.userId).select('username email');
+        if (!user) {
+            return res.status(404).json({ success: false, message: 'User not found' });
+        }
+        if (canManageEvent(event, user._id)) {
+            return res.status(400).json({ success: false, message: 'Organizers of the event cannot be banned from it' });
+        }
+        const existing = await findActiveBan(user._id, event);
+        if (existing && (existing.scope === 'organizer' || fields.scope === 'event')) {
+            return res.status(409).json({ success: false, message: 'This user is already banned' });
+        }
+
+        const ban = await Ban.create({
+            ...fields,
+            user: user._id,
+            event: event._id,
+            organizer: event.createdBy,
+            banned_by: req.user.id
+        });
+
+        // Cancel the registrations the ban covers
+        let removed = (await removeFromEvent(user._id, event)) ? 1 : 0;
+        if (ban.scope === 'organizer') {
+            const upcoming = await Events.find({
+                createdBy: event.createdBy,
+                _id: { $ne: event._id },
+                is_archived: { $ne: true },
+                date: { $gt: new Date() }
+            });
+            const registered = await Registration.find({ userId: user._id, eventId: { $in: upcoming.map(e => e._id) } }).select('eventId');
+            for (const other of upcoming.filter(e => registered.some(r => String(r.eventId) === String(e._id)))) {
+                if (await removeFromEvent(user._id, other)) removed++;
+            }
+        }
+
+        const organizer = await Users.findById(event.createdBy).select('username');
+        await emailBanNotice(user, ban, event.title, organizer?.username || 'this organizer');
+        res.status(201).json({
+            success: true,
+            message: `${user.username} is banned${removed ? ` and removed from ${removed} event(s)` : ''}`,
+            ban: await populateBan(Ban.findById(ban._id))
+        });
+    } catch (error) {
+        res.status(500).json({ success: false, message: error.message });
+    }
+})
+
+// Lift a ban before it expires (organizers of the event; organizer bans by the organizer they belong to)
+router.post('/bans/:id/lift', verifyToken, requireAdmin, async (req, res) => {
+    try {
+        const ban = await Ban.findById(req.params.id);
+        if (!ban) {
+            return res.status(404).json({ success: false, message: 'Ban not found' });
+        }
+        const staff = await Users.findById(req.user.id).select('isSuperAdmin');
+        const event = await Events.findById(ban.event);
+        const allowed = ban.scope === 'organizer'
+            ? String(ban.organizer) === req.user.id || staff?.isSuperAdmin
+            : canManageEvent(event, req.user.id, staff?.isSuperAdmin);
+        if (!allowed) {
+            return res.status(403).json({ success: false, message: 'Not allowed to lift this ban' });
+        }
+        if (!isBanActive(ban)) {
+            return res.status(409).json({ success: false, message: 'This ban is no longer active' });
+        }
+        ban.lifted_at = new Date();
+        ban.lifted_by = req.user.id;
+        await ban.save();
+
+        const user = await Users.findById(ban.user).select('username email');
+        if (user) {
+            const what = ban.scope === 'organizer' ? "the organizer's events" : `"${event?.title || 'the event'}"`;
+            await sendEmail(user.email, 'CampusCrew - Your ban was lifted', `Hello ${user.username},
+
+Your ban from ${what} was lifted; you can register again.
+
+Best regards,
+CampusCrew Team`);
+        }
+        res.status(200).json({ success: true, message: 'Ban lifted', ban: await populateBan(Ban.findById(ban._id)) });
+    } catch (error) {
+        res.status(500).json({ success: false, message: error.message });
+    }
+})
+
+module.exports = router
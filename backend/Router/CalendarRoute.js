@@ -0,0 +1,90 @@
+const express = require('express')
+const router = express.Router()
+const crypto = require('crypto')
+
+const Events = require('../models/EventModel')
+const Users = require('../models/UserModel')
+const Registration = require('../models/RegistrationModel')
+const { buildCalendarEvent, buildCalendar } = require('../utils/calendar')
+const { verifyToken } = require('../middleware/auth')
+const backend = process.env.backend_url
+
+const sendCalendar = (res, body, filename) => {
+    res.set('Content-Type', 'text/calendar; charset=utf-8');
+    if (filename) res.set('Content-Disposition', `attachment; filename="${filename}"`);
+    res.status(200).send(body);
+};
+
+const feedUrl = (token) => `${backend}/api/calendar/${token}.ics`;
+
+// Download a single event as an .ics file
+router.get('/events/:id/calendar.ics', async (req, res) => {
+    try {
+        const event = await Events.findById(req.params.id);
+        if (!event || event.is_series_parent) {
+            return res.status(404).json({ success: false, message: 'Event not found' });
+        }
+        sendCalendar(res, buildCalendar([buildCalendarEvent(event)], event.title), `campuscrew-${event._id}.ics`);
+    } catch (error) {
+        res.status(500).json({ success: false, message: error.message });
+    }
+})
+
+// Private feed URL of the logged-in user, created on first request
+router.get('/calendar/feed', verifyToken, async (req, res) => {
+    try {
+        const user = await Users.findById(req.user.id).select('+calendarToken');
+        if (!user) {
+            return res.status(404).json({ success: false, message: 'User not found' });
+        }
+        if (!user.calendarToken) {
+            user.calendarToken = crypto.randomBytes(24).toString('hex');
+            await user.save();
+        }
+        res.status(200).json({ success: true, url: feedUrl(user.calendarToken) });
+    } catch (error) {
+        res.status(500).json({ success: false, message: error.message });
+    }
+})
+
+// Replace the feed token; the old URL stops working immediately
+router.post('/calendar/feed/reset', verifyToken, async (req, res) => {
+    try {
+        const user = await Users.findById(req.user.id);
+        if (!user) {
+            return res.status(404).json({ success: false, message: 'User not found' });
+        }
+        user.calendarToken = crypto.randomBytes(24).toString('hex');
+        await user.save();
+        res.status(200).json({ success: true, message: 'Calendar link reset', url: feedUrl(user.calendarToken) });
+    } catch (error) {
+        res.status(500).json({ success: false, message: error.message });
+    }
+})
+
+// Subscribed calendar of a user's registrations, the token in the URL is the only credential
+// Unconfirmed seats (waitlisted or unpaid) show up as tentative
+router.get('/calendar/:token.ics', async (req, res) => {
+    try {
+        const user = await Users.findOne({ calendarToken: String(req.params.token) });
+        if (!user) {
+            return res.status(404).json({ success: false, message: 'Calendar not found' });
+        }
+        const registrations = await Registration.find({
+            userId: user._id,
+            payment_status: { $ne: 'failed' }
+        }).populate('eventId');
+
+        const entries = registrations
+            .filter(reg => reg.eventId && !reg.eventId.is_series_parent)
+            .map(reg => {
+                const confirmed = reg.is_registered && reg.payment_status === 'completed' && !reg.is_waitlisted;
+                return buildCalendarEvent(reg.eventId, { status: confirmed ? 'CONFIRMED' : 'TENTATIVE' });
+            });
+        sendCalendar(res, buildCalendar(entries, 'CampusCrew – My Events'));
+    } catch (error) {
+        res.status(500).json({ success: false, message: error.message });
+    }
+})
+
+module.exports = router
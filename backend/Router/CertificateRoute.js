@@ -0,0 +1,444 @@
+const express = require('express')
+const router = express.Router()
+
+const Certificate = require('../models/CertificateModel')
+const CertificateBatch = require('../models/CertificateBatchModel')
+const Registration = require('../models/RegistrationModel')
+const Events = require('../models/EventModel')
+const Users = require('../models/UserModel')
+const { generateCertificate, buildCertificateSVG } = require('../utils/certificateGenerator')
+const { isValidCertificateCode, isCertificateEligible, issueCertificate, issueEventCertificates, buildCertificateOptions } = require('../utils/certificates')
+const { summarizeBatch, getCertificatePDF, removeCertificateFile, queueCertificateBatch, retryFailedCertificates, recheckEventCertificates } = require('../utils/certificateBatches')
+const { CERTIFICATE_TYPES, DESIGNS, MAX_SIGNATORIES, PLACEHOLDERS, parseCertificateTemplate } = require('../utils/certificateTemplate')
+const upload = require('../utils/multer')
+const multer = require('multer')
+const cloudinary = require('../utils/cloudinary')
+const { verifyToken, requireAdmin, requireEventManager, canManageEvent } = require('../middleware/auth')
+
+const renderPNG = async (certificate, template) => {
+    const sharp = require('sharp');
+    const svg = buildCertificateSVG(await buildCertificateOptions(certificate, { template }));
+    return sharp(Buffer.from(svg)).png().toBuffer();
+};
+
+// Certificate of a registration for its owner, issued on first request
+const findOwnCertificate = async (registrationId, userId) => {
+    const reg = await Registration.findById(registrationId).populate('eventId').populate('userId').populate('team', 'name');
+    if (!reg) {
+        // Certificates outlive the registrations of purged events
+        const certificate = await Certificate.findOne({ registration: registrationId });
+        if (!certificate) return { status: 404, message: 'Registration not found' };
+        if (certificate.user.toString() !== userId) return { status: 403, message: 'Forbidden' };
+        if (certificate.revoked_at) return { status: 403, message: 'This certificate was revoked by the organizer' };
+        return { certificate };
+    }
+    if (reg.userId?._id.toString() !== userId) return { status: 403, message: 'Forbidden' };
+    if (!reg.eventId) return { status: 404, message: 'Event missing' };
+    if (new Date(reg.eventId.date).getTime() > Date.now()) return { status: 400, message: 'Event not finished yet' };
+    if (!isCertificateEligible(reg)) return { status: 403, message: 'Certificate is only available to checked-in attendees' };
+    const certificate = await issueCertificate(reg);
+    if (certificate.revoked_at) return { status: 403, message: 'This certificate was revoked by the organizer' };
+    return { certificate };
+};
+
+// Public check of a verification code (printed on the certificate and encoded in its QR)
+router.get('/certificates/verify/:code', async (req, res) => {
+    try {
+        const { code } = req.params;
+        const certificate = isValidCertificateCode(code)
+            ? await Certificate.findOne({ code }).populate('event', 'title createdBy')
+            : null;
+        if (!certificate) {
+            return res.status(404).json({ success: false, valid: false, message: 'No certificate was issued with this code' });
+        }
+        const organizer = certificate.event
+            ? await Users.findById(certificate.event.createdBy).select('username')
+            : null;
+        res.status(200).json({
+            success: true,
+            valid: !certificate.revoked_at,
+            certificate: {
+                code: certificate.code,
+                type: certificate.type,
+                type_label: CERTIFICATE_TYPES[certificate.type]?.label || null,
+                recipient: { name: certificate.recipient_name, team: certificate.team_name || null },
+                event: {
+                    id: certificate.event?._id || null,
+                    title: certificate.event_title,
+                    date: certificate.event_date,
+                    location: certificate.event_location
+                },
+                issuer: { name: certificate.issuer, organizer: organizer?.username || certificate.organizer_name || null },
+                issued_at: certificate.issued_at,
+                revoked: !!certificate.revoked_at,
+                revoked_at: certificate.revoked_at,
+                revoke_reason: certificate.revoke_reason || null
+            }
+        });
+    } catch (error) {
+        res.status(500).json({ success: false, message: error.message });
+    }
+})
+
+// Image of a valid certificate for the verification page
+router.get('/certificates/verify/:code/image', async (req, res) => {
+    try {
+        const { code } = req.params;
+        const certificate = isValidCertificateCode(code) ? await Certificate.findOne({ code }) : null;
+        if (!certificate) return res.status(404).json({ success: false, message: 'Not found' });
+        if (certificate.revoked_at) return res.status(410).json({ success: false, message: 'This certificate was revoked' });
+        const png = await renderPNG(certificate);
+        res.setHeader('Content-Type', 'image/png');
+        res.setHeader('Content-Disposition', `inline; filename=Certificate_${code.substring(0, 6)}.png`);
+        return res.send(png);
+    } catch (error) {
+        return res.status(500).json({ success: false, message: error.message });
+    }
+})
+
+// List certificates (ended events) for a user
+router.get('/certificates/user/:userId', verifyToken, async (req, res) => {
+    try {
+        const { userId } = req.params;
+        if (userId !== req.user.id) return res.status(403).json({ success: false, message: 'Forbidden' });
+        // Certificates are issued only to attendees who were checked in at the venue
+        const regs = await Registration.find({ userId, is_registered: true, checked_in: true })
+            .populate('eventId')
+            .populate('userId', 'username')
+            .populate('team', 'name');
+        for (const r of regs.filter(reg => isCertificateEligible(reg))) {
+            await issueCertificate(r);
+        }
+        // Listed from what the certificates stored, so those of purged events stay listed
+        const issued = await Certificate.find({ user: userId }).sort({ event_date: -1 });
+        const certificates = issued.map(certificate => ({
+            registrationId: certificate.registration,
+            eventId: certificate.event,
+            eventTitle: certificate.event_title,
+            eventDate: certificate.event_date,
+            eventLocation: certificate.event_location,
+            organizer: certificate.issuer,
+            teamName: certificate.team_name || null,
+            type: certificate.type,
+            typeLabel: CERTIFICATE_TYPES[certificate.type]?.label || null,
+            certificateId: certificate.code,
+            revoked: !!certificate.revoked_at,
+            createdAt: certificate.issued_at
+        }));
+        return res.json({ success: true, certificates });
+    } catch (e) {
+        return res.status(500).json({ success: false, message: e.message });
+    }
+});
+
+// Download a certificate PDF (SVG design)
+router.get('/certificates/:registrationId/download', verifyToken, async (req, res) => {
+    try {
+        const { certificate, status, message } = await findOwnCertificate(req.params.registrationId, req.user.id);
+        if (!certificate) return res.status(status).json({ success: false, message });
+
+        const options = await buildCertificateOptions(certificate);
+        res.setHeader('Content-Type', 'application/pdf');
+        const safeTitle = certificate.event_title.replace(/[^a-z0-9]/gi, '_');
+        res.setHeader('Content-Disposition', `attachment; filename=Certificate_${safeTitle}_${certificate.code.substring(0, 6)}.pdf`);
+        generateCertificate(res, options);
+    } catch (e) {
+        return res.status(500).json({ success: false, message: e.message });
+    }
+});
+
+// Certificate PNG for its owner (others check certificates by their verification code)
+router.get('/certificates/:registrationId/image', verifyToken, async (req, res) => {
+    try {
+        const { certificate, status, message } = await findOwnCertificate(req.params.registrationId, req.user.id);
+        if (!certificate) return res.status(status).json({ success: false, message });
+
+        const png = await renderPNG(certificate);
+        res.setHeader('Content-Type', 'image/png');
+        res.setHeader('Content-Disposition', `inline; filename=Certificate_${certificate.code.substring(0, 6)}.png`);
+        return res.send(png);
+    } catch (e) {
+        return res.status(500).json({ success: false, message: e.message });
+    }
+});
+
+// Certificates of an event's checked-in attendees, issued once the event ended (organizers only)
+router.get('/events/:id/certificates', verifyToken, requireAdmin, requireEventManager, async (req, res) => {
+    try {
+        await issueEventCertificates(req.event._id);
+        const certificates = await Certificate.find({ event: req.event._id })
+            .populate('user', 'username email')
+            .populate('revoked_by', 'username')
+            .sort({ recipient_name: 1 });
+        res.status(200).json({ success: true, certificates });
+    } catch (error) {
+        res.status(500).json({ success: false, message: error.message });
+    }
+})
+
+// All valid certificates of an event as one ZIP of PDFs (organizers only)
+router.get('/events/:id/certificates/zip', verifyToken, requireAdmin, requireEventManager, async (req, res) => {
+    try {
+        const certificates = (await issueEventCertificates(req.event._id)).filter(c => !c.revoked_at);
+        if (certificates.length === 0) {
+            return res.status(404).json({ success: false, message: 'This event has no certificates yet' });
+        }
+        const archiver = require('archiver');
+        const archive = archiver('zip');
+        const safeTitle = req.event.title.replace(/[^a-z0-9]/gi, '_');
+        res.setHeader('Content-Type', 'application/zip');
+        res.setHeader('Content-Disposition', `attachment; filename=Certificates_${safeTitle}.zip`);
+        archive.on('error', (error) => {
+            console.error('Certificate ZIP failed:', error);
+            res.destroy(error);
+        });
+        archive.pipe(res);
+        for (const certificate of certificates) {
+            const name = certificate.recipient_name.replace(/[^a-z0-9]/gi, '_');
+            archive.append(await getCertificatePDF(certificate), { name: `${name}_${certificate.code.substring(0, 6)}.pdf` });
+        }
+        await archive.finalize();
+    } catch (error) {
+        if (res.headersSent) return res.destroy(error);
+        res.status(500).json({ success: false, message: error.message });
+    }
+})
+
+// Runs of the certificate job for an event, newest first (organizers only)
+router.get('/events/:id/certificates/batches', verifyToken, requireAdmin, requireEventManager, async (req, res) => {
+    try {
+        const batches = await CertificateBatch.find({ event: req.event._id })
+            .populate('requested_by', 'username')
+            .sort({ createdAt: -1 });
+        res.status(200).json({ success: true, batches: batches.map(summarizeBatch) });
+    } catch (error) {
+        res.status(500).json({ success: false, message: error.message });
+    }
+})
+
+// Render, store and email the certificates not emailed yet (resend: true for every valid one)
+router.post('/events/:id/certificates/batches', verifyToken, requireAdmin, requireEventManager, async (req, res) => {
+    try {
+        const { batch, error } = await queueCertificateBatch(req.event, {
+            requestedBy: req.user.id,
+            resend: req.body.resend === true
+        });
+        if (error) {
+            return res.status(400).json({ success: false, message: error });
+        }
+        res.status(201).json({
+            success: true,
+            message: `${batch.items.length} certificate(s) queued`,
+            batch: summarizeBatch(await batch.populate('requested_by', 'username'))
+        });
+    } catch (error) {
+        res.status(500).json({ success: false, message: error.message });
+    }
+})
+
+// Progress of one run per certificate, with the reason of each failure
+router.get('/events/:id/certificates/batches/:batchId', verifyToken, requireAdmin, requireEventManager, async (req, res) => {
+    try {
+        const batch = await CertificateBatch.findOne({ _id: req.params.batchId, event: req.event._id })
+            .populate('requested_by', 'username');
+        if (!batch) {
+            return res.status(404).json({ success: false, message: 'Batch not found' });
+        }
+        res.status(200).json({ success: true, summary: summarizeBatch(batch), items: batch.items });
+    } catch (error) {
+        res.status(500).json({ success: false, message: error.message });
+    }
+})
+
+// Queue the failed certificates of a run again
+router.post('/events/:id/certificates/batches/:batchId/retry', verifyToken, requireAdmin, requireEventManager, async (req, res) => {
+    try {
+        const batch = await CertificateBatch.findOne({ _id: req.params.batchId, event: req.event._id });
+        if (!batch) {
+            return res.status(404).json({ success: false, message: 'Batch not found' });
+        }
+        const retried = await retryFailedCertificates(batch);
+        if (!retried) {
+            return res.status(400).json({ success: false, message: 'No failed certificates to retry' });
+        }
+        await batch.populate('requested_by', 'username');
+        res.status(200).json({ success: true, message: `${retried} certificate(s) queued again`, summary: summarizeBatch(batch) });
+    } catch (error) {
+        res.status(500).json({ success: false, message: error.message });
+    }
+})
+
+// Certificate design of an event, with the designs and placeholders to choose from (organizers only)
+router.get('/events/:id/certificate-template', verifyToken, requireAdmin, requireEventManager, async (req, res) => {
+    try {
+        res.status(200).json({
+            success: true,
+            template: req.event.certificate_template,
+            designs: DESIGNS,
+            types: CERTIFICATE_TYPES,
+            placeholders: PLACEHOLDERS,
+            maxSignatories: MAX_SIGNATORIES
+        });
+    } catch (error) {
+        res.status(500).json({ success: false, message: error.message });
+    }
+})
+
+// Save the certificate design of an event; it applies to certificates already issued too
+router.put('/events/:id/certificate-template', verifyToken, requireAdmin, requireEventManager, async (req, res) => {
+    try {
+        const { template, error } = parseCertificateTemplate(req.body.template);
+        if (error) {
+            return res.status(400).json({ success: false, message: error });
+        }
+        req.event.certificate_template = template;
+        await req.event.save();
+        // Stored files show the old design; they are rendered again when next needed
+        await Certificate.updateMany({ event: req.event._id }, { $set: { file_url: '', file_generated_at: null } });
+        res.status(200).json({ success: true, message: 'Certificate design saved', template: req.event.certificate_template });
+    } catch (error) {
+        res.status(500).json({ success: false, message: error.message });
+    }
+})
+
+// Upload a background (custom design) or a signature image
+router.post('/events/:id/certificate-template/images', verifyToken, requireAdmin, requireEventManager, (req,res,next)=>{
+    upload.single('image')(req,res,function(err){
+        if(err instanceof multer.MulterError && err.code==='LIMIT_FILE_SIZE') return res.status(413).json({success:false,message:'Image must be 3MB or smaller'});
+        if(err) return res.status(400).json({success:false,message:err.message});
+
+        next();
+    });
+}, async (req, res) => {
+    try {
+        if (!req.file) {
+            return res.status(400).json({ success: false, message: 'No image uploaded' });
+        }
+        // Signatures keep their transparency
+        const result = await cloudinary.uploader.upload(req.file.path, {
+            folder: 'certificate_templates',
+            format: req.body.kind === 'signature' ? 'png' : 'jpg'
+        });
+        res.status(201).json({ success: true, url: result.secure_url });
+    } catch (error) {
+        res.status(500).json({ success: false, message: error.message });
+    }
+})
+
+// Render a design (saved or not) for a sample attendee, exactly as the PDF and PNG certificates are drawn
+// `type` picks the certificate type to show (default participation)
+router.post('/events/:id/certificate-template/preview', verifyToken, requireAdmin, requireEventManager, async (req, res) => {
+    try {
+        const { template, error } = parseCertificateTemplate(req.body.template || req.event.certificate_template?.toObject());
+        if (error) {
+            return res.status(400).json({ success: false, message: error });
+        }
+        const event = req.event;
+        const sample = {
+            event: event._id,
+            type: CERTIFICATE_TYPES[req.body.type] ? req.body.type : 'participation',
+            code: 'SAMPLE-CERTIFICATE',
+            recipient_name: 'Alex Rahman',
+            team_name: event.team_registration?.enabled ? 'Sample Team' : '',
+            event_title: event.title,
+            event_date: event.date,
+            event_location: event.location || '',
+            issuer: event.organizer || 'CampusCrew',
+            issued_at: new Date()
+        };
+        const png = await renderPNG(sample, template);
+        res.setHeader('Content-Type', 'image/png');
+        return res.send(png);
+    } catch (error) {
+        res.status(500).json({ success: false, message: error.message });
+    }
+})
+
+// Set the role and placement of a registrant, which decide their certificate type
+// Placements go to every member of a team on team events
+router.put('/events/:id/registrations/:registrationId/certificate-role', verifyToken, requireAdmin, requireEventManager, async (req, res) => {
+    try {
+        const { role, placement } = req.body;
+        const roles = Registration.schema.path('role').enumValues;
+        const placements = Registration.schema.path('placement').enumValues;
+        if (role !== undefined && !roles.includes(role)) {
+            return res.status(400).json({ success: false, message: `Role must be one of ${roles.join(', ')}` });
+        }
+        if (placement !== undefined && !placements.includes(placement)) {
+            return res.status(400).json({ success: false, message: 'Placement must be winner, runner_up or empty' });
+        }
+        const reg = await Registration.findOne({ _id: req.params.registrationId, eventId: req.event._id });
+        if (!reg) {
+            return res.status(404).json({ success: false, message: 'Registration not found' });
+        }
+        if (!reg.is_registered) {
+            return res.status(400).json({ success: false, message: 'Only registered attendees can get a role' });
+        }
+
+        if (role !== undefined) {
+            reg.role = role;
+            await reg.save();
+        }
+        if (placement !== undefined) {
+            await Registration.updateMany(
+                reg.team ? { eventId: req.event._id, team: reg.team } : { _id: reg._id },
+                { $set: { placement } }
+            );
+        }
+
+        // Issued certificates change type right away (not only when next opened)
+        const changed = await Registration.find(reg.team && placement !== undefined ? { eventId: req.event._id, team: reg.team } : { _id: reg._id })
+            .populate('eventId')
+            .populate('userId', 'username')
+            .populate('team', 'name');
+        for (const r of changed) {
+            if (r.userId && await Certificate.exists({ registration: r._id })) await issueCertificate(r);
+        }
+        await recheckEventCertificates(req.event._id);
+        res.status(200).json({
+            success: true,
+            message: 'Certificate role updated',
+            registrations: changed.map(r => ({ _id: r._id, role: r.role, placement: r.placement }))
+        });
+    } catch (error) {
+        res.status(500).json({ success: false, message: error.message });
+    }
+})
+
+// Revoke a certificate; its verification page shows it as revoked and it can no longer be downloaded
+router.post('/certificates/:id/revoke', verifyToken, requireAdmin, async (req, res) => {
+    try {
+        const certificate = await Certificate.findById(req.params.id);
+        if (!certificate) {
+            return res.status(404).json({ success: false, message: 'Certificate not found' });
+        }
+        const [event, staff] = await Promise.all([
+            Events.findById(certificate.event).select('createdBy co_organizers'),
+            Users.findById(req.user.id).select('isSuperAdmin')
+        ]);
+        if (!canManageEvent(event, req.user.id, staff?.isSuperAdmin)) {
+            return res.status(403).json({ success: false, message: 'Only the organizers of this event can revoke its certificates' });
+        }
+        if (certificate.revoked_at) {
+            return res.status(409).json({ success: false, message: 'This certificate is already revoked' });
+        }
+        const reason = String(req.body.reason || '').trim();
+        if (!reason) {
+            return res.status(400).json({ success: false, message: 'Give a reason for revoking the certificate' });
+        }
+        certificate.revoked_at = new Date();
+        certificate.revoked_by = req.user.id;
+        certificate.revoke_reason = reason.substring(0, 500);
+        await certificate.save();
+        await removeCertificateFile(certificate);
+        res.status(200).json({
+            success: true,
+            message: 'Certificate revoked',
+            certificate: await Certificate.findById(certificate._id).populate('user', 'username email').populate('revoked_by', 'username')
+        });
+    } catch (error) {
+        res.status(500).json({ success: false, message: error.message });
+    }
+})
+
+module.exports = router
@@ -0,0 +1,136 @@
+const express = require('express')
+const router = express.Router()
+
+const Coupon = require('../models/CouponModel')
+const CouponRedemption = require('../models/CouponRedemptionModel')
+const { verifyToken, requireAdmin, requireEventManager } = require('../middleware/auth')
+
+const CODE_PATTERN = /^[A-Z0-9_-]{3,30}$/;
+
+/**
+ * Read the editable coupon settings from a request body
+ * Only fields that were sent are returned; { error } for invalid values
+ * current is the stored coupon when updating: the discount is checked with its values merged in
+ */
+const parseCoupon = (body, { creating = false, current = {} } = {}) => {
+    const coupon = {};
+    if (creating || body.code !== undefined) {
+        const code = String(body.code || '').trim().toUpperCase();
+        if (!CODE_PATTERN.test(code)) {
+            return { error: 'Codes are 3 to 30 letters, digits, dashes or underscores' };
+        }
+        coupon.code = code;
+    }
+    if (creating || body.discount_type !== undefined) {
+        const type = body.discount_type || 'percent';
+        if (!['percent', 'fixed'].includes(type)) return { error: 'Invalid discount type' };
+        coupon.discount_type = type;
+    }
+    if (creating || body.discount_value !== undefined) {
+        const value = Number(body.discount_value);
+        if (body.discount_value === '' || isNaN(value) || value <= 0) return { error: 'The discount must be more than 0' };
+        coupon.discount_value = value;
+    }
+    const discount = { discount_type: current.discount_type, discount_value: current.discount_value, ...coupon };
+    if (discount.discount_type === 'percent' && discount.discount_value > 100) {
+        return { error: 'A percentage discount cannot be more than 100' };
+    }
+    for (const field of ['max_uses', 'per_user_limit']) {
+        if (body[field] === undefined || body[field] === '') continue;
+        const limit = Number(body[field]);
+        if (!Number.isInteger(limit) || limit < 0) return { error: 'Usage limits must be whole numbers (0 for unlimited)' };
+        coupon[field] = limit;
+    }
+    if (body.expires_at !== undefined) {
+        const expires = body.expires_at ? new Date(body.expires_at) : null;
+        if (expires && isNaN(expires.getTime())) return { error: 'Invalid expiry date' };
+        coupon.expires_at = expires;
+    }
+    if (body.active !== undefined) coupon.active = body.active === true || body.active === 'true';
+    return { coupon };
+};
+
+// Discount codes of an event (event organizers only)
+router.get('/events/:id/coupons', verifyToken, requireAdmin, requireEventManager, async (req, res) => {
+    try {
+        const coupons = await Coupon.find({ event: req.event._id }).sort({ createdAt: -1 });
+        res.status(200).json({ success: true, coupons });
+    } catch (error) {
+        res.status(500).json({ success: false, message: error.message });
+    }
+})
+
+// Create a discount code
+router.post('/events/:id/coupons', verifyToken, requireAdmin, requireEventManager, async (req, res) => {
+    try {
+        const { coupon, error } = parseCoupon(req.body || {}, { creating: true });
+        if (error) {
+            return res.status(400).json({ success: false, message: error });
+        }
+        if (await Coupon.exists({ event: req.event._id, code: coupon.code })) {
+            return res.status(409).json({ success: false, message: 'This event already has that code' });
+        }
+        const created = await Coupon.create({ ...coupon, event: req.event._id, createdBy: req.user.id });
+        res.status(201).json({ success: true, coupon: created });
+    } catch (error) {
+        res.status(500).json({ success: false, message: error.message });
+    }
+})
+
+// See who used the event's codes
+router.get('/events/:id/coupons/redemptions', verifyToken, requireAdmin, requireEventManager, async (req, res) => {
+    try {
+        const redemptions = await CouponRedemption.find({ event: req.event._id, status: { $ne: 'released' } })
+            .populate('user', 'username email')
+            .sort({ createdAt: -1 });
+        res.status(200).json({ success: true, redemptions });
+    } catch (error) {
+        res.status(500).json({ success: false, message: error.message });
+    }
+})
+
+// Change a code's discount, limits, expiry or switch it on/off
+router.put('/events/:id/coupons/:couponId', verifyToken, requireAdmin, requireEventManager, async (req, res) => {
+    try {
+        const existing = await Coupon.findOne({ _id: req.params.couponId, event: req.event._id });
+        if (!existing) {
+            return res.status(404).json({ success: false, message: 'Discount code not found' });
+        }
+        const { coupon, error } = parseCoupon(req.body || {}, { current: existing });
+        if (error) {
+            return res.status(400).json({ success: false, message: error });
+        }
+        if (coupon.code && coupon.code !== existing.code) {
+            if (existing.used_count > 0) {
+                return res.status(409).json({ success: false, message: 'A code that was already used cannot be renamed' });
+            }
+            if (await Coupon.exists({ event: req.event._id, code: coupon.code })) {
+                return res.status(409).json({ success: false, message: 'This event already has that code' });
+            }
+        }
+        Object.assign(existing, coupon);
+        await existing.save();
+        res.status(200).json({ success: true, coupon: existing });
+    } catch (error) {
+        res.status(500).json({ success: false, message: error.message });
+    }
+})
+
+// Delete a code nobody used yet (used codes can be deactivated instead)
+router.delete('/events/:id/coupons/:couponId', verifyToken, requireAdmin, requireEventManager, async (req, res) => {
+    try {
+        const coupon = await Coupon.findOne({ _id: req.params.couponId, event: req.event._id });
+        if (!coupon) {
+            return res.status(404).json({ success: false, message: 'Discount code not found' });
+        }
+        if (coupon.used_count > 0 || await CouponRedemption.exists({ coupon: coupon._id, status: { $ne: 'released' } })) {
+            return res.status(409).json({ success: false, message: 'This code was used, deactivate it instead' });
+        }
+        await coupon.deleteOne();
+        res.status(200).json({ success: true, message: 'Discount code deleted' });
+    } catch (error) {
+        res.status(500).json({ success: false, message: error.message });
+    }
+})
+
+module.exports = router
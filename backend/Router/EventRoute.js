@@ -1,40 +1,28 @@
 const express = require('express')
 const router = express.Router()
-const jwt = require('jsonwebtoken')
+const mongoose = require('mongoose')
 
 const Events = require('../models/EventModel')
-const Users = require('../models/UserModel')
+const Registration = require('../models/RegistrationModel')
+const Team = require('../models/TeamModel')
 const upload = require('../utils/multer')
 const multer = require('multer')
 const cloudinary = require('../utils/cloudinary')
-const { isEventExpired, cleanupExpiredEvents } = require('../utils/eventCleanup')
-
-
-// Middleware: verify JWT
-const verifyToken = (req, res, next) => {
-    const token = req.headers['authorization']?.split(' ')[1];
-    if (!token) return res.status(401).json({ success: false, message: 'No token provided' });
-    try {
-        const decoded = jwt.verify(token, 'secret_ecom');
-        req.user = decoded.user; // { id, isAdmin, isApprovedAdmin }
-        next();
-    } catch (err) {
-        return res.status(401).json({ success: false, message: 'Invalid token' });
-    }
-};
+const { isEventExpired, cleanupExpiredEvents, restoreArchivedEvent } = require('../utils/eventCleanup')
+const { promoteFromWaitlist } = require('../utils/waitlist')
+const { searchEvents, summarizeEvents } = require('../utils/eventSearch')
+const { SERIES_FIELDS, parseRecurrence, createSeries, getSeriesId, getSeriesSessions, getSeriesQuote, updateFutureOccurrences } = require('../utils/eventSeries')
+const Users = require('../models/UserModel')
+const sendEmail = require('../utils/sendEmail')
+const { verifyOptOutToken } = require('../utils/reminders')
+const { parseGatewayList } = require('../utils/gateways')
+const { parseCancellationPolicy, requestRefunds } = require('../utils/refunds')
+const { parsePriceTiers } = require('../utils/pricing')
+const { parseTeamSettings, cancelTeam } = require('../utils/teams')
+const { MAX_FILE_MB, parseFormFields, isAcceptedFile } = require('../utils/registrationForm')
+const formUpload = require('../utils/formUpload')
+const { verifyToken, requireAdmin, requireSuperAdmin, requireEventManager } = require('../middleware/auth')
 
-// Middleware: ensure user is an approved admin
-const requireAdmin = async (req, res, next) => {
-    try {
-        const user = await Users.findById(req.user.id).select('isAdmin isApprovedAdmin');
-        if (!user) return res.status(404).json({ success: false, message: 'User not found' });
-        if (!user.isAdmin) return res.status(403).json({ success: false, message: 'Admin access required' });
-        if (user.isAdmin && !user.isApprovedAdmin) return res.status(403).json({ success: false, message: 'Admin not approved yet' });
-        next();
-    } catch (e) {
-        return res.status(500).json({ success: false, message: 'Authorization check failed' });
-    }
-};
 
 // Create Event (Admin only)
 router.post('/events', verifyToken, requireAdmin, (req,res,next)=>{
@@ -50,14 +38,63 @@ router.post('/events', verifyToken, requireAdmin, (req,res,next)=>{
         const eventBody = req.body || {};
         // Always trust token, not client, for creator
         eventBody.createdBy = req.user.id;
-        const newEvent = new Events(eventBody);
+
+        // Repeating events are created as a series of sessions
+        const { rule, error } = parseRecurrence(eventBody.recurrence);
+        if (error) {
+            return res.status(400).json({ success: false, message: error });
+        }
+        delete eventBody.recurrence;
+
+        const gateways = parseGatewayList(eventBody.payment_gateways);
+        if (gateways !== undefined && gateways.length === 0) {
+            return res.status(400).json({ success: false, message: 'Choose at least one payment method' });
+        }
+        if (gateways) eventBody.payment_gateways = gateways;
+        else delete eventBody.payment_gateways;
+
+        const { policy, error: policyError } = parseCancellationPolicy(eventBody.cancellation_policy);
+        if (policyError) {
+            return res.status(400).json({ success: false, message: policyError });
+        }
+        if (policy) eventBody.cancellation_policy = policy;
+        else delete eventBody.cancellation_policy;
+
+        const { tiers, error: tierError } = parsePriceTiers(eventBody.price_tiers);
+        if (tierError) {
+            return res.status(400).json({ success: false, message: tierError });
+        }
+        if (tiers) eventBody.price_tiers = tiers;
+        else delete eventBody.price_tiers;
+
+        const { settings: teamSettings, error: teamError } = parseTeamSettings(eventBody.team_registration);
+        if (teamError) {
+            return res.status(400).json({ success: false, message: teamError });
+        }
+        if (teamSettings) eventBody.team_registration = teamSettings;
+        else delete eventBody.team_registration;
+
+        const { fields, error: formError } = parseFormFields(eventBody.registration_form);
+        if (formError) {
+            return res.status(400).json({ success: false, message: formError });
+        }
+        if (fields) eventBody.registration_form = fields;
+        else delete eventBody.registration_form;
+
         if (req.file) {
             const result = await cloudinary.uploader.upload(req.file.path, {
                 folder: 'event_photos',
                 resource_type: 'image'
             });
-            newEvent.event_image = result.secure_url;
+            eventBody.event_image = result.secure_url;
+        }
+
+        if (rule) {
+            const { parent, sessions } = await createSeries(eventBody, rule);
+            return res.status(201).json({ success: true, event: sessions[0], series: parent, sessions });
         }
+
+        const newEvent = new Events(eventBody);
         await newEvent.save();
         res.status(201).json({ success: true, event: newEvent });
     } catch (error) {
@@ -65,23 +102,136 @@ router.post('/events', verifyToken, requireAdmin, (req,res,next)=>{
     }
 })
 
+// Search upcoming events
+// Query: query, category, tags, event_type, fee (free|paid), fee_min, fee_max, date_from, date_to,
+// sort (date|new|fee|prize|popular|relevance), order (asc|desc), page or cursor, limit
 router.get('/events', async (req, res) => {
     try {
         // Get current time minus 1 hour to allow recently started events to still show
         const oneHourAgo = new Date();
         oneHourAgo.setHours(oneHourAgo.getHours() - 1);
-        
+
         // Only return events that haven't been over for more than 1 hour
-        const events = await Events.find({
-            date: { $gte: oneHourAgo }
+        const result = await searchEvents(req.query, {
+            date: { $gte: oneHourAgo },
+            is_archived: { $ne: true },
+            is_series_parent: { $ne: true }
         });
-        res.status(200).json({ success: true, events });
+        res.status(200).json({ success: true, ...result });
     } catch (error) {
         res.status(500).json({ success: false, message: error.message });
     }
 })
 
-// Get single event details
+// Categories and tags in use by upcoming events, for search filters
+router.get('/events/filters', async (req, res) => {
+    try {
+        const oneHourAgo = new Date();
+        oneHourAgo.setHours(oneHourAgo.getHours() - 1);
+        const filter = { date: { $gte: oneHourAgo }, is_archived: { $ne: true }, is_series_parent: { $ne: true } };
+        const [categories, tags] = await Promise.all([
+            Events.distinct('category', filter),
+            Events.distinct('tags', filter)
+        ]);
+        res.status(200).json({
+            success: true,
+            categories: categories.filter(Boolean).sort(),
+            tags: tags.filter(Boolean).sort()
+        });
+    } catch (error) {
+        res.status(500).json({ success: false, message: error.message });
+    }
+})
+
+// List archived (past) events, newest first
+// Optional query: createdBy, page (1-based), limit
+router.get('/events/archive', async (req, res) => {
+    try {
+        const page = Math.max(parseInt(req.query.page) || 1, 1);
+        const limit = Math.min(Math.max(parseInt(req.query.limit) || 20, 1), 100);
+        const filter = { is_archived: true, is_series_parent: { $ne: true } };
+        if (req.query.createdBy) filter.createdBy = req.query.createdBy;
+
+        const [events, total] = await Promise.all([
+            Events.find(filter).sort({ date: -1 }).skip((page - 1) * limit).limit(limit),
+            Events.countDocuments(filter)
+        ]);
+        res.status(200).json({ success: true, events, total, page, pages: Math.ceil(total / limit) });
+    } catch (error) {
+        res.status(500).json({ success: false, message: error.message });
+    }
+})
+
+// Events the signed-in admin manages (created or co-organizes)
+// Accepts the GET /events search parameters plus min_registrations; archived=true for the archived ones
+router.get('/events/managed', verifyToken, requireAdmin, async (req, res) => {
+    try {
+        // Aggregation filters are not cast by mongoose, so use a real ObjectId
+        const userId = new mongoose.Types.ObjectId(req.user.id);
+        const base = {
+            $or: [{ createdBy: userId }, { co_organizers: userId }],
+            is_archived: req.query.archived === 'true' ? true : { $ne: true },
+            is_series_parent: { $ne: true }
+        };
+        const [result, stats, categories] = await Promise.all([
+            searchEvents({ sort: 'date', order: 'desc', ...req.query }, base),
+            summarizeEvents(base),
+            Events.distinct('category', base)
+        ]);
+        res.status(200).json({ success: true, ...result, stats, categories: categories.filter(Boolean).sort() });
+    } catch (error) {
+        res.status(500).json({ success: false, message: error.message });
+    }
+})
+
+// Pending co-organizer invitations for the signed-in admin
+router.get('/co-organizer-invites', verifyToken, requireAdmin, async (req, res) => {
+    try {
+        const events = await Events.find({ 'organizer_invites.user': req.user.id })
+            .select('title date organizer organizer_invites')
+            .populate('organizer_invites.invitedBy', 'username email');
+        const invites = events.map(event => {
+            const invite = event.organizer_invites.find(i => String(i.user) === req.user.id);
+            return {
+                eventId: event._id,
+                eventTitle: event.title,
+                eventDate: event.date,
+                organizer: event.organizer,
+                invitedBy: invite.invitedBy,
+                invitedAt: invite.invitedAt
+            };
+        });
+        res.status(200).json({ success: true, invites });
+    } catch (error) {
+        res.status(500).json({ success: false, message: error.message });
+    }
+})
+
+// Sessions of the recurring series an event belongs to
+// Pass userId to also get what registering for the whole series would cover and cost
+router.get('/events/:id/series', async (req, res) => {
+    try {
+        const event = await Events.findById(req.params.id);
+        const seriesId = getSeriesId(event);
+        if (!seriesId) {
+            return res.status(404).json({ success: false, message: 'Event is not part of a series' });
+        }
+        const [series, sessions] = await Promise.all([
+            Events.findById(seriesId),
+            getSeriesSessions(seriesId)
+        ]);
+        let quote = null;
+        if (req.query.userId) {
+            const { sessions: open, amount } = await getSeriesQuote(seriesId, req.query.userId);
+            quote = { sessionIds: open.map(s => s._id), amount };
+        }
+        res.status(200).json({ success: true, series, sessions, quote });
+    } catch (error) {
+        res.status(500).json({ success: false, message: error.message });
+    }
+})
+
+// Get single event details (archived events stay readable for history and certificates)
 router.get('/events/:id', async (req, res) => {
     try {
         const event = await Events.findById(req.params.id);
@@ -89,23 +239,52 @@ router.get('/events/:id', async (req, res) => {
             return res.status(404).json({ success: false, message: 'Event not found' });
         }
         
-        // Check if event is expired (more than 1 day old)
-        const oneDayAgo = new Date();
-        oneDayAgo.setDate(oneDayAgo.getDate() - 1);
-        
-        if (new Date(event.date) < oneDayAgo) {
-            return res.status(404).json({ success: false, message: 'Event has expired and is no longer available' });
-        }
-        
         res.status(200).json({ success: true, event });
     } catch (error) {
         res.status(500).json({ success: false, message: error.message });
     }
 })
 
+// Upload a file for a file field of the event's registration form; the returned { url, name } goes into the answers
+router.post('/events/:id/form-files', verifyToken, (req,res,next)=>{
+    formUpload.single('file')(req,res,function(err){
+        if(err instanceof multer.MulterError && err.code==='LIMIT_FILE_SIZE') return res.status(413).json({success:false,message:`Files must be ${MAX_FILE_MB}MB or smaller`});
+        if(err) return res.status(400).json({success:false,message:err.message});
 
-// Update Event (Admin only for now) - could be extended to creator-only
-router.put('/events/:id', verifyToken, requireAdmin, (req,res,next)=>{
+        next();
+    });
+}, async (req, res) => {
+    try {
+        const event = await Events.findById(req.params.id);
+        if (!event) {
+            return res.status(404).json({ success: false, message: 'Event not found' });
+        }
+        const field = (event.registration_form || []).find(f => f.key === req.body?.key && f.type === 'file');
+        if (!field) {
+            return res.status(404).json({ success: false, message: 'Form field not found' });
+        }
+        if (!req.file) {
+            return res.status(400).json({ success: false, message: 'No file uploaded' });
+        }
+        if (!isAcceptedFile(field, req.file.mimetype)) {
+            return res.status(400).json({ success: false, message: `"${field.label}" does not accept this type of file` });
+        }
+        if (req.file.size > field.max_size_mb * 1024 * 1024) {
+            return res.status(413).json({ success: false, message: `"${field.label}" takes files up to ${field.max_size_mb}MB` });
+        }
+        const result = await cloudinary.uploader.upload(req.file.path, {
+            folder: 'registration_files',
+            resource_type: 'auto'
+        });
+        res.status(201).json({ success: true, file: { url: result.secure_url, name: req.file.originalname } });
+    } catch (error) {
+        res.status(500).json({ success: false, message: error.message });
+    }
+})
+
+
+// Update Event (event organizers only)
+router.put('/events/:id', verifyToken, requireAdmin, requireEventManager, (req,res,next)=>{
     upload.single('image')(req,res,function(err){
         if(err instanceof multer.MulterError && err.code==='LIMIT_FILE_SIZE') return res.status(413).json({success:false,message:'Image must be 3MB or smaller'});
         if(err) return res.status(400).json({success:false,message:err.message});
@@ -114,7 +293,6 @@ router.put('/events/:id', verifyToken, requireAdmin, (req,res,next)=>{
     });
 }, async (req, res) => {
     try {
-        const eventId = req.params.id;
         const eventBody = req.body || {};
         if (req.file) {
             const result = await cloudinary.uploader.upload(req.file.path, {
@@ -124,11 +302,9 @@ router.put('/events/:id', verifyToken, requireAdmin, (req,res,next)=>{
             eventBody.event_image = result.secure_url;
         }
 
-        const oldEvent = await Events.findById(eventId);
-        if (!oldEvent) {
-            return res.status(404).json({ success: false, message: 'Event not found' });
-        }
-
+        const oldEvent = req.event;
+        const previousDate = oldEvent.date;
+        const previousDeadline = oldEvent.registration_deadline;
 
         // Update fields dynamically
         oldEvent.title = eventBody.title || oldEvent.title;
@@ -139,43 +315,321 @@ router.put('/events/:id', verifyToken, requireAdmin, (req,res,next)=>{
         oldEvent.registration_deadline = eventBody.registration_deadline || oldEvent.registration_deadline;
         oldEvent.registration_fee = eventBody.registration_fee || oldEvent.registration_fee;
         oldEvent.category = eventBody.category || oldEvent.category;
+        // capacity may legitimately be 0 (unlimited), so check for presence instead
+        if (eventBody.capacity !== undefined && eventBody.capacity !== '') oldEvent.capacity = eventBody.capacity;
         if (eventBody.event_image) oldEvent.event_image = eventBody.event_image;
 
         // ✅ Add this for tags
         if (eventBody.tags) oldEvent.tags = eventBody.tags;
 
+        const gateways = parseGatewayList(eventBody.payment_gateways);
+        if (gateways !== undefined) {
+            if (gateways.length === 0) {
+                return res.status(400).json({ success: false, message: 'Choose at least one payment method' });
+            }
+            oldEvent.payment_gateways = gateways;
+            eventBody.payment_gateways = gateways;
+        }
+
+        const { policy, error: policyError } = parseCancellationPolicy(eventBody.cancellation_policy);
+        if (policyError) {
+            return res.status(400).json({ success: false, message: policyError });
+        }
+        if (policy) oldEvent.cancellation_policy = policy;
+        else delete eventBody.cancellation_policy;
+
+        const { tiers, error: tierError } = parsePriceTiers(eventBody.price_tiers);
+        if (tierError) {
+            return res.status(400).json({ success: false, message: tierError });
+        }
+        if (tiers) oldEvent.price_tiers = tiers;
+        else delete eventBody.price_tiers;
+
+        const { settings: teamSettings, error: teamError } = parseTeamSettings(eventBody.team_registration);
+        if (teamError) {
+            return res.status(400).json({ success: false, message: teamError });
+        }
+        if (teamSettings) oldEvent.team_registration = teamSettings;
+        else delete eventBody.team_registration;
+
+        // Answers keep the label they were given under, so editing the form does not change them
+        const { fields, error: formError } = parseFormFields(eventBody.registration_form);
+        if (formError) {
+            return res.status(400).json({ success: false, message: formError });
+        }
+        if (fields) oldEvent.registration_form = fields;
+        else delete eventBody.registration_form;
+
 
         const updatedEvent = await oldEvent.save();
-        res.status(200).json({ success: true, event: updatedEvent });
+        // A raised (or removed) capacity frees seats for waitlisted users
+        await promoteFromWaitlist(updatedEvent._id);
+
+        // scope=future carries the edit over to the later sessions of a series
+        let updatedSessions = 0;
+        if (updatedEvent.series && eventBody.scope === 'future') {
+            const changes = {};
+            SERIES_FIELDS.forEach(field => {
+                if (eventBody[field] !== undefined && eventBody[field] !== '') changes[field] = updatedEvent[field];
+            });
+            updatedSessions = await updateFutureOccurrences(updatedEvent, changes, {
+                dateShift: updatedEvent.date - previousDate,
+                deadlineShift: updatedEvent.registration_deadline - previousDeadline
+            });
+        }
+        res.status(200).json({ success: true, event: updatedEvent, updatedSessions });
     } catch (error) {
         res.status(500).json({ success: false, message: error.message });
     }
 });
 
 
-// Delete Event (Admin only for now)
-router.delete("/events/:id", verifyToken, requireAdmin, async (req, res) => {
+// Cancel every registration of an event that will not take place: attendees and waitlisted users
+// are told, teams are withdrawn, and paid fees are refunded in full once the organizer approves
+// the refund (nobody gave up their seat). The event must be archived first so no seat is handed on
+// Returns the number of registrations cancelled
+const cancelRegistrations = async (event) => {
+    const registrations = await Registration.find({ eventId: event._id, team: null });
+    const users = await Users.find({ _id: { $in: registrations.map(r => r.userId) } }).select('username email');
+    for (const registration of registrations) {
+        await Registration.deleteOne({ _id: registration._id });
+        const refunds = registration.is_waitlisted
+            ? []
+            : await requestRefunds([{ registration, event }], { event, reason: 'Event cancelled', full: true });
+        const user = users.find(u => String(u._id) === String(registration.userId));
+        if (!user?.email) continue;
+        const refundAmount = refunds.reduce((sum, r) => sum + r.amount, 0);
+        await sendEmail(user.email, `CampusCrew - ${event.title} was cancelled`, `Hello ${user.username},
+
+"${event.title}" (${new Date(event.date).toLocaleString()}) was cancelled by its organizer and your ${registration.is_waitlisted ? 'waitlist spot' : 'registration'} was cancelled with it.
+${refundAmount > 0 ? `\nYour registration fee of ৳${refundAmount} will be refunded in full once the organizer approves the refund.\n` : ''}
+Best regards,
+CampusCrew Team`);
+    }
+
+    let cancelled = registrations.length;
+    const teams = await Team.find({ event: event._id, status: { $ne: 'cancelled' } });
+    for (const team of teams) {
+        cancelled += await Registration.countDocuments({ team: team._id });
+        const captainRegistration = await cancelTeam(team, event, 'The event was cancelled by its organizer.');
+        if (captainRegistration?.payment_status === 'completed') {
+            await requestRefunds([{ registration: captainRegistration, event }], { event, reason: 'Event cancelled', full: true });
+        }
+    }
+    return cancelled;
+};
+
+// Delete Event (event organizers only)
+// Events are archived rather than removed, so payments, refunds, teams and certificates keep
+// pointing at them; an event that has not ended yet is cancelled (see cancelRegistrations),
+// with every upcoming session of a series
+router.delete("/events/:id", verifyToken, requireAdmin, requireEventManager, async (req, res) => {
+    try {
+        const event = req.event;
+        const events = event.is_series_parent ? [event, ...(await getSeriesSessions(event._id))] : [event];
+        const now = new Date();
+        await Events.updateMany(
+            { _id: { $in: events.map(e => e._id) }, is_archived: { $ne: true } },
+            { $set: { is_archived: true, archived_at: now } }
+        );
+
+        let cancelled = 0;
+        for (const e of events.filter(e => new Date(e.date) > now)) {
+            cancelled += await cancelRegistrations(e);
+        }
+        res.status(200).json({
+            success: true,
+            message: cancelled ? `Event cancelled, ${cancelled} registration(s) were cancelled` : 'Event deleted successfully',
+            cancelledRegistrations: cancelled
+        });
+    } catch (error) {
+        return res.status(500).json({ success: false, message: error.message });
+    }
+})
+
+// Restore an archived event (event organizers only), optionally with a new date
+router.post("/events/:id/restore", verifyToken, requireAdmin, requireEventManager, async (req, res) => {
+    try {
+        const result = await restoreArchivedEvent(req.params.id, req.body || {});
+        if (!result.success) {
+            return res.status(result.status).json({ success: false, message: result.message });
+        }
+        res.status(200).json({ success: true, event: result.event });
+    } catch (error) {
+        return res.status(500).json({ success: false, message: error.message });
+    }
+})
+
+// List co-organizers and pending invitations of an event
+router.get("/events/:id/co-organizers", verifyToken, requireAdmin, requireEventManager, async (req, res) => {
+    try {
+        const event = await req.event.populate([
+            { path: 'createdBy', select: 'username email profilePic' },
+            { path: 'co_organizers', select: 'username email profilePic' },
+            { path: 'organizer_invites.user', select: 'username email' }
+        ]);
+        res.status(200).json({
+            success: true,
+            owner: event.createdBy,
+            coOrganizers: event.co_organizers,
+            invites: event.organizer_invites
+        });
+    } catch (error) {
+        return res.status(500).json({ success: false, message: error.message });
+    }
+})
+
+// Invite an approved admin (by email) to co-organize an event
+router.post("/events/:id/co-organizers", verifyToken, requireAdmin, requireEventManager, async (req, res) => {
+    try {
+        const event = req.event;
+        const invitee = await Users.findOne({ email: req.body.email });
+        if (!invitee || !invitee.isAdmin || !invitee.isApprovedAdmin) {
+            return res.status(404).json({ success: false, message: 'No approved organizer account with this email' });
+        }
+        const inviteeId = String(invitee._id);
+        if (String(event.createdBy) === inviteeId || event.co_organizers.some(u => String(u) === inviteeId)) {
+            return res.status(409).json({ success: false, message: 'User already manages this event' });
+        }
+        if (event.organizer_invites.some(i => String(i.user) === inviteeId)) {
+            return res.status(409).json({ success: false, message: 'User has already been invited' });
+        }
+
+        event.organizer_invites.push({ user: invitee._id, invitedBy: req.user.id });
+        await event.save();
+
+        const subject = `CampusCrew - Invitation to co-organize ${event.title}`;
+        const text = `Hello ${invitee.username},
+
+You have been invited to co-organize "${event.title}" on CampusCrew.
+
+Open your dashboard to accept or decline the invitation:
+${process.env.frontend_url}/dashboard
+
+Best regards,
+CampusCrew Team`;
+        await sendEmail(invitee.email, subject, text);
+
+        res.status(201).json({ success: true, message: 'Invitation sent' });
+    } catch (error) {
+        return res.status(500).json({ success: false, message: error.message });
+    }
+})
+
+// Accept or decline a co-organizer invitation (the invitee only)
+router.post("/events/:id/co-organizers/:action", verifyToken, requireAdmin, async (req, res) => {
     try {
-        const eventId = req.params.id;
-        const deletedEvent = await Events.findByIdAndDelete(eventId);
-        if (!deletedEvent) {
+        if (!['accept', 'decline'].includes(req.params.action)) {
+            return res.status(400).json({ success: false, message: 'Action must be accept or decline' });
+        }
+        const event = await Events.findById(req.params.id);
+        if (!event) {
             return res.status(404).json({ success: false, message: 'Event not found' });
         }
-        res.status(200).json({ success: true, message: 'Event deleted successfully' });
+        const invite = event.organizer_invites.find(i => String(i.user) === req.user.id);
+        if (!invite) {
+            return res.status(404).json({ success: false, message: 'Invitation not found' });
+        }
+
+        event.organizer_invites.pull(invite._id);
+        if (req.params.action === 'accept') event.co_organizers.addToSet(req.user.id);
+        await event.save();
+        res.status(200).json({ success: true, message: `Invitation ${req.params.action === 'accept' ? 'accepted' : 'declined'}` });
     } catch (error) {
         return res.status(500).json({ success: false, message: error.message });
     }
 })
 
-// Manual cleanup endpoint for admins
-router.post("/cleanup-expired-events", verifyToken, requireAdmin, async (req, res) => {
+// Remove a co-organizer or cancel a pending invitation
+router.delete("/events/:id/co-organizers/:userId", verifyToken, requireAdmin, requireEventManager, async (req, res) => {
+    try {
+        const event = req.event;
+        event.co_organizers.pull(req.params.userId);
+        event.organizer_invites = event.organizer_invites.filter(i => String(i.user) !== req.params.userId);
+        await event.save();
+        res.status(200).json({ success: true, message: 'Co-organizer removed' });
+    } catch (error) {
+        return res.status(500).json({ success: false, message: error.message });
+    }
+})
+
+// Reminder settings of the logged-in user for an event
+router.get("/events/:id/reminders", verifyToken, async (req, res) => {
+    try {
+        const event = await Events.findById(req.params.id).select('reminder_watchers reminder_opt_outs');
+        if (!event) {
+            return res.status(404).json({ success: false, message: 'Event not found' });
+        }
+        res.status(200).json({
+            success: true,
+            enabled: !event.reminder_opt_outs.some(id => String(id) === req.user.id),
+            watching: event.reminder_watchers.some(id => String(id) === req.user.id)
+        });
+    } catch (error) {
+        res.status(500).json({ success: false, message: error.message });
+    }
+})
+
+// Update reminder settings: enabled turns reminder emails on/off for the event,
+// watching asks for a reminder before registration closes
+router.put("/events/:id/reminders", verifyToken, async (req, res) => {
+    try {
+        const { enabled, watching } = req.body;
+        const update = {};
+        if (typeof enabled === 'boolean') {
+            update[enabled ? '$pull' : '$addToSet'] = { reminder_opt_outs: req.user.id };
+        }
+        if (typeof watching === 'boolean') {
+            const op = watching ? '$addToSet' : '$pull';
+            update[op] = { ...(update[op] || {}), reminder_watchers: req.user.id };
+        }
+        if (Object.keys(update).length === 0) {
+            return res.status(400).json({ success: false, message: 'Nothing to update' });
+        }
+
+        const event = await Events.findByIdAndUpdate(req.params.id, update, { new: true })
+            .select('reminder_watchers reminder_opt_outs');
+        if (!event) {
+            return res.status(404).json({ success: false, message: 'Event not found' });
+        }
+        res.status(200).json({
+            success: true,
+            enabled: !event.reminder_opt_outs.some(id => String(id) === req.user.id),
+            watching: event.reminder_watchers.some(id => String(id) === req.user.id)
+        });
+    } catch (error) {
+        res.status(500).json({ success: false, message: error.message });
+    }
+})
+
+// One-click opt-out link from reminder emails
+router.get("/reminders/opt-out/:token", async (req, res) => {
+    const frontend = process.env.frontend_url;
+    const data = verifyOptOutToken(req.params.token);
+    if (!data) {
+        return res.redirect(`${frontend}/failure?message=Invalid or expired reminder link`);
+    }
+    try {
+        await Events.updateOne(
+            { _id: data.eventId },
+            { $addToSet: { reminder_opt_outs: data.userId }, $pull: { reminder_watchers: data.userId } }
+        );
+        res.redirect(`${frontend}/events/${data.eventId}?reminders=off`);
+    } catch (error) {
+        res.redirect(`${frontend}/failure?message=Could not update your reminder settings`);
+    }
+})
+
+// Manual cleanup endpoint for super admins (affects every event)
+router.post("/cleanup-expired-events", verifyToken, requireSuperAdmin, async (req, res) => {
     try {
         const result = await cleanupExpiredEvents();
         if (result.success) {
             res.status(200).json({
                 success: true,
                 message: 'Cleanup completed successfully',
-                deletedEventsCount: result.deletedEventsCount,
+                archivedEventsCount: result.archivedEventsCount,
+                purgedEventsCount: result.purgedEventsCount,
                 deletedRegistrationsCount: result.deletedRegistrationsCount
             });
         } else {
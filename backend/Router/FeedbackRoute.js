@@ -0,0 +1,136 @@
+const express = require('express')
+const mongoose = require('mongoose')
+const router = express.Router()
+
+const Feedback = require('../models/FeedbackModel')
+const Events = require('../models/EventModel')
+const Registration = require('../models/RegistrationModel')
+const { DEFAULT_SURVEY, FEEDBACK_WINDOW_DAYS, QUESTION_TYPES, MAX_QUESTIONS, parseSurvey, validateFeedback, feedbackBlocker, summarizeFeedback, organizerRating } = require('../utils/feedback')
+const { verifyToken, requireAdmin, requireEventManager } = require('../middleware/auth')
+
+const surveyOf = (event) => {
+    const survey = event.feedback_survey?.toObject?.() || event.feedback_survey || {};
+    return { ...DEFAULT_SURVEY, ...survey };
+};
+
+// An event's survey for the signed-in user: the questions, whether they may answer and their earlier answer
+router.get('/events/:id/feedback/survey', verifyToken, async (req, res) => {
+    try {
+        const event = await Events.findById(req.params.id).select('title date feedback_survey');
+        if (!event) {
+            return res.status(404).json({ success: false, message: 'Event not found' });
+        }
+        const registration = await Registration.findOne({ eventId: event._id, userId: req.user.id });
+        const reason = feedbackBlocker(event, registration);
+        const survey = surveyOf(event);
+        res.status(200).json({
+            success: true,
+            event: { _id: event._id, title: event.title, date: event.date },
+            survey: { audience: survey.audience, questions: survey.questions },
+            canAnswer: !reason,
+            reason,
+            closes_at: new Date(new Date(event.date).getTime() + FEEDBACK_WINDOW_DAYS * 24 * 60 * 60 * 1000),
+            response: await Feedback.findOne({ event: event._id, user: req.user.id }).select('rating answers comment updatedAt')
+        });
+    } catch (error) {
+        res.status(500).json({ success: false, message: error.message });
+    }
+})
+
+// Answer (or change the answer to) an event's survey; registered or checked-in attendees only, depending on the survey
+router.post('/events/:id/feedback', verifyToken, async (req, res) => {
+    try {
+        const event = await Events.findById(req.params.id).select('title date createdBy feedback_survey');
+        if (!event) {
+            return res.status(404).json({ success: false, message: 'Event not found' });
+        }
+        const registration = await Registration.findOne({ eventId: event._id, userId: req.user.id });
+        const reason = feedbackBlocker(event, registration);
+        if (reason) {
+            return res.status(403).json({ success: false, message: reason });
+        }
+        const { feedback, error } = validateFeedback(surveyOf(event), req.body);
+        if (error) {
+            return res.status(400).json({ success: false, message: error });
+        }
+        const response = await Feedback.findOneAndUpdate(
+            { event: event._id, user: req.user.id },
+            { $set: { ...feedback, registration: registration._id, organizer: event.createdBy } },
+            { upsert: true, new: true, runValidators: true }
+        );
+        res.status(200).json({ success: true, message: 'Thank you for your feedback', response });
+    } catch (error) {
+        res.status(500).json({ success: false, message: error.message });
+    }
+})
+
+// Survey settings and aggregated answers of an event (organizers only; answers are anonymous)
+router.get('/events/:id/feedback/results', verifyToken, requireAdmin, requireEventManager, async (req, res) => {
+    try {
+        const summaries = await summarizeFeedback([req.event._id]);
+        res.status(200).json({
+            success: true,
+            event: { _id: req.event._id, title: req.event.title, date: req.event.date },
+            survey: surveyOf(req.event),
+            questionTypes: QUESTION_TYPES,
+            maxQuestions: MAX_QUESTIONS,
+            windowDays: FEEDBACK_WINDOW_DAYS,
+            summary: summaries[req.event._id]
+        });
+    } catch (error) {
+        res.status(500).json({ success: false, message: error.message });
+    }
+})
+
+// Change the survey of an event; answers already given keep the question labels they were given with
+router.put('/events/:id/feedback/survey', verifyToken, requireAdmin, requireEventManager, async (req, res) => {
+    try {
+        const { survey, error } = parseSurvey(req.body.survey);
+        if (error) {
+            return res.status(400).json({ success: false, message: error });
+        }
+        req.event.feedback_survey = { ...survey, sent_at: req.event.feedback_survey?.sent_at || null };
+        await req.event.save();
+        res.status(200).json({ success: true, message: 'Feedback survey saved', survey: req.event.feedback_survey });
+    } catch (error) {
+        res.status(500).json({ success: false, message: error.message });
+    }
+})
+
+// Feedback on the past events the signed-in admin manages, for the dashboard
+router.get('/feedback/summary', verifyToken, requireAdmin, async (req, res) => {
+    try {
+        const userId = new mongoose.Types.ObjectId(req.user.id);
+        const events = await Events.find({
+            $or: [{ createdBy: userId }, { co_organizers: userId }],
+            date: { $lt: new Date() },
+            is_series_parent: { $ne: true }
+        }).select('title date feedback_survey').sort({ date: -1 }).limit(50);
+        const summaries = await summarizeFeedback(events.map(e => e._id));
+        const rows = events.map(e => ({
+            event: { _id: e._id, title: e.title, date: e.date },
+            enabled: surveyOf(e).enabled,
+            invited_at: e.feedback_survey?.sent_at || null,
+            responses: summaries[e._id].responses,
+            averageRating: summaries[e._id].averageRating,
+            distribution: summaries[e._id].distribution
+        }));
+        res.status(200).json({ success: true, events: rows, organizer: await organizerRating(req.user.id) });
+    } catch (error) {
+        res.status(500).json({ success: false, message: error.message });
+    }
+})
+
+// Public average rating of the events an organizer created
+router.get('/users/:id/organizer-rating', async (req, res) => {
+    try {
+        if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+            return res.status(400).json({ success: false, message: 'Invalid user id' });
+        }
+        res.status(200).json({ success: true, rating: await organizerRating(req.params.id) });
+    } catch (error) {
+        res.status(500).json({ success: false, message: error.message });
+    }
+})
+
+module.exports = router
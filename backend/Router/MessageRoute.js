@@ -0,0 +1,105 @@
+const express = require('express')
+const router = express.Router()
+
+const Message = require('../models/MessageModel')
+const { parseAttendeeFilter, findAttendees } = require('../utils/attendees')
+const { summarizeMessage, queueMessage, retryFailedRecipients } = require('../utils/bulkMessages')
+const { verifyToken, requireAdmin, requireEventManager } = require('../middleware/auth')
+
+const MAX_SUBJECT_LENGTH = 150;
+const MAX_BODY_LENGTH = 5000;
+
+// Load one message of the event in req.event
+const loadMessage = async (req, res) => {
+    const message = await Message.findOne({ _id: req.params.messageId, event: req.event._id })
+        .populate('sender', 'username');
+    if (!message) {
+        res.status(404).json({ success: false, message: 'Message not found' });
+        return null;
+    }
+    return message;
+};
+
+// How many attendees a filter reaches, before sending
+router.get('/events/:id/messages/recipients', verifyToken, requireAdmin, requireEventManager, async (req, res) => {
+    try {
+        const { filter, error } = parseAttendeeFilter(req.query);
+        if (error) {
+            return res.status(400).json({ success: false, message: error });
+        }
+        const registrations = await findAttendees(req.event._id, filter);
+        res.status(200).json({ success: true, count: new Set(registrations.map(r => r.userId.email)).size });
+    } catch (error) {
+        res.status(500).json({ success: false, message: error.message });
+    }
+})
+
+// Messages sent to the event's attendees, newest first, with delivery counts
+router.get('/events/:id/messages', verifyToken, requireAdmin, requireEventManager, async (req, res) => {
+    try {
+        const messages = await Message.find({ event: req.event._id })
+            .populate('sender', 'username')
+            .sort({ createdAt: -1 });
+        res.status(200).json({ success: true, messages: messages.map(summarizeMessage) });
+    } catch (error) {
+        res.status(500).json({ success: false, message: error.message });
+    }
+})
+
+// Email every attendee of the event, or the ones matching a filter (queued, sent in the background)
+router.post('/events/:id/messages', verifyToken, requireAdmin, requireEventManager, async (req, res) => {
+    try {
+        const subject = String(req.body.subject || '').trim();
+        const body = String(req.body.body || '').trim();
+        if (!subject || !body) {
+            return res.status(400).json({ success: false, message: 'Subject and message are required' });
+        }
+        if (subject.length > MAX_SUBJECT_LENGTH || body.length > MAX_BODY_LENGTH) {
+            return res.status(400).json({ success: false, message: `Subjects can have ${MAX_SUBJECT_LENGTH} and messages ${MAX_BODY_LENGTH} characters at most` });
+        }
+        const { filter, error } = parseAttendeeFilter(req.body.filter);
+        if (error) {
+            return res.status(400).json({ success: false, message: error });
+        }
+        const registrations = await findAttendees(req.event._id, filter);
+        if (registrations.length === 0) {
+            return res.status(400).json({ success: false, message: 'No attendees match this filter' });
+        }
+        const message = await queueMessage({ event: req.event, sender: req.user.id, subject, body, filter, registrations });
+        res.status(201).json({
+            success: true,
+            message: `Sending to ${message.recipients.length} attendee(s)`,
+            sent: summarizeMessage(message)
+        });
+    } catch (error) {
+        res.status(500).json({ success: false, message: error.message });
+    }
+})
+
+// One message with the delivery status of every recipient
+router.get('/events/:id/messages/:messageId', verifyToken, requireAdmin, requireEventManager, async (req, res) => {
+    try {
+        const message = await loadMessage(req, res);
+        if (!message) return;
+        res.status(200).json({ success: true, summary: summarizeMessage(message), recipients: message.recipients });
+    } catch (error) {
+        res.status(500).json({ success: false, message: error.message });
+    }
+})
+
+// Try the failed deliveries of a message again
+router.post('/events/:id/messages/:messageId/retry', verifyToken, requireAdmin, requireEventManager, async (req, res) => {
+    try {
+        const message = await loadMessage(req, res);
+        if (!message) return;
+        const retried = await retryFailedRecipients(message);
+        if (retried === 0) {
+            return res.status(400).json({ success: false, message: 'No failed deliveries to retry' });
+        }
+        res.status(200).json({ success: true, message: `Retrying ${retried} delivery(s)`, summary: summarizeMessage(message) });
+    } catch (error) {
+        res.status(500).json({ success: false, message: error.message });
+    }
+})
+
+module.exports = router
@@ -207,6 +207,8 @@ router.get('/suggested_events/:userId', async (req, res) => {
         // 3. Fetch upcoming events excluding already registered
         const allEvents = await Events.find({
             date: { $gte: new Date() },
+            is_archived: { $ne: true },
+            is_series_parent: { $ne: true },
             _id: { $nin: registeredEventIds }
         });
 
@@ -0,0 +1,286 @@
+const express = require('express')
+const router = express.Router()
+
+const Team = require('../models/TeamModel')
+const Events = require('../models/EventModel')
+const Users = require('../models/UserModel')
+const Registration = require('../models/RegistrationModel')
+const Payment = require('../models/PaymentModel')
+const { isEventExpired } = require('../utils/eventCleanup')
+const { quotePrice } = require('../utils/pricing')
+const { isTeamEvent, getTeamMemberIds, findUserTeam, checkTeamReady, isTeamPaying, inviteMembers, holdTeamSeats, confirmTeam, cancelTeam, leaveTeam } = require('../utils/teams')
+const { promoteFromWaitlist } = require('../utils/waitlist')
+const { validateAnswers } = require('../utils/registrationForm')
+const { findActiveBan, describeBan } = require('../utils/bans')
+const { verifyToken, requireAdmin, requireEventManager } = require('../middleware/auth')
+
+const populateTeam = (query) => query
+    .populate('captain', 'username email profilePic')
+    .populate('members.user', 'username email profilePic')
+
+// Registration for the event is still open
+const isOpen = (event) => !event.is_archived && !isEventExpired(event.date) && new Date(event.registration_deadline) >= new Date();
+
+// Load a team with its event, for routes acting on one team
+const loadTeam = async (req, res) => {
+    const team = await Team.findById(req.params.id);
+    if (!team || team.status === 'cancelled') {
+        res.status(404).json({ success: false, message: 'Team not found' });
+        return {};
+    }
+    const event = await Events.findById(team.event);
+    if (!event) {
+        res.status(404).json({ success: false, message: 'Event not found' });
+        return {};
+    }
+    return { team, event };
+};
+
+// Teams of an event with their invitations (event organizers only)
+router.get('/events/:id/teams', verifyToken, requireAdmin, requireEventManager, async (req, res) => {
+    try {
+        const teams = await populateTeam(Team.find({ event: req.event._id, status: { $ne: 'cancelled' } }).sort({ createdAt: 1 }));
+        res.status(200).json({ success: true, teams });
+    } catch (error) {
+        res.status(500).json({ success: false, message: error.message });
+    }
+})
+
+// The signed-in user's team for an event, and invitations waiting for an answer
+router.get('/events/:id/teams/mine', verifyToken, async (req, res) => {
+    try {
+        const user = await Users.findById(req.user.id).select('email');
+        if (!user) {
+            return res.status(404).json({ success: false, message: 'User not found' });
+        }
+        const team = await findUserTeam(req.params.id, req.user.id);
+        const invitations = team ? [] : await Team.find({
+            event: req.params.id,
+            status: 'forming',
+            members: { $elemMatch: { email: String(user.email).toLowerCase(), status: 'invited' } }
+        }).populate('captain', 'username');
+        res.status(200).json({
+            success: true,
+            team: team ? await populateTeam(Team.findById(team._id)) : null,
+            invitations: invitations.map(t => ({ _id: t._id, name: t.name, captain: t.captain?.username }))
+        });
+    } catch (error) {
+        res.status(500).json({ success: false, message: error.message });
+    }
+})
+
+// Create a team as its captain and invite members by email
+router.post('/events/:id/teams', verifyToken, async (req, res) => {
+    try {
+        const event = await Events.findById(req.params.id);
+        if (!event) {
+            return res.status(404).json({ success: false, message: 'Event not found' });
+        }
+        if (!isTeamEvent(event)) {
+            return res.status(400).json({ success: false, message: 'This event does not take team registrations' });
+        }
+        if (!isOpen(event)) {
+            return res.status(400).json({ success: false, message: 'Registration for this event is closed' });
+        }
+        const name = String(req.body.name || '').trim();
+        if (!name) {
+            return res.status(400).json({ success: false, message: 'Team name is required' });
+        }
+        const ban = await findActiveBan(req.user.id, event);
+        if (ban) {
+            return res.status(403).json({ success: false, banned: true, message: describeBan(ban) });
+        }
+        if (await findUserTeam(event._id, req.user.id)) {
+            return res.status(409).json({ success: false, message: 'You are already on a team for this event' });
+        }
+        const escaped = name.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+        if (await Team.exists({ event: event._id, status: { $ne: 'cancelled' }, name: new RegExp(`^${escaped}$`, 'i') })) {
+            return res.status(409).json({ success: false, message: 'Another team already has this name' });
+        }
+
+        // Every member answers the event's registration form for themselves
+        const { answers, error: answerError } = validateAnswers(event.registration_form, req.body.answers);
+        if (answerError) {
+            return res.status(400).json({ success: false, message: answerError });
+        }
+
+        const team = new Team({ event: event._id, name, captain: req.user.id, captain_answers: answers });
+        const { error } = await inviteMembers(team, event, req.body.emails);
+        if (error) {
+            return res.status(400).json({ success: false, message: error });
+        }
+        await team.save();
+        res.status(201).json({ success: true, team: await populateTeam(Team.findById(team._id)) });
+    } catch (error) {
+        res.status(500).json({ success: false, message: error.message });
+    }
+})
+
+// Invite more members (captain only, before the team registers)
+router.post('/teams/:id/invite', verifyToken, async (req, res) => {
+    try {
+        const { team, event } = await loadTeam(req, res);
+        if (!team) return;
+        if (String(team.captain) !== req.user.id) {
+            return res.status(403).json({ success: false, message: 'Only the team captain can invite members' });
+        }
+        if (team.status !== 'forming') {
+            return res.status(409).json({ success: false, message: 'The team is already registered' });
+        }
+        const { invited, error } = await inviteMembers(team, event, req.body.emails);
+        if (error) {
+            return res.status(400).json({ success: false, message: error });
+        }
+        res.status(200).json({ success: true, invited: invited.length, team: await populateTeam(Team.findById(team._id)) });
+    } catch (error) {
+        res.status(500).json({ success: false, message: error.message });
+    }
+})
+
+// Remove an invitation or a member (captain only, before the team registers)
+router.delete('/teams/:id/members/:memberId', verifyToken, async (req, res) => {
+    try {
+        const { team, event } = await loadTeam(req, res);
+        if (!team) return;
+        if (String(team.captain) !== req.user.id) {
+            return res.status(403).json({ success: false, message: 'Only the team captain can remove members' });
+        }
+        if (team.status !== 'forming') {
+            return res.status(409).json({ success: false, message: 'Members of a registered team leave by unregistering' });
+        }
+        const member = team.members.id(req.params.memberId);
+        if (!member) {
+            return res.status(404).json({ success: false, message: 'Member not found' });
+        }
+        if (member.status === 'accepted' && await isTeamPaying(team)) {
+            return res.status(409).json({ success: false, message: 'The team fee is being paid right now, members cannot change until it completes' });
+        }
+        member.deleteOne();
+        await team.save();
+        // Frees the seat held for them while the captain was paying
+        if (member.user) {
+            const removed = await Registration.deleteOne({ team: team._id, userId: member.user });
+            if (removed.deletedCount) await promoteFromWaitlist(event._id);
+        }
+        res.status(200).json({ success: true, team: await populateTeam(Team.findById(team._id)) });
+    } catch (error) {
+        res.status(500).json({ success: false, message: error.message });
+    }
+})
+
+// Accept or decline an invitation, or leave a team that has not registered yet
+router.post('/teams/:id/respond', verifyToken, async (req, res) => {
+    try {
+        const { action } = req.body;
+        if (!['accept', 'decline'].includes(action)) {
+            return res.status(400).json({ success: false, message: 'Action must be accept or decline' });
+        }
+        const { team, event } = await loadTeam(req, res);
+        if (!team) return;
+        const user = await Users.findById(req.user.id).select('email');
+        const member = team.members.find(m => m.email === String(user?.email).toLowerCase() && ['invited', 'accepted'].includes(m.status));
+        if (!member) {
+            return res.status(404).json({ success: false, message: 'No invitation for you on this team' });
+        }
+        if (team.status !== 'forming') {
+            return res.status(409).json({ success: false, message: 'The team is already registered' });
+        }
+        // Seats are held for the current members while the captain pays (leaveTeam checks the same)
+        if (action === 'accept' && await isTeamPaying(team)) {
+            return res.status(409).json({ success: false, message: 'The team fee is being paid right now, try again once it completes' });
+        }
+
+        if (action === 'accept') {
+            if (!isOpen(event)) {
+                return res.status(400).json({ success: false, message: 'Registration for this event is closed' });
+            }
+            const ban = await findActiveBan(req.user.id, event);
+            if (ban) {
+                return res.status(403).json({ success: false, banned: true, message: describeBan(ban) });
+            }
+            const other = await findUserTeam(event._id, req.user.id);
+            if (other && String(other._id) !== String(team._id)) {
+                return res.status(409).json({ success: false, message: `You are already on team ${other.name} for this event` });
+            }
+            const { answers, error: answerError } = validateAnswers(event.registration_form, req.body.answers);
+            if (answerError) {
+                return res.status(400).json({ success: false, message: answerError });
+            }
+            member.answers = answers;
+            member.status = 'accepted';
+            member.user = req.user.id;
+        } else if (member.status === 'accepted') {
+            const result = await leaveTeam(team, event, req.user.id);
+            if (!result.success) {
+                return res.status(409).json({ success: false, message: result.message });
+            }
+        } else {
+            member.status = 'declined';
+        }
+        member.responded_at = new Date();
+        await team.save();
+        res.status(200).json({
+            success: true,
+            message: action === 'accept' ? `You joined team ${team.name}` : `You are no longer on team ${team.name}`,
+            team: await populateTeam(Team.findById(team._id))
+        });
+    } catch (error) {
+        res.status(500).json({ success: false, message: error.message });
+    }
+})
+
+// Register a complete team for a free event (paid events go through /payments/create with the team)
+router.post('/teams/:id/register', verifyToken, async (req, res) => {
+    try {
+        const { team, event } = await loadTeam(req, res);
+        if (!team) return;
+        if (String(team.captain) !== req.user.id) {
+            return res.status(403).json({ success: false, message: 'Only the team captain can register the team' });
+        }
+        if (!isOpen(event)) {
+            return res.status(400).json({ success: false, message: 'Registration for this event is closed' });
+        }
+        const notReady = checkTeamReady(team, event);
+        if (notReady) {
+            return res.status(409).json({ success: false, message: notReady });
+        }
+        if (await findActiveBan(getTeamMemberIds(team), event)) {
+            return res.status(403).json({ success: false, message: 'A member of this team is banned from this event' });
+        }
+        const price = await quotePrice({ event, userId: req.user.id });
+        if (price.base > 0) {
+            return res.status(400).json({ success: false, message: 'This event has a registration fee, pay for the team to register' });
+        }
+        const held = await holdTeamSeats(team, event, { paid: false });
+        if (held.error) {
+            return res.status(409).json({ success: false, message: held.error });
+        }
+        await confirmTeam(team._id);
+        res.status(201).json({ success: true, message: `Team ${team.name} is registered`, team: await populateTeam(Team.findById(team._id)) });
+    } catch (error) {
+        res.status(500).json({ success: false, message: error.message });
+    }
+})
+
+// Disband a team that has not registered yet (captain only; registered teams withdraw by unregistering)
+router.delete('/teams/:id', verifyToken, async (req, res) => {
+    try {
+        const { team, event } = await loadTeam(req, res);
+        if (!team) return;
+        if (String(team.captain) !== req.user.id) {
+            return res.status(403).json({ success: false, message: 'Only the team captain can disband the team' });
+        }
+        if (team.status !== 'forming') {
+            return res.status(409).json({ success: false, message: 'Registered teams withdraw by unregistering' });
+        }
+        if (await Payment.exists({ team: team._id, status: 'processing' })) {
+            return res.status(409).json({ success: false, message: 'The team fee is being paid right now, try again in a few minutes' });
+        }
+        await cancelTeam(team, event, 'The captain disbanded the team.');
+        res.status(200).json({ success: true, message: `Team ${team.name} was disbanded` });
+    } catch (error) {
+        res.status(500).json({ success: false, message: error.message });
+    }
+})
+
+module.exports = router
@@ -1,38 +1,19 @@
 const express = require('express')
 const router = express.Router()
-const jwt = require("jsonwebtoken");
 const bcrypt = require("bcrypt");
 const crypto = require('crypto');
 
 const Users = require('../models/UserModel')
+const AuditLog = require('../models/AuditLogModel')
 const cloudinary = require('../utils/cloudinary')
 const upload = require('../utils/multer')
 const sendEmail = require('../utils/sendEmail')
+const { verifyToken, requireSuperAdmin, signAccessToken, issueRefreshToken, rotateRefreshToken, revokeRefreshToken } = require('../middleware/auth')
 
 const successfulVerifications = new Set(); // Keep track of successful verification IDs
 
 
 
-// Middleware to verify JWT token
-const verifyToken = (req, res, next) => {
-    const token = req.headers['authorization']?.split(' ')[1] || req.headers['accesstoken'];
-
-    if (!token) {
-        return res.status(401).json({ success: false, message: "No token provided" });
-    }
-
-    try {
-        const decoded = jwt.verify(token, 'secret_ecom');
-        req.user = decoded.user;
-        next();
-    } catch (error) {
-        return res.status(401).json({ success: false, message: "Invalid token" });
-    }
-};
-
-
-
-
 router.post('/login', async (req, res) => {
     try {
         let user = await Users.findOne({ email: req.body.email });
@@ -51,41 +32,19 @@ router.post('/login', async (req, res) => {
         }
 
         if (user.isAdmin && !user.isApprovedAdmin) {
-            return res.json({ success: false, errors: "You are not approved as an admin yet." });
+            return res.json({ success: false, errors: "Your organizer application is still awaiting approval." });
         }
 
-        const data = {
-            user: {
-                id: user.id,
-                isAdmin: user.isAdmin,
-                isApprovedAdmin: user.isApprovedAdmin,
-            }
-        };
-
         // If login is successful and user is verified, clear the verification token
         if (passCompare && user.isVerified) {
             user.verificationToken = undefined;
-            await user.save();
         }
 
-        // Check the refresh token and its expiry
-        let refreshtoken = user.refreshToken;
-        let refreshTokenExpiry = user.refreshTokenExpiry;
-        const now = new Date();
-
-        // If there's no refresh token or it's expired, create a new one
-        if (!refreshtoken || refreshTokenExpiry <= now) {
-            refreshtoken = jwt.sign(data, 'secret_recom', { expiresIn: "1d" });
-            refreshTokenExpiry = new Date(now.getTime() + 24 * 60 * 60 * 1000); // 1 day
-
-            await Users.findByIdAndUpdate(user.id, {
-                refreshToken: refreshtoken,
-                refreshTokenExpiry: refreshTokenExpiry
-            });
-        }
+        // Every login starts a new refresh token family (one per device)
+        const refreshtoken = await issueRefreshToken(user);
 
         // Generate new access token
-        const token = jwt.sign(data, 'secret_ecom', { expiresIn: "30m" });
+        const token = signAccessToken(user);
 
         // Return user data (excluding sensitive information)
         const userData = {
@@ -94,7 +53,8 @@ router.post('/login', async (req, res) => {
             email: user.email,
             isAdmin: user.isAdmin,
             isVerified: user.isVerified,
-            isApprovedAdmin: user.isApprovedAdmin
+            isApprovedAdmin: user.isApprovedAdmin,
+            isSuperAdmin: user.isSuperAdmin
         };
 
         res.json({ success: true, token, refreshtoken, user: userData });
@@ -120,13 +80,17 @@ router.post('/signup', async (req, res) => {
         // Generate verification token
         const verificationToken = crypto.randomBytes(20).toString('hex');
 
+        const isAdmin = req.body.isAdmin === true || req.body.isAdmin === 'true';
         const user = new Users({
             username: req.body.username,
             email: req.body.email,
             password: hashedPassword,
             dob: req.body.dob,
             location: req.body.location,
-            isAdmin: req.body.isAdmin || false,
+            isAdmin,
+            // Organizer accounts wait in the approval queue until a super admin reviews them
+            isApprovedAdmin: false,
+            adminApplication: isAdmin ? { status: 'pending', appliedAt: new Date() } : undefined,
             verificationToken: verificationToken,
             isVerified: false
         });
@@ -144,7 +108,9 @@ Please click on the following link to verify your email address:
 ${verificationUrl}
 
 This link will expire in 24 hours for security reasons.
-
+${isAdmin ? `
+Your organizer application has been received. You will get another email once it has been reviewed.
+` : ''}
 If you did not create this account, please ignore this email.
 
 Best regards,
@@ -158,13 +124,7 @@ CampusCrew Team`;
             // Still allow signup to complete, but log the error
         }
 
-        const data = {
-            user: {
-                id: user.id
-            }
-        };
-
-        const token = jwt.sign(data, 'secret_ecom', { expiresIn: "30m" });
+        const token = signAccessToken(user);
 
         res.json({ 
             success: true, 
@@ -177,6 +137,37 @@ CampusCrew Team`;
     }
 });
 
+// Exchange a refresh token for a new access/refresh token pair
+router.post('/token/refresh', async (req, res) => {
+    try {
+        const { refreshtoken } = req.body;
+        if (!refreshtoken) {
+            return res.status(400).json({ success: false, message: "No refresh token provided" });
+        }
+
+        const rotated = await rotateRefreshToken(refreshtoken);
+        if (!rotated) {
+            return res.status(401).json({ success: false, message: "Invalid or expired refresh token" });
+        }
+
+        res.json({ success: true, token: rotated.token, refreshtoken: rotated.refreshtoken });
+    } catch (error) {
+        console.error("Token refresh error:", error);
+        res.status(500).json({ success: false, message: "Error refreshing token" });
+    }
+});
+
+// Revoke the refresh token of the current device
+router.post('/logout', async (req, res) => {
+    try {
+        if (req.body.refreshtoken) await revokeRefreshToken(req.body.refreshtoken);
+        res.json({ success: true, message: "Logged out" });
+    } catch (error) {
+        console.error("Logout error:", error);
+        res.status(500).json({ success: false, message: "Error logging out" });
+    }
+});
+
 // Email Verification Route
 router.get('/verify-email/:token', async (req, res) => {
     const { token } = req.params;
@@ -362,7 +353,7 @@ router.post('/reset-password/:token', async (req, res) => {
 router.get('/profile', verifyToken, async (req, res) => {
     try {
         console.log('Profile request for user ID:', req.user.id);
-        const user = await Users.findById(req.user.id).select('-password -refreshToken -refreshTokenExpiry');
+        const user = await Users.findById(req.user.id).select('-password -refreshSessions');
 
         if (!user) {
             console.log('User not found with ID:', req.user.id);
@@ -401,7 +392,7 @@ router.put('/profile', verifyToken, async (req, res) => {
                     targetScore
                 }
             },
-            { new: true, select: '-password -refreshToken -refreshTokenExpiry' }
+            { new: true, select: '-password -refreshSessions' }
         );
 
         if (!updatedUser) {
@@ -442,6 +433,108 @@ router.put('/upload-photo/:id', upload.single('photo'), async (req, res) => {
 });
 
 
+// Organizer applications queue (super admins only)
+// Optional query: status=pending|approved|rejected (defaults to pending)
+router.get('/admin-applications', verifyToken, requireSuperAdmin, async (req, res) => {
+    try {
+        const status = req.query.status || 'pending';
+        const applicants = await Users.find({ 'adminApplication.status': status })
+            .select('username email profilePic location isVerified adminApplication createdAt')
+            .populate('adminApplication.reviewedBy', 'username email')
+            .sort({ 'adminApplication.appliedAt': 1 });
+        res.json({ success: true, applicants });
+    } catch (error) {
+        res.status(500).json({ success: false, message: error.message });
+    }
+});
+
+// Approve or reject an organizer application
+router.post('/admin-applications/:userId/:decision', verifyToken, requireSuperAdmin, async (req, res) => {
+    try {
+        const { userId, decision } = req.params;
+        const reason = (req.body?.reason || '').trim();
+        if (!['approve', 'reject'].includes(decision)) {
+            return res.status(400).json({ success: false, message: 'Decision must be approve or reject' });
+        }
+        if (decision === 'reject' && !reason) {
+            return res.status(400).json({ success: false, message: 'A reason is required to reject an application' });
+        }
+
+        const user = await Users.findById(userId);
+        if (!user || user.adminApplication?.status !== 'pending') {
+            return res.status(404).json({ success: false, message: 'No pending application for this user' });
+        }
+
+        const approved = decision === 'approve';
+        user.isApprovedAdmin = approved;
+        // A rejected applicant keeps a regular participant account
+        if (!approved) user.isAdmin = false;
+        user.adminApplication.status = approved ? 'approved' : 'rejected';
+        user.adminApplication.reason = reason;
+        user.adminApplication.reviewedBy = req.user.id;
+        user.adminApplication.reviewedAt = new Date();
+        await user.save();
+
+        await AuditLog.create({
+            action: approved ? 'admin_application.approved' : 'admin_application.rejected',
+            actor: req.user.id,
+            targetUser: user._id,
+            reason
+        });
+
+        const subject = `CampusCrew - Organizer application ${approved ? 'approved' : 'rejected'}`;
+        const text = approved
+            ? `Hello ${user.username},
+
+Your organizer application has been approved. You can now log in and start creating events:
+${process.env.frontend_url}/login
+${reason ? `\nNote from the reviewer: ${reason}\n` : ''}
+Best regards,
+CampusCrew Team`
+            : `Hello ${user.username},
+
+Unfortunately your organizer application has been rejected.
+
+Reason: ${reason}
+
+You can still log in with this account to join events as a participant.
+
+Best regards,
+CampusCrew Team`;
+        try {
+            await sendEmail(user.email, subject, text);
+        } catch (emailError) {
+            console.error("Failed to send application status email:", emailError);
+        }
+
+        res.json({ success: true, message: `Application ${user.adminApplication.status}` });
+    } catch (error) {
+        res.status(500).json({ success: false, message: error.message });
+    }
+});
+
+// Audit log of administrative decisions (super admins only)
+router.get('/audit-logs', verifyToken, requireSuperAdmin, async (req, res) => {
+    try {
+        const page = Math.max(1, parseInt(req.query.page) || 1);
+        const limit = Math.min(100, parseInt(req.query.limit) || 20);
+        const filter = req.query.action ? { action: req.query.action } : {};
+        const [logs, total] = await Promise.all([
+            AuditLog.find(filter)
+                .sort({ createdAt: -1 })
+                .skip((page - 1) * limit)
+                .limit(limit)
+                .populate('actor', 'username email')
+                .populate('targetUser', 'username email')
+                .populate('targetEvent', 'title'),
+            AuditLog.countDocuments(filter)
+        ]);
+        res.json({ success: true, logs, total, page, pages: Math.ceil(total / limit) });
+    } catch (error) {
+        res.status(500).json({ success: false, message: error.message });
+    }
+});
+
 module.exports = router
 
 
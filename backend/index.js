@@ -4,8 +4,16 @@ const app = express()
 const cors = require('cors')
 const cookieParser = require('cookie-parser')
 require('dotenv').config({ path: path.join(__dirname, '.env') })
+const { checkSecrets } = require('./utils/secrets')
+checkSecrets()
 const MongDB = require('./database')
 const { startAutomaticCleanup } = require('./utils/eventCleanup')
+const { startReminderScheduler } = require('./utils/reminders')
+const { startPaymentHoldSweeper } = require('./utils/waitlist')
+const { startPaymentRecheck } = require('./utils/payments')
+const { startMessageSender } = require('./utils/bulkMessages')
+const { startCertificateJob } = require('./utils/certificateBatches')
+const { startFeedbackJob } = require('./utils/feedback')
 const port = process.env.PORT || 8000
 const frontend_url = process.env.frontend_url || process.env.FRONTEND_URL
 
@@ -15,6 +23,13 @@ const EventRouter = require('./Router/EventRoute')
 const RegistrationRouter = require('./Router/RegistrationRoute')
 const RecommendetionRouter = require('./Router/Recommendetion')
 const ChatRouter = require('./Router/ChatRoute')
+const CalendarRouter = require('./Router/CalendarRoute')
+const CouponRouter = require('./Router/CouponRoute')
+const TeamRouter = require('./Router/TeamRoute')
+const MessageRouter = require('./Router/MessageRoute')
+const BanRouter = require('./Router/BanRoute')
+const CertificateRouter = require('./Router/CertificateRoute')
+const FeedbackRouter = require('./Router/FeedbackRoute')
 const embeddingService = require('./services/embeddingService')
 
 // Import the automatic vector database update system
@@ -97,12 +112,19 @@ app.use('/api', EventRouter)
 app.use('/api', RegistrationRouter)
 app.use('/api', RecommendetionRouter)
 app.use('/api', ChatRouter)
+app.use('/api', CalendarRouter)
+app.use('/api', CouponRouter)
+app.use('/api', TeamRouter)
+app.use('/api', MessageRouter)
+app.use('/api', BanRouter)
+app.use('/api', CertificateRouter)
+app.use('/api', FeedbackRouter)
 
 console.log('✅ All routers mounted successfully');
 
 app.listen(port, async () => {
     console.log(`Backend is running on port ${port}`)
-    console.log(`Environment: ${process.env.NODE_ENV || 'development'}`)
+    console.log(`Environment: ${process.env.NODE_ENV || 'not set'}`)
     
     // Start the automatic event cleanup service
     try {
@@ -110,6 +132,48 @@ app.listen(port, async () => {
     } catch (error) {
         console.error('⚠️  Event cleanup failed:', error.message);
     }
+
+    // Start the event and registration deadline reminder emails
+    try {
+        startReminderScheduler();
+    } catch (error) {
+        console.error('⚠️  Reminder service failed:', error.message);
+    }
+
+    // Release seats held for payments that never completed
+    try {
+        startPaymentHoldSweeper();
+    } catch (error) {
+        console.error('⚠️  Payment hold sweeper failed:', error.message);
+    }
+
+    // Verify again payments whose gateway could not be reached
+    try {
+        startPaymentRecheck();
+    } catch (error) {
+        console.error('⚠️  Payment recheck failed:', error.message);
+    }
+
+    // Deliver queued emails to event attendees
+    try {
+        startMessageSender();
+    } catch (error) {
+        console.error('⚠️  Message sender failed:', error.message);
+    }
+
+    // Render and email certificates once events end
+    try {
+        startCertificateJob();
+    } catch (error) {
+        console.error('⚠️  Certificate job failed:', error.message);
+    }
+
+    // Invite attendees to the feedback survey once events end
+    try {
+        startFeedbackJob();
+    } catch (error) {
+        console.error('⚠️  Feedback survey job failed:', error.message);
+    }
     
     // Initialize chatbot knowledge base (optional)
     // Skip in serverless to avoid timeout
@@ -0,0 +1,179 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+
+const Users = require('../models/UserModel');
+const Events = require('../models/EventModel');
+const { getSecret } = require('../utils/secrets');
+
+const ACCESS_TOKEN_TTL = process.env.ACCESS_TOKEN_TTL || '30m';
+const REFRESH_TOKEN_DAYS = parseInt(process.env.REFRESH_TOKEN_DAYS) || 7;
+
+/**
+ * Build the JWT payload for a user
+ */
+const buildPayload = (user) => ({
+    user: {
+        id: user.id,
+        isAdmin: user.isAdmin,
+        isApprovedAdmin: user.isApprovedAdmin,
+    }
+});
+
+/**
+ * Sign a short-lived access token
+ */
+const signAccessToken = (user) => {
+    return jwt.sign(buildPayload(user), getSecret('JWT_SECRET'), { expiresIn: ACCESS_TOKEN_TTL });
+};
+
+/**
+ * Issue a refresh token and store its session on the user
+ * Every login starts a new token family; refreshing rotates the token inside that family
+ */
+const issueRefreshToken = async (user, family = crypto.randomUUID()) => {
+    const jti = crypto.randomUUID();
+    const expiresAt = new Date(Date.now() + REFRESH_TOKEN_DAYS * 24 * 60 * 60 * 1000);
+    const refreshtoken = jwt.sign(
+        { ...buildPayload(user), family, jti },
+        getSecret('JWT_REFRESH_SECRET'),
+        { expiresIn: `${REFRESH_TOKEN_DAYS}d` }
+    );
+
+    // Replace the family's session and drop expired ones
+    const now = new Date();
+    user.refreshSessions = (user.refreshSessions || [])
+        .filter(s => s.family !== family && s.expiresAt > now);
+    user.refreshSessions.push({ family, jti, expiresAt });
+    await user.save();
+
+    return refreshtoken;
+};
+
+/**
+ * Exchange a refresh token for a new access/refresh token pair
+ * Reusing an already rotated token revokes its whole family
+ * Returns null when the token is invalid, expired or revoked
+ */
+const rotateRefreshToken = async (refreshtoken) => {
+    let decoded;
+    try {
+        decoded = jwt.verify(refreshtoken, getSecret('JWT_REFRESH_SECRET'));
+    } catch (error) {
+        return null;
+    }
+
+    const user = await Users.findById(decoded.user?.id);
+    if (!user) return null;
+
+    const session = (user.refreshSessions || []).find(s => s.family === decoded.family);
+    if (!session) return null;
+
+    if (session.jti !== decoded.jti) {
+        // The token was already exchanged: someone is replaying it
+        console.warn(`Refresh token reuse detected for user ${user.id}, revoking session`);
+        user.refreshSessions = user.refreshSessions.filter(s => s.family !== decoded.family);
+        await user.save();
+        return null;
+    }
+
+    const token = signAccessToken(user);
+    const newRefreshToken = await issueRefreshToken(user, decoded.family);
+    return { token, refreshtoken: newRefreshToken, user };
+};
+
+/**
+ * Revoke the session a refresh token belongs to
+ * Only tokens this server signed count (an expired one still logs its session out);
+ * anything else is ignored, so nobody can end another user's sessions
+ */
+const revokeRefreshToken = async (refreshtoken) => {
+    let decoded;
+    try {
+        decoded = jwt.verify(refreshtoken, getSecret('JWT_REFRESH_SECRET'), { ignoreExpiration: true });
+    } catch (error) {
+        return;
+    }
+    if (!decoded?.user?.id || !decoded.family) return;
+    await Users.updateOne(
+        { _id: decoded.user.id },
+        { $pull: { refreshSessions: { family: decoded.family } } }
+    );
+};
+
+// Middleware: verify the access token and attach its user to req.user
+const verifyToken = (req, res, next) => {
+    const token = req.headers['authorization']?.split(' ')[1] || req.headers['accesstoken'];
+    if (!token) return res.status(401).json({ success: false, message: 'No token provided' });
+    try {
+        const decoded = jwt.verify(token, getSecret('JWT_SECRET'));
+        req.user = decoded.user; // { id, isAdmin, isApprovedAdmin }
+        next();
+    } catch (err) {
+        return res.status(401).json({ success: false, message: 'Invalid token' });
+    }
+};
+
+// Middleware: ensure user is an approved admin
+const requireAdmin = async (req, res, next) => {
+    try {
+        const user = await Users.findById(req.user.id).select('isAdmin isApprovedAdmin');
+        if (!user) return res.status(404).json({ success: false, message: 'User not found' });
+        if (!user.isAdmin) return res.status(403).json({ success: false, message: 'Admin access required' });
+        if (user.isAdmin && !user.isApprovedAdmin) return res.status(403).json({ success: false, message: 'Admin not approved yet' });
+        next();
+    } catch (e) {
+        return res.status(500).json({ success: false, message: 'Authorization check failed' });
+    }
+};
+
+// Middleware: ensure user is a super admin
+const requireSuperAdmin = async (req, res, next) => {
+    try {
+        const user = await Users.findById(req.user.id).select('isSuperAdmin');
+        if (!user) return res.status(404).json({ success: false, message: 'User not found' });
+        if (!user.isSuperAdmin) return res.status(403).json({ success: false, message: 'Super admin access required' });
+        next();
+    } catch (e) {
+        return res.status(500).json({ success: false, message: 'Authorization check failed' });
+    }
+};
+
+/**
+ * Check whether a user may manage an event
+ * The creator and accepted co-organizers can, super admins always can
+ */
+const canManageEvent = (event, userId, isSuperAdmin = false) => {
+    if (isSuperAdmin) return true;
+    if (!event || !userId) return false;
+    const id = String(userId);
+    const creatorId = String(event.createdBy?._id || event.createdBy);
+    return creatorId === id || (event.co_organizers || []).some(u => String(u?._id || u) === id);
+};
+
+// Middleware: ensure user manages the event in req.params.id, attaches it as req.event
+const requireEventManager = async (req, res, next) => {
+    try {
+        const event = await Events.findById(req.params.id);
+        if (!event) return res.status(404).json({ success: false, message: 'Event not found' });
+        const user = await Users.findById(req.user.id).select('isSuperAdmin');
+        if (!canManageEvent(event, req.user.id, user?.isSuperAdmin)) {
+            return res.status(403).json({ success: false, message: 'Only the organizers of this event can manage it' });
+        }
+        req.event = event;
+        next();
+    } catch (e) {
+        return res.status(500).json({ success: false, message: 'Authorization check failed' });
+    }
+};
+
+module.exports = {
+    verifyToken,
+    requireAdmin,
+    requireSuperAdmin,
+    requireEventManager,
+    canManageEvent,
+    signAccessToken,
+    issueRefreshToken,
+    rotateRefreshToken,
+    revokeRefreshToken
+};
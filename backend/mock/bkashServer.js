@@ -0,0 +1,170 @@
+/**
+ * Local mock of the bKash tokenized checkout API, for testing payments without the sandbox
+ *
+ * Run: npm run mock:bkash, then point the backend at it:
+ *   bkash_grant_token_url=http://localhost:4010/tokenized/checkout/token/grant
+ *   bkash_create_payment_url=http://localhost:4010/tokenized/checkout/create
+ *   bkash_execute_payment_url=http://localhost:4010/tokenized/checkout/execute
+ *   bkash_query_payment_url=http://localhost:4010/tokenized/checkout/payment/status
+ *   bkash_refund_url=http://localhost:4010/tokenized/checkout/payment/refund
+ *
+ * The bkashURL returned by create opens a page to approve, cancel or fail the payment.
+ * "Pay less" approves with a lower amount so the amount check can be exercised.
+ * GET /mock/payments lists every payment the mock knows about.
+ * Required from a script, startMockBkash() starts it in the same process.
+ */
+
+const express = require('express');
+const crypto = require('crypto');
+
+const port = process.env.MOCK_BKASH_PORT || 4010;
+const base = `http://localhost:${port}`;
+const app = express();
+app.use(express.json());
+
+const tokens = new Set();
+const payments = new Map();
+
+const error = (res, statusCode, statusMessage) => res.status(200).json({ statusCode, statusMessage });
+
+// Every call except the grant needs a granted token and an app key
+const authorize = (req, res, next) => {
+    if (!tokens.has(req.headers.authorization) || !req.headers['x-app-key']) {
+        return error(res, '2079', 'Invalid App Token');
+    }
+    next();
+};
+
+const paymentState = (payment) => ({
+    paymentID: payment.paymentID,
+    trxID: payment.trxID,
+    transactionStatus: payment.transactionStatus,
+    amount: payment.paidAmount ?? payment.amount,
+    currency: payment.currency,
+    intent: payment.intent,
+    merchantInvoiceNumber: payment.merchantInvoiceNumber,
+    paymentExecuteTime: payment.executedAt,
+    statusCode: '0000',
+    statusMessage: 'Successful'
+});
+
+app.post('/tokenized/checkout/token/grant', (req, res) => {
+    if (!req.body.app_key || !req.body.app_secret) return error(res, '2001', 'Invalid App Key');
+    const id_token = crypto.randomBytes(16).toString('hex');
+    tokens.add(id_token);
+    res.json({ statusCode: '0000', statusMessage: 'Successful', id_token, token_type: 'Bearer', expires_in: 3600 });
+});
+
+app.post('/tokenized/checkout/create', authorize, (req, res) => {
+    const { amount, currency, intent, callbackURL, merchantInvoiceNumber } = req.body;
+    if (!(Number(amount) > 0)) return error(res, '2008', 'Invalid Amount');
+    if (!callbackURL) return error(res, '2006', 'Invalid Callback URL');
+
+    const paymentID = `TR0011${crypto.randomBytes(8).toString('hex').toUpperCase()}`;
+    payments.set(paymentID, {
+        paymentID,
+        amount,
+        currency,
+        intent,
+        callbackURL,
+        merchantInvoiceNumber,
+        transactionStatus: 'Initiated',
+        approved: false
+    });
+    res.json({
+        statusCode: '0000',
+        statusMessage: 'Successful',
+        paymentID,
+        bkashURL: `${base}/checkout/${paymentID}`,
+        callbackURL,
+        amount,
+        currency,
+        intent,
+        merchantInvoiceNumber,
+        transactionStatus: 'Initiated'
+    });
+});
+
+// Stand-in for the bKash payment page
+app.get('/checkout/:paymentID', (req, res) => {
+    const payment = payments.get(req.params.paymentID);
+    if (!payment) return res.status(404).send('Unknown payment');
+    const link = (outcome, label) => `<a href="/checkout/${payment.paymentID}/${outcome}">${label}</a>`;
+    res.send(`<h2>Mock bKash</h2>
+<p>Pay ৳${payment.amount} (${payment.merchantInvoiceNumber})</p>
+<p>${link('success', 'Pay')} · ${link('underpay', 'Pay less')} · ${link('cancel', 'Cancel')} · ${link('failure', 'Fail')}</p>`);
+});
+
+app.get('/checkout/:paymentID/:outcome', (req, res) => {
+    const payment = payments.get(req.params.paymentID);
+    if (!payment) return res.status(404).send('Unknown payment');
+
+    let status = req.params.outcome;
+    if (status === 'success' || status === 'underpay') {
+        payment.approved = true;
+        if (status === 'underpay') payment.paidAmount = String(Number(payment.amount) - 1);
+        status = 'success';
+    } else {
+        payment.transactionStatus = status === 'cancel' ? 'Cancelled' : 'Failed';
+    }
+    const url = new URL(payment.callbackURL);
+    url.searchParams.set('paymentID', payment.paymentID);
+    url.searchParams.set('status', status);
+    res.redirect(url.toString());
+});
+
+app.post('/tokenized/checkout/execute', authorize, (req, res) => {
+    const payment = payments.get(req.body.paymentID);
+    if (!payment) return error(res, '2117', 'Invalid Payment ID');
+    if (!payment.approved || payment.transactionStatus !== 'Initiated') {
+        return error(res, '2056', 'Invalid Payment State');
+    }
+    payment.transactionStatus = 'Completed';
+    payment.trxID = crypto.randomBytes(5).toString('hex').toUpperCase();
+    payment.executedAt = new Date().toISOString();
+    res.json({ ...paymentState(payment), customerMsisdn: '01770618575' });
+});
+
+app.post('/tokenized/checkout/payment/status', authorize, (req, res) => {
+    const payment = payments.get(req.body.paymentID);
+    if (!payment) return error(res, '2117', 'Invalid Payment ID');
+    res.json(paymentState(payment));
+});
+
+app.post('/tokenized/checkout/payment/refund', authorize, (req, res) => {
+    const payment = payments.get(req.body.paymentID);
+    if (!payment || payment.trxID !== req.body.trxID) return error(res, '2117', 'Invalid Payment ID');
+    if (payment.transactionStatus !== 'Completed') return error(res, '2056', 'Invalid Payment State');
+    const refunded = (payment.refunded || 0) + Number(req.body.amount);
+    if (!(Number(req.body.amount) > 0) || refunded > Number(payment.paidAmount ?? payment.amount)) {
+        return error(res, '2071', 'Refund amount exceeds the paid amount');
+    }
+    payment.refunded = refunded;
+    res.json({
+        completedTime: new Date().toISOString(),
+        transactionStatus: 'Completed',
+        originalTrxID: payment.trxID,
+        refundTrxID: crypto.randomBytes(5).toString('hex').toUpperCase(),
+        amount: req.body.amount,
+        currency: 'BDT',
+        charge: '0.00'
+    });
+});
+
+app.get('/mock/payments', (req, res) => {
+    res.json([...payments.values()]);
+});
+
+/**
+ * Start listening; resolves to the HTTP server so scripts (test_payment_flow.js) can stop it
+ */
+const startMockBkash = () => new Promise((resolve) => {
+    const server = app.listen(port, () => {
+        console.log(`Mock bKash running on ${base}`);
+        resolve(server);
+    });
+});
+
+if (require.main === module) startMockBkash();
+
+module.exports = { startMockBkash };
@@ -0,0 +1,36 @@
+const mongoose = require('mongoose')
+
+const { Schema } = mongoose
+
+// Append-only record of administrative decisions
+const AuditLogSchema = new Schema({
+    action: {
+        type: String,
+        required: true,
+        index: true
+    },
+    actor: {
+        type: Schema.Types.ObjectId,
+        ref: 'users',
+        required: true
+    },
+    targetUser: {
+        type: Schema.Types.ObjectId,
+        ref: 'users'
+    },
+    targetEvent: {
+        type: Schema.Types.ObjectId,
+        ref: 'events'
+    },
+    reason: {
+        type: String,
+        default: ''
+    },
+    details: {
+        type: Schema.Types.Mixed
+    }
+}, {
+    timestamps: { createdAt: true, updatedAt: false }
+})
+
+module.exports = mongoose.model('auditlogs', AuditLogSchema)
@@ -0,0 +1,61 @@
+const mongoose = require('mongoose')
+
+const { Schema } = mongoose
+
+// A user barred from registering: for one event, or for every event of an organizer
+// A ban is active until it expires (expires_at, none for a permanent ban) or is lifted
+const BanSchema = new Schema({
+    user: {
+        type: Schema.Types.ObjectId,
+        ref: 'users',
+        required: true,
+        index: true
+    },
+    scope: {
+        type: String,
+        enum: ['event', 'organizer'],
+        required: true
+    },
+    // scope 'event': the event; scope 'organizer': the event the ban was issued from
+    event: {
+        type: Schema.Types.ObjectId,
+        ref: 'events',
+        required: true
+    },
+    // The organizer (event creator) whose events an organizer ban covers
+    organizer: {
+        type: Schema.Types.ObjectId,
+        ref: 'users',
+        required: true
+    },
+    reason: {
+        type: String,
+        required: true,
+        trim: true
+    },
+    expires_at: {
+        type: Date,
+        default: null
+    },
+    banned_by: {
+        type: Schema.Types.ObjectId,
+        ref: 'users',
+        required: true
+    },
+    lifted_at: {
+        type: Date,
+        default: null
+    },
+    lifted_by: {
+        type: Schema.Types.ObjectId,
+        ref: 'users',
+        default: null
+    }
+}, {
+    timestamps: true
+})
+
+BanSchema.index({ organizer: 1, scope: 1 })
+BanSchema.index({ event: 1, scope: 1 })
+
+module.exports = mongoose.model('bans', BanSchema)
@@ -0,0 +1,53 @@
+const mongoose = require('mongoose')
+
+const { Schema } = mongoose
+
+// A run of the certificate job for one event (utils/certificateBatches): every certificate is
+// rendered, stored and emailed to its recipient, and the outcome is recorded per certificate
+const CertificateBatchSchema = new Schema({
+    event: {
+        type: Schema.Types.ObjectId,
+        ref: 'events',
+        required: true,
+        index: true
+    },
+    // The organizer who started the run; empty for the automatic run after the event ends
+    requested_by: {
+        type: Schema.Types.ObjectId,
+        ref: 'users',
+        default: null
+    },
+    items: [{
+        certificate: {
+            type: Schema.Types.ObjectId,
+            ref: 'certificates',
+            required: true
+        },
+        email: String,
+        name: String,
+        status: {
+            type: String,
+            enum: ['queued', 'sent', 'failed'],
+            default: 'queued'
+        },
+        attempts: {
+            type: Number,
+            default: 0
+        },
+        // Why the last attempt failed
+        error: String,
+        sent_at: Date
+    }],
+    // queued until the job picks it up, completed once no certificate is queued
+    status: {
+        type: String,
+        enum: ['queued', 'running', 'completed'],
+        default: 'queued',
+        index: true
+    },
+    completed_at: Date
+}, {
+    timestamps: true
+})
+
+module.exports = mongoose.model('certificate_batches', CertificateBatchSchema)
@@ -0,0 +1,108 @@
+const mongoose = require('mongoose')
+
+const { Schema } = mongoose
+
+// A certificate issued to a checked-in attendee once the event ended
+// Names and event details are copied at issue time so verification shows what was printed
+const CertificateSchema = new Schema({
+    registration: {
+        type: Schema.Types.ObjectId,
+        ref: 'registrations',
+        required: true,
+        unique: true
+    },
+    user: {
+        type: Schema.Types.ObjectId,
+        ref: 'users',
+        required: true,
+        index: true
+    },
+    event: {
+        type: Schema.Types.ObjectId,
+        ref: 'events',
+        required: true,
+        index: true
+    },
+    // Kind of certificate (see CERTIFICATE_TYPES in utils/certificateTemplate), follows the registration's role
+    type: {
+        type: String,
+        enum: ['participation', 'winner', 'runner_up', 'volunteer', 'speaker'],
+        default: 'participation'
+    },
+    // Signed verification code printed on the certificate and encoded in its QR
+    code: {
+        type: String,
+        required: true,
+        unique: true
+    },
+    recipient_name: {
+        type: String,
+        required: true
+    },
+    team_name: {
+        type: String,
+        default: ''
+    },
+    event_title: {
+        type: String,
+        required: true
+    },
+    event_date: {
+        type: Date,
+        required: true
+    },
+    event_location: {
+        type: String,
+        default: ''
+    },
+    // Organization named on the certificate
+    issuer: {
+        type: String,
+        default: 'CampusCrew'
+    },
+    issued_at: {
+        type: Date,
+        default: Date.now
+    },
+    // Certificate design and organizer copied from the event when it is purged (utils/eventCleanup),
+    // so the certificate keeps rendering the same without it
+    template: {
+        type: Schema.Types.Mixed,
+        default: null
+    },
+    organizer_name: {
+        type: String,
+        default: ''
+    },
+    // Rendered PDF kept by the batch job (utils/certificateBatches), cleared when the design changes
+    file_url: {
+        type: String,
+        default: ''
+    },
+    file_generated_at: {
+        type: Date,
+        default: null
+    },
+    // When the recipient was emailed their certificate
+    emailed_at: {
+        type: Date,
+        default: null
+    },
+    revoked_at: {
+        type: Date,
+        default: null
+    },
+    revoked_by: {
+        type: Schema.Types.ObjectId,
+        ref: 'users',
+        default: null
+    },
+    revoke_reason: {
+        type: String,
+        default: ''
+    }
+}, {
+    timestamps: true
+})
+
+module.exports = mongoose.model('certificates', CertificateSchema)
@@ -0,0 +1,71 @@
+const mongoose = require('mongoose')
+
+const { Schema } = mongoose
+
+// Promo code for an event's registration fee (a code on a series parent works for all its sessions)
+const CouponSchema = new Schema({
+    event: {
+        type: Schema.Types.ObjectId,
+        ref: 'events',
+        required: true
+    },
+    // Stored upper case, codes are matched case-insensitively
+    code: {
+        type: String,
+        required: true,
+        trim: true,
+        uppercase: true
+    },
+    discount_type: {
+        type: String,
+        enum: ['percent', 'fixed'],
+        default: 'percent'
+    },
+    // Percentage (0-100) or a fixed amount in BDT
+    discount_value: {
+        type: Number,
+        required: true,
+        min: 0
+    },
+    // Total redemptions allowed, 0 means unlimited
+    max_uses: {
+        type: Number,
+        default: 0,
+        min: 0
+    },
+    // Redemptions allowed per user, 0 means unlimited
+    per_user_limit: {
+        type: Number,
+        default: 1,
+        min: 0
+    },
+    expires_at: {
+        type: Date,
+        default: null
+    },
+    active: {
+        type: Boolean,
+        default: true
+    },
+    // Redemptions reserved by payments in progress plus completed ones
+    used_count: {
+        type: Number,
+        default: 0
+    },
+    // The same per user ID, so per_user_limit is enforced in the same atomic update as max_uses
+    user_uses: {
+        type: Map,
+        of: Number,
+        default: {}
+    },
+    createdBy: {
+        type: Schema.Types.ObjectId,
+        ref: 'users'
+    }
+}, {
+    timestamps: true
+})
+
+CouponSchema.index({ event: 1, code: 1 }, { unique: true })
+
+module.exports = mongoose.model('coupons', CouponSchema)
@@ -0,0 +1,54 @@
+const mongoose = require('mongoose')
+
+const { Schema } = mongoose
+
+// One use of a coupon: reserved when a payment starts, redeemed once it completes,
+// released when it fails so the use counts again
+const CouponRedemptionSchema = new Schema({
+    coupon: {
+        type: Schema.Types.ObjectId,
+        ref: 'coupons',
+        required: true,
+        index: true
+    },
+    // The event paid for (the series parent for a whole series)
+    event: {
+        type: Schema.Types.ObjectId,
+        ref: 'events',
+        required: true,
+        index: true
+    },
+    user: {
+        type: Schema.Types.ObjectId,
+        ref: 'users',
+        required: true
+    },
+    // null when the discount covered the whole fee and nothing went through a gateway
+    payment: {
+        type: Schema.Types.ObjectId,
+        ref: 'payments',
+        default: null,
+        index: true
+    },
+    code: {
+        type: String,
+        required: true
+    },
+    base_amount: {
+        type: Number,
+        required: true
+    },
+    discount: {
+        type: Number,
+        required: true
+    },
+    status: {
+        type: String,
+        enum: ['reserved', 'redeemed', 'released'],
+        default: 'reserved'
+    }
+}, {
+    timestamps: true
+})
+
+module.exports = mongoose.model('couponredemptions', CouponRedemptionSchema)
@@ -26,6 +26,16 @@ const EventSchema = new Schema({
         ref: 'users',
         required: true
     },
+    // Admins who accepted an invitation to manage this event with its creator
+    co_organizers: [{
+        type: Schema.Types.ObjectId,
+        ref: 'users'
+    }],
+    organizer_invites: [{
+        user: { type: Schema.Types.ObjectId, ref: 'users', required: true },
+        invitedBy: { type: Schema.Types.ObjectId, ref: 'users' },
+        invitedAt: { type: Date, default: Date.now }
+    }],
     prize_money: {
         type: Number,
         required: true
@@ -52,10 +62,174 @@ const EventSchema = new Schema({
         type: String,
         required: true
     },
+    // Refunds on cancellation: the full fee until full_refund_until, then
+    // partial_refund_percent of it until partial_refund_until (or the event date)
+    cancellation_policy: {
+        full_refund_until: { type: Date, default: null },
+        partial_refund_percent: { type: Number, default: 0, min: 0, max: 100 },
+        partial_refund_until: { type: Date, default: null }
+    },
+    // Early-bird prices: each tier's price applies until its date (earliest first),
+    // registration_fee is the regular price after the last tier
+    price_tiers: [{
+        _id: false,
+        label: { type: String, default: 'Early bird' },
+        price: { type: Number, required: true, min: 0 },
+        until: { type: Date, required: true }
+    }],
+    // Payment gateways the registration fee can be paid with (see utils/gateways)
+    payment_gateways: {
+        type: [String],
+        default: ['bkash']
+    },
+    // Competitions registered by teams: a captain invites members, who have to accept,
+    // and pays the fee once for the team (team sizes include the captain)
+    team_registration: {
+        enabled: { type: Boolean, default: false },
+        min_size: { type: Number, default: 1, min: 1 },
+        max_size: { type: Number, default: 1, min: 1 }
+    },
+    // Extra questions asked at registration (see utils/registrationForm); answers are
+    // stored on the registration by key
+    registration_form: [{
+        _id: false,
+        key: { type: String, required: true },
+        label: { type: String, required: true },
+        type: { type: String, enum: ['text', 'select', 'checkbox', 'file'], default: 'text' },
+        required: { type: Boolean, default: false },
+        help: { type: String, default: '' },
+        // select: the choices; checkbox: several choices, or a single tick box when empty
+        options: [String],
+        min_length: Number,
+        max_length: Number,
+        pattern: String,
+        pattern_message: String,
+        // file: allowed MIME types (e.g. image/*) and size limit
+        accept: [String],
+        max_size_mb: Number
+    }],
+    // How the event's certificates look (see utils/certificateTemplate); texts may use placeholders
+    certificate_template: {
+        design: { type: String, enum: ['classic', 'modern', 'minimal', 'custom'], default: 'classic' },
+        background_url: { type: String, default: '' },
+        text_color: { type: String, default: '#222222' },
+        heading: { type: String, default: 'CERTIFICATE OF PARTICIPATION' },
+        intro: { type: String, default: 'This is to certify that' },
+        body: { type: String, default: '' },
+        signatories: [{
+            _id: false,
+            name: { type: String, required: true },
+            title: { type: String, default: '' },
+            signature_url: { type: String, default: '' }
+        }],
+        // Heading and body of the other certificate types (heading and body above are the participation ones)
+        type_texts: [{
+            _id: false,
+            type: { type: String, enum: ['winner', 'runner_up', 'volunteer', 'speaker'], required: true },
+            heading: { type: String, default: '' },
+            body: { type: String, default: '' }
+        }]
+    },
+    // When the certificate job last emailed this event's new certificates; cleared by check-ins
+    // and role changes so it looks again (see utils/certificateBatches)
+    certificates_checked_at: {
+        type: Date,
+        default: null
+    },
+    // Survey attendees get by email once the event ends (see utils/feedback)
+    feedback_survey: {
+        enabled: { type: Boolean, default: true },
+        // Who may answer: everyone registered or only attendees checked in at the venue
+        audience: { type: String, enum: ['registered', 'checked_in'], default: 'checked_in' },
+        // Asked after the overall star rating and before the comment
+        questions: [{
+            _id: false,
+            key: { type: String, required: true },
+            label: { type: String, required: true },
+            type: { type: String, enum: ['rating', 'choice', 'text'], default: 'rating' },
+            options: [String],
+            required: { type: Boolean, default: false }
+        }],
+        // When the invitation email was queued
+        sent_at: { type: Date, default: null }
+    },
+    // Maximum number of seats (one per person, also in teams), 0 means unlimited
+    capacity: {
+        type: Number,
+        default: 0,
+        min: 0
+    },
+    // Held while a sign-up checks for a free seat and takes it (see withSeatLock in utils/waitlist)
+    seat_lock_until: {
+        type: Date,
+        default: null
+    },
+    // Recurring events: the series parent holds the rule and shared details
+    // (its date is the last session's, so it is archived with the series),
+    // every session is a regular event pointing back to the parent
+    is_series_parent: {
+        type: Boolean,
+        default: false,
+        index: true
+    },
+    series: {
+        type: Schema.Types.ObjectId,
+        ref: 'events',
+        default: null,
+        index: true
+    },
+    occurrence_index: {
+        type: Number,
+        default: null
+    },
+    recurrence: {
+        frequency: { type: String, enum: ['daily', 'weekly', 'monthly'] },
+        interval: Number,
+        until: Date,
+        count: Number
+    },
     tags: [{ type: String, index: true }],
     category: { type: String, default: '' },
+    // Past events are archived instead of deleted so their history survives
+    is_archived: {
+        type: Boolean,
+        default: false,
+        index: true
+    },
+    archived_at: {
+        type: Date,
+        default: null
+    },
+    // Users who asked to be reminded before registration closes
+    reminder_watchers: [{
+        type: Schema.Types.ObjectId,
+        ref: 'users'
+    }],
+    // Users who turned off reminder emails for this event
+    reminder_opt_outs: [{
+        type: Schema.Types.ObjectId,
+        ref: 'users'
+    }],
+    // Bumped whenever the date or location changes so calendar clients replace their copy
+    calendar_sequence: {
+        type: Number,
+        default: 0
+    }
 }, {
     timestamps: true
 })
 
+// Full-text search for GET /events; title and tags matches rank highest
+EventSchema.index(
+    { title: 'text', tags: 'text', category: 'text', organizer: 'text', location: 'text', description: 'text' },
+    { name: 'event_search', weights: { title: 10, tags: 5, category: 4, organizer: 3, location: 2, description: 1 } }
+)
+EventSchema.index({ is_archived: 1, date: 1 })
+
+EventSchema.pre('save', function () {
+    if (!this.isNew && (this.isModified('date') || this.isModified('location'))) {
+        this.calendar_sequence = (this.calendar_sequence || 0) + 1
+    }
+})
+
 module.exports = mongoose.model('events', EventSchema)
\ No newline at end of file
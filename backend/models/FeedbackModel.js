@@ -0,0 +1,56 @@
+const mongoose = require('mongoose')
+
+const { Schema } = mongoose
+
+// An attendee's answer to the feedback survey of an event, one per user and event
+const FeedbackSchema = new Schema({
+    event: {
+        type: Schema.Types.ObjectId,
+        ref: 'events',
+        required: true,
+        index: true
+    },
+    user: {
+        type: Schema.Types.ObjectId,
+        ref: 'users',
+        required: true
+    },
+    registration: {
+        type: Schema.Types.ObjectId,
+        ref: 'registrations',
+        required: true
+    },
+    // Creator of the event when the answer was given; organizer averages are computed from it
+    organizer: {
+        type: Schema.Types.ObjectId,
+        ref: 'users',
+        required: true,
+        index: true
+    },
+    // Overall star rating
+    rating: {
+        type: Number,
+        required: true,
+        min: 1,
+        max: 5
+    },
+    // Answers to the survey questions, labels included so later edits of the survey keep them readable
+    answers: [{
+        _id: false,
+        key: String,
+        label: String,
+        type: { type: String },
+        value: Schema.Types.Mixed
+    }],
+    comment: {
+        type: String,
+        default: '',
+        maxlength: 1000
+    }
+}, {
+    timestamps: true
+})
+
+FeedbackSchema.index({ event: 1, user: 1 }, { unique: true })
+
+module.exports = mongoose.model('event_feedback', FeedbackSchema)
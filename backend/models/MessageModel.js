@@ -0,0 +1,68 @@
+const mongoose = require('mongoose')
+
+const { Schema } = mongoose
+
+// An email organizers send to the attendees of an event; the sender queue (utils/bulkMessages)
+// delivers it one recipient at a time and records how each delivery went
+const MessageSchema = new Schema({
+    event: {
+        type: Schema.Types.ObjectId,
+        ref: 'events',
+        required: true,
+        index: true
+    },
+    sender: {
+        type: Schema.Types.ObjectId,
+        ref: 'users',
+        required: true
+    },
+    subject: {
+        type: String,
+        required: true,
+        trim: true
+    },
+    body: {
+        type: String,
+        required: true
+    },
+    // The attendee filter the recipients were picked with (see utils/attendees)
+    filter: {
+        status: String,
+        checked_in: String,
+        answer_key: String,
+        answer_value: String
+    },
+    recipients: [{
+        user: {
+            type: Schema.Types.ObjectId,
+            ref: 'users'
+        },
+        email: {
+            type: String,
+            required: true
+        },
+        name: String,
+        status: {
+            type: String,
+            enum: ['queued', 'sent', 'failed'],
+            default: 'queued'
+        },
+        attempts: {
+            type: Number,
+            default: 0
+        },
+        sent_at: Date
+    }],
+    // queued until the sender picks it up, completed once no recipient is queued
+    status: {
+        type: String,
+        enum: ['queued', 'sending', 'completed'],
+        default: 'queued',
+        index: true
+    },
+    completed_at: Date
+}, {
+    timestamps: true
+})
+
+module.exports = mongoose.model('messages', MessageSchema)
@@ -0,0 +1,127 @@
+const mongoose = require('mongoose')
+
+const { Schema } = mongoose
+
+// One document per payment started at the gateway
+// The callback trusts only what is stored here, never the user/event in its query string
+const PaymentSchema = new Schema({
+    // Gateway name from utils/gateways (payments made before gateways were pluggable are bKash)
+    gateway: {
+        type: String,
+        default: 'bkash'
+    },
+    // The gateway's payment reference (bKash paymentID, SSLCommerz tran_id)
+    paymentID: {
+        type: String,
+        required: true,
+        unique: true
+    },
+    user: {
+        type: Schema.Types.ObjectId,
+        ref: 'users',
+        required: true,
+        index: true
+    },
+    // The event, or the series parent when paying for a whole series
+    event: {
+        type: Schema.Types.ObjectId,
+        ref: 'events',
+        required: true,
+        index: true
+    },
+    series: {
+        type: Boolean,
+        default: false
+    },
+    // Series payments: the sessions quoted at checkout and each one's price before a coupon;
+    // only these are confirmed, and a session that has no seat left is refunded by its share
+    sessions: [{
+        _id: false,
+        event: { type: Schema.Types.ObjectId, ref: 'events', required: true },
+        price: { type: Number, required: true }
+    }],
+    // Registration form answers, saved on the registration(s) the payment confirms
+    answers: {
+        type: Array,
+        default: undefined
+    },
+    // Team whose fee the captain paid, once for every member
+    team: {
+        type: Schema.Types.ObjectId,
+        ref: 'teams',
+        default: null
+    },
+    amount: {
+        type: Number,
+        required: true
+    },
+    // Price before a coupon; amount is what is charged
+    base_amount: {
+        type: Number,
+        default: null
+    },
+    coupon_code: {
+        type: String,
+        default: ''
+    },
+    discount: {
+        type: Number,
+        default: 0
+    },
+    currency: {
+        type: String,
+        default: 'BDT'
+    },
+    invoice: {
+        type: String,
+        default: ''
+    },
+    // initiated -> processing (callback received) -> completed | failed
+    status: {
+        type: String,
+        enum: ['initiated', 'processing', 'completed', 'failed'],
+        default: 'initiated',
+        index: true
+    },
+    trans_id: {
+        type: String,
+        index: { unique: true, sparse: true }
+    },
+    failure_reason: {
+        type: String,
+        default: ''
+    },
+    completed_at: {
+        type: Date,
+        default: null
+    },
+    // When to verify again a payment whose gateway could not be reached (see recheckPayments)
+    recheck_at: {
+        type: Date,
+        default: null,
+        index: true
+    },
+    // Ledger of every interaction with the gateway, oldest first:
+    // what happened, the status it left the payment in and the gateway's raw reply
+    history: [{
+        _id: false,
+        action: {
+            type: String,
+            enum: ['create', 'callback', 'webhook', 'verify', 'refund']
+        },
+        status: String,
+        note: {
+            type: String,
+            default: ''
+        },
+        response: Schema.Types.Mixed,
+        at: {
+            type: Date,
+            default: Date.now
+        }
+    }]
+}, {
+    timestamps: true
+})
+
+module.exports = mongoose.model('payments', PaymentSchema)
@@ -0,0 +1,86 @@
+const mongoose = require('mongoose')
+
+const { Schema } = mongoose
+
+// Refund owed for a cancelled paid registration, or for a payment that never got a seat
+// The registration itself is removed on cancellation, so this record keeps its history
+const RefundSchema = new Schema({
+    // ID of the cancelled registration (or the first one, for a whole series);
+    // null for payments refunded without one (rejected, over capacity or banned payers)
+    registration: {
+        type: Schema.Types.ObjectId,
+        default: null
+    },
+    user: {
+        type: Schema.Types.ObjectId,
+        ref: 'users',
+        required: true,
+        index: true
+    },
+    event: {
+        type: Schema.Types.ObjectId,
+        ref: 'events',
+        required: true,
+        index: true
+    },
+    // Gateway payment being refunded; null for registrations paid before payments were recorded
+    payment: {
+        type: Schema.Types.ObjectId,
+        ref: 'payments',
+        default: null
+    },
+    gateway: {
+        type: String,
+        default: null
+    },
+    amount_paid: {
+        type: Number,
+        required: true
+    },
+    amount: {
+        type: Number,
+        required: true
+    },
+    // Share of the fee refunded under the event's cancellation policy
+    percent: {
+        type: Number,
+        required: true
+    },
+    // pending -> processing -> completed | failed (can be retried); rejected by an organizer
+    status: {
+        type: String,
+        enum: ['pending', 'processing', 'completed', 'failed', 'rejected'],
+        default: 'pending',
+        index: true
+    },
+    reason: {
+        type: String,
+        default: ''
+    },
+    // Gateway's refund reference
+    refund_id: {
+        type: String,
+        default: ''
+    },
+    failure_reason: {
+        type: String,
+        default: ''
+    },
+    review_note: {
+        type: String,
+        default: ''
+    },
+    reviewedBy: {
+        type: Schema.Types.ObjectId,
+        ref: 'users',
+        default: null
+    },
+    processed_at: {
+        type: Date,
+        default: null
+    }
+}, {
+    timestamps: true
+})
+
+module.exports = mongoose.model('refunds', RefundSchema)
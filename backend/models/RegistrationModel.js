@@ -26,6 +26,65 @@ const RegistrationSchema = new Schema({
     },
     trans_id: {
         type: String
+    },
+    // Unpaid seats are released (payment_status 'failed') after this; payment can then be retried
+    payment_due_at: {
+        type: Date,
+        default: null
+    },
+    is_waitlisted: {
+        type: Boolean,
+        default: false
+    },
+    waitlisted_at: {
+        type: Date,
+        default: null
+    },
+    // Set when the seat was taken by registering for a whole recurring series
+    series: {
+        type: Schema.Types.ObjectId,
+        ref: 'events',
+        default: null
+    },
+    // Answers to the event's registration form; file answers hold { url, name }
+    answers: [{
+        _id: false,
+        key: String,
+        label: String,
+        type: { type: String },
+        value: Schema.Types.Mixed
+    }],
+    // Set for members (and the captain) of a team registration
+    team: {
+        type: Schema.Types.ObjectId,
+        ref: 'teams',
+        default: null,
+        index: true
+    },
+    checked_in: {
+        type: Boolean,
+        default: false
+    },
+    checked_in_at: {
+        type: Date,
+        default: null
+    },
+    checked_in_by: {
+        type: Schema.Types.ObjectId,
+        ref: 'users',
+        default: null
+    },
+    // Set by organizers; decide the certificate type (a placement wins over the role)
+    role: {
+        type: String,
+        enum: ['participant', 'volunteer', 'speaker'],
+        default: 'participant'
+    },
+    // Placement in a competition, shared by the whole team on team events
+    placement: {
+        type: String,
+        enum: ['', 'winner', 'runner_up'],
+        default: ''
     }
 }, {
     timestamps: true
@@ -0,0 +1,38 @@
+const mongoose = require('mongoose')
+
+const { Schema } = mongoose
+
+// One entry per reminder already sent, so the scheduler never emails the same reminder twice
+// scheduledFor is the event date (or deadline) the reminder was about: rescheduling starts over
+const ReminderLogSchema = new Schema({
+    user: {
+        type: Schema.Types.ObjectId,
+        ref: 'users',
+        required: true
+    },
+    event: {
+        type: Schema.Types.ObjectId,
+        ref: 'events',
+        required: true
+    },
+    type: {
+        type: String,
+        enum: ['event', 'deadline'],
+        required: true
+    },
+    // Minutes before scheduledFor
+    offset: {
+        type: Number,
+        required: true
+    },
+    scheduledFor: {
+        type: Date,
+        required: true
+    }
+}, {
+    timestamps: { createdAt: true, updatedAt: false }
+})
+
+ReminderLogSchema.index({ user: 1, event: 1, type: 1, offset: 1, scheduledFor: 1 }, { unique: true })
+
+module.exports = mongoose.model('reminderlogs', ReminderLogSchema)
@@ -0,0 +1,65 @@
+const mongoose = require('mongoose')
+
+const { Schema } = mongoose
+
+// A team entering a competition; the captain counts towards the team size
+const TeamSchema = new Schema({
+    event: {
+        type: Schema.Types.ObjectId,
+        ref: 'events',
+        required: true,
+        index: true
+    },
+    name: {
+        type: String,
+        required: true,
+        trim: true
+    },
+    captain: {
+        type: Schema.Types.ObjectId,
+        ref: 'users',
+        required: true
+    },
+    // Invited by email; user is set once someone with that email has an account
+    members: [{
+        user: {
+            type: Schema.Types.ObjectId,
+            ref: 'users',
+            default: null
+        },
+        email: {
+            type: String,
+            required: true,
+            trim: true,
+            lowercase: true
+        },
+        status: {
+            type: String,
+            enum: ['invited', 'accepted', 'declined', 'left'],
+            default: 'invited'
+        },
+        responded_at: {
+            type: Date,
+            default: null
+        },
+        // Registration form answers given when accepting
+        answers: {
+            type: Array,
+            default: undefined
+        }
+    }],
+    captain_answers: {
+        type: Array,
+        default: undefined
+    },
+    // forming: inviting members; registered: seats confirmed (and fee paid)
+    status: {
+        type: String,
+        enum: ['forming', 'registered', 'cancelled'],
+        default: 'forming'
+    }
+}, {
+    timestamps: true
+})
+
+module.exports = mongoose.model('teams', TeamSchema)
@@ -31,9 +31,25 @@ const UserSchema = new Schema({
         type: Boolean,
         default: false
     },
+    // Organizer sign-ups stay unapproved until a super admin reviews them
     isApprovedAdmin: {
         type: Boolean,
-        default: true
+        default: false
+    },
+    adminApplication: {
+        status: {
+            type: String,
+            enum: ['pending', 'approved', 'rejected']
+        },
+        reason: { type: String, default: '' },
+        appliedAt: Date,
+        reviewedBy: { type: Schema.Types.ObjectId, ref: 'users' },
+        reviewedAt: Date
+    },
+    // Super admins can manage every event regardless of ownership
+    isSuperAdmin: {
+        type: Boolean,
+        default: false
     },
     isVerified: {
         type: Boolean,
@@ -51,14 +67,18 @@ const UserSchema = new Schema({
         type: Date,
         default: null
     },
-    refreshToken: {
+    // Secret part of the private calendar feed URL, created on first request
+    calendarToken: {
         type: String,
-        default: ''
+        select: false,
+        index: { unique: true, sparse: true }
     },
-    refreshTokenExpiry: {
-        type: Date,
-        default: null
-    }
+    // One entry per logged-in device; jti is the only refresh token of the family still accepted
+    refreshSessions: [{
+        family: { type: String, required: true },
+        jti: { type: String, required: true },
+        expiresAt: { type: Date, required: true }
+    }]
 }, {
     timestamps: true
 })
@@ -0,0 +1,208 @@
+/**
+ * Scripted check of the payment flow against the bKash mock (mock/bkashServer.js):
+ * gateway callback -> verify (execute) -> confirm the registration, plus
+ *   - a gateway that cannot be reached while verifying (the payment stays open and is
+ *     settled by recheckPayments once the gateway is back)
+ *   - a seat confirmation that errors after the payer was charged (the payment is refunded)
+ *
+ * Needs a MongoDB it may write to; every record it creates is removed again:
+ *   MONGO_TEST_URL=mongodb://localhost:27017/campuscrew-test npm run test:payments
+ */
+
+const MOCK_PORT = process.env.MOCK_BKASH_PORT || 4011;
+const MOCK = `http://localhost:${MOCK_PORT}/tokenized/checkout`;
+// Nothing listens here: calls to it fail like a gateway outage
+const UNREACHABLE = 'http://127.0.0.1:9/tokenized/checkout';
+
+// Set before anything reads them (dotenv never overrides variables that are already set)
+Object.assign(process.env, {
+    MOCK_BKASH_PORT: String(MOCK_PORT),
+    bkash_grant_token_url: `${MOCK}/token/grant`,
+    bkash_create_payment_url: `${MOCK}/create`,
+    bkash_execute_payment_url: `${MOCK}/execute`,
+    bkash_query_payment_url: `${MOCK}/payment/status`,
+    bkash_refund_url: `${MOCK}/payment/refund`,
+    bkash_api_key: 'test-app-key',
+    bkash_secret_key: 'test-app-secret',
+    bkash_username: 'test',
+    bkash_password: 'test',
+    backend_url: 'http://localhost:8000',
+    frontend_url: 'http://localhost:5173',
+    // Payer emails fail straight away instead of reaching a real SMTP server
+    SMTP_HOST: '127.0.0.1',
+    SMTP_PORT: '9'
+});
+
+const assert = require('assert');
+const axios = require('axios');
+const mongoose = require('mongoose');
+const { startMockBkash } = require('./mock/bkashServer');
+const Users = require('./models/UserModel');
+const Events = require('./models/EventModel');
+const Registration = require('./models/RegistrationModel');
+const Payment = require('./models/PaymentModel');
+const Refund = require('./models/RefundModel');
+const { getGateway } = require('./utils/gateways');
+const { startPayment, settlePayment, recheckPayments } = require('./utils/payments');
+
+const FEE = 150;
+const created = { users: [], events: [] };
+
+const createUser = async (name) => {
+    const user = await Users.create({
+        username: `payment-test-${name}`,
+        email: `payment-test-${name}-${Date.now()}@example.com`,
+        password: 'not-a-real-password'
+    });
+    created.users.push(user._id);
+    return user;
+};
+
+const createEvent = async (organizer, title, fields = {}) => {
+    const day = 24 * 60 * 60 * 1000;
+    const event = await Events.create({
+        title: `Payment test: ${title}`,
+        description: 'Created by test_payment_flow.js',
+        date: new Date(Date.now() + 7 * day),
+        registration_deadline: new Date(Date.now() + 6 * day),
+        location: 'Online',
+        createdBy: organizer._id,
+        organizer: 'CampusCrew',
+        prize_money: 0,
+        registration_fee: FEE,
+        payment_gateways: ['bkash'],
+        ...fields
+    });
+    created.events.push(event._id);
+    return event;
+};
+
+// Start a payment and approve it on the mock's checkout page; returns the callback bKash would send
+const payAtMock = async (user, event) => {
+    const { payment, url } = await startPayment({
+        gatewayName: 'bkash',
+        user,
+        event,
+        price: { amount: FEE, base: FEE, discount: 0, coupon: null }
+    });
+    const approval = await axios.get(`${url}/success`, { maxRedirects: 0, validateStatus: status => status === 302 });
+    const callback = new URL(approval.headers.location);
+    return { payment, req: { query: Object.fromEntries(callback.searchParams) } };
+};
+
+const findSeat = (user, event) => Registration.findOne({ userId: user._id, eventId: event._id });
+
+const checks = [];
+const check = (name, fn) => checks.push({ name, fn });
+
+check('a paid callback is verified and confirms the seat', async ({ organizer }) => {
+    const user = await createUser('paid');
+    const event = await createEvent(organizer, 'paid', { capacity: 10 });
+    const { payment, req } = await payAtMock(user, event);
+
+    const result = await settlePayment('bkash', getGateway('bkash').parseCallback(req));
+    assert.strictEqual(result.success, true, result.message);
+
+    const settled = await Payment.findById(payment._id);
+    assert.strictEqual(settled.status, 'completed');
+    assert.ok(settled.trans_id, 'the bKash transaction ID is stored');
+    const seat = await findSeat(user, event);
+    assert.strictEqual(seat?.payment_status, 'completed');
+    assert.strictEqual(seat.is_registered, true);
+
+    const replay = await settlePayment('bkash', getGateway('bkash').parseCallback(req));
+    assert.strictEqual(replay.alreadyProcessed, true, 'a replayed callback does nothing');
+});
+
+check('an unreachable gateway leaves the payment open until it is verified again', async ({ organizer }) => {
+    const user = await createUser('retry');
+    const event = await createEvent(organizer, 'retry', { capacity: 10 });
+    const { payment, req } = await payAtMock(user, event);
+
+    process.env.bkash_execute_payment_url = `${UNREACHABLE}/execute`;
+    process.env.bkash_query_payment_url = `${UNREACHABLE}/payment/status`;
+    let result;
+    try {
+        result = await settlePayment('bkash', getGateway('bkash').parseCallback(req));
+    } finally {
+        process.env.bkash_execute_payment_url = `${MOCK}/execute`;
+        process.env.bkash_query_payment_url = `${MOCK}/payment/status`;
+    }
+    assert.strictEqual(result.success, false);
+    const open = await Payment.findById(payment._id);
+    assert.strictEqual(open.status, 'initiated', 'the payment is not failed');
+    assert.ok(open.recheck_at, 'the payment is queued to be verified again');
+    assert.notStrictEqual((await findSeat(user, event))?.payment_status, 'completed');
+
+    // The next recheck after the outage settles it
+    await recheckPayments(new Date(Date.now() + 60 * 60 * 1000));
+    const settled = await Payment.findById(payment._id);
+    assert.strictEqual(settled.status, 'completed');
+    assert.strictEqual(settled.recheck_at, null);
+    assert.strictEqual((await findSeat(user, event))?.payment_status, 'completed');
+});
+
+check('a seat confirmation that errors after the charge refunds the payment', async ({ organizer }) => {
+    const user = await createUser('refund');
+    const event = await createEvent(organizer, 'refund', { capacity: 1 });
+    const { payment, req } = await payAtMock(user, event);
+
+    // A seat lock nobody releases makes confirming the seat throw ("Too many sign-ups at once")
+    await Events.updateOne({ _id: event._id }, { $set: { seat_lock_until: new Date(Date.now() + 60 * 60 * 1000) } });
+    const result = await settlePayment('bkash', getGateway('bkash').parseCallback(req));
+    assert.strictEqual(result.success, false);
+    assert.match(result.message, /refunded/);
+
+    const charged = await Payment.findById(payment._id);
+    assert.strictEqual(charged.status, 'completed', 'the charge itself is kept on record');
+    assert.strictEqual(await findSeat(user, event), null, 'no seat was taken');
+    const refund = await Refund.findOne({ payment: payment._id });
+    assert.strictEqual(refund?.status, 'completed');
+    assert.strictEqual(refund.amount, FEE);
+
+    const { data: mockPayments } = await axios.get(`http://localhost:${MOCK_PORT}/mock/payments`);
+    assert.strictEqual(mockPayments.find(p => p.paymentID === payment.paymentID)?.refunded, FEE, 'bKash was asked for the refund');
+});
+
+const cleanUp = async () => {
+    const payments = await Payment.find({ event: { $in: created.events } }).select('_id');
+    await Refund.deleteMany({ payment: { $in: payments.map(p => p._id) } });
+    await Payment.deleteMany({ event: { $in: created.events } });
+    await Registration.deleteMany({ eventId: { $in: created.events } });
+    await Events.deleteMany({ _id: { $in: created.events } });
+    await Users.deleteMany({ _id: { $in: created.users } });
+};
+
+const run = async () => {
+    if (!process.env.MONGO_TEST_URL) {
+        console.error('Set MONGO_TEST_URL to a MongoDB database the test may write to');
+        process.exitCode = 1;
+        return;
+    }
+    await mongoose.connect(process.env.MONGO_TEST_URL);
+    const server = await startMockBkash();
+    let failed = 0;
+    try {
+        const organizer = await createUser('organizer');
+        for (const { name, fn } of checks) {
+            try {
+                await fn({ organizer });
+                console.log(`✅ ${name}`);
+            } catch (error) {
+                failed++;
+                console.error(`❌ ${name}\n   ${error.stack}`);
+            }
+        }
+    } finally {
+        await cleanUp();
+        server.close();
+        await mongoose.disconnect();
+    }
+    console.log(`\n${checks.length - failed}/${checks.length} payment checks passed`);
+    if (failed) process.exitCode = 1;
+};
+
+run().catch((error) => {
+    console.error(error);
+    process.exit(1);
+});
@@ -0,0 +1,119 @@
+const Registration = require('../models/RegistrationModel');
+
+const STATUS_FILTERS = ['all', 'confirmed', 'pending', 'waitlisted', 'expired'];
+
+/**
+ * Where a registration stands: confirmed, pending (seat held until paid), waitlisted or expired (hold ran out)
+ */
+const attendeeStatus = (registration) => {
+    if (registration.is_waitlisted) return 'waitlisted';
+    if (registration.payment_status === 'failed') return 'expired';
+    if (registration.payment_status === 'completed') return 'confirmed';
+    return 'pending';
+};
+
+/**
+ * Read an attendee filter from a query string or request body
+ * status: one of STATUS_FILTERS ('all' is everyone but expired holds)
+ * checked_in: 'yes' or 'no'; answer_key with answer_value: attendees who gave that answer on the registration form
+ * Returns { filter } or { error }
+ */
+const parseAttendeeFilter = (input = {}) => {
+    const status = input.status || 'all';
+    if (!STATUS_FILTERS.includes(status)) return { error: `Status must be one of ${STATUS_FILTERS.join(', ')}` };
+    const checkedIn = input.checked_in || '';
+    if (!['', 'yes', 'no'].includes(checkedIn)) return { error: 'Check-in must be yes or no' };
+    const answerKey = String(input.answer_key || '').trim();
+    const answerValue = String(input.answer_value ?? '').trim();
+    if (answerKey && !answerValue) return { error: 'Choose the answer to filter by' };
+    return { filter: { status, checked_in: checkedIn, answer_key: answerKey, answer_value: answerValue } };
+};
+
+// Whether an answer holds a value (select and text match exactly, checkboxes by option, tick boxes by yes/no)
+const answerMatches = (answer, value) => {
+    if (!answer) return false;
+    if (Array.isArray(answer.value)) return answer.value.includes(value);
+    if (typeof answer.value === 'boolean') return (answer.value ? 'yes' : 'no') === value.toLowerCase();
+    return String(answer.value).toLowerCase() === value.toLowerCase();
+};
+
+const matchesFilter = (registration, filter) => {
+    const status = attendeeStatus(registration);
+    if (filter.status === 'all' ? status === 'expired' : status !== filter.status) return false;
+    if (filter.checked_in && !!registration.checked_in !== (filter.checked_in === 'yes')) return false;
+    if (filter.answer_key) {
+        const answer = (registration.answers || []).find(a => a.key === filter.answer_key);
+        if (!answerMatches(answer, filter.answer_value)) return false;
+    }
+    return true;
+};
+
+/**
+ * Registrations of an event matching a filter, with their user and team
+ */
+const findAttendees = async (eventId, filter) => {
+    const registrations = await Registration.find({ eventId })
+        .populate('userId', 'username email')
+        .populate('team', 'name')
+        .sort({ createdAt: 1 });
+    return registrations.filter(r => r.userId && matchesFilter(r, filter));
+};
+
+// An answer as spreadsheet text (files by their link)
+const formatAnswer = (answer) => {
+    if (!answer) return '';
+    if (answer.type === 'file') return answer.value?.url || '';
+    if (Array.isArray(answer.value)) return answer.value.join('; ');
+    if (typeof answer.value === 'boolean') return answer.value ? 'Yes' : 'No';
+    return answer.value;
+};
+
+/**
+ * The attendee list as a table for CSV and XLSX exports
+ * One column per registration form question (older answers to removed questions get their own column)
+ * Returns { columns: [{ key, label }], rows }
+ */
+const buildAttendeeTable = (event, registrations) => {
+    const questions = (event.registration_form || []).map(f => ({ key: f.key, label: f.label }));
+    for (const registration of registrations) {
+        for (const answer of registration.answers || []) {
+            if (!questions.some(q => q.key === answer.key)) questions.push({ key: answer.key, label: answer.label });
+        }
+    }
+    const columns = [
+        { key: 'name', label: 'Name' },
+        { key: 'email', label: 'Email' },
+        { key: 'status', label: 'Registration Status' },
+        { key: 'payment_status', label: 'Payment Status' },
+        { key: 'checked_in', label: 'Checked In' },
+        { key: 'checked_in_at', label: 'Checked In At' },
+        { key: 'team', label: 'Team' },
+        { key: 'registered_at', label: 'Registered At' },
+        ...questions.map(q => ({ key: `answer:${q.key}`, label: q.label }))
+    ];
+    const rows = registrations.map(r => {
+        const row = {
+            name: r.userId?.username,
+            email: r.userId?.email,
+            status: attendeeStatus(r),
+            payment_status: r.payment_status,
+            checked_in: r.checked_in ? 'Yes' : 'No',
+            checked_in_at: r.checked_in_at,
+            team: r.team?.name || '',
+            registered_at: r.createdAt
+        };
+        for (const q of questions) {
+            row[`answer:${q.key}`] = formatAnswer((r.answers || []).find(a => a.key === q.key));
+        }
+        return row;
+    });
+    return { columns, rows };
+};
+
+module.exports = {
+    STATUS_FILTERS,
+    attendeeStatus,
+    parseAttendeeFilter,
+    findAttendees,
+    buildAttendeeTable
+};
@@ -0,0 +1,66 @@
+const Ban = require('../models/BanModel');
+
+// Longest reason an organizer can give
+const MAX_REASON_LENGTH = 500;
+
+// Bans neither lifted nor expired at a point in time
+const activeBanQuery = (now = new Date()) => ({
+    lifted_at: null,
+    $or: [{ expires_at: null }, { expires_at: { $gt: now } }]
+});
+
+const isBanActive = (ban, now = new Date()) => !ban.lifted_at && (!ban.expires_at || ban.expires_at > now);
+
+/**
+ * Read a new ban from a request body
+ * Returns { ban: { scope, reason, expires_at } } or { error }
+ */
+const parseBan = (body = {}) => {
+    const scope = body.scope || 'event';
+    if (!['event', 'organizer'].includes(scope)) return { error: 'Scope must be event or organizer' };
+    const reason = String(body.reason || '').trim();
+    if (!reason) return { error: 'Give a reason for the ban' };
+    if (reason.length > MAX_REASON_LENGTH) return { error: `Reasons can have at most ${MAX_REASON_LENGTH} characters` };
+    let expires_at = null;
+    if (body.expires_at) {
+        expires_at = new Date(body.expires_at);
+        if (isNaN(expires_at)) return { error: 'Invalid expiry date' };
+        if (expires_at <= new Date()) return { error: 'The expiry must be in the future' };
+    }
+    return { ban: { scope, reason, expires_at } };
+};
+
+/**
+ * The active ban keeping any of the given users out of an event (its own ban or its organizer's), or null
+ */
+const findActiveBan = (userIds, event, now = new Date()) => {
+    return Ban.findOne({
+        user: { $in: [].concat(userIds) },
+        $and: [
+            activeBanQuery(now),
+            {
+                $or: [
+                    { scope: 'event', event: event._id },
+                    { scope: 'organizer', organizer: event.createdBy?._id || event.createdBy }
+                ]
+            }
+        ]
+    }).sort({ expires_at: -1 });
+};
+
+/**
+ * What a banned user is told when they try to register
+ */
+const describeBan = (ban) => {
+    const what = ban.scope === 'organizer' ? "this organizer's events" : 'this event';
+    const until = ban.expires_at ? ` until ${ban.expires_at.toLocaleString()}` : '';
+    return `You are banned from registering for ${what}${until}. Reason: ${ban.reason}`;
+};
+
+module.exports = {
+    activeBanQuery,
+    isBanActive,
+    parseBan,
+    findActiveBan,
+    describeBan
+};
@@ -0,0 +1,145 @@
+const Message = require('../models/MessageModel');
+const sendEmail = require('./sendEmail');
+
+// Emails sent per run of the sender, to stay under the SMTP server's rate limits
+const BATCH_SIZE = parseInt(process.env.MESSAGE_BATCH_SIZE) || 20;
+const SEND_INTERVAL_SECONDS = parseInt(process.env.MESSAGE_SEND_INTERVAL_SECONDS) || 30;
+// A recipient is marked failed after this many unsuccessful tries
+const MAX_ATTEMPTS = 3;
+
+/**
+ * Delivery counts of a message, for lists that leave out the recipients
+ */
+const summarizeMessage = (message) => {
+    const count = (status) => message.recipients.filter(r => r.status === status).length;
+    return {
+        _id: message._id,
+        subject: message.subject,
+        body: message.body,
+        filter: message.filter,
+        sender: message.sender,
+        status: message.status,
+        createdAt: message.createdAt,
+        completed_at: message.completed_at,
+        total: message.recipients.length,
+        queued: count('queued'),
+        sent: count('sent'),
+        failed: count('failed')
+    };
+};
+
+const buildMessageText = (message, recipient) => `Hello ${recipient.name || 'there'},
+
+${message.body}
+
+You are receiving this email because you registered for "${message.event.title}".
+
+Best regards,
+CampusCrew Team`;
+
+let running = false;
+
+/**
+ * Send the next batch of queued emails, oldest message first
+ * Returns how many emails went out. Runs one at a time; a call while sending does nothing.
+ */
+const processMessageQueue = async () => {
+    if (running) return 0;
+    running = true;
+    let sent = 0;
+    try {
+        let budget = BATCH_SIZE;
+        const messages = await Message.find({ status: { $in: ['queued', 'sending'] } })
+            .sort({ createdAt: 1 })
+            .populate('event', 'title');
+        for (const message of messages) {
+            if (budget <= 0) break;
+            if (message.status === 'queued') {
+                message.status = 'sending';
+                await Message.updateOne({ _id: message._id }, { $set: { status: 'sending' } });
+            }
+            const batch = message.recipients.filter(r => r.status === 'queued').slice(0, budget);
+            for (const recipient of batch) {
+                budget--;
+                const delivered = await sendEmail(recipient.email, `CampusCrew - ${message.subject}`, buildMessageText(message, recipient));
+                recipient.attempts += 1;
+                if (delivered) {
+                    recipient.status = 'sent';
+                    recipient.sent_at = new Date();
+                    sent++;
+                } else if (recipient.attempts >= MAX_ATTEMPTS) {
+                    recipient.status = 'failed';
+                }
+                await Message.updateOne(
+                    { _id: message._id, 'recipients._id': recipient._id },
+                    { $set: { 'recipients.$.status': recipient.status, 'recipients.$.attempts': recipient.attempts, 'recipients.$.sent_at': recipient.sent_at } }
+                );
+            }
+            if (!message.recipients.some(r => r.status === 'queued')) {
+                await Message.updateOne({ _id: message._id }, { $set: { status: 'completed', completed_at: new Date() } });
+            }
+        }
+    } catch (error) {
+        console.error('Error while sending queued messages:', error);
+    } finally {
+        running = false;
+    }
+    return sent;
+};
+
+/**
+ * Queue an email to the attendees behind the given registrations (populated with userId)
+ * Every address gets the message once; sending starts right away in the background
+ * Returns the message
+ */
+const queueMessage = async ({ event, sender, subject, body, filter, registrations }) => {
+    const recipients = [];
+    for (const registration of registrations) {
+        const email = String(registration.userId?.email || '').toLowerCase();
+        if (!email || recipients.some(r => r.email === email)) continue;
+        recipients.push({ user: registration.userId._id, email, name: registration.userId.username });
+    }
+    const message = await Message.create({ event: event._id, sender, subject, body, filter, recipients });
+    processMessageQueue();
+    return message;
+};
+
+/**
+ * Queue the failed deliveries of a message again
+ * Returns how many recipients were queued
+ */
+const retryFailedRecipients = async (message) => {
+    const failed = message.recipients.filter(r => r.status === 'failed');
+    if (failed.length === 0) return 0;
+    for (const recipient of failed) {
+        recipient.status = 'queued';
+        recipient.attempts = 0;
+    }
+    message.status = 'queued';
+    message.completed_at = null;
+    await message.save();
+    processMessageQueue();
+    return failed.length;
+};
+
+/**
+ * Start the bulk message sender
+ * Sends up to MESSAGE_BATCH_SIZE (default 20) queued emails every MESSAGE_SEND_INTERVAL_SECONDS (default 30)
+ */
+const startMessageSender = () => {
+    console.log(`Starting message sender (${BATCH_SIZE} emails every ${SEND_INTERVAL_SECONDS}s)...`);
+    const send = async () => {
+        const sent = await processMessageQueue();
+        if (sent) console.log(`Sent ${sent} queued email(s)`);
+    };
+    send();
+    setInterval(send, SEND_INTERVAL_SECONDS * 1000);
+};
+
+module.exports = {
+    summarizeMessage,
+    processMessageQueue,
+    queueMessage,
+    retryFailedRecipients,
+    startMessageSender
+};
@@ -0,0 +1,90 @@
+// Events only store a start time, so calendar entries get a fixed length
+const EVENT_DURATION_HOURS = parseFloat(process.env.CALENDAR_EVENT_HOURS) || 2;
+
+/**
+ * When an event is taken to end: its start plus CALENDAR_EVENT_HOURS (default 2)
+ */
+const eventEndsAt = (event) => {
+    return new Date(new Date(event.date).getTime() + EVENT_DURATION_HOURS * 60 * 60 * 1000);
+};
+
+const escapeText = (value) => {
+    return String(value || '')
+        .replace(/\\/g, '\\\\')
+        .replace(/;/g, '\\;')
+        .replace(/,/g, '\\,')
+        .replace(/\r?\n/g, '\\n');
+};
+
+// 2026-01-31T10:00:00.000Z -> 20260131T100000Z
+const formatDate = (date) => {
+    return new Date(date).toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+};
+
+// Content lines longer than 75 octets are folded onto continuation lines
+const foldLine = (line) => {
+    const parts = [];
+    let current = '';
+    for (const char of line) {
+        const limit = parts.length === 0 ? 75 : 74; // continuation lines start with a space
+        if (Buffer.byteLength(current + char) > limit) {
+            parts.push(current);
+            current = '';
+        }
+        current += char;
+    }
+    parts.push(current);
+    return parts.join('\r\n ');
+};
+
+/**
+ * Build the VEVENT lines for an event
+ * SEQUENCE follows calendar_sequence so subscribed calendars pick up date and location changes
+ * status: CONFIRMED (default), TENTATIVE (waitlisted / unpaid) or CANCELLED
+ */
+const buildCalendarEvent = (event, { status = 'CONFIRMED' } = {}) => {
+    const start = new Date(event.date);
+    const end = eventEndsAt(event);
+    const url = `${process.env.frontend_url}/events/${event._id}`;
+    return [
+        'BEGIN:VEVENT',
+        `UID:event-${event._id}@campuscrew`,
+        `DTSTAMP:${formatDate(new Date())}`,
+        `LAST-MODIFIED:${formatDate(event.updatedAt || new Date())}`,
+        `SEQUENCE:${event.calendar_sequence || 0}`,
+        `DTSTART:${formatDate(start)}`,
+        `DTEND:${formatDate(end)}`,
+        `SUMMARY:${escapeText(event.title)}`,
+        `DESCRIPTION:${escapeText(`${event.description || ''}\n\nHosted by ${event.organizer || 'CampusCrew'}\n${url}`)}`,
+        `LOCATION:${escapeText(event.location)}`,
+        `URL:${url}`,
+        `STATUS:${status}`,
+        'END:VEVENT'
+    ];
+};
+
+/**
+ * Wrap VEVENT lines into a complete iCalendar document
+ */
+const buildCalendar = (eventLines, name = 'CampusCrew') => {
+    return [
+        'BEGIN:VCALENDAR',
+        'VERSION:2.0',
+        'PRODID:-//CampusCrew//Events//EN',
+        'CALSCALE:GREGORIAN',
+        'METHOD:PUBLISH',
+        `X-WR-CALNAME:${escapeText(name)}`,
+        // Ask subscribed clients to poll hourly
+        'REFRESH-INTERVAL;VALUE=DURATION:PT1H',
+        'X-PUBLISHED-TTL:PT1H',
+        ...eventLines.flat(),
+        'END:VCALENDAR'
+    ].map(foldLine).join('\r\n') + '\r\n';
+};
+
+module.exports = {
+    EVENT_DURATION_HOURS,
+    eventEndsAt,
+    buildCalendarEvent,
+    buildCalendar
+};
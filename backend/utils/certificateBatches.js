@@ -0,0 +1,279 @@
+const CertificateBatch = require('../models/CertificateBatchModel');
+const Certificate = require('../models/CertificateModel');
+const Events = require('../models/EventModel');
+const cloudinary = require('./cloudinary');
+const sendEmail = require('./sendEmail');
+const { renderCertificatePDF } = require('./certificateGenerator');
+const { issueEventCertificates, buildCertificateOptions, certificateVerifyUrl } = require('./certificates');
+const { EVENT_DURATION_HOURS } = require('./calendar');
+
+// Certificates rendered and emailed per run of the job (rendering is CPU heavy, emails are rate limited)
+const BATCH_SIZE = parseInt(process.env.CERTIFICATE_BATCH_SIZE) || 10;
+const JOB_INTERVAL_SECONDS = parseInt(process.env.CERTIFICATE_JOB_INTERVAL_SECONDS) || 60;
+// Events that ended longer ago than this get no automatic run (e.g. after first deploying the job)
+const AUTO_WINDOW_DAYS = 7;
+// The automatic run starts this long after an event ends, so late check-ins are included
+const AUTO_DELAY_HOURS = parseFloat(process.env.CERTIFICATE_DELAY_HOURS) || 1;
+// A certificate is marked failed after this many unsuccessful tries
+const MAX_ATTEMPTS = 3;
+
+/**
+ * Progress counts of a batch, for lists that leave out the items
+ */
+const summarizeBatch = (batch) => {
+    const count = (status) => batch.items.filter(i => i.status === status).length;
+    return {
+        _id: batch._id,
+        event: batch.event,
+        requested_by: batch.requested_by,
+        status: batch.status,
+        createdAt: batch.createdAt,
+        completed_at: batch.completed_at,
+        total: batch.items.length,
+        queued: count('queued'),
+        sent: count('sent'),
+        failed: count('failed')
+    };
+};
+
+// Stored files are named after the verification code, which only the recipient and organizers know
+const filePublicId = (certificate) => `certificate_${certificate.code.replace('.', '_')}.pdf`;
+
+const uploadPDF = (buffer, publicId) => new Promise((resolve, reject) => {
+    cloudinary.uploader.upload_stream(
+        { folder: 'certificates', public_id: publicId, resource_type: 'raw', overwrite: true, invalidate: true },
+        (error, result) => (error ? reject(error) : resolve(result))
+    ).end(buffer);
+});
+
+/**
+ * The PDF of a certificate: its stored file, or rendered with the event's current design
+ */
+const getCertificatePDF = async (certificate) => {
+    if (certificate.file_url) {
+        try {
+            const response = await fetch(certificate.file_url);
+            if (response.ok) return Buffer.from(await response.arrayBuffer());
+        } catch (error) {
+            console.error(`Stored certificate ${certificate._id} could not be fetched:`, error.message);
+        }
+    }
+    return renderCertificatePDF(await buildCertificateOptions(certificate));
+};
+
+/**
+ * Render a certificate and store the PDF, unless a file for the current design is stored already
+ * Resolves to the file URL
+ */
+const storeCertificateFile = async (certificate) => {
+    if (certificate.file_url) return certificate.file_url;
+    const pdf = await renderCertificatePDF(await buildCertificateOptions(certificate));
+    const result = await uploadPDF(pdf, filePublicId(certificate));
+    certificate.file_url = result.secure_url;
+    certificate.file_generated_at = new Date();
+    await Certificate.updateOne({ _id: certificate._id }, { $set: { file_url: certificate.file_url, file_generated_at: certificate.file_generated_at } });
+    return certificate.file_url;
+};
+
+/**
+ * Delete the stored file of a certificate (revoked certificates stop being downloadable)
+ */
+const removeCertificateFile = async (certificate) => {
+    if (!certificate.file_url) return;
+    try {
+        await cloudinary.uploader.destroy(`certificates/${filePublicId(certificate)}`, { resource_type: 'raw', invalidate: true });
+    } catch (error) {
+        console.error(`Stored certificate ${certificate._id} could not be deleted:`, error.message);
+    }
+    await Certificate.updateOne({ _id: certificate._id }, { $set: { file_url: '', file_generated_at: null } });
+};
+
+const buildCertificateEmail = (certificate, fileUrl) => `Hello ${certificate.recipient_name},
+
+Congratulations! Your certificate for "${certificate.event_title}" is ready.
+
+Download it here:
+${fileUrl}
+
+Anyone can check that it is genuine with its certificate ID ${certificate.code}:
+${certificateVerifyUrl(certificate.code)}
+
+You can also download it any time from your profile on CampusCrew.
+
+Best regards,
+CampusCrew Team`;
+
+let running = false;
+
+/**
+ * Render, store and email the next certificates of queued batches, oldest batch first
+ * Returns how many certificates were sent. Runs one at a time; a call while running does nothing.
+ */
+const processCertificateBatches = async () => {
+    if (running) return 0;
+    running = true;
+    let sent = 0;
+    try {
+        let budget = BATCH_SIZE;
+        const batches = await CertificateBatch.find({ status: { $in: ['queued', 'running'] } }).sort({ createdAt: 1 });
+        for (const batch of batches) {
+            if (budget <= 0) break;
+            if (batch.status === 'queued') {
+                batch.status = 'running';
+                await CertificateBatch.updateOne({ _id: batch._id }, { $set: { status: 'running' } });
+            }
+            const items = batch.items.filter(i => i.status === 'queued').slice(0, budget);
+            for (const item of items) {
+                budget--;
+                item.attempts += 1;
+                try {
+                    const certificate = await Certificate.findById(item.certificate);
+                    if (!certificate) throw new Error('Certificate no longer exists');
+                    if (certificate.revoked_at) {
+                        item.status = 'failed';
+                        item.error = 'Certificate was revoked';
+                    } else {
+                        const fileUrl = await storeCertificateFile(certificate);
+                        const delivered = await sendEmail(item.email, `CampusCrew - Your certificate for ${certificate.event_title}`, buildCertificateEmail(certificate, fileUrl));
+                        if (!delivered) throw new Error('Email could not be sent');
+                        item.status = 'sent';
+                        item.sent_at = new Date();
+                        item.error = undefined;
+                        await Certificate.updateOne({ _id: certificate._id }, { $set: { emailed_at: item.sent_at } });
+                        sent++;
+                    }
+                } catch (error) {
+                    console.error(`Certificate ${item.certificate} failed:`, error.message);
+                    item.error = error.message;
+                    if (item.attempts >= MAX_ATTEMPTS) item.status = 'failed';
+                }
+                await CertificateBatch.updateOne(
+                    { _id: batch._id, 'items._id': item._id },
+                    { $set: { 'items.$.status': item.status, 'items.$.attempts': item.attempts, 'items.$.error': item.error, 'items.$.sent_at': item.sent_at } }
+                );
+            }
+            if (!batch.items.some(i => i.status === 'queued')) {
+                await CertificateBatch.updateOne({ _id: batch._id }, { $set: { status: 'completed', completed_at: new Date() } });
+            }
+        }
+    } catch (error) {
+        console.error('Error while processing certificate batches:', error);
+    } finally {
+        running = false;
+    }
+    return sent;
+};
+
+/**
+ * Queue a run for an event: issue the certificates attendees earned and email the ones not emailed yet
+ * (every valid one with resend). Returns { batch } or { error } when there is nothing to do
+ */
+const queueCertificateBatch = async (event, { requestedBy = null, resend = false } = {}) => {
+    if (new Date(event.date) > new Date()) return { error: 'Certificates are issued after the event ends' };
+    const active = await CertificateBatch.exists({ event: event._id, status: { $in: ['queued', 'running'] } });
+    if (active) return { error: 'Certificates of this event are already being sent' };
+
+    const certificates = await Certificate.find({
+        _id: { $in: (await issueEventCertificates(event._id)).map(c => c._id) },
+        revoked_at: null,
+        ...(resend ? {} : { emailed_at: null })
+    }).populate('user', 'email');
+    const items = certificates
+        .filter(c => c.user?.email)
+        .map(c => ({ certificate: c._id, email: c.user.email, name: c.recipient_name }));
+    if (items.length === 0) {
+        return { error: resend ? 'No valid certificates to send' : 'Every certificate was emailed already' };
+    }
+    const batch = await CertificateBatch.create({ event: event._id, requested_by: requestedBy, items });
+    processCertificateBatches();
+    return { batch };
+};
+
+/**
+ * Queue the failed certificates of a batch again
+ * Returns how many were queued
+ */
+const retryFailedCertificates = async (batch) => {
+    const failed = batch.items.filter(i => i.status === 'failed');
+    if (failed.length === 0) return 0;
+    for (const item of failed) {
+        item.status = 'queued';
+        item.attempts = 0;
+    }
+    batch.status = 'queued';
+    batch.completed_at = null;
+    await batch.save();
+    processCertificateBatches();
+    return failed.length;
+};
+
+/**
+ * Have the certificate job look at an event again, e.g. after a late check-in or a role change
+ */
+const recheckEventCertificates = (eventId) => {
+    return Events.updateOne({ _id: eventId }, { $set: { certificates_checked_at: null } });
+};
+
+/**
+ * Automatic runs of events that ended recently: each one emails the certificates not emailed yet
+ * An event is marked checked afterwards and only looked at again after recheckEventCertificates
+ * Returns how many runs were queued
+ */
+const queueEndedEvents = async (now = new Date()) => {
+    let queued = 0;
+    try {
+        const endedBefore = new Date(now.getTime() - (EVENT_DURATION_HOURS + AUTO_DELAY_HOURS) * 60 * 60 * 1000);
+        const events = await Events.find({
+            date: { $lt: endedBefore, $gt: new Date(now.getTime() - AUTO_WINDOW_DAYS * 24 * 60 * 60 * 1000) },
+            is_series_parent: { $ne: true },
+            certificates_checked_at: null
+        }).select('date');
+        for (const event of events) {
+            // Claim the event so a second server never queues it twice
+            const claimed = await Events.updateOne(
+                { _id: event._id, certificates_checked_at: null },
+                { $set: { certificates_checked_at: now } }
+            );
+            if (claimed.modifiedCount === 0) continue;
+            if (await CertificateBatch.exists({ event: event._id, status: { $in: ['queued', 'running'] } })) {
+                // Look again once the current run is done
+                await recheckEventCertificates(event._id);
+                continue;
+            }
+            const { batch } = await queueCertificateBatch(event);
+            if (batch) queued++;
+        }
+    } catch (error) {
+        console.error('Error while queueing certificates of ended events:', error);
+    }
+    return queued;
+};
+
+/**
+ * Start the certificate job
+ * Every CERTIFICATE_JOB_INTERVAL_SECONDS (default 60) it queues events that ended
+ * CERTIFICATE_DELAY_HOURS (default 1) ago or got new check-ins since, and
+ * sends up to CERTIFICATE_BATCH_SIZE (default 10) certificates
+ */
+const startCertificateJob = () => {
+    console.log(`Starting certificate job (${BATCH_SIZE} certificates every ${JOB_INTERVAL_SECONDS}s)...`);
+    const run = async () => {
+        const queued = await queueEndedEvents();
+        if (queued) console.log(`Queued certificates of ${queued} ended event(s)`);
+        const sent = await processCertificateBatches();
+        if (sent) console.log(`Sent ${sent} certificate(s)`);
+    };
+    run();
+    setInterval(run, JOB_INTERVAL_SECONDS * 1000);
+};
+
+module.exports = {
+    summarizeBatch,
+    getCertificatePDF,
+    removeCertificateFile,
+    processCertificateBatches,
+    queueCertificateBatch,
+    retryFailedCertificates,
+    recheckEventCertificates,
+    startCertificateJob
+};
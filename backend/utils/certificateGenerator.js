@@ -1,7 +1,60 @@
 const PDFDocument = require('pdfkit');
 const SVGtoPDF = require('svg-to-pdfkit');
 
-// Build SVG string for certificate (mirrors frontend design)
+const SERIF = "Georgia, 'Times New Roman', serif";
+const SANS = 'Helvetica, Arial, sans-serif';
+
+// Colors and fonts of each design (see utils/certificateTemplate)
+const STYLES = {
+  classic: { font: SERIF, org: '#ffffff', heading: '#222', name: '#143f6b', text: '#444', strong: '#222', muted: '#666' },
+  modern: { font: SANS, org: '#0f766e', heading: '#0f172a', name: '#0f766e', text: '#334155', strong: '#0f172a', muted: '#64748b' },
+  minimal: { font: SERIF, org: '#555', heading: '#111', name: '#111', text: '#444', strong: '#111', muted: '#777' }
+};
+
+const esc = (s) => String(s || '').replace(/&/g,'&amp;').replace(/</g,'&lt;').replace(/>/g,'&gt;').replace(/"/g,'&quot;');
+
+// Background and frame of a design
+function buildFrame(design, backgroundData) {
+  if (design === 'custom') {
+    return `<rect x="0" y="0" width="1400" height="990" fill="#ffffff"/>
+    ${backgroundData ? `<image href="${esc(backgroundData)}" x="0" y="0" width="1400" height="990" preserveAspectRatio="xMidYMid slice" />` : ''}`;
+  }
+  if (design === 'modern') {
+    return `<rect x="0" y="0" width="1400" height="990" fill="#ffffff"/>
+    <rect x="0" y="0" width="70" height="990" fill="url(#teal)"/>
+    <rect x="70" y="0" width="10" height="990" fill="#99f6e4"/>
+    <rect x="140" y="236" width="160" height="6" fill="#14b8a6"/>
+    <rect x="1100" y="236" width="160" height="6" fill="#14b8a6"/>`;
+  }
+  if (design === 'minimal') {
+    return `<rect x="0" y="0" width="1400" height="990" fill="#ffffff"/>
+    <rect x="60" y="60" width="1280" height="870" fill="none" stroke="#cfcfcf" stroke-width="2"/>`;
+  }
+  return `<rect x="0" y="0" width="1400" height="990" fill="#f7f8fb"/>
+    <rect x="0" y="0" width="1400" height="990" fill="url(#watermark)"/>
+    <rect x="40" y="40" width="1320" height="910" fill="none" stroke="url(#gold)" stroke-width="6" rx="18" ry="18"/>
+    <rect x="56" y="56" width="1288" height="878" fill="none" stroke="#d9d9d9" stroke-width="2" rx="14" ry="14"/>
+    <rect x="100" y="100" width="1200" height="790" fill="#ffffff" rx="16" ry="16" stroke="#eeeeee" filter="url(#shadow)"/>
+    <rect x="100" y="100" width="1200" height="120" fill="url(#band)" rx="16" ry="16"/>`;
+}
+
+// Signature blocks spread along the bottom, left of the QR code
+function buildSignatories(signatories, style) {
+  const slots = { 1: [700], 2: [260, 700], 3: [240, 530, 820] }[signatories.length] || [];
+  const half = signatories.length === 3 ? 130 : 160;
+  return signatories.map((s, i) => `
+      <g transform="translate(${slots[i]},650)">
+        ${s.signatureData ? `<image href="${esc(s.signatureData)}" x="-${half - 20}" y="10" width="${(half - 20) * 2}" height="65" preserveAspectRatio="xMidYMax meet" />` : ''}
+        <line x1="-${half}" y1="100" x2="${half}" y2="100" stroke="#999" stroke-width="2"/>
+        <text x="0" y="95" text-anchor="middle" font-family="${style.font}" font-size="16" fill="${style.strong}">${esc(s.name)}</text>
+        <text x="0" y="120" text-anchor="middle" font-family="${style.font}" font-size="14" fill="${style.muted}">${esc(s.title)}</text>
+      </g>`).join('');
+}
+
+/**
+ * Build the SVG of a certificate; the PDF, the PNG and the organizer's preview are all drawn from it
+ * Texts come with their placeholders already filled in (see utils/certificates)
+ */
 function buildCertificateSVG({
   userName,
   eventTitle,
@@ -10,16 +63,26 @@ function buildCertificateSVG({
   certId,
   eventLocation = '',
   orgName = 'CampusCrew',
-  sigLeftName = 'Organizer',
-  sigLeftTitle = 'Organizer',
-  sigCenterName = 'Coordinator',
-  sigCenterTitle = 'Coordinator',
+  heading = 'CERTIFICATE OF PARTICIPATION',
+  intro = 'This is to certify that',
+  bodyLines = ['has successfully participated in'],
+  design = 'classic',
+  textColor = '#222222',
+  backgroundData = null,
+  signatories = [{ name: 'Organizer', title: 'Organizer' }],
   logoUrl = null,
   logoData = null,
   logoBg = false,
   qrDataUrl = null
 }) {
-  const esc = (s) => (s || '').replace(/&/g,'&amp;').replace(/</g,'&lt;').replace(/>/g,'&gt;');
+  // Custom backgrounds use one organizer-chosen color for all text
+  const style = STYLES[design] || {
+    font: SERIF, org: textColor, heading: textColor, name: textColor, text: textColor, strong: textColor, muted: textColor
+  };
+  const lines = bodyLines.filter(Boolean);
+  // Long headings shrink to stay inside the frame
+  const headingSize = heading.length > 28 ? Math.floor((54 * 28) / heading.length) : 54;
+  const shift = Math.max(0, lines.length - 1) * 32;
   return `<?xml version="1.0" standalone="yes"?>
   <svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 1400 990" width="1400" height="990">
     <defs>
@@ -32,47 +95,37 @@ function buildCertificateSVG({
         <stop offset="0%" stop-color="#143f6b"/>
         <stop offset="100%" stop-color="#1b5e91"/>
       </linearGradient>
+      <linearGradient id="teal" x1="0" y1="0" x2="0" y2="1">
+        <stop offset="0%" stop-color="#0f766e"/>
+        <stop offset="100%" stop-color="#134e4a"/>
+      </linearGradient>
       <pattern id="watermark" patternUnits="userSpaceOnUse" width="600" height="300">
-        <text x="0" y="200" font-size="160" font-family="Georgia, 'Times New Roman', serif" fill="rgba(0,0,0,0.04)" opacity="0.15" transform="rotate(-15)">CERTIFICATE</text>
+        <text x="0" y="200" font-size="160" font-family="${SERIF}" fill="rgba(0,0,0,0.04)" opacity="0.15" transform="rotate(-15)">CERTIFICATE</text>
       </pattern>
       <filter id="shadow" x="-20%" y="-20%" width="140%" height="140%">
         <feDropShadow dx="0" dy="8" stdDeviation="12" flood-color="#000" flood-opacity="0.15"/>
       </filter>
     </defs>
-    <rect x="0" y="0" width="1400" height="990" fill="#f7f8fb"/>
-    <rect x="0" y="0" width="1400" height="990" fill="url(#watermark)"/>
-    <rect x="40" y="40" width="1320" height="910" fill="none" stroke="url(#gold)" stroke-width="6" rx="18" ry="18"/>
-    <rect x="56" y="56" width="1288" height="878" fill="none" stroke="#d9d9d9" stroke-width="2" rx="14" ry="14"/>
-    <g filter="url(#shadow)">
-      <rect x="100" y="100" width="1200" height="790" fill="#ffffff" rx="16" ry="16" stroke="#eeeeee"/>
-      <rect x="100" y="100" width="1200" height="120" fill="url(#band)" rx="16" ry="16"/>
+    ${buildFrame(design, backgroundData)}
+    <g>
       <g transform="translate(120,120)">
         ${logoBg ? '<rect x="0" y="0" width="180" height="80" rx="8" ry="8" fill="#ffffff" stroke="rgba(255,255,255,0.6)"/>' : ''}
         ${logoUrl || logoData ? `<image href="${logoData ? `data:image/png;base64,${logoData}` : esc(logoUrl)}" x="0" y="0" width="180" height="80" preserveAspectRatio="xMidYMid meet" />` : ''}
       </g>
-      <text x="700" y="170" text-anchor="middle" font-family="Georgia, 'Times New Roman', serif" font-size="36" fill="#ffffff" letter-spacing="1.2">${esc(orgName)}</text>
-      <text x="700" y="290" text-anchor="middle" font-family="Georgia, 'Times New Roman', serif" font-size="54" fill="#222" font-weight="700" letter-spacing="1.2">CERTIFICATE OF PARTICIPATION</text>
-      <text x="700" y="330" text-anchor="middle" font-family="Georgia, 'Times New Roman', serif" font-size="20" fill="#666">This is to certify that</text>
-      <text x="700" y="405" text-anchor="middle" font-family="Georgia, 'Times New Roman', serif" font-size="48" fill="#143f6b" font-weight="700">${esc(userName)}</text>
-      <text x="700" y="455" text-anchor="middle" font-family="Georgia, 'Times New Roman', serif" font-size="22" fill="#444">has successfully participated in</text>
-      <text x="700" y="500" text-anchor="middle" font-family="Georgia, 'Times New Roman', serif" font-size="32" fill="#222" font-weight="600">${esc(eventTitle)}</text>
-      <text x="700" y="540" text-anchor="middle" font-family="Georgia, 'Times New Roman', serif" font-size="18" fill="#666">Held on ${esc(eventDate)}${eventLocation ? ' at ' + esc(eventLocation) : ''}</text>
-      <g transform="translate(260,650)">
-        <line x1="-160" y1="100" x2="160" y2="100" stroke="#999" stroke-width="2"/>
-        <text x="0" y="95" text-anchor="middle" font-family="Georgia, 'Times New Roman', serif" font-size="16" fill="#333">${esc(sigLeftName)}</text>
-        <text x="0" y="120" text-anchor="middle" font-family="Georgia, 'Times New Roman', serif" font-size="14" fill="#777">${esc(sigLeftTitle)}</text>
-      </g>
-      <g transform="translate(700,650)">
-        <line x1="-160" y1="100" x2="160" y2="100" stroke="#999" stroke-width="2"/>
-        <text x="0" y="95" text-anchor="middle" font-family="Georgia, 'Times New Roman', serif" font-size="16" fill="#333">${esc(sigCenterName)}</text>
-        <text x="0" y="120" text-anchor="middle" font-family="Georgia, 'Times New Roman', serif" font-size="14" fill="#777">${esc(sigCenterTitle)}</text>
-      </g>
+      <text x="700" y="170" text-anchor="middle" font-family="${style.font}" font-size="36" fill="${style.org}" letter-spacing="1.2">${esc(orgName)}</text>
+      <text x="700" y="290" text-anchor="middle" font-family="${style.font}" font-size="${headingSize}" fill="${style.heading}" font-weight="700" letter-spacing="1.2">${esc(heading)}</text>
+      <text x="700" y="330" text-anchor="middle" font-family="${style.font}" font-size="20" fill="${style.muted}">${esc(intro)}</text>
+      <text x="700" y="405" text-anchor="middle" font-family="${style.font}" font-size="48" fill="${style.name}" font-weight="700">${esc(userName)}</text>
+      ${lines.map((line, i) => `<text x="700" y="${455 + i * 32}" text-anchor="middle" font-family="${style.font}" font-size="22" fill="${style.text}">${esc(line)}</text>`).join('\n      ')}
+      <text x="700" y="${500 + shift}" text-anchor="middle" font-family="${style.font}" font-size="32" fill="${style.strong}" font-weight="600">${esc(eventTitle)}</text>
+      <text x="700" y="${540 + shift}" text-anchor="middle" font-family="${style.font}" font-size="18" fill="${style.muted}">Held on ${esc(eventDate)}${eventLocation ? ' at ' + esc(eventLocation) : ''}</text>
+      ${buildSignatories(signatories, style)}
       <g transform="translate(1140,765)">
         <rect x="-70" y="-70" width="140" height="140" rx="8" ry="8" fill="#f3f3f3" stroke="#ddd"/>
         ${qrDataUrl ? `<image href="${esc(qrDataUrl)}" x="-70" y="-70" width="140" height="140" />` : ''}
-        <text x="0" y="88" text-anchor="middle" font-family="Georgia, 'Times New Roman', serif" font-size="12" fill="#999">Verification QR</text>
+        <text x="0" y="88" text-anchor="middle" font-family="${style.font}" font-size="12" fill="${style.muted}">Verification QR</text>
       </g>
-      <text x="140" y="840" font-family="Georgia, 'Times New Roman', serif" font-size="14" fill="#888">Issued on ${esc(issueDate)} • Certificate ID: ${esc(certId)}</text>
+      <text x="140" y="840" font-family="${style.font}" font-size="14" fill="${style.muted}">Issued on ${esc(issueDate)} • Certificate ID: ${esc(certId)}</text>
     </g>
   </svg>`;
 }
@@ -85,4 +138,17 @@ function generateCertificate(res, opts) {
   doc.end();
 }
 
-module.exports = { generateCertificate, buildCertificateSVG };
+// Same PDF as generateCertificate, resolved as a Buffer (for storing and zipping)
+function renderCertificatePDF(opts) {
+  return new Promise((resolve, reject) => {
+    const doc = new PDFDocument({ size: [1400, 990], margin: 0 });
+    const chunks = [];
+    doc.on('data', (chunk) => chunks.push(chunk));
+    doc.on('end', () => resolve(Buffer.concat(chunks)));
+    doc.on('error', reject);
+    SVGtoPDF(doc, buildCertificateSVG(opts), 0, 0);
+    doc.end();
+  });
+}
+
+module.exports = { generateCertificate, renderCertificatePDF, buildCertificateSVG };
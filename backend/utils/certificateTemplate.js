@@ -0,0 +1,174 @@
+const cloudinary = require('./cloudinary');
+
+// Certificate designs organizers can pick from; 'custom' draws the text over an uploaded background image
+const DESIGNS = ['classic', 'modern', 'minimal', 'custom'];
+const MAX_SIGNATORIES = 3;
+const MAX_BODY_LINES = 2;
+
+// Kinds of certificates: participation by default, the others follow the role or placement organizers assign
+// Each has its own heading and the sentence after the recipient's name, used unless the template changes them
+const CERTIFICATE_TYPES = {
+    participation: { label: 'Participation', heading: 'CERTIFICATE OF PARTICIPATION', sentence: 'has successfully participated in' },
+    winner: { label: 'Winner', heading: 'CERTIFICATE OF ACHIEVEMENT', sentence: 'has won first place in' },
+    runner_up: { label: 'Runner-up', heading: 'CERTIFICATE OF ACHIEVEMENT', sentence: 'has won second place in' },
+    volunteer: { label: 'Volunteer', heading: 'CERTIFICATE OF APPRECIATION', sentence: 'has volunteered at' },
+    speaker: { label: 'Speaker', heading: 'CERTIFICATE OF APPRECIATION', sentence: 'has spoken at' }
+};
+
+// Placeholders the heading, intro and body may use, filled in per certificate
+const PLACEHOLDERS = {
+    name: 'Recipient name',
+    team: 'Team name (team events)',
+    event: 'Event title',
+    date: 'Event date',
+    location: 'Event location',
+    organization: 'Organization named on the certificate',
+    issue_date: 'Date the certificate was issued',
+    certificate_id: 'Verification ID',
+    type: 'Certificate type (Participation, Winner, Runner-up, Volunteer, Speaker)'
+};
+
+const DEFAULT_TEMPLATE = {
+    design: 'classic',
+    background_url: '',
+    text_color: '#222222',
+    heading: CERTIFICATE_TYPES.participation.heading,
+    intro: 'This is to certify that',
+    // Empty: the sentence of the certificate type, mentioning the team on team events
+    body: '',
+    // Empty: the event organizer signs
+    signatories: [],
+    // Empty heading or body: the type's own
+    type_texts: []
+};
+
+/**
+ * Whether a URL is an image uploaded through /certificate-template/images (this account's Cloudinary
+ * folder); the server fetches template images to render them, so no other address is accepted
+ */
+const isTemplateImageUrl = (value) => {
+    let url;
+    try {
+        url = new URL(value);
+    } catch (e) {
+        return false;
+    }
+    const cloudName = cloudinary.config().cloud_name;
+    return url.protocol === 'https:'
+        && url.hostname === 'res.cloudinary.com'
+        && !!cloudName
+        && url.pathname.startsWith(`/${cloudName}/image/upload/`)
+        && url.pathname.includes('/certificate_templates/');
+};
+
+/**
+ * Replace {{placeholder}} markers with their values (unknown ones are left as they are)
+ */
+const fillPlaceholders = (text, values) => {
+    return String(text || '').replace(/\{\{\s*(\w+)\s*\}\}/g, (match, key) => (key in PLACEHOLDERS ? String(values[key] ?? '') : match));
+};
+
+// Placeholders used in a text that do not exist
+const unknownPlaceholders = (text) => {
+    return [...String(text).matchAll(/\{\{\s*(\w+)\s*\}\}/g)].map(m => m[1]).filter(key => !(key in PLACEHOLDERS));
+};
+
+// Error in a body text, if any
+const checkBody = (body) => {
+    const lines = body ? body.split('\n') : [];
+    if (lines.length > MAX_BODY_LINES) return `The body can have at most ${MAX_BODY_LINES} lines`;
+    if (lines.some(line => line.length > 90)) return 'Body lines can have at most 90 characters';
+    return null;
+};
+
+/**
+ * Heading and body template of a certificate type; an empty body means the type's sentence
+ */
+const textsForType = (template, type) => {
+    if (!CERTIFICATE_TYPES[type] || type === 'participation') {
+        return { heading: template.heading, body: template.body };
+    }
+    const custom = (template.type_texts || []).find(t => t.type === type);
+    return { heading: custom?.heading || CERTIFICATE_TYPES[type].heading, body: custom?.body || '' };
+};
+
+/**
+ * Read a certificate template from a request body (object or JSON string)
+ * Returns { template } or { error }
+ */
+const parseCertificateTemplate = (input) => {
+    let raw = input;
+    if (typeof raw === 'string') {
+        try {
+            raw = JSON.parse(raw);
+        } catch (e) {
+            return { error: 'Invalid certificate template' };
+        }
+    }
+    if (!raw || typeof raw !== 'object' || Array.isArray(raw)) return { error: 'Invalid certificate template' };
+
+    const design = raw.design || DEFAULT_TEMPLATE.design;
+    if (!DESIGNS.includes(design)) return { error: `Design must be one of ${DESIGNS.join(', ')}` };
+    const background_url = String(raw.background_url || '').trim();
+    if (background_url && !isTemplateImageUrl(background_url)) return { error: 'Background images have to be uploaded with the image upload' };
+    if (design === 'custom' && !background_url) return { error: 'Upload a background image for a custom design' };
+    const text_color = String(raw.text_color || DEFAULT_TEMPLATE.text_color).trim();
+    if (!/^#[0-9a-f]{6}$/i.test(text_color)) return { error: 'Text color must be a hex color like #222222' };
+
+    const heading = String(raw.heading ?? DEFAULT_TEMPLATE.heading).trim();
+    const intro = String(raw.intro ?? DEFAULT_TEMPLATE.intro).trim();
+    const body = String(raw.body || '').replace(/\r/g, '').trim();
+    if (!heading) return { error: 'The certificate needs a heading' };
+    if (heading.length > 60) return { error: 'Headings can have at most 60 characters' };
+    if (intro.length > 80) return { error: 'The intro can have at most 80 characters' };
+    const bodyError = checkBody(body);
+    if (bodyError) return { error: bodyError };
+    const unknown = unknownPlaceholders(`${heading} ${intro} ${body}`);
+    if (unknown.length) return { error: `Unknown placeholder {{${unknown[0]}}}` };
+
+    const typeList = raw.type_texts || [];
+    if (!Array.isArray(typeList)) return { error: 'Invalid certificate type texts' };
+    const type_texts = [];
+    for (const t of typeList) {
+        const type = t?.type;
+        if (!CERTIFICATE_TYPES[type] || type === 'participation') return { error: 'Invalid certificate type' };
+        if (type_texts.some(existing => existing.type === type)) return { error: `${CERTIFICATE_TYPES[type].label} texts are given twice` };
+        const typeHeading = String(t.heading || '').trim();
+        const typeBody = String(t.body || '').replace(/\r/g, '').trim();
+        if (typeHeading.length > 60) return { error: 'Headings can have at most 60 characters' };
+        const typeBodyError = checkBody(typeBody);
+        if (typeBodyError) return { error: `${CERTIFICATE_TYPES[type].label}: ${typeBodyError}` };
+        const unknownInType = unknownPlaceholders(`${typeHeading} ${typeBody}`);
+        if (unknownInType.length) return { error: `Unknown placeholder {{${unknownInType[0]}}}` };
+        // Both empty: the type's defaults, nothing to store
+        if (typeHeading || typeBody) type_texts.push({ type, heading: typeHeading, body: typeBody });
+    }
+
+    const list = raw.signatories || [];
+    if (!Array.isArray(list)) return { error: 'Invalid signatories' };
+    if (list.length > MAX_SIGNATORIES) return { error: `A certificate can have at most ${MAX_SIGNATORIES} signatories` };
+    const signatories = [];
+    for (const s of list) {
+        const name = String(s?.name || '').trim();
+        const title = String(s?.title || '').trim();
+        const signature_url = String(s?.signature_url || '').trim();
+        if (!name) return { error: 'Every signatory needs a name' };
+        if (name.length > 60 || title.length > 60) return { error: 'Signatory names and titles can have at most 60 characters' };
+        if (signature_url && !isTemplateImageUrl(signature_url)) return { error: `Invalid signature image for ${name}` };
+        signatories.push({ name, title, signature_url });
+    }
+
+    return { template: { design, background_url, text_color, heading, intro, body, signatories, type_texts } };
+};
+
+module.exports = {
+    CERTIFICATE_TYPES,
+    isTemplateImageUrl,
+    DESIGNS,
+    MAX_SIGNATORIES,
+    PLACEHOLDERS,
+    DEFAULT_TEMPLATE,
+    fillPlaceholders,
+    textsForType,
+    parseCertificateTemplate
+};
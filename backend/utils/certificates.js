@@ -0,0 +1,245 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const QRCode = require('qrcode');
+const axios = require('axios');
+const Certificate = require('../models/CertificateModel');
+const Users = require('../models/UserModel');
+const Events = require('../models/EventModel');
+const Registration = require('../models/RegistrationModel');
+const { getSecret } = require('./secrets');
+const { CERTIFICATE_TYPES, DEFAULT_TEMPLATE, fillPlaceholders, textsForType, isTemplateImageUrl } = require('./certificateTemplate');
+
+const sign = (id) => {
+    return crypto.createHmac('sha256', getSecret('CERTIFICATE_SECRET'))
+        .update(String(id))
+        .digest('base64url')
+        .substring(0, 16);
+};
+
+/**
+ * Build a new verification code: a random ID and its signature
+ * Format: <id>.<signature>
+ */
+const createCertificateCode = () => {
+    const id = crypto.randomBytes(12).toString('base64url');
+    return `${id}.${sign(id)}`;
+};
+
+/**
+ * Check the signature of a verification code, so forged codes are rejected without a lookup
+ */
+const isValidCertificateCode = (code) => {
+    if (typeof code !== 'string') return false;
+    const [id, signature] = code.trim().split('.');
+    if (!id || !signature) return false;
+    const expected = Buffer.from(sign(id));
+    const given = Buffer.from(signature);
+    return expected.length === given.length && crypto.timingSafeEqual(expected, given);
+};
+
+/**
+ * Whether a registration has earned a certificate: checked in at an event that has ended
+ * The registration's eventId must be populated
+ */
+const isCertificateEligible = (registration, now = Date.now()) => {
+    return !!registration?.eventId?.date
+        && registration.is_registered
+        && registration.checked_in
+        && new Date(registration.eventId.date).getTime() < now;
+};
+
+/**
+ * Certificate type a registration earns: its placement, else its role
+ */
+const certificateTypeOf = (registration) => {
+    if (registration.placement) return registration.placement;
+    return registration.role && registration.role !== 'participant' ? registration.role : 'participation';
+};
+
+/**
+ * The certificate of an eligible registration, issued on first use
+ * A valid certificate follows later role changes: it keeps its code and is rendered and emailed again
+ * The registration needs eventId, userId and team populated
+ */
+const issueCertificate = async (registration) => {
+    const type = certificateTypeOf(registration);
+    const existing = await Certificate.findOne({ registration: registration._id });
+    if (existing) {
+        if (existing.type !== type && !existing.revoked_at) {
+            existing.type = type;
+            existing.file_url = '';
+            existing.file_generated_at = null;
+            existing.emailed_at = null;
+            await existing.save();
+        }
+        return existing;
+    }
+    const event = registration.eventId;
+    try {
+        return await Certificate.create({
+            registration: registration._id,
+            user: registration.userId._id,
+            event: event._id,
+            type,
+            code: createCertificateCode(),
+            recipient_name: registration.userId.username || 'Participant',
+            team_name: registration.team?.name || '',
+            event_title: event.title || 'Event',
+            event_date: event.date,
+            event_location: event.location || '',
+            issuer: event.organizer || 'CampusCrew'
+        });
+    } catch (error) {
+        // Issued by a parallel request in the meantime
+        if (error.code === 11000) return Certificate.findOne({ registration: registration._id });
+        throw error;
+    }
+};
+
+/**
+ * Issue the certificates an event's checked-in attendees have earned
+ * Resolves to every certificate of the event (issued earlier or now)
+ */
+const issueEventCertificates = async (eventId) => {
+    const regs = await Registration.find({ eventId, is_registered: true, checked_in: true })
+        .populate('eventId')
+        .populate('userId', 'username')
+        .populate('team', 'name');
+    for (const r of regs.filter(reg => reg.userId && isCertificateEligible(reg))) {
+        await issueCertificate(r);
+    }
+    return Certificate.find({ event: eventId });
+};
+
+/**
+ * Public page where a certificate's code can be checked
+ */
+const certificateVerifyUrl = (code) => `${process.env.frontend_url || ''}/certificates/verify/${code}`;
+
+// Logo embedded in the certificate (read from the frontend assets; optional)
+const readLogo = () => {
+    try {
+        return fs.readFileSync(path.join(__dirname, '../../frontend/src/assets/img/campuscrew.png')).toString('base64');
+    } catch (error) {
+        console.error('Certificate logo not found:', error.message);
+        return null;
+    }
+};
+
+// Uploaded backgrounds and signatures, kept in memory as data URLs (the renderers cannot fetch URLs)
+const imageCache = new Map();
+const IMAGE_CACHE_BYTES = 30 * 1024 * 1024;
+// Uploads are limited to 3MB; anything much larger is not one of them
+const MAX_IMAGE_BYTES = 5 * 1024 * 1024;
+const IMAGE_TIMEOUT_MS = 10 * 1000;
+let imageCacheBytes = 0;
+
+const loadImage = async (url) => {
+    if (!url) return null;
+    if (imageCache.has(url)) return imageCache.get(url);
+    // Templates saved before uploads were enforced may point anywhere
+    if (!isTemplateImageUrl(url)) {
+        console.error(`Certificate image ${url} is not an uploaded template image, skipped`);
+        return null;
+    }
+    try {
+        const response = await axios.get(url, {
+            responseType: 'arraybuffer',
+            timeout: IMAGE_TIMEOUT_MS,
+            maxContentLength: MAX_IMAGE_BYTES,
+            maxRedirects: 0
+        });
+        const type = response.headers['content-type'] || 'image/png';
+        const data = `data:${type};base64,${Buffer.from(response.data).toString('base64')}`;
+        while (imageCache.size && imageCacheBytes + data.length > IMAGE_CACHE_BYTES) {
+            const [oldest, cached] = imageCache.entries().next().value;
+            imageCache.delete(oldest);
+            imageCacheBytes -= cached.length;
+        }
+        imageCache.set(url, data);
+        imageCacheBytes += data.length;
+        return data;
+    } catch (error) {
+        console.error(`Certificate image ${url} could not be loaded:`, error.message);
+        return null;
+    }
+};
+
+/**
+ * Everything buildCertificateSVG needs to draw a certificate with its event's template
+ * A template can be passed to preview unsaved changes
+ */
+const buildCertificateOptions = async (certificate, { template } = {}) => {
+    const event = await Events.findById(certificate.event).select('certificate_template createdBy');
+    // Certificates of purged events carry their own copy of the design
+    const design = { ...DEFAULT_TEMPLATE, ...(template || event?.certificate_template?.toObject?.() || certificate.template || {}) };
+    const type = CERTIFICATE_TYPES[certificate.type] ? certificate.type : 'participation';
+    const texts = textsForType(design, type);
+
+    const eventDate = new Date(certificate.event_date).toLocaleDateString();
+    const issueDate = new Date(certificate.issued_at).toLocaleDateString();
+    const values = {
+        name: certificate.recipient_name,
+        team: certificate.team_name,
+        event: certificate.event_title,
+        date: eventDate,
+        location: certificate.event_location,
+        organization: certificate.issuer,
+        issue_date: issueDate,
+        certificate_id: certificate.code,
+        type: CERTIFICATE_TYPES[type].label
+    };
+    const sentence = CERTIFICATE_TYPES[type].sentence;
+    const bodyLines = texts.body
+        ? fillPlaceholders(texts.body, values).split('\n')
+        : [certificate.team_name ? `as a member of team ${certificate.team_name}, ${sentence}` : sentence];
+
+    // Without named signatories the event's organizer signs
+    let signatories = design.signatories || [];
+    if (!signatories.length) {
+        const organizer = event ? await Users.findById(event.createdBy).select('username') : null;
+        signatories = [{ name: organizer?.username || certificate.organizer_name || 'Organizer', title: 'Organizer' }];
+    }
+
+    let qrDataUrl = null;
+    try {
+        qrDataUrl = await QRCode.toDataURL(certificateVerifyUrl(certificate.code), { margin: 1, width: 300 });
+    } catch (error) {
+        console.error('Certificate QR failed:', error.message);
+    }
+    return {
+        userName: certificate.recipient_name,
+        eventTitle: certificate.event_title,
+        eventDate,
+        issueDate,
+        certId: certificate.code,
+        eventLocation: certificate.event_location,
+        orgName: certificate.issuer,
+        heading: fillPlaceholders(texts.heading, values),
+        intro: fillPlaceholders(design.intro, values),
+        bodyLines,
+        design: design.design,
+        textColor: design.text_color,
+        backgroundData: design.design === 'custom' ? await loadImage(design.background_url) : null,
+        signatories: await Promise.all(signatories.map(async (s) => ({
+            name: s.name,
+            title: s.title,
+            signatureData: await loadImage(s.signature_url)
+        }))),
+        // Custom backgrounds bring their own branding
+        logoData: design.design === 'custom' ? null : readLogo(),
+        qrDataUrl
+    };
+};
+
+module.exports = {
+    createCertificateCode,
+    isValidCertificateCode,
+    isCertificateEligible,
+    certificateTypeOf,
+    issueCertificate,
+    issueEventCertificates,
+    certificateVerifyUrl,
+    buildCertificateOptions
+};
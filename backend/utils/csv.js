@@ -0,0 +1,23 @@
+// Quote a value when it contains a separator, quote or line break
+const escapeCSV = (value) => {
+    if (value === null || value === undefined) return '';
+    const text = value instanceof Date ? value.toISOString() : String(value);
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/**
+ * Build a CSV document (RFC 4180, CRLF line endings)
+ * columns: [{ key, label }] in output order; rows: plain objects
+ */
+const toCSV = (columns, rows) => {
+    const lines = [columns.map(c => escapeCSV(c.label)).join(',')];
+    for (const row of rows) {
+        lines.push(columns.map(c => escapeCSV(row[c.key])).join(','));
+    }
+    return lines.join('\r\n') + '\r\n';
+};
+
+module.exports = {
+    escapeCSV,
+    toCSV
+};
@@ -1,48 +1,105 @@
 const Events = require('../models/EventModel');
 const Registration = require('../models/RegistrationModel');
+const Certificate = require('../models/CertificateModel');
+const Users = require('../models/UserModel');
+const { issueEventCertificates } = require('./certificates');
+
+// Retention rules (days). Archived events are kept forever when EVENT_RETENTION_DAYS is 0
+const ARCHIVE_AFTER_DAYS = parseInt(process.env.ARCHIVE_AFTER_DAYS) || 1;
+const EVENT_RETENTION_DAYS = parseInt(process.env.EVENT_RETENTION_DAYS) || 0;
+
+const daysAgo = (days) => {
+    const d = new Date();
+    d.setDate(d.getDate() - days);
+    return d;
+};
+
+/**
+ * Issue the certificates checked-in attendees earned but never requested, then copy what
+ * certificates read from their event (the design and the organizer) onto them
+ * before the event and its registrations are purged
+ */
+const keepCertificateDetails = async (event) => {
+    await issueEventCertificates(event._id);
+    if (!(await Certificate.exists({ event: event._id }))) return;
+    const organizer = await Users.findById(event.createdBy).select('username');
+    await Certificate.updateMany({ event: event._id }, {
+        $set: {
+            template: event.toObject().certificate_template || null,
+            organizer_name: organizer?.username || ''
+        }
+    });
+};
 
 /**
- * Clean up expired events and their associated registrations
- * Events are considered expired if their date has passed by more than 1 day
- * This gives a grace period to avoid accidentally deleting events that just ended
+ * Archive expired events instead of deleting them
+ * Events are considered expired once their date has passed by more than ARCHIVE_AFTER_DAYS
+ * Confirmed registrations are kept so certificates and history keep working,
+ * only waitlisted and unpaid registrations are dropped.
+ * Archived events older than EVENT_RETENTION_DAYS (if set) are purged for good;
+ * their certificates stay verifiable (see keepCertificateDetails).
  */
 const cleanupExpiredEvents = async () => {
     try {
-        // Consider events expired only after 1 day has passed since the event date
-        const oneDayAgo = new Date();
-        oneDayAgo.setDate(oneDayAgo.getDate() - 1);
-        
-        // Find all expired events (more than 1 day old)
+        const archiveBefore = daysAgo(ARCHIVE_AFTER_DAYS);
+
+        // Find all expired events that are still active
         const expiredEvents = await Events.find({
-            date: { $lt: oneDayAgo }
-        });
+            date: { $lt: archiveBefore },
+            is_archived: { $ne: true }
+        }).select('_id');
+        const expiredEventIds = expiredEvents.map(event => event._id);
 
-        if (expiredEvents.length === 0) {
-            console.log('No expired events found to cleanup');
-            return { success: true, deletedEventsCount: 0, deletedRegistrationsCount: 0 };
-        }
+        let archivedEventsCount = 0;
+        let deletedRegistrationsCount = 0;
+        if (expiredEventIds.length > 0) {
+            console.log(`Found ${expiredEventIds.length} expired events to archive (more than ${ARCHIVE_AFTER_DAYS} day(s) old)`);
 
-        // Get the IDs of expired events
-        const expiredEventIds = expiredEvents.map(event => event._id);
-        
-        console.log(`Found ${expiredEvents.length} expired events to cleanup (more than 1 day old)`);
+            const archived = await Events.updateMany(
+                { _id: { $in: expiredEventIds } },
+                { $set: { is_archived: true, archived_at: new Date() } }
+            );
+            archivedEventsCount = archived.modifiedCount;
 
-        // Delete all registrations associated with expired events
-        const deletedRegistrations = await Registration.deleteMany({
-            eventId: { $in: expiredEventIds }
-        });
+            // Registrations that never turned into a seat have no history value
+            const dropped = await Registration.deleteMany({
+                eventId: { $in: expiredEventIds },
+                $or: [{ is_waitlisted: true }, { payment_status: { $ne: 'completed' } }]
+            });
+            deletedRegistrationsCount += dropped.deletedCount;
+        }
+
+        let purgedEventsCount = 0;
+        if (EVENT_RETENTION_DAYS > 0) {
+            const purgeBefore = daysAgo(EVENT_RETENTION_DAYS);
+            const purgeable = await Events.find({
+                is_archived: true,
+                archived_at: { $lt: purgeBefore }
+            }).select('_id certificate_template createdBy');
+            const purgeableIds = purgeable.map(event => event._id);
 
-        // Delete all expired events
-        const deletedEvents = await Events.deleteMany({
-            date: { $lt: oneDayAgo }
-        });
+            if (purgeableIds.length > 0) {
+                for (const event of purgeable) {
+                    await keepCertificateDetails(event);
+                }
+                const purgedRegistrations = await Registration.deleteMany({ eventId: { $in: purgeableIds } });
+                const purgedEvents = await Events.deleteMany({ _id: { $in: purgeableIds } });
+                deletedRegistrationsCount += purgedRegistrations.deletedCount;
+                purgedEventsCount = purgedEvents.deletedCount;
+            }
+        }
 
-        console.log(`Cleanup completed: ${deletedEvents.deletedCount} events deleted, ${deletedRegistrations.deletedCount} registrations deleted`);
+        if (archivedEventsCount === 0 && purgedEventsCount === 0) {
+            console.log('No expired events found to archive');
+        } else {
+            console.log(`Cleanup completed: ${archivedEventsCount} events archived, ${purgedEventsCount} events purged, ${deletedRegistrationsCount} registrations deleted`);
+        }
 
         return {
             success: true,
-            deletedEventsCount: deletedEvents.deletedCount,
-            deletedRegistrationsCount: deletedRegistrations.deletedCount
+            archivedEventsCount,
+            purgedEventsCount,
+            deletedRegistrationsCount
         };
 
     } catch (error) {
@@ -54,6 +111,28 @@ const cleanupExpiredEvents = async () => {
     }
 };
 
+/**
+ * Restore an archived event
+ * The event must have a date that would not be archived again right away,
+ * so a new date (and deadline) can be passed along
+ */
+const restoreArchivedEvent = async (eventId, { date, registration_deadline } = {}) => {
+    const event = await Events.findById(eventId);
+    if (!event) return { success: false, status: 404, message: 'Event not found' };
+    if (!event.is_archived) return { success: false, status: 400, message: 'Event is not archived' };
+
+    if (date) event.date = date;
+    if (registration_deadline) event.registration_deadline = registration_deadline;
+    if (isEventExpired(event.date)) {
+        return { success: false, status: 400, message: 'Provide a new event date to restore this event' };
+    }
+
+    event.is_archived = false;
+    event.archived_at = null;
+    await event.save();
+    return { success: true, event };
+};
+
 /**
  * Start the automatic cleanup process
  * Runs every hour to check for expired events
@@ -72,17 +151,16 @@ const startAutomaticCleanup = () => {
 };
 
 /**
- * Check if an event is expired (more than 1 day old)
+ * Check if an event is expired (older than the archive threshold)
  */
 const isEventExpired = (eventDate) => {
-    const oneDayAgo = new Date();
-    oneDayAgo.setDate(oneDayAgo.getDate() - 1);
     const eventDateTime = new Date(eventDate);
-    return eventDateTime < oneDayAgo;
+    return eventDateTime < daysAgo(ARCHIVE_AFTER_DAYS);
 };
 
 module.exports = {
     cleanupExpiredEvents,
     startAutomaticCleanup,
+    restoreArchivedEvent,
     isEventExpired
 };
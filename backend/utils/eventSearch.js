@@ -0,0 +1,202 @@
+const mongoose = require('mongoose');
+const Events = require('../models/EventModel');
+const Registration = require('../models/RegistrationModel');
+
+const DEFAULT_LIMIT = 12;
+const MAX_LIMIT = 100;
+
+// sort key -> [document field, default direction]
+const SORTS = {
+    date: ['date', 1],
+    new: ['createdAt', -1],
+    fee: ['registration_fee', 1],
+    prize: ['prize_money', -1],
+    popular: ['registrations_count', -1],
+    relevance: ['score', -1]
+};
+
+const toList = (value) => {
+    const list = Array.isArray(value) ? value : String(value || '').split(',');
+    return list.map(v => String(v).trim()).filter(Boolean);
+};
+
+const toNumber = (value) => {
+    if (value === undefined || value === '') return undefined;
+    const n = Number(value);
+    return Number.isFinite(n) ? n : undefined;
+};
+
+const toDate = (value) => {
+    if (!value) return undefined;
+    const d = new Date(value);
+    return isNaN(d.getTime()) ? undefined : d;
+};
+
+const encodeCursor = (data) => Buffer.from(JSON.stringify(data)).toString('base64url');
+
+const decodeCursor = (cursor) => {
+    try {
+        return JSON.parse(Buffer.from(String(cursor), 'base64url').toString());
+    } catch (e) {
+        return null;
+    }
+};
+
+// Confirmed (non-waitlisted) registrations per event, added as registrations_count
+const registrationCountStages = () => [
+    {
+        $lookup: {
+            from: Registration.collection.name,
+            let: { eventId: '$_id' },
+            pipeline: [
+                { $match: { $expr: { $eq: ['$eventId', '$$eventId'] }, is_registered: true, is_waitlisted: { $ne: true } } },
+                { $count: 'n' }
+            ],
+            as: 'registration_stats'
+        }
+    },
+    { $addFields: { registrations_count: { $ifNull: [{ $arrayElemAt: ['$registration_stats.n', 0] }, 0] } } },
+    { $project: { registration_stats: 0 } }
+];
+
+/**
+ * Build the Mongo filter for the event search query parameters
+ * Supported: query, category, tags (comma separated), event_type,
+ * fee (free|paid), fee_min, fee_max, date_from, date_to
+ * Conditions in base are kept; a base date lower bound is never widened
+ */
+const buildEventFilter = (params = {}, base = {}) => {
+    const filter = { ...base };
+
+    const query = String(params.query || '').trim();
+    if (query) filter.$text = { $search: query };
+
+    const categories = toList(params.category);
+    if (categories.length) filter.category = { $in: categories };
+
+    const tags = toList(params.tags);
+    if (tags.length) filter.tags = { $in: tags };
+
+    if (params.event_type) filter.event_type = String(params.event_type);
+
+    const fee = {};
+    if (params.fee === 'free') fee.$lte = 0;
+    if (params.fee === 'paid') fee.$gt = 0;
+    const feeMin = toNumber(params.fee_min);
+    const feeMax = toNumber(params.fee_max);
+    if (feeMin !== undefined) fee.$gte = feeMin;
+    if (feeMax !== undefined) fee.$lte = feeMax;
+    if (Object.keys(fee).length) filter.registration_fee = fee;
+
+    const dateFrom = toDate(params.date_from);
+    const dateTo = toDate(params.date_to);
+    if (dateFrom || dateTo) {
+        filter.date = { ...(filter.date || {}) };
+        if (dateFrom && !(filter.date.$gte > dateFrom)) filter.date.$gte = dateFrom;
+        if (dateTo) filter.date.$lte = dateTo;
+    }
+
+    return filter;
+};
+
+/**
+ * Search events with filtering, sorting and pagination
+ * Paginate with page (1-based) or with the opaque cursor returned as nextCursor
+ * sort: date | new | fee | prize | popular | relevance (text queries only), order: asc | desc
+ * min_registrations keeps events with at least that many confirmed registrations
+ * Every returned event carries registrations_count
+ */
+const searchEvents = async (params = {}, base = {}) => {
+    const filter = buildEventFilter(params, base);
+    const hasQuery = !!filter.$text;
+    const limit = Math.min(Math.max(parseInt(params.limit) || DEFAULT_LIMIT, 1), MAX_LIMIT);
+    const page = Math.max(parseInt(params.page) || 1, 1);
+    const minRegistrations = toNumber(params.min_registrations);
+
+    let sortKey = SORTS[params.sort] ? params.sort : (hasQuery ? 'relevance' : 'date');
+    if (sortKey === 'relevance' && !hasQuery) sortKey = 'date';
+    const [field, defaultDir] = SORTS[sortKey];
+    const dir = sortKey === 'relevance' ? -1 : params.order === 'asc' ? 1 : params.order === 'desc' ? -1 : defaultDir;
+
+    const pipeline = [{ $match: filter }];
+    if (hasQuery) pipeline.push({ $addFields: { score: { $meta: 'textScore' } } });
+
+    // Registration counts are only needed up front to sort or filter by them
+    const countFirst = sortKey === 'popular' || minRegistrations !== undefined;
+    if (countFirst) pipeline.push(...registrationCountStages());
+    if (minRegistrations !== undefined) pipeline.push({ $match: { registrations_count: { $gte: minRegistrations } } });
+
+    // Keyset pagination: continue after the last event of the previous page
+    const pageStages = [];
+    const cursor = params.cursor ? decodeCursor(params.cursor) : null;
+    if (cursor && mongoose.Types.ObjectId.isValid(cursor.id)) {
+        const value = ['date', 'createdAt'].includes(field) && cursor.v ? new Date(cursor.v) : cursor.v;
+        const op = dir === 1 ? '$gt' : '$lt';
+        pageStages.push({
+            $match: {
+                $or: [
+                    { [field]: { [op]: value } },
+                    { [field]: value, _id: { [op]: new mongoose.Types.ObjectId(cursor.id) } }
+                ]
+            }
+        });
+    } else {
+        pageStages.push({ $skip: (page - 1) * limit });
+    }
+    // One extra document tells whether another page exists
+    pageStages.push({ $limit: limit + 1 });
+    if (!countFirst) pageStages.push(...registrationCountStages());
+
+    pipeline.push(
+        { $sort: { [field]: dir, _id: dir } },
+        { $facet: { events: pageStages, total: [{ $count: 'n' }] } }
+    );
+
+    const [result] = await Events.aggregate(pipeline);
+    const total = result.total[0]?.n || 0;
+    const events = result.events.slice(0, limit);
+    const last = events[events.length - 1];
+    const nextCursor = result.events.length > limit && last
+        ? encodeCursor({ v: last[field], id: String(last._id) })
+        : null;
+
+    return {
+        events,
+        total,
+        page: cursor ? null : page,
+        pages: Math.ceil(total / limit),
+        limit,
+        sort: sortKey,
+        order: dir === 1 ? 'asc' : 'desc',
+        nextCursor
+    };
+};
+
+/**
+ * Summary numbers for a set of events: count, upcoming count and confirmed attendees
+ */
+const summarizeEvents = async (filter) => {
+    const [stats] = await Events.aggregate([
+        { $match: filter },
+        ...registrationCountStages(),
+        {
+            $group: {
+                _id: null,
+                total: { $sum: 1 },
+                upcoming: { $sum: { $cond: [{ $gte: ['$date', new Date()] }, 1, 0] } },
+                attendees: { $sum: '$registrations_count' }
+            }
+        }
+    ]);
+    return {
+        total: stats?.total || 0,
+        upcoming: stats?.upcoming || 0,
+        attendees: stats?.attendees || 0
+    };
+};
+
+module.exports = {
+    buildEventFilter,
+    searchEvents,
+    summarizeEvents
+};
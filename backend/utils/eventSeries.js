@@ -0,0 +1,315 @@
+const Events = require('../models/EventModel');
+const Registration = require('../models/RegistrationModel');
+const { hasFreeSeat, withSeatLock, promoteFromWaitlist } = require('./waitlist');
+const { isEventExpired } = require('./eventCleanup');
+const { getCurrentPrice } = require('./pricing');
+
+const FREQUENCIES = ['daily', 'weekly', 'monthly'];
+// Upper bound on sessions per series so a bad rule cannot flood the collection
+const MAX_OCCURRENCES = parseInt(process.env.MAX_SERIES_OCCURRENCES) || 52;
+
+// Details shared by every session, copied when editing "all future occurrences"
+const SERIES_FIELDS = [
+    'title', 'description', 'location', 'organizer', 'prize_money', 'event_type',
+    'registration_fee', 'category', 'tags', 'capacity', 'event_image', 'payment_gateways',
+    'cancellation_policy', 'price_tiers', 'team_registration', 'registration_form'
+];
+
+/**
+ * Move the refund deadlines of a cancellation policy along with a session date
+ */
+const shiftPolicy = (policy, shift) => {
+    if (!policy) return policy;
+    const move = (date) => (date ? new Date(new Date(date).getTime() + shift) : null);
+    return {
+        full_refund_until: move(policy.full_refund_until),
+        partial_refund_percent: policy.partial_refund_percent,
+        partial_refund_until: move(policy.partial_refund_until)
+    };
+};
+
+/**
+ * Move the end dates of early-bird price tiers along with a session date
+ */
+const shiftTiers = (tiers, shift) => {
+    if (!tiers) return tiers;
+    return tiers.map(t => ({ label: t.label, price: t.price, until: new Date(new Date(t.until).getTime() + shift) }));
+};
+
+/**
+ * Read a recurrence rule from a request body (object or JSON string from a form)
+ * Returns { rule } (rule is null when the event does not repeat) or { error }
+ */
+const parseRecurrence = (input) => {
+    if (!input) return { rule: null };
+    let raw = input;
+    if (typeof raw === 'string') {
+        try {
+            raw = JSON.parse(raw);
+        } catch (e) {
+            return { error: 'Invalid recurrence rule' };
+        }
+    }
+    if (!raw || !raw.frequency || raw.frequency === 'none') return { rule: null };
+    if (!FREQUENCIES.includes(raw.frequency)) {
+        return { error: 'Recurrence frequency must be daily, weekly or monthly' };
+    }
+
+    const rule = {
+        frequency: raw.frequency,
+        interval: Math.max(parseInt(raw.interval) || 1, 1)
+    };
+    if (raw.until) {
+        rule.until = new Date(raw.until);
+        if (isNaN(rule.until.getTime())) return { error: 'Invalid recurrence end date' };
+        // The end date itself still gets a session
+        rule.until.setHours(23, 59, 59, 999);
+    }
+    if (raw.count) {
+        rule.count = parseInt(raw.count);
+        if (!(rule.count >= 2)) return { error: 'A series needs at least 2 sessions' };
+    }
+    if (!rule.until && !rule.count) {
+        return { error: 'A recurrence rule needs an end date or a number of sessions' };
+    }
+    return { rule };
+};
+
+const addInterval = (date, frequency, steps) => {
+    const d = new Date(date);
+    if (frequency === 'daily') {
+        d.setDate(d.getDate() + steps);
+    } else if (frequency === 'weekly') {
+        d.setDate(d.getDate() + 7 * steps);
+    } else {
+        // Monthly: keep the day of month, clamped to shorter months (31st -> 30th/28th)
+        const day = d.getDate();
+        d.setDate(1);
+        d.setMonth(d.getMonth() + steps);
+        const lastDay = new Date(d.getFullYear(), d.getMonth() + 1, 0).getDate();
+        d.setDate(Math.min(day, lastDay));
+    }
+    return d;
+};
+
+/**
+ * Expand a recurrence rule into session dates, starting with the first session
+ */
+const buildOccurrenceDates = (start, rule) => {
+    const dates = [];
+    const limit = Math.min(rule.count || MAX_OCCURRENCES, MAX_OCCURRENCES);
+    for (let i = 0; dates.length < limit; i++) {
+        const date = addInterval(start, rule.frequency, i * rule.interval);
+        if (rule.until && date > rule.until) break;
+        dates.push(date);
+    }
+    return dates;
+};
+
+/**
+ * Create a series parent and one event per session
+ * Each session keeps the same gap between its registration deadline (and refund and early-bird deadlines) and its date
+ */
+const createSeries = async (eventBody, rule) => {
+    const start = new Date(eventBody.date);
+    const deadlineOffset = start.getTime() - new Date(eventBody.registration_deadline).getTime();
+    const dates = buildOccurrenceDates(start, rule);
+    const last = dates[dates.length - 1];
+
+    const parent = new Events({
+        ...eventBody,
+        is_series_parent: true,
+        recurrence: rule,
+        date: last,
+        registration_deadline: new Date(last.getTime() - deadlineOffset),
+        cancellation_policy: shiftPolicy(eventBody.cancellation_policy, last - start),
+        price_tiers: shiftTiers(eventBody.price_tiers, last - start)
+    });
+    await parent.save();
+
+    const sessions = await Events.insertMany(dates.map((date, index) => ({
+        ...eventBody,
+        series: parent._id,
+        occurrence_index: index,
+        date,
+        registration_deadline: new Date(date.getTime() - deadlineOffset),
+        cancellation_policy: shiftPolicy(eventBody.cancellation_policy, date - start),
+        price_tiers: shiftTiers(eventBody.price_tiers, date - start)
+    })));
+    return { parent, sessions };
+};
+
+/**
+ * Resolve the series parent ID for a session or a parent
+ */
+const getSeriesId = (event) => {
+    if (!event) return null;
+    return event.is_series_parent ? event._id : event.series;
+};
+
+/**
+ * Active sessions of a series in date order
+ */
+const getSeriesSessions = (seriesId) => {
+    return Events.find({ series: seriesId, is_archived: { $ne: true } }).sort({ date: 1 });
+};
+
+/**
+ * Sessions a user could still register for as part of the whole series,
+ * and what registering for all of them costs at today's prices
+ * Sessions the user already holds a seat in, that closed or that are full are left out
+ */
+const getSeriesQuote = async (seriesId, userId) => {
+    const now = new Date();
+    const sessions = await getSeriesSessions(seriesId);
+    const existing = userId
+        ? await Registration.find({ userId, eventId: { $in: sessions.map(s => s._id) } })
+        : [];
+    const taken = new Set(existing
+        .filter(r => r.payment_status === 'completed' || r.is_waitlisted)
+        .map(r => String(r.eventId)));
+
+    const open = [];
+    for (const session of sessions) {
+        if (taken.has(String(session._id))) continue;
+        if (isEventExpired(session.date) || new Date(session.registration_deadline) < now) continue;
+        // A pending registration already holds its seat
+        const holdsSeat = existing.some(r => String(r.eventId) === String(session._id));
+        if (!holdsSeat && !(await hasFreeSeat(session))) continue;
+        open.push(session);
+    }
+    return {
+        sessions: open,
+        amount: open.reduce((sum, s) => sum + getCurrentPrice(s, now).price, 0)
+    };
+};
+
+/**
+ * Register a user for every open session of a series
+ * Paid series pass the sessionIds the payment was quoted for (and the gateway's trans_id):
+ * only those are confirmed, and only while they still have a seat; the others are returned
+ * as unavailable so their share of the payment can be refunded.
+ * answers (to the registration form) are stored on every session's registration
+ * Returns { registrations, unavailable }
+ */
+const registerForSeries = async (userId, seriesId, { paid = false, sessionIds, trans_id, answers } = {}) => {
+    const sessions = sessionIds
+        ? await Events.find({ _id: { $in: sessionIds }, series: seriesId }).sort({ date: 1 })
+        : (await getSeriesQuote(seriesId, userId)).sessions;
+
+    const registrations = [];
+    const unavailable = [];
+    for (const session of sessions) {
+        let registration = await Registration.findOne({ userId, eventId: session._id });
+        if (registration?.payment_status === 'completed' && !registration.is_waitlisted) {
+            // Registered for this session some other way since checkout
+            if (paid) unavailable.push(session);
+            continue;
+        }
+        if (registration?.is_waitlisted && !paid) continue;
+        if (isEventExpired(session.date)) {
+            if (paid) unavailable.push(session);
+            continue;
+        }
+        // A pending registration already holds its seat
+        const holdsSeat = registration?.payment_status === 'pending' && !registration.is_waitlisted;
+        if (!registration) {
+            registration = new Registration({ userId, eventId: session._id });
+        }
+        const saved = await withSeatLock(session, async () => {
+            if (!holdsSeat && !(await hasFreeSeat(session))) return false;
+            registration.series = seriesId;
+            registration.is_waitlisted = false;
+            registration.waitlisted_at = null;
+            registration.is_registered = true;
+            registration.payment_status = 'completed';
+            registration.payment_due_at = null;
+            if (trans_id) registration.trans_id = trans_id;
+            if (answers) registration.answers = answers;
+            await registration.save();
+            return true;
+        });
+        if (saved) {
+            registrations.push(registration);
+        } else if (paid) {
+            unavailable.push(session);
+        }
+    }
+    return { registrations, unavailable };
+};
+
+/**
+ * Remove a user from every upcoming session of a series
+ * Freed seats are offered to each session's waitlist
+ * Returns the removed registrations with their sessions (for refunds)
+ */
+const unregisterFromSeries = async (userId, seriesId) => {
+    const sessions = (await getSeriesSessions(seriesId)).filter(s => !isEventExpired(s.date));
+    const registrations = await Registration.find({ userId, eventId: { $in: sessions.map(s => s._id) } });
+
+    const removed = [];
+    for (const registration of registrations) {
+        await Registration.deleteOne({ _id: registration._id });
+        const session = sessions.find(s => String(s._id) === String(registration.eventId));
+        removed.push({ registration, event: session });
+        if (registration.is_waitlisted) continue;
+        await promoteFromWaitlist(session._id);
+    }
+    return { removedCount: registrations.length, removed };
+};
+
+/**
+ * Apply an edit of one session to all later sessions of its series ("all future occurrences")
+ * changes holds the shared fields to copy; dates move by the same shift as the edited session
+ */
+const updateFutureOccurrences = async (event, changes, { dateShift = 0, deadlineShift = 0 } = {}) => {
+    const later = await Events.find({
+        series: event.series,
+        occurrence_index: { $gt: event.occurrence_index },
+        is_archived: { $ne: true }
+    });
+
+    for (const session of later) {
+        Object.assign(session, changes);
+        if (dateShift) session.date = new Date(session.date.getTime() + dateShift);
+        if (deadlineShift) {
+            session.registration_deadline = new Date(session.registration_deadline.getTime() + deadlineShift);
+        }
+        if (changes.cancellation_policy) {
+            session.cancellation_policy = shiftPolicy(changes.cancellation_policy, session.date - event.date);
+        }
+        if (changes.price_tiers) {
+            session.price_tiers = shiftTiers(changes.price_tiers, session.date - event.date);
+        }
+        await session.save();
+        if (changes.capacity !== undefined) await promoteFromWaitlist(session._id);
+    }
+
+    // Keep the parent in step: shared details and the series end date
+    const parent = await Events.findById(event.series);
+    if (parent) {
+        Object.assign(parent, changes);
+        const lastSession = await Events.findOne({ series: parent._id }).sort({ date: -1 });
+        if (lastSession) {
+            parent.date = lastSession.date;
+            parent.registration_deadline = lastSession.registration_deadline;
+            if (changes.cancellation_policy) parent.cancellation_policy = shiftPolicy(lastSession.cancellation_policy, 0);
+            if (changes.price_tiers) parent.price_tiers = shiftTiers(lastSession.price_tiers, 0);
+        }
+        await parent.save();
+    }
+    return later.length;
+};
+
+module.exports = {
+    SERIES_FIELDS,
+    parseRecurrence,
+    buildOccurrenceDates,
+    createSeries,
+    getSeriesId,
+    getSeriesSessions,
+    getSeriesQuote,
+    registerForSeries,
+    unregisterFromSeries,
+    updateFutureOccurrences
+};
@@ -0,0 +1,286 @@
+const mongoose = require('mongoose');
+const Feedback = require('../models/FeedbackModel');
+const Events = require('../models/EventModel');
+const { findAttendees } = require('./attendees');
+const { queueMessage } = require('./bulkMessages');
+const { EVENT_DURATION_HOURS } = require('./calendar');
+
+const QUESTION_TYPES = ['rating', 'choice', 'text'];
+const AUDIENCES = ['registered', 'checked_in'];
+const MAX_QUESTIONS = 10;
+// Answers are taken for this long after the event
+const FEEDBACK_WINDOW_DAYS = 30;
+// Events that ended longer ago than this get no invitation email (e.g. after first deploying the job)
+const INVITE_WINDOW_DAYS = 7;
+// Invitations go out this long after an event ends, so late check-ins are included
+const INVITE_DELAY_HOURS = parseFloat(process.env.FEEDBACK_DELAY_HOURS) || 1;
+const CHECK_INTERVAL_MINUTES = parseInt(process.env.FEEDBACK_CHECK_MINUTES) || 15;
+
+const DEFAULT_SURVEY = { enabled: true, audience: 'checked_in', questions: [] };
+
+/**
+ * Read a feedback survey from a request body (object or JSON string)
+ * Questions get a stable key (answers are stored by key), generated from the label when missing
+ * Returns { survey } or { error }
+ */
+const parseSurvey = (input) => {
+    let raw = input;
+    if (typeof raw === 'string') {
+        try {
+            raw = JSON.parse(raw);
+        } catch (e) {
+            return { error: 'Invalid feedback survey' };
+        }
+    }
+    if (!raw || typeof raw !== 'object' || Array.isArray(raw)) return { error: 'Invalid feedback survey' };
+
+    const audience = raw.audience || DEFAULT_SURVEY.audience;
+    if (!AUDIENCES.includes(audience)) return { error: `Audience must be one of ${AUDIENCES.join(', ')}` };
+    const list = raw.questions || [];
+    if (!Array.isArray(list)) return { error: 'Invalid survey questions' };
+    if (list.length > MAX_QUESTIONS) return { error: `A survey can have at most ${MAX_QUESTIONS} questions` };
+
+    const questions = [];
+    const keys = new Set();
+    for (const q of list) {
+        const label = String(q?.label || '').trim();
+        if (!label) return { error: 'Every question needs a label' };
+        if (label.length > 200) return { error: 'Questions can have at most 200 characters' };
+        const type = q.type || 'rating';
+        if (!QUESTION_TYPES.includes(type)) return { error: `Unknown question type for "${label}"` };
+
+        let key = String(q.key || '').trim() || label.toLowerCase().replace(/[^a-z0-9]+/g, '_').replace(/^_|_$/g, '') || 'question';
+        for (let n = 2; keys.has(key); n++) key = `${key.replace(/_\d+$/, '')}_${n}`;
+        keys.add(key);
+
+        const question = { key, label, type, options: [], required: q.required === true || q.required === 'true' };
+        if (type === 'choice') {
+            question.options = [...new Set((q.options || []).map(o => String(o).trim()).filter(Boolean))];
+            if (question.options.length < 2) return { error: `"${label}" needs at least two options` };
+        }
+        questions.push(question);
+    }
+    return { survey: { enabled: raw.enabled !== false && raw.enabled !== 'false', audience, questions } };
+};
+
+const isStarRating = (value) => Number.isInteger(value) && value >= 1 && value <= 5;
+
+/**
+ * Check an attendee's survey answers
+ * input: { rating, answers: { [key]: value }, comment }
+ * Returns { feedback } (rating, answers with labels, comment) or { error }
+ */
+const validateFeedback = (survey, input = {}) => {
+    const rating = Number(input.rating);
+    if (!isStarRating(rating)) return { error: 'Rate the event from 1 to 5 stars' };
+    const given = input.answers && typeof input.answers === 'object' ? input.answers : {};
+    const answers = [];
+    for (const question of survey.questions || []) {
+        let value = given[question.key];
+        if (value === undefined || value === null || value === '') {
+            if (question.required) return { error: `"${question.label}" is required` };
+            continue;
+        }
+        if (question.type === 'rating') {
+            value = Number(value);
+            if (!isStarRating(value)) return { error: `Rate "${question.label}" from 1 to 5 stars` };
+        } else if (question.type === 'choice') {
+            value = String(value);
+            if (!question.options.includes(value)) return { error: `Choose one of the options for "${question.label}"` };
+        } else {
+            value = String(value).trim().substring(0, 1000);
+        }
+        answers.push({ key: question.key, label: question.label, type: question.type, value });
+    }
+    const comment = String(input.comment || '').trim();
+    if (comment.length > 1000) return { error: 'Comments can have at most 1000 characters' };
+    return { feedback: { rating, answers, comment } };
+};
+
+/**
+ * Why a registration cannot answer an event's survey, or null when it can
+ */
+const feedbackBlocker = (event, registration, now = new Date()) => {
+    const survey = event.feedback_survey || DEFAULT_SURVEY;
+    if (!survey.enabled) return 'This event has no feedback survey';
+    if (new Date(event.date) > now) return 'Feedback opens after the event';
+    if (now - new Date(event.date) > FEEDBACK_WINDOW_DAYS * 24 * 60 * 60 * 1000) return 'The feedback survey of this event is closed';
+    if (!registration?.is_registered) return 'Only registered attendees can give feedback';
+    if (survey.audience === 'checked_in' && !registration.checked_in) return 'Only attendees who were checked in can give feedback';
+    return null;
+};
+
+/**
+ * Aggregated answers per event: response count, average and distribution of the overall rating,
+ * averages of rating questions, counts of choice answers and the latest comments and text answers
+ * Resolves to { [eventId]: summary }
+ */
+const summarizeFeedback = async (eventIds) => {
+    const ids = eventIds.map(id => new mongoose.Types.ObjectId(String(id)));
+    const [overall, questions, comments] = await Promise.all([
+        Feedback.aggregate([
+            { $match: { event: { $in: ids } } },
+            {
+                $group: {
+                    _id: '$event',
+                    responses: { $sum: 1 },
+                    averageRating: { $avg: '$rating' },
+                    ratings: { $push: '$rating' }
+                }
+            }
+        ]),
+        Feedback.aggregate([
+            { $match: { event: { $in: ids } } },
+            { $unwind: '$answers' },
+            { $match: { 'answers.type': { $in: ['rating', 'choice'] } } },
+            {
+                $group: {
+                    _id: { event: '$event', key: '$answers.key', type: '$answers.type', value: '$answers.value' },
+                    label: { $last: '$answers.label' },
+                    count: { $sum: 1 }
+                }
+            }
+        ]),
+        Feedback.aggregate([
+            { $match: { event: { $in: ids } } },
+            { $sort: { createdAt: -1 } },
+            {
+                $group: {
+                    _id: '$event',
+                    comments: { $push: '$comment' },
+                    texts: { $push: { $filter: { input: '$answers', cond: { $eq: ['$$this.type', 'text'] } } } }
+                }
+            }
+        ])
+    ]);
+
+    const summaries = {};
+    for (const id of ids) {
+        summaries[id] = { responses: 0, averageRating: null, distribution: [0, 0, 0, 0, 0], questions: {}, comments: [], texts: {} };
+    }
+    for (const row of overall) {
+        const summary = summaries[row._id];
+        summary.responses = row.responses;
+        summary.averageRating = Math.round(row.averageRating * 10) / 10;
+        for (const rating of row.ratings) summary.distribution[rating - 1]++;
+    }
+    for (const row of questions) {
+        const { event, key, type, value } = row._id;
+        const question = summaries[event].questions[key] ||= { label: row.label, type, answers: 0, total: 0, counts: {} };
+        question.answers += row.count;
+        if (type === 'rating') question.total += value * row.count;
+        question.counts[value] = row.count;
+    }
+    for (const summary of Object.values(summaries)) {
+        for (const question of Object.values(summary.questions)) {
+            if (question.type === 'rating') question.average = Math.round((question.total / question.answers) * 10) / 10;
+            delete question.total;
+        }
+    }
+    for (const row of comments) {
+        const summary = summaries[row._id];
+        summary.comments = row.comments.filter(Boolean).slice(0, 20);
+        for (const answer of row.texts.flat()) {
+            const list = summary.texts[answer.key] ||= { label: answer.label, answers: [] };
+            if (list.answers.length < 20) list.answers.push(answer.value);
+        }
+    }
+    return summaries;
+};
+
+/**
+ * Average overall rating across the events an organizer created
+ * Resolves to { averageRating, ratings, events } (averageRating null without ratings)
+ */
+const organizerRating = async (userId) => {
+    const [row] = await Feedback.aggregate([
+        { $match: { organizer: new mongoose.Types.ObjectId(String(userId)) } },
+        { $group: { _id: null, averageRating: { $avg: '$rating' }, ratings: { $sum: 1 }, events: { $addToSet: '$event' } } }
+    ]);
+    if (!row) return { averageRating: null, ratings: 0, events: 0 };
+    return { averageRating: Math.round(row.averageRating * 10) / 10, ratings: row.ratings, events: row.events.length };
+};
+
+const buildInvitationText = (event) => `Thank you for attending "${event.title}"!
+
+The organizers would like to hear how it went. Rate the event and answer a few questions here:
+${process.env.frontend_url}/events/${event._id}/feedback
+
+The survey stays open for ${FEEDBACK_WINDOW_DAYS} days.`;
+
+/**
+ * Queue the survey invitation of events that ended recently, once per event
+ * Events without attendees to invite yet are checked again on the next run
+ * The invitation goes through the attendee message queue, so organizers see its deliveries with their messages
+ * Returns how many events were queued
+ */
+const sendSurveyInvitations = async (now = new Date()) => {
+    let queued = 0;
+    try {
+        const endedBefore = new Date(now.getTime() - (EVENT_DURATION_HOURS + INVITE_DELAY_HOURS) * 60 * 60 * 1000);
+        const events = await Events.find({
+            date: { $lt: endedBefore, $gt: new Date(now.getTime() - INVITE_WINDOW_DAYS * 24 * 60 * 60 * 1000) },
+            is_series_parent: { $ne: true },
+            'feedback_survey.enabled': { $ne: false },
+            'feedback_survey.sent_at': null
+        });
+        for (const event of events) {
+            const filter = { status: 'confirmed', checked_in: event.feedback_survey?.audience === 'registered' ? '' : 'yes' };
+            const registrations = await findAttendees(event._id, filter);
+            if (registrations.length === 0) continue;
+            // Claim the event so a second server never invites twice
+            const claimed = await Events.updateOne(
+                { _id: event._id, 'feedback_survey.sent_at': null },
+                { $set: { 'feedback_survey.sent_at': now } }
+            );
+            if (claimed.modifiedCount === 0) continue;
+            try {
+                await queueMessage({
+                    event,
+                    sender: event.createdBy,
+                    subject: `How was ${event.title}?`,
+                    body: buildInvitationText(event),
+                    filter,
+                    registrations
+                });
+            } catch (error) {
+                // Release the claim so the next run tries again
+                await Events.updateOne({ _id: event._id }, { $set: { 'feedback_survey.sent_at': null } });
+                throw error;
+            }
+            queued++;
+        }
+    } catch (error) {
+        console.error('Error while sending feedback survey invitations:', error);
+    }
+    return queued;
+};
+
+/**
+ * Start the feedback survey job
+ * Every FEEDBACK_CHECK_MINUTES (default 15) it invites the attendees of events that ended
+ * FEEDBACK_DELAY_HOURS (default 1) ago
+ */
+const startFeedbackJob = () => {
+    console.log(`Starting feedback survey job (every ${CHECK_INTERVAL_MINUTES} minutes)...`);
+    const run = async () => {
+        const queued = await sendSurveyInvitations();
+        if (queued) console.log(`Queued feedback surveys of ${queued} event(s)`);
+    };
+    run();
+    setInterval(run, CHECK_INTERVAL_MINUTES * 60 * 1000);
+};
+
+module.exports = {
+    QUESTION_TYPES,
+    AUDIENCES,
+    MAX_QUESTIONS,
+    FEEDBACK_WINDOW_DAYS,
+    DEFAULT_SURVEY,
+    parseSurvey,
+    validateFeedback,
+    feedbackBlocker,
+    summarizeFeedback,
+    organizerRating,
+    startFeedbackJob
+};
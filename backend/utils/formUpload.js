@@ -0,0 +1,17 @@
+const multer = require('multer')
+const { MAX_FILE_MB } = require('./registrationForm')
+
+
+// Files attached to registration form answers; each field checks its own types and size limit
+const storage = multer.diskStorage({
+    filename: function (req, file, cb) {
+        cb(null, Date.now() + '-' + file.originalname)
+    }
+})
+
+const formUpload = multer({
+    storage: storage,
+    limits:{ fileSize: MAX_FILE_MB * 1024 * 1024 }
+})
+
+module.exports = formUpload
@@ -0,0 +1,160 @@
+const axios = require('axios');
+
+// Grant token shared by all calls until it expires
+let grantToken = null;
+let grantExpiry = null;
+
+/**
+ * Return a valid grant token, requesting a new one from bKash when it expired
+ */
+const getToken = async () => {
+    const now = new Date();
+    if (!grantToken || !grantExpiry || now >= grantExpiry) {
+        const { data } = await axios.post(
+            process.env.bkash_grant_token_url,
+            {
+                app_key: process.env.bkash_api_key,
+                app_secret: process.env.bkash_secret_key,
+            },
+            {
+                headers: {
+                    'Content-Type': 'application/json',
+                    Accept: 'application/json',
+                    username: process.env.bkash_username,
+                    password: process.env.bkash_password,
+                },
+            }
+        );
+        if (!data.id_token) {
+            throw new Error(data.statusMessage || data.msg || 'Could not get a bKash token');
+        }
+        grantToken = data.id_token;
+        // expires_in is in seconds, usually 3600
+        grantExpiry = new Date(now.getTime() + data.expires_in * 1000);
+    }
+    return grantToken;
+};
+
+const headers = (token) => ({
+    'Content-Type': 'application/json',
+    Accept: 'application/json',
+    authorization: token,
+    'x-app-key': process.env.bkash_api_key,
+});
+
+const post = async (url, body) => {
+    const token = await getToken();
+    const { data } = await axios.post(url, body, { headers: headers(token) });
+    return data;
+};
+
+/**
+ * Start a tokenized checkout payment
+ * bKash adds paymentID and status to the callback URL when the payer is done
+ */
+const create = async ({ amount, invoice, callbackURL }) => {
+    const data = await post(process.env.bkash_create_payment_url, {
+        mode: '0011',
+        payerReference: ' ',
+        callbackURL,
+        amount: amount.toString(),
+        currency: 'BDT',
+        intent: 'sale',
+        merchantInvoiceNumber: invoice,
+    });
+    if (!data.paymentID || !data.bkashURL) {
+        throw new Error(data.statusMessage || 'Could not start the bKash payment');
+    }
+    return { paymentID: data.paymentID, url: data.bkashURL, response: data };
+};
+
+/**
+ * Read the redirect back from bKash (GET with paymentID and status)
+ */
+const parseCallback = (req) => ({
+    paymentID: req.query.paymentID,
+    status: ['success', 'cancel'].includes(req.query.status) ? req.query.status : 'failure'
+});
+
+/**
+ * Find the payment a webhook notification is about
+ * Notifications arrive through SNS with the payment inside a JSON Message;
+ * nothing in them is trusted beyond locating the payment, which is then verified
+ */
+const parseWebhook = (req) => {
+    let body = req.body;
+    try {
+        if (typeof body === 'string') body = JSON.parse(body);
+        if (typeof body?.Message === 'string') body = JSON.parse(body.Message);
+    } catch (error) {
+        return { paymentID: null };
+    }
+    return { paymentID: body?.paymentID || null };
+};
+
+/**
+ * Execute (capture) a payment the user approved and check it against what was stored
+ * when it was created; falls back to querying the payment when execute fails
+ * (e.g. it already ran before a timeout)
+ * Returns { verified: true, trans_id, response } or { verified: false, reason, response, retryable }
+ * retryable is set when bKash could not be reached, so nothing is known about the payment yet
+ */
+const verify = async (payment) => {
+    let result;
+    try {
+        result = await post(process.env.bkash_execute_payment_url, { paymentID: payment.paymentID });
+    } catch (error) {
+        result = null;
+    }
+    if (!result || result.transactionStatus !== 'Completed') {
+        try {
+            result = await post(process.env.bkash_query_payment_url, { paymentID: payment.paymentID });
+        } catch (error) {
+            return { verified: false, reason: 'Could not reach bKash to verify the payment', retryable: true };
+        }
+    }
+
+    if (result.transactionStatus !== 'Completed') {
+        const failed = result.statusCode && result.statusCode !== '0000';
+        return { verified: false, reason: failed ? result.statusMessage : `Payment ${(result.transactionStatus || 'not completed').toLowerCase()}`, response: result };
+    }
+    if (result.paymentID !== payment.paymentID) {
+        return { verified: false, reason: 'Payment ID mismatch', response: result };
+    }
+    if (Number(result.amount) !== payment.amount || (result.currency && result.currency !== payment.currency)) {
+        return { verified: false, reason: 'Paid amount does not match', response: result };
+    }
+    if (!result.trxID) {
+        return { verified: false, reason: 'Missing transaction ID', response: result };
+    }
+    return { verified: true, trans_id: result.trxID, response: result };
+};
+
+/**
+ * Refund (part of) a completed payment
+ * Returns { success: true, refund_id, response } or { success: false, reason, response }
+ */
+const refund = async (payment, amount, reason = 'Registration cancelled') => {
+    const data = await post(process.env.bkash_refund_url, {
+        paymentID: payment.paymentID,
+        trxID: payment.trans_id,
+        amount: amount.toString(),
+        sku: 'registration',
+        reason
+    });
+    if (data.transactionStatus !== 'Completed') {
+        return { success: false, reason: data.statusMessage || 'Refund was not completed', response: data };
+    }
+    return { success: true, refund_id: data.refundTrxID, response: data };
+};
+
+module.exports = {
+    name: 'bkash',
+    label: 'bKash',
+    isConfigured: () => !!(process.env.bkash_create_payment_url && process.env.bkash_api_key),
+    create,
+    parseCallback,
+    parseWebhook,
+    verify,
+    refund
+};
@@ -0,0 +1,57 @@
+/**
+ * Payment gateway registry
+ *
+ * Every gateway implements the same interface:
+ *   name, label, isConfigured()
+ *   create({ amount, invoice, callbackURL, webhookURL, user, event }) -> { paymentID, url, response }
+ *   parseCallback(req) -> { paymentID, status: 'success' | 'cancel' | 'failure', data }
+ *   parseWebhook(req) -> { paymentID, data }
+ *   verify(payment, data) -> { verified, trans_id, response } | { verified: false, reason, response, retryable }  (executes the payment when needed)
+ *     retryable marks a gateway that could not be reached; the payment stays open to be verified again
+ *   refund(payment, amount, reason) -> { success, refund_id, response } | { success: false, reason, response }
+ * response is the gateway's raw reply, kept in the payment's history
+ */
+const bkash = require('./bkash');
+const sslcommerz = require('./sslcommerz');
+
+const GATEWAYS = { bkash, sslcommerz };
+const GATEWAY_NAMES = Object.keys(GATEWAYS);
+const DEFAULT_GATEWAYS = ['bkash'];
+
+const getGateway = (name) => (Object.hasOwn(GATEWAYS, name) ? GATEWAYS[name] : null);
+
+/**
+ * Gateways with their display label and whether this server has credentials for them
+ */
+const listGateways = () => GATEWAY_NAMES.map(name => ({
+    name,
+    label: GATEWAYS[name].label,
+    configured: GATEWAYS[name].isConfigured()
+}));
+
+/**
+ * Read the accepted gateways of an event from a request body
+ * Accepts an array, a comma separated string or a JSON array string (multipart forms)
+ * Returns undefined when nothing was sent, unknown names are dropped
+ */
+const parseGatewayList = (input) => {
+    if (input === undefined || input === null || input === '') return undefined;
+    let list = input;
+    if (typeof list === 'string') {
+        try {
+            list = JSON.parse(list);
+        } catch (e) {
+            list = list.split(',');
+        }
+    }
+    if (!Array.isArray(list)) list = [list];
+    return [...new Set(list.map(g => String(g).trim()).filter(g => GATEWAY_NAMES.includes(g)))];
+};
+
+module.exports = {
+    GATEWAY_NAMES,
+    DEFAULT_GATEWAYS,
+    getGateway,
+    listGateways,
+    parseGatewayList
+};
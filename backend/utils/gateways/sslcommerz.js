@@ -0,0 +1,124 @@
+const { v4: uuidv4 } = require('uuid');
+const SSLCommerzPayment = require('sslcommerz-lts');
+
+const client = () => new SSLCommerzPayment(
+    process.env.Store_ID,
+    process.env.Store_Password,
+    process.env.SSLCOMMERZ_IS_LIVE === 'true'
+);
+
+// SSLCommerz reports these for a paid transaction; VALIDATED means it was validated before
+const PAID_STATUSES = ['VALID', 'VALIDATED'];
+
+/**
+ * Open a hosted checkout session
+ * Our own tran_id identifies the payment; SSLCommerz posts the result to callbackURL
+ * and notifies webhookURL (IPN) independently
+ */
+const create = async ({ amount, invoice, callbackURL, webhookURL, user, event }) => {
+    const tran_id = uuidv4();
+    const data = await client().init({
+        total_amount: amount,
+        currency: 'BDT',
+        tran_id,
+        success_url: callbackURL,
+        fail_url: callbackURL,
+        cancel_url: callbackURL,
+        ipn_url: webhookURL,
+        shipping_method: 'NO',
+        product_name: event.title,
+        product_category: 'Event Registration',
+        product_profile: 'non-physical-goods',
+        cus_name: user.username,
+        cus_email: user.email,
+        cus_add1: user.location || 'N/A',
+        cus_city: 'N/A',
+        cus_country: 'Bangladesh',
+        cus_phone: 'N/A',
+        value_a: invoice
+    });
+    if (data.status !== 'SUCCESS' || !data.GatewayPageURL) {
+        throw new Error(data.failedreason || 'Could not start the SSLCommerz payment');
+    }
+    return { paymentID: tran_id, url: data.GatewayPageURL, response: data };
+};
+
+/**
+ * Read the form SSLCommerz posts to the success/fail/cancel URL
+ */
+const parseCallback = (req) => {
+    const body = req.body || {};
+    const status = body.status === 'VALID' ? 'success' : body.status === 'CANCELLED' ? 'cancel' : 'failure';
+    return { paymentID: body.tran_id, status, data: { val_id: body.val_id } };
+};
+
+/**
+ * Find the payment an IPN is about; its content is verified with the validation API
+ */
+const parseWebhook = (req) => ({
+    paymentID: req.body?.tran_id || null,
+    data: { val_id: req.body?.val_id }
+});
+
+/**
+ * Validate a transaction with SSLCommerz and check it against the stored payment
+ * Uses the val_id from the callback when there is one, otherwise looks the transaction up
+ * Returns { verified: true, trans_id, response } or { verified: false, reason, response, retryable }
+ * retryable is set when SSLCommerz could not be reached, so nothing is known about the payment yet
+ */
+const verify = async (payment, { val_id } = {}) => {
+    let result;
+    try {
+        if (val_id) {
+            result = await client().validate({ val_id });
+        } else {
+            const lookup = await client().transactionQueryByTransactionId({ tran_id: payment.paymentID });
+            result = (lookup.element || []).find(t => PAID_STATUSES.includes(t.status)) || (lookup.element || [])[0];
+        }
+    } catch (error) {
+        return { verified: false, reason: 'Could not reach SSLCommerz to verify the payment', retryable: true };
+    }
+
+    if (!result || !PAID_STATUSES.includes(result.status)) {
+        return { verified: false, reason: `Payment ${(result?.status || 'not completed').toLowerCase()}`, response: result };
+    }
+    if (result.tran_id !== payment.paymentID) {
+        return { verified: false, reason: 'Payment ID mismatch', response: result };
+    }
+    if (Number(result.currency_amount ?? result.amount) !== payment.amount || (result.currency_type || result.currency) !== payment.currency) {
+        return { verified: false, reason: 'Paid amount does not match', response: result };
+    }
+    if (!result.bank_tran_id) {
+        return { verified: false, reason: 'Missing transaction ID', response: result };
+    }
+    // Refunds are addressed by the bank transaction ID
+    return { verified: true, trans_id: result.bank_tran_id, response: result };
+};
+
+/**
+ * Refund (part of) a completed payment
+ * Returns { success: true, refund_id, response } or { success: false, reason, response }
+ */
+const refund = async (payment, amount, reason = 'Registration cancelled') => {
+    const data = await client().initiateRefund({
+        refund_amount: amount,
+        refund_remarks: encodeURIComponent(reason),
+        bank_tran_id: payment.trans_id,
+        refe_id: payment.paymentID
+    });
+    if (data.APIConnect !== 'DONE' || data.status !== 'success') {
+        return { success: false, reason: data.errorReason || 'Refund was not accepted', response: data };
+    }
+    return { success: true, refund_id: data.refund_ref_id, response: data };
+};
+
+module.exports = {
+    name: 'sslcommerz',
+    label: 'SSLCommerz (cards, mobile banking)',
+    isConfigured: () => !!(process.env.Store_ID && process.env.Store_Password),
+    create,
+    parseCallback,
+    parseWebhook,
+    verify,
+    refund
+};
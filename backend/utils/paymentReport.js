@@ -0,0 +1,160 @@
+const Payment = require('../models/PaymentModel');
+const Refund = require('../models/RefundModel');
+const Registration = require('../models/RegistrationModel');
+const { toCSV } = require('./csv');
+
+// A payment still "processing" after this long lost its callback and needs a look
+const STUCK_AFTER_MS = 15 * 60 * 1000;
+
+const sum = (list, pick) => list.reduce((total, item) => total + (Number(pick(item)) || 0), 0);
+
+/**
+ * Revenue and reconciliation report of one event
+ * Covers the event's own payments and, for a series session, the whole-series payments
+ * (marked scope: 'series', as they also cover the other sessions).
+ * flags lists what does not add up between registrations, payments and refunds.
+ */
+const buildPaymentReport = async (event) => {
+    const paidFor = [event._id, event.series].filter(Boolean);
+    const [payments, registrations] = await Promise.all([
+        Payment.find({ event: { $in: paidFor } })
+            .select('-history')
+            .populate('user', 'username email')
+            .sort({ createdAt: -1 }),
+        Registration.find({ eventId: event._id, is_waitlisted: { $ne: true } })
+            .populate('userId', 'username email')
+    ]);
+    const refunds = await Refund.find({
+        $or: [{ payment: { $in: payments.map(p => p._id) } }, { event: event._id, payment: null }]
+    });
+
+    const refundedFor = (paymentId) => sum(
+        refunds.filter(r => r.status === 'completed' && String(r.payment) === String(paymentId)),
+        r => r.amount
+    );
+    const rows = payments.map(p => ({
+        _id: p._id,
+        createdAt: p.createdAt,
+        completed_at: p.completed_at,
+        user: p.user,
+        scope: String(p.event) === String(event._id) ? 'event' : 'series',
+        gateway: p.gateway,
+        paymentID: p.paymentID,
+        trans_id: p.trans_id || '',
+        amount: p.amount,
+        discount: p.discount || 0,
+        coupon_code: p.coupon_code || '',
+        currency: p.currency,
+        status: p.status,
+        failure_reason: p.failure_reason,
+        refunded: refundedFor(p._id)
+    }));
+
+    const completed = payments.filter(p => p.status === 'completed');
+    const byGateway = {};
+    for (const p of completed) {
+        byGateway[p.gateway] = byGateway[p.gateway] || { count: 0, gross: 0 };
+        byGateway[p.gateway].count += 1;
+        byGateway[p.gateway].gross += p.amount;
+    }
+    const gross = sum(completed, p => p.amount);
+    const refunded = sum(refunds.filter(r => r.status === 'completed'), r => r.amount);
+    const summary = {
+        currency: 'BDT',
+        gross,
+        discounts: sum(completed, p => p.discount),
+        refunded,
+        net: gross - refunded,
+        pending_refunds: sum(refunds.filter(r => ['pending', 'processing', 'failed'].includes(r.status)), r => r.amount),
+        series_gross: sum(completed.filter(p => p.series), p => p.amount),
+        by_gateway: byGateway,
+        by_status: payments.reduce((counts, p) => ({ ...counts, [p.status]: (counts[p.status] || 0) + 1 }), {}),
+        paid_registrations: registrations.filter(r => r.payment_status === 'completed').length
+    };
+
+    // Reconcile: every seat should trace back to a payment and every payment to a seat or refund
+    const flags = [];
+    const paymentsOf = (userId) => payments.filter(p => String(p.user?._id || p.user) === String(userId));
+    if (event.registration_fee > 0) {
+        for (const reg of registrations) {
+            const userId = reg.userId?._id || reg.userId;
+            // Team seats are covered by the captain's payment for the team
+            const own = reg.team
+                ? payments.filter(p => String(p.team) === String(reg.team))
+                : paymentsOf(userId).filter(p => !p.series || String(p.event) === String(reg.series));
+            if (reg.payment_status === 'pending' && !own.some(p => ['initiated', 'processing', 'completed'].includes(p.status))) {
+                flags.push({ type: 'pending_without_payment', user: reg.userId, registration: reg._id, message: 'Holds a seat but never started a payment' });
+            }
+            if (reg.payment_status === 'pending' && own.some(p => p.status === 'completed')) {
+                flags.push({ type: 'paid_not_confirmed', user: reg.userId, registration: reg._id, message: 'Payment completed but the registration is still pending' });
+            }
+            if (reg.payment_status === 'completed' && !own.some(p => p.status === 'completed')) {
+                flags.push({ type: 'confirmed_without_payment', user: reg.userId, registration: reg._id, message: 'Confirmed without a recorded payment' });
+            }
+        }
+    }
+    for (const p of completed.filter(p => !p.series)) {
+        const seat = registrations.some(r => String(r.userId?._id || r.userId) === String(p.user?._id || p.user));
+        const refund = refunds.some(r => String(r.payment) === String(p._id) && r.status !== 'rejected');
+        if (!seat && !refund) {
+            flags.push({ type: 'payment_without_registration', user: p.user, payment: p._id, message: 'Paid but holds no seat and has no refund' });
+        }
+    }
+    for (const p of payments.filter(p => p.status === 'processing' && Date.now() - p.updatedAt > STUCK_AFTER_MS)) {
+        flags.push({ type: 'stuck_processing', user: p.user, payment: p._id, message: 'Payment is stuck in processing' });
+    }
+    for (const r of refunds.filter(r => r.status === 'failed')) {
+        flags.push({ type: 'refund_failed', payment: r.payment, message: `Refund of ৳${r.amount} failed: ${r.failure_reason}` });
+    }
+
+    return { summary, payments: rows, flags };
+};
+
+const CSV_COLUMNS = [
+    { key: 'date', label: 'Date' },
+    { key: 'name', label: 'Attendee' },
+    { key: 'email', label: 'Email' },
+    { key: 'scope', label: 'Scope' },
+    { key: 'gateway', label: 'Gateway' },
+    { key: 'paymentID', label: 'Payment ID' },
+    { key: 'trans_id', label: 'Transaction ID' },
+    { key: 'amount', label: 'Amount' },
+    { key: 'discount', label: 'Discount' },
+    { key: 'coupon_code', label: 'Discount Code' },
+    { key: 'currency', label: 'Currency' },
+    { key: 'status', label: 'Status' },
+    { key: 'refunded', label: 'Refunded' },
+    { key: 'flag', label: 'Flag' }
+];
+
+/**
+ * The report as CSV: one row per payment, then one per flagged registration
+ */
+const paymentReportToCSV = ({ payments, flags }) => {
+    const flagOf = (paymentId) => flags.find(f => f.payment && String(f.payment) === String(paymentId))?.message || '';
+    const rows = payments.map(p => ({
+        date: p.completed_at || p.createdAt,
+        name: p.user?.username,
+        email: p.user?.email,
+        scope: p.scope,
+        gateway: p.gateway,
+        paymentID: p.paymentID,
+        trans_id: p.trans_id,
+        amount: p.amount,
+        discount: p.discount,
+        coupon_code: p.coupon_code,
+        currency: p.currency,
+        status: p.status,
+        refunded: p.refunded,
+        flag: flagOf(p._id)
+    }));
+    for (const f of flags.filter(f => f.registration)) {
+        rows.push({ name: f.user?.username, email: f.user?.email, scope: 'registration', status: f.type, flag: f.message });
+    }
+    return toCSV(CSV_COLUMNS, rows);
+};
+
+module.exports = {
+    buildPaymentReport,
+    paymentReportToCSV
+};
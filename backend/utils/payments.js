@@ -0,0 +1,434 @@
+const { v4: uuidv4 } = require('uuid');
+const Payment = require('../models/PaymentModel');
+const Registration = require('../models/RegistrationModel');
+const Events = require('../models/EventModel');
+const Refund = require('../models/RefundModel');
+const sendEmail = require('./sendEmail');
+const { getGateway, DEFAULT_GATEWAYS } = require('./gateways');
+const { registerForSeries, getSeriesSessions } = require('./eventSeries');
+const { isEventExpired } = require('./eventCleanup');
+const { getCurrentPrice, reserveCoupon, redeemCoupon, releaseCoupon } = require('./pricing');
+const { confirmTeam } = require('./teams');
+const { findActiveBan } = require('./bans');
+const { hasFreeSeat, withSeatLock } = require('./waitlist');
+
+const RECHECK_INTERVAL_MINUTES = parseInt(process.env.PAYMENT_RECHECK_MINUTES) || 5;
+// A payment left in processing this long was interrupted (e.g. the server restarted)
+const STALE_PROCESSING_MS = 15 * 60 * 1000;
+
+/**
+ * Gateways an event accepts (events created before gateways were selectable take bKash)
+ */
+const getAcceptedGateways = (event) => {
+    return event.payment_gateways?.length ? event.payment_gateways : DEFAULT_GATEWAYS;
+};
+
+const roundMoney = (amount) => Math.round(amount * 100) / 100;
+
+// One entry of a payment's history (see PaymentModel)
+const historyEntry = (action, status, { note = '', response } = {}) => ({
+    action,
+    status,
+    note,
+    response,
+    at: new Date()
+});
+
+/**
+ * Record a gateway interaction on a payment without touching the rest of it
+ */
+const recordPaymentEvent = (paymentId, action, status, details) => {
+    return Payment.updateOne({ _id: paymentId }, { $push: { history: historyEntry(action, status, details) } });
+};
+
+/**
+ * Start a payment at a gateway and remember it
+ * event is the event paid for, or the series parent when paying for a whole series
+ * team is the team a captain pays for (one fee for every member)
+ * answers are the payer's registration form answers, saved once the payment confirms the seat
+ * price is a quote from utils/pricing ({ base, discount, amount, coupon, sessions }); its coupon use
+ * is reserved until the payment completes or fails, and a series payment keeps its session prices
+ * Returns { payment, url } where url is the gateway's checkout page, or { error }
+ */
+const startPayment = async ({ gatewayName, user, event, series = false, team = null, answers, price }) => {
+    const gateway = getGateway(gatewayName);
+    const { amount, base, discount, coupon } = price;
+
+    let redemption = null;
+    if (coupon) {
+        redemption = await reserveCoupon({ coupon, userId: user._id, event, base, discount });
+        if (!redemption) return { error: 'This discount code has been fully used' };
+    }
+
+    let payment;
+    let url;
+    try {
+        const invoice = "Inv" + uuidv4().substring(0, 8);
+        const created = await gateway.create({
+            amount,
+            invoice,
+            user,
+            event,
+            callbackURL: `${process.env.backend_url}/api/payments/${gateway.name}/callback`,
+            webhookURL: `${process.env.backend_url}/api/payments/${gateway.name}/webhook`
+        });
+        url = created.url;
+        payment = await Payment.create({
+            gateway: gateway.name,
+            paymentID: created.paymentID,
+            user: user._id,
+            event: event._id,
+            series,
+            sessions: series ? price.sessions : undefined,
+            team: team?._id || null,
+            answers,
+            amount,
+            base_amount: base,
+            coupon_code: coupon?.code || '',
+            discount,
+            invoice,
+            history: [historyEntry('create', 'initiated', { response: created.response })]
+        });
+    } catch (error) {
+        if (redemption) await releaseCoupon({ _id: redemption._id });
+        throw error;
+    }
+    if (redemption) {
+        redemption.payment = payment._id;
+        await redemption.save();
+    }
+    return { payment, url };
+};
+
+/**
+ * Sessions a series payment covers with their prices
+ * Payments from before the quoted sessions were stored cover every upcoming session
+ */
+const getPaidSessions = async (payment) => {
+    if (payment.sessions?.length) return payment.sessions;
+    const sessions = (await getSeriesSessions(payment.event)).filter(s => !isEventExpired(s.date));
+    return sessions.map(s => ({ event: s._id, price: getCurrentPrice(s, payment.createdAt || new Date()).price }));
+};
+
+/**
+ * Confirm the registration(s) a completed payment was for
+ * Returns { success, eventId, refund } where refund ({ amount, reason }) is the share of a series
+ * payment whose sessions had no seat left, or { success: false, message }
+ */
+const fulfillPayment = async (payment) => {
+    const userId = payment.user;
+    const eventId = payment.event;
+
+    // Cancelled (or ended) while the payer was at the gateway
+    if (!(await Events.exists({ _id: eventId, is_archived: { $ne: true } }))) {
+        return { success: false, message: 'This event is no longer taking registrations' };
+    }
+
+    // Paid by a team captain: confirm every member's seat
+    if (payment.team) return confirmTeam(payment.team, { trans_id: payment.trans_id });
+
+    // Paid for a whole series: confirm the sessions it was quoted for that still have a seat
+    if (payment.series) {
+        const sessions = await getPaidSessions(payment);
+        const { registrations, unavailable } = await registerForSeries(userId, eventId, {
+            paid: true,
+            sessionIds: sessions.map(s => s.event),
+            trans_id: payment.trans_id,
+            answers: payment.answers
+        });
+        if (registrations.length === 0) {
+            return { success: false, message: 'No session of this series has a seat left for you' };
+        }
+        const missed = sessions.filter(s => unavailable.some(u => String(u._id) === String(s.event)));
+        const total = sessions.reduce((sum, s) => sum + s.price, 0);
+        const share = total > 0 ? roundMoney(payment.amount * missed.reduce((sum, s) => sum + s.price, 0) / total) : 0;
+        return {
+            success: true,
+            eventId: registrations[0].eventId,
+            refund: share > 0 ? { amount: share, reason: `${missed.length} session(s) of the series had no seat left` } : null
+        };
+    }
+
+    const existing = await Registration.findOne({ userId: userId, eventId: eventId });
+    if (existing && existing.payment_status === 'completed' && !existing.is_waitlisted) {
+        return { success: false, message: 'Already registered for this event' };
+    }
+
+    // Confirm the seat held for this payment (also after a waitlist promotion). A hold that expired
+    // while the payer was at the gateway may have gone to the waitlist: the seat is only taken if
+    // one is still free, else the payment is refunded
+    const holdsSeat = existing && existing.payment_status === 'pending' && !existing.is_waitlisted;
+    const event = await Events.findById(eventId);
+    if (!event) return { success: false, message: 'Event not found' };
+    const confirmed = await withSeatLock(event, async () => {
+        if (!holdsSeat && !(await hasFreeSeat(event))) return false;
+        const registration = existing || new Registration({ userId, eventId });
+        registration.payment_status = 'completed';
+        registration.is_registered = true;
+        registration.is_waitlisted = false;
+        registration.waitlisted_at = null;
+        registration.payment_due_at = null;
+        registration.trans_id = payment.trans_id;
+        if (payment.answers) registration.answers = payment.answers;
+        await registration.save();
+        return true;
+    });
+    if (!confirmed) return { success: false, message: 'The event filled up before your payment completed' };
+    return { success: true, eventId };
+};
+
+/**
+ * Confirm a registration whose fee a coupon covered in full; nothing goes through a gateway
+ * Returns { success, eventId, message }
+ */
+const registerWithoutPayment = async ({ user, event, series = false, team = null, answers, price }) => {
+    const redemption = await reserveCoupon({
+        coupon: price.coupon,
+        userId: user._id,
+        event,
+        base: price.base,
+        discount: price.discount
+    });
+    if (!redemption) return { success: false, message: 'This discount code has been fully used' };
+    const result = await fulfillPayment({ user: user._id, event: event._id, series, sessions: price.sessions, amount: 0, team: team?._id, answers });
+    if (!result.success) {
+        await releaseCoupon({ _id: redemption._id });
+    } else {
+        redemption.status = 'redeemed';
+        await redemption.save();
+    }
+    return result;
+};
+
+/**
+ * Give back a completed payment (or the given part of it) whose seat could not be confirmed,
+ * e.g. the payer was moved to the waitlist or a session filled up while they were at the gateway
+ * The refund is always recorded, with the payer's registration when one is left; one the gateway
+ * turns down is left as a failed refund request organizers can retry
+ * Returns the message for the payer
+ */
+const refundUnfulfilledPayment = async (payment, reason, amount = payment.amount) => {
+    let result;
+    try {
+        result = await getGateway(payment.gateway).refund(payment, amount, reason);
+    } catch (error) {
+        result = { success: false, reason: error.response?.data?.statusMessage || error.message, response: error.response?.data };
+    }
+    await recordPaymentEvent(payment._id, 'refund', payment.status, {
+        note: result.success ? `Refunded ৳${amount}: ${reason}` : `Refund of ৳${amount} failed: ${result.reason}`,
+        response: result.response
+    });
+    if (!result.success) console.error(`Payment ${payment.paymentID} could not be refunded after "${reason}": ${result.reason}`);
+
+    const registration = await Registration.findOne({
+        userId: payment.user,
+        ...(payment.series ? { series: payment.event } : { eventId: payment.event })
+    });
+    await Refund.create({
+        registration: registration?._id || null,
+        user: payment.user,
+        event: payment.event,
+        payment: payment._id,
+        gateway: payment.gateway,
+        amount_paid: payment.amount,
+        amount,
+        percent: payment.amount > 0 ? Math.round(amount / payment.amount * 100) : 0,
+        status: result.success ? 'completed' : 'failed',
+        reason,
+        refund_id: result.refund_id || '',
+        failure_reason: result.success ? '' : result.reason || '',
+        processed_at: result.success ? new Date() : null
+    });
+    return `${reason}. ৳${amount} of your payment ${result.success ? 'was' : 'will be'} refunded`;
+};
+
+/**
+ * Whether the payer is banned from the event paid for (or, for a series, from any paid session)
+ */
+const isPayerBanned = async (payment) => {
+    const eventIds = [payment.event];
+    if (payment.series) eventIds.push(...(await getPaidSessions(payment)).map(s => s.event));
+    const events = await Events.find({ _id: { $in: eventIds } }).select('createdBy');
+    for (const event of events) {
+        if (await findActiveBan(payment.user, event)) return true;
+    }
+    return false;
+};
+
+/**
+ * Settle a payment reported by a gateway callback or webhook
+ * The report only says which payment to look at: the payment is claimed exactly once
+ * (unknown IDs are forged, already claimed ones are replays), then executed/verified
+ * with the gateway against the stored amount before any registration is confirmed.
+ * Webhooks pass fromWebhook so an unverified notification leaves the payment open
+ * for the payer's own callback; a gateway that could not be reached leaves it open as well,
+ * since the payer may have been charged, and is verified again by recheckPayments.
+ * Only a definitive rejection fails the payment.
+ * Returns { success, eventId, message }
+ */
+const settlePayment = async (gatewayName, { paymentID, status = 'success', data } = {}, { fromWebhook = false, recheck = false } = {}) => {
+    const gateway = getGateway(gatewayName);
+    const action = recheck ? 'verify' : fromWebhook ? 'webhook' : 'callback';
+    const payment = await Payment.findOneAndUpdate(
+        { gateway: gateway.name, paymentID: String(paymentID || ''), status: 'initiated' },
+        {
+            $set: { status: 'processing' },
+            $push: { history: historyEntry(action, 'processing', { note: status, response: data }) }
+        },
+        { new: true }
+    );
+    if (!payment) {
+        // The other channel (callback or webhook) may have completed it already
+        const known = await Payment.findOne({ gateway: gateway.name, paymentID: String(paymentID || '') });
+        if (known) await recordPaymentEvent(known._id, action, known.status, { note: `Ignored: ${status}`, response: data });
+        if (known?.status === 'completed') return { success: true, eventId: known.event, alreadyProcessed: true };
+        return { success: false, message: 'Invalid or already processed payment' };
+    }
+
+    const fail = async (reason, response, { retryable = false } = {}) => {
+        if (fromWebhook || retryable) {
+            payment.status = 'initiated';
+            if (retryable) payment.recheck_at = new Date(Date.now() + RECHECK_INTERVAL_MINUTES * 60 * 1000);
+        } else {
+            payment.recheck_at = null;
+            payment.status = 'failed';
+            payment.failure_reason = reason;
+        }
+        payment.history.push(historyEntry(response ? 'verify' : action, payment.status, { note: reason, response }));
+        await payment.save();
+        if (payment.status === 'failed') await releaseCoupon({ payment: payment._id });
+        if (retryable) return { success: false, message: `${reason}. Your registration will be confirmed once the payment is verified` };
+        return { success: false, message: reason };
+    };
+
+    if (status !== 'success') return fail(status);
+
+    // Until the payment is marked completed an error leaves it open to be verified again
+    try {
+        const result = await gateway.verify(payment, data);
+        if (!result.verified) {
+            console.warn(`${gateway.label} payment ${payment.paymentID} rejected: ${result.reason}`);
+            return fail(result.reason, result.response || {}, { retryable: result.retryable });
+        }
+        if (await Payment.exists({ trans_id: result.trans_id })) {
+            payment.status = 'failed';
+            payment.recheck_at = null;
+            payment.failure_reason = 'Transaction already used';
+            payment.history.push(historyEntry('verify', 'failed', { note: payment.failure_reason, response: result.response }));
+            await payment.save();
+            await releaseCoupon({ payment: payment._id });
+            return { success: false, message: payment.failure_reason };
+        }
+        payment.status = 'completed';
+        payment.recheck_at = null;
+        payment.trans_id = result.trans_id;
+        payment.completed_at = new Date();
+        payment.history.push(historyEntry('verify', 'completed', { response: result.response }));
+        await payment.save();
+    } catch (error) {
+        console.error(`${gateway.label} payment ${payment.paymentID} could not be verified:`, error);
+        payment.trans_id = undefined;
+        payment.completed_at = null;
+        return fail('Payment could not be verified', {}, { retryable: true });
+    }
+
+    // The payer has been charged from here on: anything that stops the seat from being confirmed
+    // refunds the payment. A user banned while at the gateway gets their money back as well (some
+    // gateways, like SSLCommerz, have charged before reporting), as does their coupon use
+    let fulfilled;
+    try {
+        if (await isPayerBanned(payment)) {
+            fulfilled = { success: false, message: 'Banned from this event' };
+        } else {
+            await redeemCoupon(payment._id);
+            fulfilled = await fulfillPayment(payment);
+        }
+    } catch (error) {
+        console.error(`Paid registration for payment ${payment.paymentID} could not be confirmed:`, error);
+        fulfilled = { success: false, message: 'Your registration could not be confirmed' };
+    }
+    if (!fulfilled.success) {
+        await releaseCoupon({ payment: payment._id });
+        return { success: false, message: await refundUnfulfilledPayment(payment, fulfilled.message) };
+    }
+    if (fulfilled.refund) {
+        fulfilled.message = await refundUnfulfilledPayment(payment, fulfilled.refund.reason, fulfilled.refund.amount);
+    }
+    return fulfilled;
+};
+
+/**
+ * Verify again the payments whose gateway could not be reached, so a payer charged during an
+ * outage still gets their seat or their money back without another callback. Payments left in
+ * processing by an interrupted settlement are reopened and verified as well
+ * The payer is emailed the outcome once one is known
+ * Returns the number of payments settled (completed or failed)
+ */
+const recheckPayments = async (now = new Date()) => {
+    await Payment.updateMany(
+        { status: 'processing', updatedAt: { $lte: new Date(now.getTime() - STALE_PROCESSING_MS) } },
+        {
+            $set: { status: 'initiated', recheck_at: now },
+            $push: { history: historyEntry('verify', 'initiated', { note: 'Settlement was interrupted, verifying again' }) }
+        }
+    );
+
+    const due = await Payment.find({ status: 'initiated', recheck_at: { $ne: null, $lte: now } })
+        .select('gateway paymentID');
+    let settled = 0;
+    for (const { gateway, paymentID } of due) {
+        try {
+            const result = await settlePayment(gateway, { paymentID }, { recheck: true });
+            const payment = await Payment.findOne({ gateway, paymentID })
+                .select('status')
+                .populate('user', 'username email')
+                .populate('event', 'title');
+            if (!['completed', 'failed'].includes(payment?.status)) continue;
+            settled++;
+            if (!payment.user?.email) continue;
+            const title = payment.event?.title || 'your event';
+            const outcome = result.success
+                ? `Your payment was verified and your registration for "${title}" is confirmed.${result.message ? `
+
+${result.message}.` : ''}`
+                : `Your payment for "${title}" could not be completed: ${result.message}.`;
+            await sendEmail(payment.user.email, `CampusCrew - Your payment for ${title}`, `Hello ${payment.user.username},
+
+${outcome}
+
+Best regards,
+CampusCrew Team`);
+        } catch (error) {
+            console.error(`Payment ${paymentID} could not be verified again:`, error);
+        }
+    }
+    return settled;
+};
+
+/**
+ * Start verifying open payments again
+ * Runs every PAYMENT_RECHECK_MINUTES (default 5)
+ */
+const startPaymentRecheck = () => {
+    console.log(`Starting payment recheck (every ${RECHECK_INTERVAL_MINUTES} min)...`);
+    const run = async () => {
+        try {
+            const settled = await recheckPayments();
+            if (settled) console.log(`Settled ${settled} payment(s) on recheck`);
+        } catch (error) {
+            console.error('Error while verifying payments again:', error);
+        }
+    };
+    run();
+    setInterval(run, RECHECK_INTERVAL_MINUTES * 60 * 1000);
+};
+
+module.exports = {
+    recordPaymentEvent,
+    getAcceptedGateways,
+    startPayment,
+    registerWithoutPayment,
+    settlePayment,
+    recheckPayments,
+    startPaymentRecheck
+};
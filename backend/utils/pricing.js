@@ -0,0 +1,171 @@
+const Coupon = require('../models/CouponModel');
+const CouponRedemption = require('../models/CouponRedemptionModel');
+
+const roundMoney = (amount) => Math.round(amount * 100) / 100;
+
+/**
+ * Read early-bird price tiers from a request body (array or JSON string from a form)
+ * Returns { tiers } sorted by date (undefined when nothing was sent) or { error }
+ */
+const parsePriceTiers = (input) => {
+    if (input === undefined || input === null || input === '') return { tiers: undefined };
+    let list = input;
+    if (typeof list === 'string') {
+        try {
+            list = JSON.parse(list);
+        } catch (e) {
+            return { error: 'Invalid price tiers' };
+        }
+    }
+    if (!Array.isArray(list)) return { error: 'Invalid price tiers' };
+
+    const tiers = [];
+    for (const tier of list) {
+        const price = Number(tier.price);
+        const until = new Date(tier.until);
+        if (tier.price === '' || isNaN(price) || price < 0) return { error: 'Each price tier needs a price of 0 or more' };
+        if (!tier.until || isNaN(until.getTime())) return { error: 'Each price tier needs an end date' };
+        tiers.push({ label: String(tier.label || '').trim() || 'Early bird', price, until });
+    }
+    tiers.sort((a, b) => a.until - b.until);
+    return { tiers };
+};
+
+/**
+ * Price of an event at a given time: the first tier that has not ended, else the regular fee
+ * Returns { price, tier } where tier is the applied tier or null
+ */
+const getCurrentPrice = (event, at = new Date()) => {
+    const tier = (event.price_tiers || [])
+        .slice()
+        .sort((a, b) => a.until - b.until)
+        .find(t => at <= t.until);
+    if (tier) return { price: tier.price, tier };
+    return { price: Number(event.registration_fee) || 0, tier: null };
+};
+
+/**
+ * Find an active coupon for an event by code
+ * Codes made on a series parent also apply to its sessions
+ */
+const findCoupon = (event, code) => {
+    const events = [event._id, event.series].filter(Boolean);
+    return Coupon.findOne({ event: { $in: events }, code: String(code).trim().toUpperCase() });
+};
+
+/**
+ * Why a coupon cannot be used by a user right now, or null when it can
+ */
+const checkCoupon = async (coupon, userId, at = new Date()) => {
+    if (!coupon || !coupon.active) return 'Invalid discount code';
+    if (coupon.expires_at && at > coupon.expires_at) return 'This discount code has expired';
+    if (coupon.max_uses && coupon.used_count >= coupon.max_uses) return 'This discount code has been fully used';
+    if (coupon.per_user_limit && userId) {
+        const used = await CouponRedemption.countDocuments({
+            coupon: coupon._id,
+            user: userId,
+            status: { $in: ['reserved', 'redeemed'] }
+        });
+        if (used >= coupon.per_user_limit) return 'You have already used this discount code';
+    }
+    return null;
+};
+
+/**
+ * Discount a coupon gives on an amount (never more than the amount)
+ */
+const getDiscount = (coupon, amount) => {
+    const discount = coupon.discount_type === 'fixed'
+        ? coupon.discount_value
+        : amount * Math.min(coupon.discount_value, 100) / 100;
+    return roundMoney(Math.min(discount, amount));
+};
+
+/**
+ * What a user pays: the current price (of each session for a series), minus a coupon
+ * sessions: the sessions being paid for when paying a whole series
+ * Returns { base, tier, discount, amount, coupon, sessions } or { error } for an unusable code
+ * (sessions: [{ event, price }] for a series, the price of each session)
+ */
+const quotePrice = async ({ event, sessions, userId, code, at = new Date() }) => {
+    let base;
+    let tier = null;
+    let sessionPrices;
+    if (sessions) {
+        sessionPrices = sessions.map(s => ({ event: s._id, price: getCurrentPrice(s, at).price }));
+        base = sessionPrices.reduce((sum, s) => sum + s.price, 0);
+    } else {
+        ({ price: base, tier } = getCurrentPrice(event, at));
+    }
+    base = roundMoney(base);
+
+    if (!code) return { base, tier, discount: 0, amount: base, coupon: null, sessions: sessionPrices };
+    const coupon = await findCoupon(event, code);
+    const error = await checkCoupon(coupon, userId, at);
+    if (error) return { error };
+    const discount = getDiscount(coupon, base);
+    return { base, tier, discount, amount: roundMoney(base - discount), coupon, sessions: sessionPrices };
+};
+
+/**
+ * Reserve one use of a coupon for a payment (or for a fully discounted registration)
+ * The use is counted atomically, in total and for the user, so a code cannot be used past
+ * max_uses or per_user_limit even by checkouts started at the same time.
+ * Returns the redemption, or null when the last use (or the user's last use) was taken meanwhile
+ */
+const reserveCoupon = async ({ coupon, userId, event, payment = null, base, discount }) => {
+    const userUses = `user_uses.${userId}`;
+    const filter = { _id: coupon._id, active: true };
+    if (coupon.max_uses) filter.used_count = { $lt: coupon.max_uses };
+    if (coupon.per_user_limit) filter[userUses] = { $not: { $gte: coupon.per_user_limit } };
+    const taken = await Coupon.findOneAndUpdate(filter, { $inc: { used_count: 1, [userUses]: 1 } });
+    if (!taken) return null;
+    return CouponRedemption.create({
+        coupon: coupon._id,
+        event: event._id,
+        user: userId,
+        payment: payment?._id || null,
+        code: coupon.code,
+        base_amount: base,
+        discount
+    });
+};
+
+/**
+ * Mark the coupon use of a completed payment as redeemed
+ * A use released because the payment looked abandoned is counted again
+ */
+const redeemCoupon = async (paymentId) => {
+    const redemption = await CouponRedemption.findOneAndUpdate(
+        { payment: paymentId, status: { $ne: 'redeemed' } },
+        { $set: { status: 'redeemed' } }
+    );
+    if (redemption?.status === 'released') {
+        await Coupon.updateOne({ _id: redemption.coupon }, { $inc: { used_count: 1, [`user_uses.${redemption.user}`]: 1 } });
+    }
+    return redemption;
+};
+
+/**
+ * Give back a reserved coupon use, e.g. { payment } of a payment that did not complete
+ */
+const releaseCoupon = async (filter) => {
+    const redemption = await CouponRedemption.findOneAndUpdate(
+        { ...filter, status: 'reserved' },
+        { $set: { status: 'released' } }
+    );
+    if (redemption) await Coupon.updateOne({ _id: redemption.coupon }, { $inc: { used_count: -1, [`user_uses.${redemption.user}`]: -1 } });
+    return redemption;
+};
+
+module.exports = {
+    parsePriceTiers,
+    getCurrentPrice,
+    findCoupon,
+    checkCoupon,
+    getDiscount,
+    quotePrice,
+    reserveCoupon,
+    redeemCoupon,
+    releaseCoupon
+};
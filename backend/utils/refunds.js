@@ -0,0 +1,257 @@
+const Payment = require('../models/PaymentModel');
+const Refund = require('../models/RefundModel');
+const CouponRedemption = require('../models/CouponRedemptionModel');
+const { getGateway } = require('./gateways');
+const { recordPaymentEvent } = require('./payments');
+const sendEmail = require('./sendEmail');
+
+const toDate = (value) => {
+    if (!value) return null;
+    const d = new Date(value);
+    return isNaN(d.getTime()) ? undefined : d;
+};
+
+/**
+ * Read a cancellation policy from a request body (object or JSON string from a form)
+ * Returns { policy } (undefined when nothing was sent) or { error }
+ */
+const parseCancellationPolicy = (input) => {
+    if (input === undefined || input === null || input === '') return { policy: undefined };
+    let raw = input;
+    if (typeof raw === 'string') {
+        try {
+            raw = JSON.parse(raw);
+        } catch (e) {
+            return { error: 'Invalid cancellation policy' };
+        }
+    }
+    const policy = {
+        full_refund_until: toDate(raw.full_refund_until),
+        partial_refund_percent: Number(raw.partial_refund_percent) || 0,
+        partial_refund_until: toDate(raw.partial_refund_until)
+    };
+    if (policy.full_refund_until === undefined || policy.partial_refund_until === undefined) {
+        return { error: 'Invalid cancellation policy date' };
+    }
+    if (policy.partial_refund_percent < 0 || policy.partial_refund_percent > 100) {
+        return { error: 'Partial refund must be between 0 and 100 percent' };
+    }
+    if (policy.full_refund_until && policy.partial_refund_until && policy.partial_refund_until < policy.full_refund_until) {
+        return { error: 'The partial refund period must end after the full refund period' };
+    }
+    return { policy };
+};
+
+/**
+ * Share of a fee refunded when cancelling at a given time under an event's policy
+ * Events without a policy refund nothing
+ */
+const getRefundPercent = (event, at = new Date()) => {
+    const policy = event.cancellation_policy || {};
+    if (policy.full_refund_until && at <= policy.full_refund_until) return 100;
+    const partialUntil = policy.partial_refund_until || event.date;
+    if (policy.partial_refund_percent > 0 && at <= partialUntil) return policy.partial_refund_percent;
+    return 0;
+};
+
+const roundMoney = (amount) => Math.round(amount * 100) / 100;
+
+// Payment a registration was confirmed with: its own, or the whole-series payment
+const findPayment = (registration, event) => {
+    return Payment.findOne({
+        user: registration.userId,
+        event: registration.series || event._id,
+        series: !!registration.series,
+        status: 'completed'
+    }).sort({ completed_at: -1 });
+};
+
+// Coupon use of a registration a discount code covered in full (no payment went through a gateway)
+const findFreeRedemption = (registration, event) => {
+    return CouponRedemption.findOne({
+        user: registration.userId,
+        event: registration.series || event._id,
+        payment: null,
+        status: 'redeemed'
+    }).sort({ createdAt: -1 });
+};
+
+// What was paid for one session of a series payment: its share of the amount charged, by the
+// session prices stored at checkout (tier and coupon prices); the regular fee otherwise
+const sessionShare = (payment, event, fee) => {
+    if (!payment?.series || !payment.sessions?.length) return fee;
+    const total = payment.sessions.reduce((sum, s) => sum + s.price, 0);
+    const session = payment.sessions.find(s => String(s.event) === String(event._id));
+    if (!session || total <= 0) return 0;
+    return payment.amount * session.price / total;
+};
+
+/**
+ * Work out the refund for cancelling paid registrations
+ * entries: [{ registration, event }] for the registrations being cancelled
+ * full refunds everything paid regardless of the cancellation policy (the organizer removed the attendee)
+ * Returns one quote per gateway payment: { payment, registration, event, amount_paid, amount, percent }
+ * (amounts are 0 for registrations a discount code made free)
+ */
+const quoteRefunds = async (entries, at = new Date(), { full = false } = {}) => {
+    const groups = new Map();
+    for (const { registration, event } of entries) {
+        if (registration.payment_status !== 'completed' || registration.is_waitlisted) continue;
+        const fee = Number(event.registration_fee) || 0;
+        if (fee <= 0) continue;
+        const key = registration.series ? `series:${registration.series}` : `event:${event._id}`;
+        if (!groups.has(key)) {
+            const payment = await findPayment(registration, event);
+            const redemption = payment ? null : await findFreeRedemption(registration, event);
+            groups.set(key, { payment, redemption, registration, event, fees: 0, owed: 0 });
+        }
+        const group = groups.get(key);
+        const paid = sessionShare(group.payment, event, fee);
+        group.fees += paid;
+        group.owed += paid * (full ? 100 : getRefundPercent(event, at)) / 100;
+    }
+
+    const quotes = [];
+    for (const group of groups.values()) {
+        const { payment, redemption } = group;
+        // Nothing was charged when a discount code covered the whole fee
+        if (redemption) {
+            quotes.push({ payment: null, registration: group.registration, event: group.event, amount_paid: 0, amount: 0, percent: 0 });
+            continue;
+        }
+        // A single event payment tells exactly what was paid; series payments cover several sessions
+        // (their shares are summed up above)
+        let amountPaid = payment && !payment.series ? payment.amount : group.fees;
+        let amount = payment && !payment.series ? payment.amount * group.owed / group.fees : group.owed;
+        if (payment) {
+            const refunded = await Refund.find({ payment: payment._id, status: { $nin: ['failed', 'rejected'] } });
+            const left = payment.amount - refunded.reduce((sum, r) => sum + r.amount, 0);
+            amountPaid = Math.min(amountPaid, payment.amount);
+            amount = Math.min(amount, left);
+        }
+        amountPaid = roundMoney(amountPaid);
+        amount = roundMoney(Math.max(amount, 0));
+        quotes.push({
+            payment,
+            registration: group.registration,
+            event: group.event,
+            amount_paid: amountPaid,
+            amount,
+            percent: amountPaid > 0 ? Math.round(amount / amountPaid * 100) : 0
+        });
+    }
+    return quotes;
+};
+
+/**
+ * Open refund requests for cancelled registrations; organizers approve them
+ * event is what the user cancelled (the series parent when leaving a whole series)
+ * full skips the cancellation policy (see quoteRefunds)
+ * Returns the created refunds (none when nothing is refundable)
+ */
+const requestRefunds = async (entries, { event, reason = '', full = false } = {}) => {
+    const quotes = await quoteRefunds(entries, new Date(), { full });
+    const refunds = [];
+    for (const quote of quotes) {
+        if (quote.amount <= 0) continue;
+        refunds.push(await Refund.create({
+            registration: quote.registration._id,
+            user: quote.registration.userId,
+            event: event?._id || quote.event._id,
+            payment: quote.payment?._id || null,
+            gateway: quote.payment?.gateway || null,
+            amount_paid: quote.amount_paid,
+            amount: quote.amount,
+            percent: quote.percent,
+            reason
+        }));
+    }
+    return refunds;
+};
+
+/**
+ * Pay out an approved refund through the gateway it was paid with
+ * Refunds without a recorded payment are marked as settled outside the gateway
+ * Failed refunds can be processed again
+ */
+const processRefund = async (refundId, reviewerId, note = '') => {
+    const refund = await Refund.findOneAndUpdate(
+        { _id: refundId, status: { $in: ['pending', 'failed'] } },
+        { $set: { status: 'processing', reviewedBy: reviewerId, review_note: note } },
+        { new: true }
+    ).populate('user', 'username email').populate('event', 'title');
+    if (!refund) return { success: false, status: 409, message: 'Refund is not waiting for approval' };
+
+    const payment = refund.payment ? await Payment.findById(refund.payment) : null;
+    let result;
+    if (!payment) {
+        result = { success: true, refund_id: 'manual' };
+    } else {
+        try {
+            result = await getGateway(payment.gateway).refund(payment, refund.amount, refund.reason || 'Registration cancelled');
+        } catch (error) {
+            result = { success: false, reason: error.response?.data?.statusMessage || error.message, response: error.response?.data };
+        }
+    }
+
+    if (payment) {
+        await recordPaymentEvent(payment._id, 'refund', payment.status, {
+            note: result.success ? `Refunded ৳${refund.amount}` : `Refund of ৳${refund.amount} failed: ${result.reason}`,
+            response: result.response
+        });
+    }
+
+    refund.status = result.success ? 'completed' : 'failed';
+    refund.refund_id = result.refund_id || '';
+    refund.failure_reason = result.success ? '' : result.reason;
+    refund.processed_at = new Date();
+    await refund.save();
+
+    if (result.success && refund.user?.email) {
+        const subject = `CampusCrew - Your refund for ${refund.event?.title || 'your event'}`;
+        const text = `Hello ${refund.user.username},
+
+Your refund of ৳${refund.amount} for "${refund.event?.title || 'your event'}" has been ${payment ? `sent back through ${getGateway(payment.gateway).label}` : 'approved'}.
+${payment ? 'It can take a few business days to show up in your account.' : 'The organizer will contact you about the payout.'}
+
+Best regards,
+CampusCrew Team`;
+        await sendEmail(refund.user.email, subject, text);
+    }
+    return { success: result.success, refund, message: result.success ? 'Refund completed' : `Refund failed: ${result.reason}` };
+};
+
+/**
+ * Decline a refund request
+ */
+const rejectRefund = async (refundId, reviewerId, note) => {
+    const refund = await Refund.findOneAndUpdate(
+        { _id: refundId, status: { $in: ['pending', 'failed'] } },
+        { $set: { status: 'rejected', reviewedBy: reviewerId, review_note: note, processed_at: new Date() } },
+        { new: true }
+    ).populate('user', 'username email').populate('event', 'title');
+    if (!refund) return { success: false, status: 409, message: 'Refund is not waiting for approval' };
+
+    if (refund.user?.email) {
+        const subject = `CampusCrew - Refund request for ${refund.event?.title || 'your event'}`;
+        const text = `Hello ${refund.user.username},
+
+Your refund request of ৳${refund.amount} for "${refund.event?.title || 'your event'}" was declined by the organizer.
+
+Reason: ${note}
+
+Best regards,
+CampusCrew Team`;
+        await sendEmail(refund.user.email, subject, text);
+    }
+    return { success: true, refund, message: 'Refund rejected' };
+};
+
+module.exports = {
+    parseCancellationPolicy,
+    getRefundPercent,
+    quoteRefunds,
+    requestRefunds,
+    processRefund,
+    rejectRefund
+};
@@ -0,0 +1,139 @@
+const FIELD_TYPES = ['text', 'select', 'checkbox', 'file'];
+// Largest upload a form field may allow (the upload middleware enforces it too)
+const MAX_FILE_MB = 10;
+const MAX_FIELDS = 30;
+
+const toNumber = (value) => (value === undefined || value === null || value === '' ? undefined : Number(value));
+
+/**
+ * Read the registration form of an event from a request body (array or JSON string from a form)
+ * Each field gets a stable key (answers are stored by key), generated from the label when missing
+ * Returns { fields } (undefined when nothing was sent) or { error }
+ */
+const parseFormFields = (input) => {
+    if (input === undefined || input === null || input === '') return { fields: undefined };
+    let list = input;
+    if (typeof list === 'string') {
+        try {
+            list = JSON.parse(list);
+        } catch (e) {
+            return { error: 'Invalid registration form' };
+        }
+    }
+    if (!Array.isArray(list)) return { error: 'Invalid registration form' };
+    if (list.length > MAX_FIELDS) return { error: `A registration form can have at most ${MAX_FIELDS} fields` };
+
+    const fields = [];
+    const keys = new Set();
+    for (const raw of list) {
+        const label = String(raw.label || '').trim();
+        if (!label) return { error: 'Every form field needs a label' };
+        const type = raw.type || 'text';
+        if (!FIELD_TYPES.includes(type)) return { error: `Unknown field type for "${label}"` };
+
+        let key = String(raw.key || '').trim() || label.toLowerCase().replace(/[^a-z0-9]+/g, '_').replace(/^_|_$/g, '') || 'field';
+        for (let n = 2; keys.has(key); n++) key = `${key.replace(/_\d+$/, '')}_${n}`;
+        keys.add(key);
+
+        const field = { key, label, type, required: raw.required === true || raw.required === 'true', help: String(raw.help || '').trim() };
+        if (type === 'select' || type === 'checkbox') {
+            field.options = [...new Set((raw.options || []).map(o => String(o).trim()).filter(Boolean))];
+            if (type === 'select' && field.options.length < 2) return { error: `"${label}" needs at least two options` };
+        }
+        if (type === 'text') {
+            field.min_length = toNumber(raw.min_length);
+            field.max_length = toNumber(raw.max_length);
+            if ([field.min_length, field.max_length].some(n => n !== undefined && (!Number.isInteger(n) || n < 0))) {
+                return { error: `Length limits of "${label}" must be whole numbers` };
+            }
+            if (field.min_length !== undefined && field.max_length !== undefined && field.min_length > field.max_length) {
+                return { error: `The minimum length of "${label}" is more than its maximum` };
+            }
+            field.pattern = String(raw.pattern || '').trim();
+            if (field.pattern) {
+                try {
+                    new RegExp(field.pattern);
+                } catch (e) {
+                    return { error: `The pattern of "${label}" is not a valid regular expression` };
+                }
+            }
+            field.pattern_message = String(raw.pattern_message || '').trim();
+        }
+        if (type === 'file') {
+            field.accept = (raw.accept || []).map(a => String(a).trim()).filter(Boolean);
+            field.max_size_mb = toNumber(raw.max_size_mb) || 5;
+            if (!(field.max_size_mb > 0) || field.max_size_mb > MAX_FILE_MB) {
+                return { error: `Uploads for "${label}" can be at most ${MAX_FILE_MB} MB` };
+            }
+        }
+        fields.push(field);
+    }
+    return { fields };
+};
+
+/**
+ * Whether an uploaded file's type is allowed by a file field (accept holds MIME types like "image/*")
+ */
+const isAcceptedFile = (field, mimetype) => {
+    if (!field.accept?.length) return true;
+    return field.accept.some(pattern => (pattern.endsWith('/*')
+        ? String(mimetype).startsWith(pattern.slice(0, -1))
+        : pattern === mimetype));
+};
+
+/**
+ * Check a user's answers against an event's form
+ * answers: { [key]: value } where file fields hold { url, name } from the upload endpoint
+ * Returns { answers } (stored on the registration, labels included) or { error }
+ */
+const validateAnswers = (fields, answers) => {
+    const given = answers && typeof answers === 'object' ? answers : {};
+    const result = [];
+    for (const field of fields || []) {
+        let value = given[field.key];
+        const blank = value === undefined || value === null || value === '' || value === false
+            || (Array.isArray(value) && value.length === 0);
+
+        if (blank) {
+            if (field.required) {
+                return { error: field.type === 'checkbox' && !field.options?.length ? `Please tick "${field.label}"` : `"${field.label}" is required` };
+            }
+            continue;
+        }
+
+        if (field.type === 'text') {
+            value = String(value).trim();
+            if (field.min_length && value.length < field.min_length) return { error: `"${field.label}" needs at least ${field.min_length} characters` };
+            if (field.max_length && value.length > field.max_length) return { error: `"${field.label}" can be at most ${field.max_length} characters` };
+            if (field.pattern && !new RegExp(`^(?:${field.pattern})$`).test(value)) {
+                return { error: field.pattern_message || `"${field.label}" is not in the expected format` };
+            }
+        } else if (field.type === 'select') {
+            value = String(value);
+            if (!field.options.includes(value)) return { error: `Choose one of the options for "${field.label}"` };
+        } else if (field.type === 'checkbox') {
+            if (field.options?.length) {
+                value = (Array.isArray(value) ? value : [value]).map(String);
+                if (value.some(v => !field.options.includes(v))) return { error: `Choose from the options for "${field.label}"` };
+            } else {
+                value = value === true || value === 'true';
+            }
+        } else if (field.type === 'file') {
+            // Only files uploaded through the event's upload endpoint are accepted
+            if (!value.url || !String(value.url).startsWith('https://res.cloudinary.com/')) {
+                return { error: `Upload a file for "${field.label}"` };
+            }
+            value = { url: String(value.url), name: String(value.name || 'file') };
+        }
+        result.push({ key: field.key, label: field.label, type: field.type, value });
+    }
+    return { answers: result };
+};
+
+module.exports = {
+    FIELD_TYPES,
+    MAX_FILE_MB,
+    parseFormFields,
+    isAcceptedFile,
+    validateAnswers
+};
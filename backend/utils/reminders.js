@@ -0,0 +1,247 @@
+const jwt = require('jsonwebtoken');
+const Events = require('../models/EventModel');
+const Registration = require('../models/RegistrationModel');
+const Users = require('../models/UserModel');
+const ReminderLog = require('../models/ReminderLogModel');
+const sendEmail = require('./sendEmail');
+const { getSecret } = require('./secrets');
+
+// How long before the event / deadline reminders go out, e.g. "24,1" (hours)
+const parseOffsets = (value) => {
+    const offsets = String(value || '24,1')
+        .split(',')
+        .map(h => Math.round(parseFloat(h) * 60))
+        .filter(m => m > 0);
+    return [...new Set(offsets)].sort((a, b) => b - a);
+};
+
+const EVENT_OFFSETS = parseOffsets(process.env.REMINDER_OFFSETS_HOURS);
+const DEADLINE_OFFSETS = parseOffsets(process.env.DEADLINE_REMINDER_OFFSETS_HOURS || process.env.REMINDER_OFFSETS_HOURS);
+const CHECK_INTERVAL_MINUTES = parseInt(process.env.REMINDER_CHECK_MINUTES) || 10;
+
+/**
+ * Signed token for the opt-out link in reminder emails
+ */
+const createOptOutToken = (userId, eventId) => {
+    return jwt.sign({ purpose: 'reminder-opt-out', userId: String(userId), eventId: String(eventId) }, getSecret('JWT_SECRET'));
+};
+
+/**
+ * Read an opt-out token, returns { userId, eventId } or null
+ */
+const verifyOptOutToken = (token) => {
+    try {
+        const decoded = jwt.verify(token, getSecret('JWT_SECRET'));
+        if (decoded.purpose !== 'reminder-opt-out') return null;
+        return { userId: decoded.userId, eventId: decoded.eventId };
+    } catch (error) {
+        return null;
+    }
+};
+
+// 90 -> "1 hour 30 minutes"
+const formatTimeLeft = (minutes) => {
+    const hours = Math.floor(minutes / 60);
+    const rest = minutes % 60;
+    const parts = [];
+    if (hours) parts.push(`${hours} hour${hours === 1 ? '' : 's'}`);
+    if (rest || !hours) parts.push(`${rest} minute${rest === 1 ? '' : 's'}`);
+    return parts.join(' ');
+};
+
+const TEMPLATES = {
+    event: ({ user, event, timeLeft, eventUrl }) => ({
+        subject: `CampusCrew - Reminder: ${event.title} starts in ${timeLeft}`,
+        intro: `Hello ${user.username},
+
+This is a reminder that "${event.title}" starts in ${timeLeft}.
+
+Date: ${new Date(event.date).toLocaleString()}
+Location: ${event.location}
+
+Your ticket is on the event page:
+${eventUrl}`
+    }),
+    deadline: ({ user, event, timeLeft, eventUrl, pending }) => ({
+        subject: `CampusCrew - Registration for ${event.title} closes in ${timeLeft}`,
+        intro: `Hello ${user.username},
+
+Registration for "${event.title}" closes in ${timeLeft} (${new Date(event.registration_deadline).toLocaleString()}).
+
+${pending
+    ? `Your seat is not confirmed yet. Complete the registration fee payment of ৳${event.registration_fee} before the deadline:`
+    : 'Register now if you want to take part:'}
+${eventUrl}`
+    })
+};
+
+/**
+ * Fill a reminder template
+ * type: 'event' (before the event starts) or 'deadline' (before registration closes)
+ */
+const buildReminderEmail = (type, { user, event, minutesLeft, pending = false }) => {
+    const eventUrl = `${process.env.frontend_url}/events/${event._id}`;
+    const optOutUrl = `${process.env.backend_url}/api/reminders/opt-out/${createOptOutToken(user._id, event._id)}`;
+    const { subject, intro } = TEMPLATES[type]({ user, event, eventUrl, pending, timeLeft: formatTimeLeft(minutesLeft) });
+    const text = `${intro}
+
+Don't want reminders for this event? Turn them off here:
+${optOutUrl}
+
+Best regards,
+CampusCrew Team`;
+    return { subject, text };
+};
+
+/**
+ * Record the reminders now due for one user and tell whether an email should go out
+ * Only the closest offset is emailed; larger ones that are also due (late registrations,
+ * scheduler downtime) are recorded silently so the user gets a single email
+ */
+const claimReminder = async (userId, event, type, scheduledFor, dueOffsets) => {
+    let send = false;
+    for (const [index, offset] of [...dueOffsets].reverse().entries()) {
+        const result = await ReminderLog.updateOne(
+            { user: userId, event: event._id, type, offset, scheduledFor },
+            { $setOnInsert: { user: userId, event: event._id, type, offset, scheduledFor } },
+            { upsert: true }
+        );
+        if (index === 0 && result.upsertedCount === 1) send = true;
+    }
+    return send;
+};
+
+/**
+ * Email a claimed reminder; when it cannot be sent the claim of the emailed offset is dropped,
+ * so the next check tries again. A failure never stops the other recipients
+ * Resolves to whether the email went out
+ */
+const deliverReminder = async (user, event, type, scheduledFor, dueOffsets, { subject, text }) => {
+    let delivered = false;
+    try {
+        delivered = await sendEmail(user.email, subject, text);
+    } catch (error) {
+        console.error(`Reminder for ${event.title} could not be sent to ${user.email}:`, error.message);
+    }
+    if (!delivered) {
+        const offset = dueOffsets[dueOffsets.length - 1];
+        await ReminderLog.deleteOne({ user: user._id, event: event._id, type, offset, scheduledFor });
+    }
+    return delivered;
+};
+
+const dueOffsetsFor = (offsets, minutesLeft) => offsets.filter(offset => minutesLeft <= offset);
+
+/**
+ * Email the attendees of events starting within the largest reminder offset
+ */
+const sendEventReminders = async (now) => {
+    if (EVENT_OFFSETS.length === 0) return 0;
+    const events = await Events.find({
+        date: { $gt: now, $lte: new Date(now.getTime() + EVENT_OFFSETS[0] * 60 * 1000) },
+        is_archived: { $ne: true },
+        is_series_parent: { $ne: true }
+    });
+
+    let sent = 0;
+    for (const event of events) {
+        const minutesLeft = Math.ceil((event.date - now) / 60000);
+        const due = dueOffsetsFor(EVENT_OFFSETS, minutesLeft);
+        const optedOut = new Set((event.reminder_opt_outs || []).map(String));
+        const registrations = await Registration.find({
+            eventId: event._id,
+            is_registered: true,
+            payment_status: 'completed',
+            is_waitlisted: { $ne: true }
+        }).populate('userId', 'username email');
+
+        for (const reg of registrations) {
+            const user = reg.userId;
+            if (!user?.email || optedOut.has(String(user._id))) continue;
+            if (!(await claimReminder(user._id, event, 'event', event.date, due))) continue;
+            const email = buildReminderEmail('event', { user, event, minutesLeft });
+            if (await deliverReminder(user, event, 'event', event.date, due, email)) sent++;
+        }
+    }
+    return sent;
+};
+
+/**
+ * Email users who still have to act before registration closes:
+ * watchers without a registration and registrations waiting for payment
+ */
+const sendDeadlineReminders = async (now) => {
+    if (DEADLINE_OFFSETS.length === 0) return 0;
+    const events = await Events.find({
+        registration_deadline: { $gt: now, $lte: new Date(now.getTime() + DEADLINE_OFFSETS[0] * 60 * 1000) },
+        is_archived: { $ne: true },
+        is_series_parent: { $ne: true }
+    });
+
+    let sent = 0;
+    for (const event of events) {
+        const minutesLeft = Math.ceil((event.registration_deadline - now) / 60000);
+        const due = dueOffsetsFor(DEADLINE_OFFSETS, minutesLeft);
+        const optedOut = new Set((event.reminder_opt_outs || []).map(String));
+        const registrations = await Registration.find({ eventId: event._id });
+        const registered = new Set(registrations.map(r => String(r.userId)));
+        const pending = registrations
+            .filter(r => r.payment_status === 'pending' && !r.is_waitlisted)
+            .map(r => String(r.userId));
+        const watchers = (event.reminder_watchers || []).map(String).filter(id => !registered.has(id));
+
+        const users = await Users.find({ _id: { $in: [...pending, ...watchers] } }).select('username email');
+        for (const user of users) {
+            if (!user.email || optedOut.has(String(user._id))) continue;
+            if (!(await claimReminder(user._id, event, 'deadline', event.registration_deadline, due))) continue;
+            const email = buildReminderEmail('deadline', {
+                user,
+                event,
+                minutesLeft,
+                pending: pending.includes(String(user._id))
+            });
+            if (await deliverReminder(user, event, 'deadline', event.registration_deadline, due, email)) sent++;
+        }
+    }
+    return sent;
+};
+
+/**
+ * Send every reminder that is due right now
+ */
+const sendDueReminders = async () => {
+    try {
+        const now = new Date();
+        const eventReminders = await sendEventReminders(now);
+        const deadlineReminders = await sendDeadlineReminders(now);
+        if (eventReminders || deadlineReminders) {
+            console.log(`Reminders sent: ${eventReminders} event, ${deadlineReminders} registration deadline`);
+        }
+        return { success: true, eventReminders, deadlineReminders };
+    } catch (error) {
+        console.error('Error while sending reminders:', error);
+        return { success: false, error: error.message };
+    }
+};
+
+/**
+ * Start the reminder scheduler
+ * Checks every REMINDER_CHECK_MINUTES (default 10) for reminders that are due
+ */
+const startReminderScheduler = () => {
+    if (process.env.REMINDERS_ENABLED === 'false') {
+        console.log('Reminder emails are disabled');
+        return;
+    }
+    console.log(`Starting reminder service (event: ${EVENT_OFFSETS.map(m => m / 60).join(', ')}h, deadline: ${DEADLINE_OFFSETS.map(m => m / 60).join(', ')}h before)...`);
+
+    sendDueReminders();
+    setInterval(sendDueReminders, CHECK_INTERVAL_MINUTES * 60 * 1000);
+};
+
+module.exports = {
+    buildReminderEmail,
+    verifyOptOutToken,
+    sendDueReminders,
+    startReminderScheduler
+};
@@ -0,0 +1,47 @@
+const crypto = require('crypto');
+
+// Secrets that sign tokens, tickets and certificates; every server instance has to share them
+const SIGNING_SECRETS = ['JWT_SECRET', 'JWT_REFRESH_SECRET', 'TICKET_SECRET', 'CERTIFICATE_SECRET'];
+
+// Running without the secrets has to be asked for: an unset NODE_ENV is treated like production
+const isDevelopment = () => process.env.NODE_ENV === 'development';
+
+// The example values from .env.example and the README ("your_..._secret") are not secrets
+const isPlaceholder = (value) => /^your_/i.test(value);
+
+const readSecret = (name) => {
+    const value = process.env[name];
+    return value && !isPlaceholder(value) ? value : null;
+};
+
+const cache = {};
+
+/**
+ * Make sure every signing secret is set to a real value; called at startup
+ * Only NODE_ENV=development may run without them (see getSecret)
+ */
+const checkSecrets = () => {
+    if (isDevelopment()) return;
+    const missing = SIGNING_SECRETS.filter(name => !readSecret(name));
+    if (missing.length) {
+        throw new Error(`Missing signing secrets: ${missing.join(', ')} (set them to random values, or NODE_ENV=development to run without them)`);
+    }
+};
+
+/**
+ * Read a signing secret from the environment
+ * In development a missing (or placeholder) variable gets a random per-process secret instead,
+ * so tokens signed with it stop working after a restart
+ */
+const getSecret = (name) => {
+    const value = readSecret(name);
+    if (value) return value;
+    if (!isDevelopment()) throw new Error(`${name} is not set`);
+    if (!cache[name]) {
+        console.warn(`⚠️  ${name} is not set - using a temporary secret, issued tokens will not survive a restart`);
+        cache[name] = crypto.randomBytes(48).toString('hex');
+    }
+    return cache[name];
+};
+
+module.exports = { SIGNING_SECRETS, checkSecrets, getSecret };
@@ -1,5 +1,6 @@
 const nodemailer = require('nodemailer')
 require('dotenv').config()
+// Resolves to true once the email was handed to the SMTP server, false when sending failed
 module.exports = async (email, subject, text) => {
     try {
         const transporter = nodemailer.createTransport({
@@ -23,9 +24,10 @@ module.exports = async (email, subject, text) => {
 
         })
         console.log(`Email sent successfully to: ${email}`)
+        return true
     } catch (error) {
         console.log("Could not send Message")
         console.log(error)
-
+        return false
     }
 }
\ No newline at end of file
@@ -0,0 +1,282 @@
+const Team = require('../models/TeamModel');
+const Registration = require('../models/RegistrationModel');
+const Payment = require('../models/PaymentModel');
+const Users = require('../models/UserModel');
+const sendEmail = require('./sendEmail');
+const { getSeatsTaken, getPaymentDueDate, promoteFromWaitlist, withSeatLock } = require('./waitlist');
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+// Largest team size an organizer can set
+const MAX_TEAM_SIZE = 20;
+
+/**
+ * Read the team settings of an event from a request body (object or JSON string from a form)
+ * Returns { settings } (undefined when nothing was sent) or { error }
+ */
+const parseTeamSettings = (input) => {
+    if (input === undefined || input === null || input === '') return { settings: undefined };
+    let raw = input;
+    if (typeof raw === 'string') {
+        try {
+            raw = JSON.parse(raw);
+        } catch (e) {
+            return { error: 'Invalid team settings' };
+        }
+    }
+    if (!(raw.enabled === true || raw.enabled === 'true')) {
+        return { settings: { enabled: false, min_size: 1, max_size: 1 } };
+    }
+    const min = Number(raw.min_size);
+    const max = Number(raw.max_size);
+    if (!Number.isInteger(min) || !Number.isInteger(max) || min < 1 || max < 2) {
+        return { error: 'Teams need a minimum size of at least 1 and a maximum of at least 2' };
+    }
+    if (min > max) return { error: 'The minimum team size cannot be more than the maximum' };
+    if (max > MAX_TEAM_SIZE) return { error: `Teams can have at most ${MAX_TEAM_SIZE} members` };
+    return { settings: { enabled: true, min_size: min, max_size: max } };
+};
+
+const isTeamEvent = (event) => !!event?.team_registration?.enabled;
+
+/**
+ * People in a team right now: the captain and every member who accepted
+ */
+const getTeamMemberIds = (team) => [
+    team.captain,
+    ...team.members.filter(m => m.status === 'accepted').map(m => m.user)
+];
+
+/**
+ * The team (forming or registered) a user is captain or an accepted member of for an event
+ */
+const findUserTeam = (eventId, userId) => {
+    return Team.findOne({
+        event: eventId,
+        status: { $ne: 'cancelled' },
+        $or: [{ captain: userId }, { members: { $elemMatch: { user: userId, status: 'accepted' } } }]
+    });
+};
+
+/**
+ * Why a team cannot register yet, or null when it can
+ */
+const checkTeamReady = (team, event) => {
+    if (team.status === 'registered') return 'This team is already registered';
+    if (team.status !== 'forming') return 'This team was cancelled';
+    const size = getTeamMemberIds(team).length;
+    const { min_size, max_size } = event.team_registration;
+    if (size < min_size) return `Teams need at least ${min_size} members (this one has ${size} who accepted)`;
+    if (size > max_size) return `Teams can have at most ${max_size} members`;
+    return null;
+};
+
+/**
+ * Whether the captain is paying for the team right now: seats are held for the members of that
+ * moment, so nobody may join or leave until the payment settles or the hold runs out
+ */
+const isTeamPaying = async (team) => {
+    const open = await Payment.exists({
+        team: team._id,
+        $or: [{ status: 'processing' }, { status: 'initiated', recheck_at: { $ne: null } }]
+    });
+    if (open) return true;
+    return !!(await Registration.exists({
+        team: team._id,
+        payment_status: 'pending',
+        is_waitlisted: { $ne: true },
+        payment_due_at: { $gt: new Date() }
+    }));
+};
+
+/**
+ * Invite people to a forming team by email and send them the invitation
+ * Returns { invited } with the new members or { error }
+ */
+const inviteMembers = async (team, event, emails) => {
+    const list = [...new Set((Array.isArray(emails) ? emails : String(emails || '').split(','))
+        .map(e => String(e).trim().toLowerCase())
+        .filter(Boolean))];
+    if (list.length === 0) return { invited: [] };
+    const invalid = list.find(e => !EMAIL_PATTERN.test(e));
+    if (invalid) return { error: `${invalid} is not a valid email address` };
+
+    const captain = await Users.findById(team.captain).select('username email');
+    if (list.includes(String(captain.email).toLowerCase())) return { error: 'The captain is already on the team' };
+    const open = team.members.filter(m => ['invited', 'accepted'].includes(m.status));
+    const taken = list.find(e => open.some(m => m.email === e));
+    if (taken) return { error: `${taken} is already invited` };
+    if (1 + open.length + list.length > event.team_registration.max_size) {
+        return { error: `Teams can have at most ${event.team_registration.max_size} members, including the captain` };
+    }
+
+    const users = await Users.find({ email: { $in: list } }).select('email');
+    const invited = list.map(email => ({
+        email,
+        user: users.find(u => String(u.email).toLowerCase() === email)?._id || null,
+        status: 'invited'
+    }));
+    // Someone invited before (and who declined) is invited again
+    team.members = team.members.filter(m => !list.includes(m.email)).concat(invited);
+    await team.save();
+
+    const link = `${process.env.frontend_url}/events/${event._id}`;
+    for (const member of invited) {
+        const subject = `CampusCrew - Join team ${team.name} for ${event.title}`;
+        const text = `Hello,
+
+${captain.username} invited you to join the team "${team.name}" for "${event.title}".
+
+Open the event page to accept or decline the invitation (sign up with this email address if you do not have an account yet):
+${link}
+
+Best regards,
+CampusCrew Team`;
+        await sendEmail(member.email, subject, text);
+    }
+    return { invited };
+};
+
+/**
+ * Seats for every team member: creates (or reuses) one registration per member
+ * paid: seats are held until the captain's payment completes, else confirmed right away
+ * Returns { registrations } or { error } when a member is registered elsewhere or seats ran out
+ */
+const holdTeamSeats = async (team, event, { paid }) => {
+    const memberIds = getTeamMemberIds(team);
+    const existing = await Registration.find({ eventId: event._id, userId: { $in: memberIds } }).populate('userId', 'username');
+    const conflict = existing.find(r => String(r.team) !== String(team._id) && r.payment_status !== 'failed');
+    if (conflict) return { error: `${conflict.userId?.username || 'A member'} is already registered for this event` };
+
+    // The free seats are counted and taken in one step so concurrent sign-ups cannot overbook
+    return withSeatLock(event, async () => {
+        if (event.capacity) {
+            const held = existing.filter(r => String(r.team) === String(team._id) && r.payment_status !== 'failed').length;
+            const needed = memberIds.length - held;
+            if (needed > 0 && event.capacity - (await getSeatsTaken(event._id)) < needed) {
+                return { error: 'Not enough seats left for the whole team' };
+            }
+        }
+
+        const registrations = [];
+        for (const userId of memberIds) {
+            const registration = existing.find(r => String(r.userId?._id || r.userId) === String(userId))
+                || new Registration({ userId, eventId: event._id });
+            registration.team = team._id;
+            registration.answers = String(userId) === String(team.captain)
+                ? team.captain_answers
+                : team.members.find(m => String(m.user) === String(userId))?.answers;
+            registration.is_waitlisted = false;
+            registration.waitlisted_at = null;
+            registration.is_registered = !paid;
+            registration.payment_status = paid ? 'pending' : 'completed';
+            registration.payment_due_at = paid ? getPaymentDueDate() : null;
+            registrations.push(await registration.save());
+        }
+        return { registrations };
+    });
+};
+
+// Tell every member of a team about a change
+const emailTeam = async (team, subject, body) => {
+    const users = await Users.find({ _id: { $in: getTeamMemberIds(team) } }).select('username email');
+    for (const user of users) {
+        await sendEmail(user.email, subject, `Hello ${user.username},
+
+${body}
+
+Best regards,
+CampusCrew Team`);
+    }
+};
+
+/**
+ * Confirm every seat of a team, after its fee was paid (or right away for free events)
+ * Returns { success, eventId, message }
+ */
+const confirmTeam = async (teamId, { trans_id } = {}) => {
+    const team = await Team.findById(teamId).populate('event', 'title capacity team_registration');
+    if (!team || team.status === 'cancelled') return { success: false, message: 'Team not found' };
+    // The team may have changed since its seats were held: it must still be complete,
+    // with a seat for every member (else the payment is refunded)
+    const notReady = checkTeamReady(team, team.event);
+    if (notReady) return { success: false, message: notReady };
+    const seated = await Registration.find({ team: team._id }).select('userId');
+    if (getTeamMemberIds(team).some(id => !seated.some(r => String(r.userId) === String(id)))) {
+        return { success: false, message: 'The team changed while its fee was being paid, pay again for the current team' };
+    }
+    // Seats whose hold ran out while paying may have gone to the waitlist: they are only taken
+    // back if the event still has room for them, else the team is not registered (and refunded)
+    const confirmed = await withSeatLock(team.event, async () => {
+        if (team.event.capacity) {
+            const released = await Registration.countDocuments({
+                team: team._id,
+                $or: [{ payment_status: 'failed' }, { is_waitlisted: true }]
+            });
+            if (released > 0 && team.event.capacity - (await getSeatsTaken(team.event._id)) < released) return false;
+        }
+        await Registration.updateMany(
+            { team: team._id },
+            { $set: { payment_status: 'completed', is_registered: true, is_waitlisted: false, waitlisted_at: null, payment_due_at: null, trans_id } }
+        );
+        return true;
+    });
+    if (!confirmed) return { success: false, message: 'The event filled up before the team\'s payment completed' };
+    team.status = 'registered';
+    await team.save();
+    await emailTeam(team, `CampusCrew - Team ${team.name} is registered`,
+        `Your team "${team.name}" is registered for "${team.event.title}". Every member gets their own ticket on the event page.`);
+    return { success: true, eventId: team.event._id };
+};
+
+/**
+ * Withdraw a team: frees every member's seat
+ * Returns the captain's registration (refunds are based on the team's single payment)
+ */
+const cancelTeam = async (team, event, reason) => {
+    const registrations = await Registration.find({ team: team._id });
+    await Registration.deleteMany({ team: team._id });
+    const wasRegistered = team.status === 'registered';
+    team.status = 'cancelled';
+    await team.save();
+    if (registrations.length) await promoteFromWaitlist(event._id);
+    if (wasRegistered) {
+        await emailTeam(team, `CampusCrew - Team ${team.name} withdrew from ${event.title}`,
+            `Your team "${team.name}" is no longer registered for "${event.title}". ${reason}`);
+    }
+    return registrations.find(r => String(r.userId) === String(team.captain)) || null;
+};
+
+/**
+ * A member leaves a team; registered teams must keep their minimum size
+ * Returns { success, message }
+ */
+const leaveTeam = async (team, event, userId) => {
+    const member = team.members.find(m => String(m.user) === String(userId) && m.status === 'accepted');
+    if (!member) return { success: false, message: 'You are not a member of this team' };
+    if (team.status === 'registered' && getTeamMemberIds(team).length - 1 < event.team_registration.min_size) {
+        return { success: false, message: `The team would drop below ${event.team_registration.min_size} members; ask the captain to withdraw the team` };
+    }
+    if (team.status === 'forming' && await isTeamPaying(team)) {
+        return { success: false, message: 'The team fee is being paid right now, try again once it completes' };
+    }
+    member.status = 'left';
+    member.responded_at = new Date();
+    await team.save();
+    const removed = await Registration.deleteOne({ team: team._id, userId });
+    if (removed.deletedCount) await promoteFromWaitlist(event._id);
+    return { success: true, message: `You left team ${team.name}` };
+};
+
+module.exports = {
+    parseTeamSettings,
+    isTeamEvent,
+    getTeamMemberIds,
+    findUserTeam,
+    checkTeamReady,
+    isTeamPaying,
+    inviteMembers,
+    holdTeamSeats,
+    confirmTeam,
+    cancelTeam,
+    leaveTeam
+};
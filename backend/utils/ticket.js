@@ -0,0 +1,56 @@
+const crypto = require('crypto');
+const QRCode = require('qrcode');
+const { getSecret } = require('./secrets');
+
+const sign = (registrationId) => {
+    return crypto.createHmac('sha256', getSecret('TICKET_SECRET'))
+        .update(String(registrationId))
+        .digest('base64url')
+        .substring(0, 22);
+};
+
+/**
+ * Build the signed ticket code for a registration
+ * Format: <registrationId>.<signature>
+ */
+const createTicketCode = (registrationId) => {
+    return `${registrationId}.${sign(registrationId)}`;
+};
+
+/**
+ * Verify a scanned ticket code
+ * Returns the registration ID when the signature matches, otherwise null
+ */
+const verifyTicketCode = (code) => {
+    if (typeof code !== 'string') return null;
+    const [registrationId, signature] = code.trim().split('.');
+    if (!registrationId || !signature) return null;
+    const expected = Buffer.from(sign(registrationId));
+    const given = Buffer.from(signature);
+    if (expected.length !== given.length || !crypto.timingSafeEqual(expected, given)) return null;
+    return registrationId;
+};
+
+/**
+ * Check whether a registration is confirmed and entitled to a ticket
+ */
+const isTicketEligible = (registration) => {
+    return !!registration
+        && registration.is_registered
+        && registration.payment_status === 'completed'
+        && !registration.is_waitlisted;
+};
+
+/**
+ * Render a ticket code as a QR image data URL
+ */
+const buildTicketQR = (code) => {
+    return QRCode.toDataURL(code, { margin: 1, width: 300 });
+};
+
+module.exports = {
+    createTicketCode,
+    verifyTicketCode,
+    isTicketEligible,
+    buildTicketQR
+};
@@ -0,0 +1,258 @@
+const Events = require('../models/EventModel');
+const Registration = require('../models/RegistrationModel');
+const Payment = require('../models/PaymentModel');
+const sendEmail = require('./sendEmail');
+const { getCurrentPrice, releaseCoupon } = require('./pricing');
+
+// How long an unpaid seat is held: after registering, and after a waitlist promotion
+const PAYMENT_HOLD_MINUTES = parseInt(process.env.PAYMENT_HOLD_MINUTES) || 30;
+const WAITLIST_HOLD_HOURS = parseFloat(process.env.WAITLIST_HOLD_HOURS) || 24;
+const SWEEP_INTERVAL_MINUTES = parseInt(process.env.PAYMENT_SWEEP_MINUTES) || 5;
+// A checkout started this recently may still come back from the gateway
+const CHECKOUT_GRACE_MS = 15 * 60 * 1000;
+// A seat lock left by a crashed request expires after this long; sign-ups wait this long for it
+const SEAT_LOCK_MS = 10 * 1000;
+const SEAT_LOCK_WAIT_MS = 5 * 1000;
+
+/**
+ * When a seat held for payment is released
+ */
+const getPaymentDueDate = (from = new Date(), { promoted = false } = {}) => {
+    const minutes = promoted ? WAITLIST_HOLD_HOURS * 60 : PAYMENT_HOLD_MINUTES;
+    return new Date(from.getTime() + minutes * 60 * 1000);
+};
+
+/**
+ * Count the registrations currently holding a seat for an event
+ * Pending (unpaid) registrations hold a seat too, waitlisted and expired ones do not
+ */
+const getSeatsTaken = async (eventId) => {
+    return Registration.countDocuments({ eventId, is_waitlisted: { $ne: true }, payment_status: { $ne: 'failed' } });
+};
+
+/**
+ * Check whether an event still has free seats
+ * A capacity of 0 means the event has no seat limit
+ */
+const hasFreeSeat = async (event) => {
+    if (!event.capacity) return true;
+    const taken = await getSeatsTaken(event._id);
+    return taken < event.capacity;
+};
+
+/**
+ * Run fn (a free-seat check and the save that takes the seat) under the event's seat lock,
+ * so concurrent sign-ups for the last seat of an event cannot both pass the check
+ * The lock is a timestamp on the event that is set atomically; events without a capacity skip it
+ * Resolves to what fn resolves to
+ */
+const withSeatLock = async (event, fn) => {
+    if (!event.capacity) return fn();
+    const deadline = Date.now() + SEAT_LOCK_WAIT_MS;
+    let until;
+    for (;;) {
+        const now = new Date();
+        until = new Date(now.getTime() + SEAT_LOCK_MS);
+        const locked = await Events.updateOne(
+            { _id: event._id, $or: [{ seat_lock_until: null }, { seat_lock_until: { $lte: now } }] },
+            { $set: { seat_lock_until: until } },
+            { timestamps: false }
+        );
+        if (locked.modifiedCount) break;
+        if (Date.now() > deadline) throw new Error('Too many sign-ups at once, please try again');
+        await new Promise(resolve => setTimeout(resolve, 50 + Math.random() * 100));
+    }
+    try {
+        return await fn();
+    } finally {
+        await Events.updateOne({ _id: event._id, seat_lock_until: until }, { $set: { seat_lock_until: null } }, { timestamps: false });
+    }
+};
+
+/**
+ * Get the 1-based position of a waitlisted registration (FIFO by join time)
+ */
+const getWaitlistPosition = async (registration) => {
+    if (!registration || !registration.is_waitlisted) return null;
+    const ahead = await Registration.countDocuments({
+        eventId: registration.eventId,
+        is_waitlisted: true,
+        waitlisted_at: { $lt: registration.waitlisted_at }
+    });
+    return ahead + 1;
+};
+
+/**
+ * Promote waitlisted users into any free seats of an event
+ * Free events (or a 0-price early-bird tier) confirm the registration right away, paid events
+ * leave it pending so the promoted user can complete the payment at the current price
+ */
+const promoteFromWaitlist = async (eventId) => {
+    const event = await Events.findById(eventId);
+    // Archived (ended or cancelled) events hand no seats on
+    if (!event || event.is_archived) return [];
+
+    const promoted = [];
+    for (;;) {
+        const { price } = getCurrentPrice(event);
+        const next = await withSeatLock(event, async () => {
+            if (!(await hasFreeSeat(event))) return null;
+            const waiting = await Registration.findOne({ eventId, is_waitlisted: true })
+                .sort({ waitlisted_at: 1 })
+                .populate('userId');
+            if (!waiting) return null;
+
+            waiting.is_waitlisted = false;
+            waiting.waitlisted_at = null;
+            if (price === 0) {
+                waiting.is_registered = true;
+                waiting.payment_status = 'completed';
+            } else {
+                waiting.payment_status = 'pending';
+                waiting.payment_due_at = getPaymentDueDate(new Date(), { promoted: true });
+            }
+            return waiting.save();
+        });
+        if (!next) break;
+        promoted.push(next);
+
+        if (next.userId?.email) {
+            const eventUrl = `${process.env.frontend_url}/events/${event._id}`;
+            const subject = `CampusCrew - A seat opened up for ${event.title}`;
+            const text = `Hello ${next.userId.username},
+
+Good news! A seat has opened up for "${event.title}" and you have been moved off the waitlist.
+
+${price === 0
+    ? 'Your registration is now confirmed.'
+    : `Please complete the registration fee payment of ৳${price} by ${next.payment_due_at.toLocaleString()} to confirm your seat:\n${eventUrl}`}
+
+Event date: ${new Date(event.date).toLocaleString()}
+Location: ${event.location}
+
+Best regards,
+CampusCrew Team`;
+            await sendEmail(next.userId.email, subject, text);
+        }
+    }
+    return promoted;
+};
+
+/**
+ * Hold a seat for a user who is about to pay (check for a free seat under withSeatLock first)
+ * Reuses the user's waitlisted or expired registration so payment can be retried on it
+ */
+const holdSeat = async (userId, event, registration = null) => {
+    const held = registration || new Registration({ userId, eventId: event._id });
+    held.is_waitlisted = false;
+    held.waitlisted_at = null;
+    held.is_registered = false;
+    held.payment_status = 'pending';
+    held.payment_due_at = getPaymentDueDate();
+    await held.save();
+    return held;
+};
+
+/**
+ * Mark unpaid registrations whose hold ran out as failed and offer their seats to the waitlist
+ * Returns how many registrations expired.
+ * Registrations with a checkout still in progress are left for the next sweep.
+ * Pending registrations from before holds existed expire once they are older than the waitlist hold.
+ * Discount codes reserved by abandoned checkouts are released as well.
+ */
+const expirePendingRegistrations = async (now = new Date()) => {
+    const legacyCutoff = new Date(now.getTime() - WAITLIST_HOLD_HOURS * 60 * 60 * 1000);
+    const due = await Registration.find({
+        payment_status: 'pending',
+        is_waitlisted: { $ne: true },
+        $or: [
+            { payment_due_at: { $lte: now } },
+            { payment_due_at: null, updatedAt: { $lte: legacyCutoff } }
+        ]
+    }).populate('userId', 'username email');
+
+    const freed = new Set();
+    let expired = 0;
+    for (const registration of due) {
+        const userId = registration.userId?._id || registration.userId;
+        // Team seats are paid for by the captain
+        const payer = registration.team ? { team: registration.team } : { user: userId, event: registration.eventId };
+        const inCheckout = await Payment.exists({
+            ...payer,
+            $or: [
+                // A settlement stuck longer than this was interrupted (recheckPayments reopens it)
+                { status: 'processing', updatedAt: { $gt: new Date(now.getTime() - CHECKOUT_GRACE_MS) } },
+                { status: 'initiated', createdAt: { $gt: new Date(now.getTime() - CHECKOUT_GRACE_MS) } },
+                // Charged while the gateway could not be reached; kept until it is verified again
+                { status: 'initiated', recheck_at: { $ne: null } }
+            ]
+        });
+        if (inCheckout) continue;
+
+        // A payment may have completed since the lookup
+        const result = await Registration.updateOne(
+            { _id: registration._id, payment_status: 'pending' },
+            { $set: { payment_status: 'failed', is_registered: false, payment_due_at: null } }
+        );
+        if (!result.modifiedCount) continue;
+        expired += 1;
+        freed.add(String(registration.eventId));
+
+        const event = await Events.findById(registration.eventId).select('title');
+        if (registration.userId?.email && event) {
+            const subject = `CampusCrew - Your seat for ${event.title} was released`;
+            const text = `Hello ${registration.userId.username},
+
+The seat held for you at "${event.title}" was released because the registration fee was not paid in time.
+
+If seats are still available you can retry the payment from the event page:
+${process.env.frontend_url}/events/${event._id}
+
+Best regards,
+CampusCrew Team`;
+            await sendEmail(registration.userId.email, subject, text);
+        }
+    }
+
+    for (const eventId of freed) await promoteFromWaitlist(eventId);
+
+    // Give back discount codes held by checkouts that were abandoned at the gateway
+    // (a late completion takes the use again)
+    const abandoned = await Payment.find({
+        status: 'initiated',
+        coupon_code: { $nin: ['', null] },
+        createdAt: { $lte: new Date(now.getTime() - PAYMENT_HOLD_MINUTES * 60 * 1000 - CHECKOUT_GRACE_MS) }
+    }).select('_id');
+    for (const payment of abandoned) await releaseCoupon({ payment: payment._id });
+    return expired;
+};
+
+/**
+ * Start the sweeper that releases expired payment holds
+ * Runs every PAYMENT_SWEEP_MINUTES (default 5)
+ */
+const startPaymentHoldSweeper = () => {
+    console.log(`Starting payment hold sweeper (hold: ${PAYMENT_HOLD_MINUTES} min, after waitlist: ${WAITLIST_HOLD_HOURS}h)...`);
+    const sweep = async () => {
+        try {
+            const expired = await expirePendingRegistrations();
+            if (expired) console.log(`Released ${expired} unpaid seat(s)`);
+        } catch (error) {
+            console.error('Error while releasing expired payment holds:', error);
+        }
+    };
+    sweep();
+    setInterval(sweep, SWEEP_INTERVAL_MINUTES * 60 * 1000);
+};
+
+module.exports = {
+    getPaymentDueDate,
+    getSeatsTaken,
+    hasFreeSeat,
+    withSeatLock,
+    getWaitlistPosition,
+    promoteFromWaitlist,
+    holdSeat,
+    expirePendingRegistrations,
+    startPaymentHoldSweeper
+};
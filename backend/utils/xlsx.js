@@ -0,0 +1,22 @@
+const ExcelJS = require('exceljs');
+
+/**
+ * Build an Excel workbook with a single sheet, resolves to a Buffer
+ * columns: [{ key, label }] in output order; rows: plain objects (same shape as toCSV in ./csv)
+ */
+const toXLSX = async (columns, rows, sheetName = 'Sheet1') => {
+    const workbook = new ExcelJS.Workbook();
+    workbook.creator = 'CampusCrew';
+    const sheet = workbook.addWorksheet(sheetName.slice(0, 31));
+    sheet.columns = columns.map(c => ({ header: c.label, key: c.key, width: Math.max(12, c.label.length + 2) }));
+    sheet.getRow(1).font = { bold: true };
+    sheet.views = [{ state: 'frozen', ySplit: 1 }];
+    for (const row of rows) {
+        sheet.addRow(Object.fromEntries(columns.map(c => [c.key, row[c.key] ?? ''])));
+    }
+    return Buffer.from(await workbook.xlsx.writeBuffer());
+};
+
+module.exports = {
+    toXLSX
+};
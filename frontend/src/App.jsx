@@ -21,6 +21,17 @@ import ForgotPassword from "./Pages/ForgotPassword.jsx";
 import ResetPassword from "./Pages/ResetPassword.jsx";
 import EventAttendee from "./Pages/EventAttendee.jsx";
 import AdminSignup from "./Pages/AdminSignup.jsx";
+import CheckIn from "./Pages/CheckIn.jsx";
+import AdminApplications from "./Pages/AdminApplications.jsx";
+import Refunds from "./Pages/Refunds.jsx";
+import EventCoupons from "./Pages/EventCoupons.jsx";
+import EventMessages from "./Pages/EventMessages.jsx";
+import Bans from "./Pages/Bans.jsx";
+import EventCertificates from "./Pages/EventCertificates.jsx";
+import CertificateDesign from "./Pages/CertificateDesign.jsx";
+import VerifyCertificate from "./Pages/VerifyCertificate.jsx";
+import EventFeedback from "./Pages/EventFeedback.jsx";
+import EventFeedbackResults from "./Pages/EventFeedbackResults.jsx";
 import ChatbotButton from "./Components/Chatbot/ChatbotButton.jsx";
 
 function App() {
@@ -37,6 +48,8 @@ function App() {
         <Route path="/" element={<Home />} />
         <Route path="/login" element={<Login />} />
         <Route path="/verify-email/:token" element={<VerifyEmail />} />
+        <Route path="/certificates/verify" element={<VerifyCertificate />} />
+        <Route path="/certificates/verify/:code" element={<VerifyCertificate />} />
         <Route path="/forgot-password" element={<ForgotPassword />} />
         <Route path="/reset-password/:token" element={<ResetPassword />} />
         <Route
@@ -115,6 +128,46 @@ function App() {
         />
         <Route path="/forbidden" element={<Forbidden />} />
         <Route path="/event-attendee/:id" element={<EventAttendee />} />
+        <Route
+          path="/event-attendee/:id/check-in"
+          element={user?.isAdmin ? <CheckIn /> : <Forbidden />}
+        />
+        <Route
+          path="/admin-applications"
+          element={user?.isSuperAdmin ? <AdminApplications /> : <Forbidden />}
+        />
+        <Route
+          path="/refunds"
+          element={user?.isAdmin ? <Refunds /> : <Forbidden />}
+        />
+        <Route
+          path="/bans"
+          element={user?.isAdmin ? <Bans /> : <Forbidden />}
+        />
+        <Route
+          path="/events/:id/coupons"
+          element={user?.isAdmin ? <EventCoupons /> : <Forbidden />}
+        />
+        <Route
+          path="/events/:id/certificates"
+          element={user?.isAdmin ? <EventCertificates /> : <Forbidden />}
+        />
+        <Route
+          path="/events/:id/certificates/design"
+          element={user?.isAdmin ? <CertificateDesign /> : <Forbidden />}
+        />
+        <Route
+          path="/events/:id/messages"
+          element={user?.isAdmin ? <EventMessages /> : <Forbidden />}
+        />
+        <Route
+          path="/events/:id/feedback"
+          element={isAuthenticated ? <EventFeedback /> : <Navigate to="/login" replace />}
+        />
+        <Route
+          path="/events/:id/feedback/results"
+          element={user?.isAdmin ? <EventFeedbackResults /> : <Forbidden />}
+        />
         <Route path="*" element={<NotFound />} />
         <Route path="/admin/signup" element={<AdminSignup />} />
       </Routes>
@@ -0,0 +1,60 @@
+import React from "react";
+
+const STATUS_OPTIONS = [
+  { value: "all", label: "Everyone registered" },
+  { value: "confirmed", label: "Confirmed" },
+  { value: "pending", label: "Payment pending" },
+  { value: "waitlisted", label: "Waitlisted" },
+  { value: "expired", label: "Payment hold expired" },
+];
+
+// Pick a subset of an event's attendees, for exports and emails
+function AttendeeFilter({ event, filter, onChange }) {
+  // Only questions with fixed answers can be filtered on
+  const questions = (event?.registration_form || []).filter((f) => f.type === "select" || f.type === "checkbox");
+  const question = questions.find((q) => q.key === filter.answer_key);
+
+  const set = (name, value) => onChange({ ...filter, [name]: value });
+
+  return (
+    <div className="attendee-filter">
+      <select value={filter.status} onChange={(e) => set("status", e.target.value)}>
+        {STATUS_OPTIONS.map((o) => (
+          <option key={o.value} value={o.value}>
+            {o.label}
+          </option>
+        ))}
+      </select>
+      <select value={filter.checked_in} onChange={(e) => set("checked_in", e.target.value)}>
+        <option value="">Checked in or not</option>
+        <option value="yes">Checked in</option>
+        <option value="no">Not checked in</option>
+      </select>
+      {questions.length > 0 && (
+        <select
+          value={filter.answer_key}
+          onChange={(e) => onChange({ ...filter, answer_key: e.target.value, answer_value: "" })}
+        >
+          <option value="">Any answers</option>
+          {questions.map((q) => (
+            <option key={q.key} value={q.key}>
+              {q.label}
+            </option>
+          ))}
+        </select>
+      )}
+      {question && (
+        <select value={filter.answer_value} onChange={(e) => set("answer_value", e.target.value)}>
+          <option value="">Choose an answer...</option>
+          {(question.options?.length ? question.options : ["yes", "no"]).map((o) => (
+            <option key={o} value={o}>
+              {o}
+            </option>
+          ))}
+        </select>
+      )}
+    </div>
+  );
+}
+
+export default AttendeeFilter;
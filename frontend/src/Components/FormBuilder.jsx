@@ -0,0 +1,135 @@
+import React from "react";
+import { FIELD_TYPES, emptyField } from "../utils/registrationForm";
+import "../CSS/registrationForm.css";
+
+// Editor for the extra questions of an event's registration form (fields come from toEditorFields)
+function FormBuilder({ fields, onChange }) {
+  const update = (index, name, value) =>
+    onChange(fields.map((f, i) => (i === index ? { ...f, [name]: value } : f)));
+  const remove = (index) => onChange(fields.filter((_, i) => i !== index));
+  const move = (index, step) => {
+    const next = [...fields];
+    const [field] = next.splice(index, 1);
+    next.splice(index + step, 0, field);
+    onChange(next);
+  };
+
+  return (
+    <div className="rf-builder">
+      {fields.map((field, index) => (
+        <div key={field.key || index} className="rf-builder-field">
+          <div className="rf-row">
+            <input
+              type="text"
+              placeholder="Question"
+              value={field.label}
+              onChange={(e) => update(index, "label", e.target.value)}
+              required
+            />
+            <select value={field.type} onChange={(e) => update(index, "type", e.target.value)}>
+              {FIELD_TYPES.map((t) => (
+                <option key={t.value} value={t.value}>
+                  {t.label}
+                </option>
+              ))}
+            </select>
+            <label className="rf-inline">
+              <input
+                type="checkbox"
+                checked={!!field.required}
+                onChange={(e) => update(index, "required", e.target.checked)}
+              />
+              Required
+            </label>
+          </div>
+          <input
+            type="text"
+            placeholder="Help text (optional)"
+            value={field.help}
+            onChange={(e) => update(index, "help", e.target.value)}
+          />
+
+          {(field.type === "select" || field.type === "checkbox") && (
+            <input
+              type="text"
+              placeholder={
+                field.type === "select"
+                  ? "Options, separated by commas"
+                  : "Options, separated by commas (leave empty for a single tick box)"
+              }
+              value={field.options}
+              onChange={(e) => update(index, "options", e.target.value)}
+            />
+          )}
+
+          {field.type === "text" && (
+            <div className="rf-row">
+              <input
+                type="number"
+                min="0"
+                placeholder="Min length"
+                value={field.min_length}
+                onChange={(e) => update(index, "min_length", e.target.value)}
+              />
+              <input
+                type="number"
+                min="0"
+                placeholder="Max length"
+                value={field.max_length}
+                onChange={(e) => update(index, "max_length", e.target.value)}
+              />
+              <input
+                type="text"
+                placeholder="Pattern, e.g. \d{6}"
+                value={field.pattern}
+                onChange={(e) => update(index, "pattern", e.target.value)}
+              />
+              <input
+                type="text"
+                placeholder="Message when the pattern does not match"
+                value={field.pattern_message}
+                onChange={(e) => update(index, "pattern_message", e.target.value)}
+              />
+            </div>
+          )}
+
+          {field.type === "file" && (
+            <div className="rf-row">
+              <input
+                type="text"
+                placeholder="Allowed types, e.g. application/pdf, image/*"
+                value={field.accept}
+                onChange={(e) => update(index, "accept", e.target.value)}
+              />
+              <input
+                type="number"
+                min="1"
+                max="10"
+                placeholder="Max size (MB)"
+                value={field.max_size_mb}
+                onChange={(e) => update(index, "max_size_mb", e.target.value)}
+              />
+            </div>
+          )}
+
+          <div className="rf-builder-actions">
+            <button type="button" disabled={index === 0} onClick={() => move(index, -1)}>
+              ↑
+            </button>
+            <button type="button" disabled={index === fields.length - 1} onClick={() => move(index, 1)}>
+              ↓
+            </button>
+            <button type="button" onClick={() => remove(index)}>
+              Remove
+            </button>
+          </div>
+        </div>
+      ))}
+      <button type="button" className="rf-add" onClick={() => onChange([...fields, emptyField()])}>
+        + Add question
+      </button>
+    </div>
+  );
+}
+
+export default FormBuilder;
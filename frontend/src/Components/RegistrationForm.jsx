@@ -0,0 +1,118 @@
+import React, { useState } from "react";
+import { apiService } from "../utils/apiService";
+import { showErrorToast } from "../utils/toastUtils";
+import "../CSS/registrationForm.css";
+
+// The extra questions of an event, answered before registering ({ [key]: value } in answers)
+function RegistrationForm({ eventId, fields, answers, onChange }) {
+  const [uploading, setUploading] = useState(null);
+
+  const setAnswer = (key, value) => onChange({ ...answers, [key]: value });
+
+  const toggleOption = (key, option) => {
+    const current = answers[key] || [];
+    setAnswer(key, current.includes(option) ? current.filter((o) => o !== option) : [...current, option]);
+  };
+
+  const uploadFile = async (field, file) => {
+    if (!file) return;
+    if (file.size > field.max_size_mb * 1024 * 1024) {
+      showErrorToast(`"${field.label}" takes files up to ${field.max_size_mb}MB`);
+      return;
+    }
+    setUploading(field.key);
+    try {
+      const { data } = await apiService.uploadFormFile(eventId, field.key, file);
+      setAnswer(field.key, data.file);
+    } catch (error) {
+      showErrorToast(error.response?.data?.message || "Upload failed");
+    } finally {
+      setUploading(null);
+    }
+  };
+
+  if (!fields?.length) return null;
+
+  return (
+    <div className="rf-form">
+      {fields.map((field) => (
+        <div key={field.key} className="rf-field">
+          {!(field.type === "checkbox" && !field.options?.length) && (
+            <label>
+              {field.label}
+              {field.required && <span className="rf-required"> *</span>}
+            </label>
+          )}
+
+          {field.type === "text" && (
+            <input
+              type="text"
+              value={answers[field.key] || ""}
+              maxLength={field.max_length || undefined}
+              onChange={(e) => setAnswer(field.key, e.target.value)}
+            />
+          )}
+
+          {field.type === "select" && (
+            <select value={answers[field.key] || ""} onChange={(e) => setAnswer(field.key, e.target.value)}>
+              <option value="">Choose...</option>
+              {field.options.map((o) => (
+                <option key={o} value={o}>
+                  {o}
+                </option>
+              ))}
+            </select>
+          )}
+
+          {field.type === "checkbox" &&
+            (field.options?.length ? (
+              field.options.map((o) => (
+                <label key={o} className="rf-inline">
+                  <input
+                    type="checkbox"
+                    checked={(answers[field.key] || []).includes(o)}
+                    onChange={() => toggleOption(field.key, o)}
+                  />
+                  {o}
+                </label>
+              ))
+            ) : (
+              <label className="rf-inline">
+                <input
+                  type="checkbox"
+                  checked={!!answers[field.key]}
+                  onChange={(e) => setAnswer(field.key, e.target.checked)}
+                />
+                {field.label}
+                {field.required && <span className="rf-required"> *</span>}
+              </label>
+            ))}
+
+          {field.type === "file" && (
+            <>
+              <input
+                type="file"
+                accept={field.accept?.join(",") || undefined}
+                disabled={uploading === field.key}
+                onChange={(e) => uploadFile(field, e.target.files[0])}
+              />
+              {uploading === field.key && <small>Uploading...</small>}
+              {answers[field.key]?.url && (
+                <small>
+                  Uploaded:{" "}
+                  <a href={answers[field.key].url} target="_blank" rel="noreferrer">
+                    {answers[field.key].name}
+                  </a>
+                </small>
+              )}
+            </>
+          )}
+
+          {field.help && <small className="rf-help">{field.help}</small>}
+        </div>
+      ))}
+    </div>
+  );
+}
+
+export default RegistrationForm;
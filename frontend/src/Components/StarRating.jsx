@@ -0,0 +1,38 @@
+import React from "react";
+import { FaStar } from "react-icons/fa";
+import "../CSS/feedback.css";
+
+// One to five stars; read-only when no onChange is given (fractions are rounded for display)
+function StarRating({ value, onChange, label = "Rating" }) {
+  const shown = Math.round(value || 0);
+
+  if (!onChange) {
+    return (
+      <span className="star-rating readonly" aria-label={`${value ?? 0} out of 5 stars`}>
+        {[1, 2, 3, 4, 5].map((n) => (
+          <FaStar key={n} className={n <= shown ? "filled" : ""} />
+        ))}
+      </span>
+    );
+  }
+
+  return (
+    <span className="star-rating" role="radiogroup" aria-label={label}>
+      {[1, 2, 3, 4, 5].map((n) => (
+        <button
+          key={n}
+          type="button"
+          role="radio"
+          aria-checked={n === value}
+          aria-label={`${n} star${n === 1 ? "" : "s"}`}
+          className={n <= shown ? "filled" : ""}
+          onClick={() => onChange(n)}
+        >
+          <FaStar />
+        </button>
+      ))}
+    </span>
+  );
+}
+
+export default StarRating;
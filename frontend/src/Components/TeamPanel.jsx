@@ -0,0 +1,226 @@
+import React, { useState } from "react";
+import { apiService } from "../utils/apiService";
+import { showErrorToast, showSuccessToast } from "../utils/toastUtils";
+import { checkAnswers } from "../utils/registrationForm";
+import RegistrationForm from "./RegistrationForm";
+
+const STATUS_LABELS = {
+  invited: "invited",
+  accepted: "joined",
+  declined: "declined",
+  left: "left",
+};
+
+// Create a team, answer invitations and register the team (paid events are paid by the captain)
+function TeamPanel({ event, user, teamInfo, reload, onPay, onRegistered }) {
+  const [name, setName] = useState("");
+  const [emails, setEmails] = useState("");
+  const [busy, setBusy] = useState(false);
+  const [answers, setAnswers] = useState({}); // registration form answers, given when creating or joining a team
+  const { min_size, max_size } = event.team_registration;
+  const isOpen = !event.is_archived && new Date(event.registration_deadline) >= new Date();
+  const team = teamInfo?.team;
+  const isCaptain = !!team && String(team.captain?._id) === String(user._id);
+  const activeMembers = team ? team.members.filter((m) => ["invited", "accepted"].includes(m.status)) : [];
+  const size = team ? 1 + team.members.filter((m) => m.status === "accepted").length : 0;
+
+  // Run a team action, then reload the team
+  const run = async (action, success) => {
+    setBusy(true);
+    try {
+      const { data } = await action();
+      showSuccessToast(data.message || success);
+      await reload();
+      return data;
+    } catch (error) {
+      showErrorToast(error.response?.data?.message || "Something went wrong");
+      return null;
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  // Every member answers the registration form before creating or joining a team
+  const answersProblem = () => {
+    const problem = checkAnswers(event.registration_form, answers);
+    if (problem) showErrorToast(problem);
+    return problem;
+  };
+
+  const createTeam = async (e) => {
+    e.preventDefault();
+    if (answersProblem()) return;
+    const data = await run(() => apiService.createTeam(event._id, { name, emails, answers }), "Team created, invitations sent");
+    if (data) {
+      setName("");
+      setEmails("");
+    }
+  };
+
+  const invite = async () => {
+    const data = await run(() => apiService.inviteTeamMembers(team._id, emails), "Invitations sent");
+    if (data) setEmails("");
+  };
+
+  const registerTeam = async () => {
+    if (event.registration_fee > 0) {
+      setBusy(true);
+      try {
+        await onPay(team._id);
+      } finally {
+        setBusy(false);
+      }
+      return;
+    }
+    const data = await run(() => apiService.registerTeam(team._id), "Team registered");
+    if (data) onRegistered();
+  };
+
+  const disband = async () => {
+    if (!confirm(`Disband team ${team.name}? Invitations are withdrawn.`)) return;
+    await run(() => apiService.disbandTeam(team._id), "Team disbanded");
+    onRegistered();
+  };
+
+  const leave = async () => {
+    if (!confirm(`Leave team ${team.name}?`)) return;
+    await run(() => apiService.respondToTeam(team._id, "decline"), "You left the team");
+    onRegistered();
+  };
+
+  if (!teamInfo) return null;
+
+  return (
+    <section className="ed-description ed-team">
+      <h3>Team Registration</h3>
+      <p className="ed-team-hint">
+        Teams of {min_size === max_size ? max_size : `${min_size} to ${max_size}`} members, captain
+        included
+        {event.registration_fee > 0 && "; the captain pays the fee once for the whole team"}.
+      </p>
+
+      {!team && (
+        <>
+          {event.registration_form?.length > 0 && (isOpen || teamInfo.invitations.length > 0) && (
+            <RegistrationForm
+              eventId={event._id}
+              fields={event.registration_form}
+              answers={answers}
+              onChange={setAnswers}
+            />
+          )}
+          {teamInfo.invitations.map((inv) => (
+            <div key={inv._id} className="ed-team-invite">
+              <span>
+                {inv.captain} invited you to team <strong>{inv.name}</strong>
+              </span>
+              <button
+                className="ed-primaryBtn"
+                disabled={busy}
+                onClick={() => !answersProblem() && run(() => apiService.respondToTeam(inv._id, "accept", answers), "Joined the team")}
+              >
+                Accept
+              </button>
+              <button
+                className="ed-outlineBtn"
+                disabled={busy}
+                onClick={() => run(() => apiService.respondToTeam(inv._id, "decline"), "Invitation declined")}
+              >
+                Decline
+              </button>
+            </div>
+          ))}
+          {isOpen && (
+            <form className="ed-team-form" onSubmit={createTeam}>
+              <input
+                type="text"
+                placeholder="Team name"
+                value={name}
+                onChange={(e) => setName(e.target.value)}
+                required
+              />
+              <input
+                type="text"
+                placeholder="Invite members by email, separated by commas"
+                value={emails}
+                onChange={(e) => setEmails(e.target.value)}
+              />
+              <button type="submit" className="ed-primaryBtn" disabled={busy}>
+                Create Team
+              </button>
+            </form>
+          )}
+        </>
+      )}
+
+      {team && (
+        <>
+          <p>
+            <strong>{team.name}</strong> — {team.status === "registered" ? "registered" : `${size} of ${max_size} members so far`}
+          </p>
+          <ul className="ed-team-members">
+            <li>
+              {team.captain?.username} <em>captain</em>
+            </li>
+            {activeMembers.map((m) => (
+              <li key={m._id}>
+                {m.user?.username || m.email} <em>{STATUS_LABELS[m.status]}</em>
+                {isCaptain && team.status === "forming" && (
+                  <button
+                    className="ed-team-remove"
+                    disabled={busy}
+                    onClick={() => run(() => apiService.removeTeamMember(team._id, m._id), "Member removed")}
+                    title="Remove"
+                  >
+                    ×
+                  </button>
+                )}
+              </li>
+            ))}
+          </ul>
+
+          {team.status === "forming" && isCaptain && isOpen && (
+            <>
+              {1 + activeMembers.length < max_size && (
+                <div className="ed-team-form">
+                  <input
+                    type="text"
+                    placeholder="Invite more members by email"
+                    value={emails}
+                    onChange={(e) => setEmails(e.target.value)}
+                  />
+                  <button className="ed-outlineBtn" disabled={busy || !emails.trim()} onClick={invite}>
+                    Invite
+                  </button>
+                </div>
+              )}
+              <div className="ed-team-form">
+                <button className="ed-primaryBtn" disabled={busy || size < min_size} onClick={registerTeam}>
+                  {event.registration_fee > 0 ? "Pay & Register Team" : "Register Team"}
+                </button>
+                <button className="ed-outlineBtn" disabled={busy} onClick={disband}>
+                  Disband Team
+                </button>
+              </div>
+              {size < min_size && (
+                <small className="ed-help">
+                  {min_size - size} more member(s) need to accept before the team can register.
+                </small>
+              )}
+            </>
+          )}
+          {team.status === "forming" && !isCaptain && (
+            <div className="ed-team-form">
+              <span>Waiting for the captain to register the team.</span>
+              <button className="ed-outlineBtn" disabled={busy} onClick={leave}>
+                Leave Team
+              </button>
+            </div>
+          )}
+        </>
+      )}
+    </section>
+  );
+}
+
+export default TeamPanel;
@@ -0,0 +1,217 @@
+import React, { useEffect, useState } from "react";
+import Header from "../Components/Header";
+import Footer from "../Components/Footer";
+import { ToastContainer } from "react-toastify";
+import { apiService } from "../utils/apiService";
+import { showErrorToast, showSuccessToast } from "../utils/toastUtils";
+import "../CSS/dashboard.css";
+
+const STATUSES = ["pending", "approved", "rejected"];
+
+// Super admin queue for reviewing organizer sign-ups, with the decision audit log
+function AdminApplications() {
+  const [status, setStatus] = useState("pending");
+  const [applicants, setApplicants] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [logs, setLogs] = useState([]);
+  const [review, setReview] = useState(null); // { user, decision }
+  const [reason, setReason] = useState("");
+  const [saving, setSaving] = useState(false);
+
+  const loadLogs = async () => {
+    try {
+      const { data } = await apiService.getAuditLogs({ limit: 20 });
+      if (data.success) setLogs(data.logs);
+    } catch (error) {
+      console.error(error);
+    }
+  };
+
+  useEffect(() => {
+    let mounted = true;
+    setLoading(true);
+    apiService
+      .getAdminApplications(status)
+      .then(({ data }) => {
+        if (mounted && data.success) setApplicants(data.applicants);
+      })
+      .catch(() => showErrorToast("Failed to load applications"))
+      .finally(() => mounted && setLoading(false));
+    return () => {
+      mounted = false;
+    };
+  }, [status]);
+
+  useEffect(() => {
+    loadLogs();
+  }, []);
+
+  const openReview = (user, decision) => {
+    setReview({ user, decision });
+    setReason("");
+  };
+
+  const submitReview = async () => {
+    if (review.decision === "reject" && !reason.trim()) {
+      showErrorToast("Please give a reason for the rejection");
+      return;
+    }
+    setSaving(true);
+    try {
+      await apiService.reviewAdminApplication(review.user._id, review.decision, reason.trim());
+      setApplicants((prev) => prev.filter((u) => u._id !== review.user._id));
+      showSuccessToast(
+        `${review.user.username} ${review.decision === "approve" ? "approved" : "rejected"}`
+      );
+      setReview(null);
+      loadLogs();
+    } catch (error) {
+      showErrorToast(error.response?.data?.message || "Failed to save decision");
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  return (
+    <div style={{ minHeight: "100vh", display: "flex", flexDirection: "column" }}>
+      <Header />
+      <main className="layout-container" style={{ flex: 1, padding: "2.5rem 0" }}>
+        <h1 className="ed-title" style={{ margin: 0 }}>
+          Organizer Applications
+        </h1>
+        <p className="text-muted">Review organizer sign-ups before they can create events.</p>
+
+        <div className="action-buttons" style={{ margin: "1rem 0" }}>
+          {STATUSES.map((s) => (
+            <button
+              key={s}
+              className={`action-btn ${status === s ? "btn-primary" : "btn-outline"}`}
+              onClick={() => setStatus(s)}
+            >
+              {s}
+            </button>
+          ))}
+        </div>
+
+        {loading ? (
+          <div className="surface p-md">Loading...</div>
+        ) : applicants.length === 0 ? (
+          <div className="surface p-md">No {status} applications.</div>
+        ) : (
+          <div style={{ overflowX: "auto" }}>
+            <table className="dashboard-table">
+              <thead>
+                <tr style={{ textAlign: "left" }}>
+                  <th>Name</th>
+                  <th>Email</th>
+                  <th>Applied</th>
+                  {status === "pending" ? <th>Actions</th> : <th>Reason</th>}
+                </tr>
+              </thead>
+              <tbody>
+                {applicants.map((u) => (
+                  <tr key={u._id}>
+                    <td>{u.username}</td>
+                    <td>
+                      {u.email}
+                      {!u.isVerified && <span className="text-muted"> (unverified)</span>}
+                    </td>
+                    <td>
+                      {new Date(u.adminApplication?.appliedAt || u.createdAt).toLocaleDateString()}
+                    </td>
+                    {status === "pending" ? (
+                      <td>
+                        <div className="action-buttons">
+                          <button
+                            className="action-btn btn-outline"
+                            onClick={() => openReview(u, "approve")}
+                          >
+                            approve
+                          </button>
+                          <button
+                            className="action-btn btn-danger"
+                            onClick={() => openReview(u, "reject")}
+                          >
+                            reject
+                          </button>
+                        </div>
+                      </td>
+                    ) : (
+                      <td>{u.adminApplication?.reason || "—"}</td>
+                    )}
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        )}
+
+        <section style={{ marginTop: "2rem" }}>
+          <h2 style={{ marginBottom: ".5rem" }}>Audit Log</h2>
+          {logs.length === 0 ? (
+            <div className="surface p-md">No decisions recorded yet.</div>
+          ) : (
+            <div style={{ overflowX: "auto" }}>
+              <table className="dashboard-table">
+                <thead>
+                  <tr style={{ textAlign: "left" }}>
+                    <th>When</th>
+                    <th>Action</th>
+                    <th>By</th>
+                    <th>User</th>
+                    <th>Reason</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {logs.map((log) => (
+                    <tr key={log._id}>
+                      <td>{new Date(log.createdAt).toLocaleString()}</td>
+                      <td>{log.action}</td>
+                      <td>{log.actor?.username || "—"}</td>
+                      <td>{log.targetUser?.email || log.targetEvent?.title || "—"}</td>
+                      <td>{log.reason || "—"}</td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          )}
+        </section>
+      </main>
+      <Footer />
+      <ToastContainer />
+
+      {review && (
+        <div className="db-modal-overlay" role="dialog" aria-modal="true">
+          <div className="db-modal">
+            <h3>
+              {review.decision === "approve" ? "Approve" : "Reject"} {review.user.username}
+            </h3>
+            <label className="db-modal-field">
+              {review.decision === "approve" ? "Note (optional)" : "Reason"}
+              <input
+                type="text"
+                value={reason}
+                onChange={(e) => setReason(e.target.value)}
+              />
+            </label>
+            <div style={{ display: "flex", gap: 8, justifyContent: "flex-end", marginTop: 12 }}>
+              <button className="btn btn-outline" onClick={() => setReview(null)} disabled={saving}>
+                Cancel
+              </button>
+              <button
+                className={`btn ${review.decision === "approve" ? "btn-primary" : "btn-danger"}`}
+                onClick={submitReview}
+                disabled={saving}
+              >
+                {saving ? "Saving..." : review.decision === "approve" ? "Approve" : "Reject"}
+              </button>
+            </div>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default AdminApplications;
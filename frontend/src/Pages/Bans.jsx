@@ -0,0 +1,128 @@
+import React, { useEffect, useState } from "react";
+import Header from "../Components/Header";
+import Footer from "../Components/Footer";
+import { ToastContainer } from "react-toastify";
+import { apiService } from "../utils/apiService";
+import { showErrorToast, showSuccessToast } from "../utils/toastUtils";
+import "../CSS/dashboard.css";
+
+// Where a ban stands right now
+const banState = (ban) => {
+  if (ban.lifted_at) return `lifted${ban.lifted_by?.username ? ` by ${ban.lifted_by.username}` : ""}`;
+  if (ban.expires_at && new Date(ban.expires_at) <= new Date()) return "expired";
+  return "active";
+};
+
+// Users banned from an organizer's events, with the option to lift their bans
+function Bans() {
+  const [status, setStatus] = useState("active");
+  const [bans, setBans] = useState([]);
+  const [loading, setLoading] = useState(true);
+
+  useEffect(() => {
+    let mounted = true;
+    setLoading(true);
+    apiService
+      .getBans(status === "all" ? "all" : undefined)
+      .then(({ data }) => {
+        if (mounted && data.success) setBans(data.bans);
+      })
+      .catch(() => showErrorToast("Failed to load bans"))
+      .finally(() => mounted && setLoading(false));
+    return () => {
+      mounted = false;
+    };
+  }, [status]);
+
+  const lift = async (ban) => {
+    if (!confirm(`Lift the ban of ${ban.user?.username}?`)) return;
+    try {
+      const { data } = await apiService.liftBan(ban._id);
+      showSuccessToast(data.message);
+      setBans((prev) => (status === "all" ? prev.map((b) => (b._id === ban._id ? data.ban : b)) : prev.filter((b) => b._id !== ban._id)));
+    } catch (error) {
+      showErrorToast(error.response?.data?.message || "Failed to lift the ban");
+    }
+  };
+
+  return (
+    <div style={{ minHeight: "100vh", display: "flex", flexDirection: "column" }}>
+      <Header />
+      <main className="layout-container" style={{ flex: 1, padding: "2.5rem 0" }}>
+        <h1 className="ed-title" style={{ margin: 0 }}>
+          Bans
+        </h1>
+        <p className="text-muted">
+          Banned users cannot register or pay for the event (or any event of the organizer) until the ban expires
+          or is lifted. Ban attendees from the attendee list of an event.
+        </p>
+
+        <div className="action-buttons" style={{ margin: "1rem 0" }}>
+          {["active", "all"].map((s) => (
+            <button
+              key={s}
+              className={`action-btn ${status === s ? "btn-primary" : "btn-outline"}`}
+              onClick={() => setStatus(s)}
+            >
+              {s}
+            </button>
+          ))}
+        </div>
+
+        {loading ? (
+          <div className="surface p-md">Loading...</div>
+        ) : bans.length === 0 ? (
+          <div className="surface p-md">No bans.</div>
+        ) : (
+          <div style={{ overflowX: "auto" }}>
+            <table className="dashboard-table">
+              <thead>
+                <tr style={{ textAlign: "left" }}>
+                  <th>User</th>
+                  <th>Applies to</th>
+                  <th>Reason</th>
+                  <th>Until</th>
+                  <th>Banned</th>
+                  <th>Status</th>
+                  <th>Actions</th>
+                </tr>
+              </thead>
+              <tbody>
+                {bans.map((ban) => (
+                  <tr key={ban._id}>
+                    <td>
+                      {ban.user?.username || "—"}
+                      <div className="text-muted">{ban.user?.email}</div>
+                    </td>
+                    <td>
+                      {ban.scope === "organizer" ? "All of the organizer's events" : ban.event?.title}
+                      {ban.scope === "organizer" && <div className="text-muted">from {ban.event?.title}</div>}
+                    </td>
+                    <td>{ban.reason}</td>
+                    <td>{ban.expires_at ? new Date(ban.expires_at).toLocaleString() : "permanent"}</td>
+                    <td>
+                      {new Date(ban.createdAt).toLocaleDateString()}
+                      {ban.banned_by?.username && <div className="text-muted">by {ban.banned_by.username}</div>}
+                    </td>
+                    <td>{banState(ban)}</td>
+                    <td>
+                      {banState(ban) === "active" && (
+                        <button className="action-btn btn-outline" onClick={() => lift(ban)}>
+                          lift
+                        </button>
+                      )}
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        )}
+      </main>
+      <Footer />
+      <ToastContainer />
+    </div>
+  );
+}
+
+export default Bans;
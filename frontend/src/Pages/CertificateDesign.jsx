@@ -0,0 +1,291 @@
+import React, { useEffect, useState } from "react";
+import { Link, useParams } from "react-router-dom";
+import Header from "../Components/Header";
+import Footer from "../Components/Footer";
+import { ToastContainer } from "react-toastify";
+import { apiService } from "../utils/apiService";
+import { showErrorToast, showSuccessToast } from "../utils/toastUtils";
+import "../CSS/dashboard.css";
+import "../CSS/certificates.css";
+
+const DESIGN_LABELS = {
+  classic: "Classic (gold frame, blue band)",
+  modern: "Modern (teal sidebar)",
+  minimal: "Minimal",
+  custom: "Custom background",
+};
+
+// Error message of a request made for a blob
+const blobError = async (error, fallback) => {
+  try {
+    return JSON.parse(await error.response.data.text()).message || fallback;
+  } catch (e) {
+    console.error(e);
+    return fallback;
+  }
+};
+
+// Organizers design an event's certificates; the preview is rendered by the same code as the PDF and PNG
+function CertificateDesign() {
+  const { id } = useParams();
+  const [template, setTemplate] = useState(null);
+  const [options, setOptions] = useState({ designs: [], types: {}, placeholders: {}, maxSignatories: 3 });
+  const [type, setType] = useState("participation"); // certificate type whose texts are edited and previewed
+  const [preview, setPreview] = useState(null); // object URL of the rendered preview
+  const [previewError, setPreviewError] = useState("");
+  const [saving, setSaving] = useState(false);
+  const [uploading, setUploading] = useState("");
+
+  useEffect(() => {
+    let mounted = true;
+    apiService
+      .getCertificateTemplate(id)
+      .then(({ data }) => {
+        if (!mounted || !data.success) return;
+        setTemplate(data.template);
+        setOptions({
+          designs: data.designs,
+          types: data.types,
+          placeholders: data.placeholders,
+          maxSignatories: data.maxSignatories,
+        });
+      })
+      .catch((error) => showErrorToast(error.response?.data?.message || "Failed to load the certificate design"));
+    return () => {
+      mounted = false;
+    };
+  }, [id]);
+
+  // Re-render the preview shortly after the last change
+  useEffect(() => {
+    if (!template) return;
+    let cancelled = false;
+    const timer = setTimeout(async () => {
+      try {
+        const { data } = await apiService.previewCertificateTemplate(id, template, type);
+        if (cancelled) return;
+        const url = URL.createObjectURL(data);
+        setPreview((prev) => {
+          if (prev) URL.revokeObjectURL(prev);
+          return url;
+        });
+        setPreviewError("");
+      } catch (error) {
+        if (!cancelled) setPreviewError(await blobError(error, "Preview failed"));
+      }
+    }, 600);
+    return () => {
+      cancelled = true;
+      clearTimeout(timer);
+    };
+  }, [id, template, type]);
+
+  const update = (changes) => setTemplate((prev) => ({ ...prev, ...changes }));
+  // Participation texts are the template's own; other types keep theirs in type_texts (empty means the type's default)
+  const typeTexts =
+    type === "participation"
+      ? { heading: template?.heading, body: template?.body }
+      : template?.type_texts?.find((t) => t.type === type) || { type, heading: "", body: "" };
+  const updateTexts = (changes) => {
+    if (type === "participation") return update(changes);
+    update({ type_texts: [...(template.type_texts || []).filter((t) => t.type !== type), { ...typeTexts, ...changes }] });
+  };
+  const updateSignatory = (index, changes) =>
+    update({ signatories: template.signatories.map((s, i) => (i === index ? { ...s, ...changes } : s)) });
+
+  const uploadImage = async (file, kind, onDone) => {
+    if (!file) return;
+    setUploading(kind);
+    try {
+      const { data } = await apiService.uploadCertificateImage(id, file, kind);
+      onDone(data.url);
+    } catch (error) {
+      showErrorToast(error.response?.data?.message || "Upload failed");
+    } finally {
+      setUploading("");
+    }
+  };
+
+  const save = async () => {
+    setSaving(true);
+    try {
+      const { data } = await apiService.saveCertificateTemplate(id, template);
+      showSuccessToast(data.message);
+      setTemplate(data.template);
+    } catch (error) {
+      showErrorToast(error.response?.data?.message || "Failed to save the design");
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  return (
+    <div style={{ minHeight: "100vh", display: "flex", flexDirection: "column" }}>
+      <Header />
+      <main className="layout-container" style={{ flex: 1, padding: "2.5rem 0" }}>
+        <h1 className="ed-title" style={{ margin: 0 }}>
+          Certificate Design
+        </h1>
+        <p className="text-muted">
+          The design applies to every certificate of this event, including ones already issued.{" "}
+          <Link to={`/events/${id}/certificates`}>Back to certificates</Link>
+        </p>
+
+        {!template ? (
+          <div className="surface p-md">Loading...</div>
+        ) : (
+          <div className="cert-design">
+            <div className="cert-design-form surface p-md">
+              <label className="db-modal-field">
+                Design
+                <select value={template.design} onChange={(e) => update({ design: e.target.value })}>
+                  {options.designs.map((d) => (
+                    <option key={d} value={d}>
+                      {DESIGN_LABELS[d] || d}
+                    </option>
+                  ))}
+                </select>
+              </label>
+
+              {template.design === "custom" && (
+                <>
+                  <label className="db-modal-field">
+                    Background image (landscape, 1400 × 990 works best)
+                    <input
+                      type="file"
+                      accept="image/*"
+                      disabled={!!uploading}
+                      onChange={(e) => uploadImage(e.target.files[0], "background", (url) => update({ background_url: url }))}
+                    />
+                  </label>
+                  {uploading === "background" && <span className="text-muted">Uploading...</span>}
+                  <label className="db-modal-field">
+                    Text color
+                    <input type="color" value={template.text_color} onChange={(e) => update({ text_color: e.target.value })} />
+                  </label>
+                </>
+              )}
+
+              <label className="db-modal-field">
+                Certificate type
+                <select value={type} onChange={(e) => setType(e.target.value)}>
+                  {Object.entries(options.types).map(([key, t]) => (
+                    <option key={key} value={key}>
+                      {t.label}
+                    </option>
+                  ))}
+                </select>
+              </label>
+              <span className="text-muted">
+                The heading and text after the name are set per type; the rest of the design is shared.
+              </span>
+
+              <label className="db-modal-field">
+                Heading
+                <input
+                  type="text"
+                  value={typeTexts.heading}
+                  maxLength={60}
+                  placeholder={options.types[type]?.heading}
+                  onChange={(e) => updateTexts({ heading: e.target.value })}
+                />
+              </label>
+              <label className="db-modal-field">
+                Intro
+                <input type="text" value={template.intro} maxLength={80} onChange={(e) => update({ intro: e.target.value })} />
+              </label>
+              <label className="db-modal-field">
+                Text after the name (up to two lines; leave empty for the type's sentence)
+                <textarea
+                  rows={2}
+                  value={typeTexts.body}
+                  placeholder={options.types[type]?.sentence}
+                  onChange={(e) => updateTexts({ body: e.target.value })}
+                />
+              </label>
+              <div className="cert-placeholders text-muted">
+                Placeholders:{" "}
+                {Object.entries(options.placeholders).map(([key, label]) => (
+                  <code key={key} title={label}>{`{{${key}}}`}</code>
+                ))}
+              </div>
+
+              <h3 style={{ marginBottom: 0 }}>Signatories</h3>
+              {template.signatories.length === 0 && (
+                <span className="text-muted">Without signatories the event organizer signs.</span>
+              )}
+              {template.signatories.map((s, i) => (
+                <div key={i} className="cert-signatory">
+                  <input
+                    type="text"
+                    placeholder="Name"
+                    value={s.name}
+                    maxLength={60}
+                    onChange={(e) => updateSignatory(i, { name: e.target.value })}
+                  />
+                  <input
+                    type="text"
+                    placeholder="Title"
+                    value={s.title}
+                    maxLength={60}
+                    onChange={(e) => updateSignatory(i, { title: e.target.value })}
+                  />
+                  <label className="cert-signature-upload">
+                    {s.signature_url ? "Replace signature" : "Upload signature"}
+                    <input
+                      type="file"
+                      accept="image/*"
+                      disabled={!!uploading}
+                      onChange={(e) =>
+                        uploadImage(e.target.files[0], "signature", (url) => updateSignatory(i, { signature_url: url }))
+                      }
+                    />
+                  </label>
+                  {s.signature_url && <img src={s.signature_url} alt={`Signature of ${s.name}`} />}
+                  <button
+                    type="button"
+                    className="action-btn btn-outline"
+                    onClick={() => update({ signatories: template.signatories.filter((_, j) => j !== i) })}
+                  >
+                    remove
+                  </button>
+                </div>
+              ))}
+              {uploading === "signature" && <span className="text-muted">Uploading...</span>}
+              {template.signatories.length < options.maxSignatories && (
+                <button
+                  type="button"
+                  className="action-btn btn-outline"
+                  style={{ alignSelf: "flex-start" }}
+                  onClick={() => update({ signatories: [...template.signatories, { name: "", title: "", signature_url: "" }] })}
+                >
+                  add signatory
+                </button>
+              )}
+
+              <div className="action-buttons" style={{ marginTop: 12 }}>
+                <button className="action-btn btn-primary" onClick={save} disabled={saving}>
+                  {saving ? "Saving..." : "save design"}
+                </button>
+              </div>
+            </div>
+
+            <div className="cert-design-preview">
+              {previewError && <div className="cert-verify-result invalid">{previewError}</div>}
+              {preview ? (
+                <img className="cert-verify-image" src={preview} alt="Certificate preview" />
+              ) : (
+                <div className="surface p-md">Rendering preview...</div>
+              )}
+              <span className="text-muted">Preview with a sample attendee. Downloads look exactly like this.</span>
+            </div>
+          </div>
+        )}
+      </main>
+      <Footer />
+      <ToastContainer />
+    </div>
+  );
+}
+
+export default CertificateDesign;
@@ -0,0 +1,161 @@
+import React, { useCallback, useEffect, useRef, useState } from "react";
+import { useNavigate, useParams } from "react-router-dom";
+import Header from "../Components/Header";
+import Footer from "../Components/Footer";
+import { ToastContainer } from "react-toastify";
+import { apiService } from "../utils/apiService";
+import { showErrorToast, showSuccessToast } from "../utils/toastUtils";
+import "../CSS/EventAttendee.css";
+import "../CSS/checkIn.css";
+
+// Scan attendee QR tickets at the venue and mark them as checked in
+function CheckIn() {
+  const { id } = useParams();
+  const navigate = useNavigate();
+  const videoRef = useRef(null);
+  const streamRef = useRef(null);
+  const busyRef = useRef(false);
+  const lastCodeRef = useRef("");
+  const [scanning, setScanning] = useState(false);
+  const [manualCode, setManualCode] = useState("");
+  const [result, setResult] = useState(null); // { ok, message, name }
+  const [history, setHistory] = useState([]);
+  const scannerSupported = "BarcodeDetector" in window;
+
+  const submitCode = useCallback(async (code) => {
+    if (!code || busyRef.current) return;
+    busyRef.current = true;
+    try {
+      const { data } = await apiService.checkIn({ code, eventId: id });
+      const name = data.attendee?.username || "Attendee";
+      setResult({ ok: true, message: "Checked in", name });
+      setHistory((h) => [{ name, at: new Date(), ok: true }, ...h].slice(0, 20));
+      showSuccessToast(`${name} checked in`);
+    } catch (error) {
+      const message = error.response?.data?.message || "Check-in failed";
+      const name = error.response?.data?.attendee?.username || "";
+      setResult({ ok: false, message, name });
+      setHistory((h) => [{ name: name || "Unknown", at: new Date(), ok: false, message }, ...h].slice(0, 20));
+      showErrorToast(message);
+    } finally {
+      busyRef.current = false;
+    }
+  }, [id]);
+
+  const stopCamera = () => {
+    streamRef.current?.getTracks().forEach((t) => t.stop());
+    streamRef.current = null;
+    setScanning(false);
+  };
+
+  const startCamera = async () => {
+    try {
+      const stream = await navigator.mediaDevices.getUserMedia({
+        video: { facingMode: "environment" },
+      });
+      streamRef.current = stream;
+      videoRef.current.srcObject = stream;
+      await videoRef.current.play();
+      setScanning(true);
+    } catch (error) {
+      console.error(error);
+      showErrorToast("Could not access the camera");
+    }
+  };
+
+  // Poll the video feed for QR codes while the camera is running
+  useEffect(() => {
+    if (!scanning || !scannerSupported) return;
+    const detector = new window.BarcodeDetector({ formats: ["qr_code"] });
+    const timer = setInterval(async () => {
+      if (!videoRef.current || busyRef.current) return;
+      try {
+        const codes = await detector.detect(videoRef.current);
+        const code = codes[0]?.rawValue;
+        // Ignore the same ticket while it is still in front of the camera
+        if (code && code !== lastCodeRef.current) {
+          lastCodeRef.current = code;
+          submitCode(code);
+        }
+      } catch {
+        /* frame not ready */
+      }
+    }, 500);
+    return () => clearInterval(timer);
+  }, [scanning, scannerSupported, submitCode]);
+
+  // Release the camera when leaving the page
+  useEffect(() => stopCamera, []);
+
+  const handleManualSubmit = (e) => {
+    e.preventDefault();
+    submitCode(manualCode.trim());
+    setManualCode("");
+  };
+
+  return (
+    <div className="page-wrapper">
+      <Header />
+      <div className="content-wrapper">
+        <div className="attendees-container checkin-container">
+          <h2>Ticket Check-in</h2>
+          <div className="checkin-scanner">
+            <video ref={videoRef} className="checkin-video" muted playsInline hidden={!scanning} />
+            {!scannerSupported && (
+              <p className="checkin-hint">
+                This browser cannot scan QR codes. Enter the ticket code manually below.
+              </p>
+            )}
+            {scannerSupported &&
+              (scanning ? (
+                <button className="attendee-button" onClick={stopCamera}>
+                  Stop Camera
+                </button>
+              ) : (
+                <button className="checkin-button" onClick={startCamera}>
+                  Start Camera
+                </button>
+              ))}
+          </div>
+
+          <form className="checkin-manual" onSubmit={handleManualSubmit}>
+            <input
+              type="text"
+              placeholder="Ticket code"
+              value={manualCode}
+              onChange={(e) => setManualCode(e.target.value)}
+            />
+            <button type="submit" className="checkin-button">
+              Check In
+            </button>
+          </form>
+
+          {result && (
+            <div className={`checkin-result ${result.ok ? "ok" : "fail"}`}>
+              <strong>{result.name}</strong> {result.message}
+            </div>
+          )}
+
+          {history.length > 0 && (
+            <ul className="checkin-history">
+              {history.map((h, i) => (
+                <li key={i} className={h.ok ? "ok" : "fail"}>
+                  {h.at.toLocaleTimeString()} — {h.name}
+                  {h.ok ? " checked in" : `: ${h.message}`}
+                </li>
+              ))}
+            </ul>
+          )}
+
+          <button className="cancel-btn" onClick={() => navigate(`/event-attendee/${id}`)}>
+            Back to Attendees
+          </button>
+        </div>
+      </div>
+      <Footer />
+      <ToastContainer />
+    </div>
+  );
+}
+
+export default CheckIn;
@@ -13,6 +13,8 @@ import {
 import { apiService } from "../utils/apiService";
 import { clearEventCaches } from "../utils/cacheUtils";
 import { useAuth } from "../contexts/AuthContext";
+import FormBuilder from "../Components/FormBuilder";
+import { toFormFields } from "../utils/registrationForm";
 import "react-toastify/dist/ReactToastify.css";
 
 import "../CSS/createEvent.css"; // Only your custom CSS
@@ -32,12 +34,69 @@ function CreateEvent() {
     event_type: "offline",
     registration_deadline: "",
     registration_fee: 0,
+    capacity: 0,
     event_image: null,
     tags: "",
     category: "",
+    payment_gateways: ["bkash"],
   });
+  const [gateways, setGateways] = useState([]); // [{ name, label, configured }]
 
   const [isSubmitting, setIsSubmitting] = useState(false);
+  // Repeat rule: the event becomes a series of sessions when frequency is set
+  const emptyRecurrence = { frequency: "none", interval: 1, endType: "count", count: 4, until: "" };
+  const [recurrence, setRecurrence] = useState(emptyRecurrence);
+  // Refunds when attendees cancel a paid registration (no refunds when left empty)
+  const emptyPolicy = { full_refund_until: "", partial_refund_percent: 0, partial_refund_until: "" };
+  const [policy, setPolicy] = useState(emptyPolicy);
+
+  const handlePolicyChange = (e) => {
+    const { name, value } = e.target;
+    setPolicy((prev) => ({ ...prev, [name]: value }));
+  };
+
+  // Competitions can be entered by teams (sizes include the captain)
+  const emptyTeam = { enabled: false, min_size: 2, max_size: 4 };
+  const [team, setTeam] = useState(emptyTeam);
+
+  const handleTeamChange = (e) => {
+    const { name, value } = e.target;
+    setTeam((prev) => ({ ...prev, [name]: name === "enabled" ? value === "true" : value }));
+  };
+
+  // Extra questions attendees answer when registering
+  const [formFields, setFormFields] = useState([]);
+
+  // Early-bird prices: each tier applies until its date, then the regular fee
+  const [tiers, setTiers] = useState([]);
+
+  const handleTierChange = (index, e) => {
+    const { name, value } = e.target;
+    setTiers((prev) => prev.map((t, i) => (i === index ? { ...t, [name]: value } : t)));
+  };
+  const addTier = () => setTiers((prev) => [...prev, { label: "Early bird", price: "", until: "" }]);
+  const removeTier = (index) => setTiers((prev) => prev.filter((_, i) => i !== index));
+
+  const handleRecurrenceChange = (e) => {
+    const { name, value } = e.target;
+    setRecurrence((prev) => ({ ...prev, [name]: value }));
+  };
+
+  useEffect(() => {
+    apiService
+      .getPaymentGateways()
+      .then(({ data }) => setGateways(data.gateways || []))
+      .catch(() => setGateways([]));
+  }, []);
+
+  const toggleGateway = (name) => {
+    setEvent((prev) => ({
+      ...prev,
+      payment_gateways: prev.payment_gateways.includes(name)
+        ? prev.payment_gateways.filter((g) => g !== name)
+        : [...prev.payment_gateways, name],
+    }));
+  };
 
   useEffect(() => {
     const timer = setTimeout(() => setLoading(false), 800);
@@ -146,6 +205,11 @@ function CreateEvent() {
       return;
     }
 
+    if (Number(event.registration_fee) > 0 && event.payment_gateways.length === 0) {
+      showErrorToast("Choose at least one payment method");
+      return;
+    }
+
     setIsSubmitting(true);
 
     try {
@@ -164,10 +228,29 @@ function CreateEvent() {
       formData.append("event_type", event.event_type);
       formData.append("registration_deadline", event.registration_deadline);
       formData.append("registration_fee", event.registration_fee);
+      formData.append("capacity", event.capacity);
       formData.append("createdBy", user._id); // Add the logged-in user's ID
       formData.append("category", event.category);
       formData.append("tags", tagsArray);
-
+      formData.append("payment_gateways", JSON.stringify(event.payment_gateways));
+      formData.append("team_registration", JSON.stringify(team));
+      formData.append("registration_form", JSON.stringify(toFormFields(formFields)));
+      if (Number(event.registration_fee) > 0) {
+        formData.append("cancellation_policy", JSON.stringify(policy));
+        formData.append("price_tiers", JSON.stringify(tiers));
+      }
+      if (recurrence.frequency !== "none") {
+        formData.append(
+          "recurrence",
+          JSON.stringify({
+            frequency: recurrence.frequency,
+            interval: recurrence.interval,
+            ...(recurrence.endType === "count"
+              ? { count: recurrence.count }
+              : { until: recurrence.until }),
+          })
+        );
+      }
 
       if (event.event_image) {
         formData.append("image", event.event_image);
@@ -179,7 +262,9 @@ function CreateEvent() {
       if (response.data.success) {
         // Show success toast
         showSuccessToast(
-          `Event "${event.title}" has been created successfully!`
+          response.data.sessions
+            ? `Event series "${event.title}" has been created with ${response.data.sessions.length} sessions!`
+            : `Event "${event.title}" has been created successfully!`
         );
 
         // Clear events cache to ensure new event shows up in upcoming events
@@ -196,8 +281,15 @@ function CreateEvent() {
           event_type: "offline",
           registration_deadline: "",
           registration_fee: 0,
+          capacity: 0,
           event_image: null,
+          payment_gateways: ["bkash"],
         });
+        setRecurrence(emptyRecurrence);
+        setPolicy(emptyPolicy);
+        setTiers([]);
+        setTeam(emptyTeam);
+        setFormFields([]);
 
         // Clear file input
         const fileInput = document.querySelector('input[type="file"]');
@@ -380,21 +472,306 @@ function CreateEvent() {
               </div>
             </div>
 
-            {/* Prize Money */}
+            {Number(event.registration_fee) > 0 && gateways.length > 0 && (
+              <div className="ce-form-group">
+                <label className="ce-label">Accepted Payment Methods</label>
+                <div className="ce-gateways">
+                  {gateways.map((g) => (
+                    <label key={g.name} className="ce-gateway">
+                      <input
+                        type="checkbox"
+                        checked={event.payment_gateways.includes(g.name)}
+                        onChange={() => toggleGateway(g.name)}
+                      />
+                      {g.label}
+                      {!g.configured && <em> (not set up on this server)</em>}
+                    </label>
+                  ))}
+                </div>
+                <small className="ce-help-text">
+                  Attendees choose one of these when paying the registration fee.
+                </small>
+              </div>
+            )}
+
+            {Number(event.registration_fee) > 0 && (
+              <div className="ce-form-group">
+                <label className="ce-label">Early-bird Pricing</label>
+                {tiers.map((tier, index) => (
+                  <div key={index} className="ce-form-row ce-tier-row">
+                    <div className="ce-form-group">
+                      <label className="ce-label">Label</label>
+                      <input
+                        type="text"
+                        name="label"
+                        value={tier.label}
+                        onChange={(e) => handleTierChange(index, e)}
+                        className="ce-input"
+                      />
+                    </div>
+                    <div className="ce-form-group">
+                      <label className="ce-label">Price (৳)</label>
+                      <input
+                        type="number"
+                        name="price"
+                        min="0"
+                        step="0.01"
+                        value={tier.price}
+                        onChange={(e) => handleTierChange(index, e)}
+                        className="ce-input"
+                        required
+                      />
+                    </div>
+                    <div className="ce-form-group">
+                      <label className="ce-label">Until</label>
+                      <input
+                        type="datetime-local"
+                        name="until"
+                        value={tier.until}
+                        onChange={(e) => handleTierChange(index, e)}
+                        className="ce-input"
+                        required
+                      />
+                    </div>
+                    <button type="button" className="ce-tier-remove" onClick={() => removeTier(index)}>
+                      Remove
+                    </button>
+                  </div>
+                ))}
+                <button type="button" className="ce-tier-add" onClick={addTier}>
+                  + Add price tier
+                </button>
+                <small className="ce-help-text">
+                  Each price applies until its date; after the last one attendees pay the regular fee.
+                </small>
+              </div>
+            )}
+
+            {Number(event.registration_fee) > 0 && (
+              <div className="ce-form-group">
+                <label className="ce-label">Cancellation Policy</label>
+                <div className="ce-form-row">
+                  <div className="ce-form-group">
+                    <label className="ce-label">Full refund until</label>
+                    <input
+                      type="datetime-local"
+                      name="full_refund_until"
+                      value={policy.full_refund_until}
+                      onChange={handlePolicyChange}
+                      className="ce-input"
+                    />
+                  </div>
+                  <div className="ce-form-group">
+                    <label className="ce-label">Partial refund (%)</label>
+                    <input
+                      type="number"
+                      name="partial_refund_percent"
+                      min="0"
+                      max="100"
+                      value={policy.partial_refund_percent}
+                      onChange={handlePolicyChange}
+                      className="ce-input"
+                    />
+                  </div>
+                  <div className="ce-form-group">
+                    <label className="ce-label">Partial refund until</label>
+                    <input
+                      type="datetime-local"
+                      name="partial_refund_until"
+                      value={policy.partial_refund_until}
+                      onChange={handlePolicyChange}
+                      className="ce-input"
+                    />
+                  </div>
+                </div>
+                <small className="ce-help-text">
+                  Attendees who cancel get everything back until the first date, then the
+                  partial share until the second date (or the event). Leave empty for no refunds.
+                </small>
+              </div>
+            )}
+
+            {/* Prize Money and Capacity */}
+            <div className="ce-form-row">
+              <div className="ce-form-group">
+                <label className="ce-label">Prize Money (৳)</label>
+                <input
+                  type="number"
+                  name="prize_money"
+                  min="0"
+                  step="0.01"
+                  value={event.prize_money}
+                  onChange={handleChange}
+                  className="ce-input"
+                  required
+                />
+              </div>
+              <div className="ce-form-group">
+                <label className="ce-label">Capacity</label>
+                <input
+                  type="number"
+                  name="capacity"
+                  min="0"
+                  step="1"
+                  value={event.capacity}
+                  onChange={handleChange}
+                  className="ce-input"
+                />
+                <small className="ce-help-text">
+                  Maximum number of seats. Leave 0 for unlimited; extra sign-ups
+                  join a waitlist.
+                </small>
+              </div>
+            </div>
+
+            {/* Team registration */}
+            <div className="ce-form-row">
+              <div className="ce-form-group">
+                <label className="ce-label">Registration</label>
+                <select
+                  name="enabled"
+                  value={String(team.enabled)}
+                  onChange={handleTeamChange}
+                  className="ce-input"
+                >
+                  <option value="false">Individual attendees</option>
+                  <option value="true">Teams</option>
+                </select>
+              </div>
+              {team.enabled && (
+                <>
+                  <div className="ce-form-group">
+                    <label className="ce-label">Min team size</label>
+                    <input
+                      type="number"
+                      name="min_size"
+                      min="1"
+                      step="1"
+                      value={team.min_size}
+                      onChange={handleTeamChange}
+                      className="ce-input"
+                    />
+                  </div>
+                  <div className="ce-form-group">
+                    <label className="ce-label">Max team size</label>
+                    <input
+                      type="number"
+                      name="max_size"
+                      min="2"
+                      step="1"
+                      value={team.max_size}
+                      onChange={handleTeamChange}
+                      className="ce-input"
+                    />
+                  </div>
+                </>
+              )}
+            </div>
+            {team.enabled && (
+              <small className="ce-help-text">
+                A captain creates the team and invites members by email; the fee is paid once per
+                team and every member takes a seat.
+              </small>
+            )}
+
+            {/* Registration form */}
             <div className="ce-form-group">
-              <label className="ce-label">Prize Money (৳)</label>
-              <input
-                type="number"
-                name="prize_money"
-                min="0"
-                step="0.01"
-                value={event.prize_money}
-                onChange={handleChange}
-                className="ce-input"
-                required
-              />
+              <label className="ce-label">Registration Questions</label>
+              <FormBuilder fields={formFields} onChange={setFormFields} />
+              <small className="ce-help-text">
+                Asked when attendees register (every team member answers for themselves). Answers
+                show up on the attendee list.
+              </small>
             </div>
 
+            {/* Recurrence */}
+            <div className="ce-form-row">
+              <div className="ce-form-group">
+                <label className="ce-label">Repeats</label>
+                <select
+                  name="frequency"
+                  value={recurrence.frequency}
+                  onChange={handleRecurrenceChange}
+                  className="ce-input"
+                >
+                  <option value="none">Does not repeat</option>
+                  <option value="daily">Daily</option>
+                  <option value="weekly">Weekly</option>
+                  <option value="monthly">Monthly</option>
+                </select>
+                <small className="ce-help-text">
+                  Repeating events are created as a series; attendees can join
+                  single sessions or the whole series.
+                </small>
+              </div>
+              {recurrence.frequency !== "none" && (
+                <div className="ce-form-group">
+                  <label className="ce-label">Every</label>
+                  <input
+                    type="number"
+                    name="interval"
+                    min="1"
+                    step="1"
+                    value={recurrence.interval}
+                    onChange={handleRecurrenceChange}
+                    className="ce-input"
+                  />
+                  <small className="ce-help-text">
+                    {recurrence.frequency === "daily"
+                      ? "day(s)"
+                      : recurrence.frequency === "weekly"
+                      ? "week(s)"
+                      : "month(s)"}
+                  </small>
+                </div>
+              )}
+            </div>
+            {recurrence.frequency !== "none" && (
+              <div className="ce-form-row">
+                <div className="ce-form-group">
+                  <label className="ce-label">Ends</label>
+                  <select
+                    name="endType"
+                    value={recurrence.endType}
+                    onChange={handleRecurrenceChange}
+                    className="ce-input"
+                  >
+                    <option value="count">After a number of sessions</option>
+                    <option value="until">On a date</option>
+                  </select>
+                </div>
+                <div className="ce-form-group">
+                  {recurrence.endType === "count" ? (
+                    <>
+                      <label className="ce-label">Sessions</label>
+                      <input
+                        type="number"
+                        name="count"
+                        min="2"
+                        step="1"
+                        value={recurrence.count}
+                        onChange={handleRecurrenceChange}
+                        className="ce-input"
+                        required
+                      />
+                    </>
+                  ) : (
+                    <>
+                      <label className="ce-label">Last session on</label>
+                      <input
+                        type="date"
+                        name="until"
+                        value={recurrence.until}
+                        onChange={handleRecurrenceChange}
+                        className="ce-input"
+                        required
+                      />
+                    </>
+                  )}
+                </div>
+              </div>
+            )}
+
             <button
               type="submit"
               className={`ce-btn ce-full-width ${
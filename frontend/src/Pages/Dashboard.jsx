@@ -1,15 +1,17 @@
 import React, { useEffect, useState } from "react";
 import Header from "../Components/Header";
 import Footer from "../Components/Footer";
+import { ToastContainer } from "react-toastify";
 import Loader from "../Components/loader";
 import "../CSS/dashboard.css";
 import "../CSS/upEventPage.css"; // reuse existing search bar / fx styles
 import { useAuth } from "../contexts/AuthContext";
 import { apiService } from "../utils/apiService";
-import { FaEdit, FaTrash, FaChevronLeft, FaChevronRight } from "react-icons/fa";
+import { FaEdit, FaTrash, FaUsers, FaMoneyBillWave, FaTags, FaEnvelope, FaCertificate, FaStar, FaChevronLeft, FaChevronRight } from "react-icons/fa";
 import { showSuccessToast, showErrorToast } from "../utils/toastUtils";
 import ReactPaginate from "react-paginate";
 import { useNavigate } from "react-router-dom";
+import StarRating from "../Components/StarRating";
 
 // Admin dashboard with event table, edit/delete, and stats
 function Dashboard() {
@@ -28,80 +30,62 @@ function Dashboard() {
   const [minAttendees, setMinAttendees] = useState("");
   const [sortOption, setSortOption] = useState("new"); // 'new' | 'attendees'
   const [sortDir, setSortDir] = useState("desc"); // 'asc' | 'desc'
-  const [filteredEvents, setFilteredEvents] = useState([]);
+  const [debouncedQuery, setDebouncedQuery] = useState("");
+  const [totalPages, setTotalPages] = useState(0);
+  const [categories, setCategories] = useState([]);
+  const [reloadKey, setReloadKey] = useState(0);
+  const [archivedEvents, setArchivedEvents] = useState([]);
+  const [restoreTarget, setRestoreTarget] = useState(null);
+  const [restoreForm, setRestoreForm] = useState({ date: "", registration_deadline: "" });
+  const [restoreLoading, setRestoreLoading] = useState(false);
+  const [invites, setInvites] = useState([]);
+  const [teamEvent, setTeamEvent] = useState(null);
+  const [team, setTeam] = useState(null); // { owner, coOrganizers, invites }
+  const [inviteEmail, setInviteEmail] = useState("");
+  const [teamLoading, setTeamLoading] = useState(false);
+  const [reportEvent, setReportEvent] = useState(null);
+  const [report, setReport] = useState(null); // { summary, payments, flags }
+  const [history, setHistory] = useState(null); // payment with its gateway history
+  const [feedback, setFeedback] = useState(null); // { events, organizer } survey results of past events
   const navigate = useNavigate();
+  // Wait for the user to stop typing before searching
+  useEffect(() => {
+    const timer = setTimeout(() => {
+      setDebouncedQuery(searchQuery.trim());
+      setCurrentPage(0);
+    }, 300);
+    return () => clearTimeout(timer);
+  }, [searchQuery]);
+
+  // Search, filters, sorting, pagination and stats are computed on the server
   useEffect(() => {
     let mounted = true;
 
     const load = async () => {
       setLoading(true);
       try {
-        const res = await apiService.getEvents();
-        if (!res?.data?.success) throw new Error("Failed to fetch events");
-        // Filter events created by this admin
-        const all = res.data.events || [];
-        const myEvents = all.filter(
-          (ev) =>
-            String(ev.createdBy) === String(user?._id) ||
-            String(ev.createdBy?._id) === String(user?._id)
-        );
-
-        // For each event, fetch attendee count
-        // Fetch attendee counts sequentially but could be optimized with backend aggregation
-        const counts = [];
-        for (const ev of myEvents) {
-          try {
-            const r = await apiService.getEventRegistrations(ev._id);
-            if (r?.data?.success && Array.isArray(r.data.registration)) {
-              counts.push({ id: ev._id, count: r.data.registration.length });
-            } else counts.push({ id: ev._id, count: 0 });
-          } catch {
-            // 404 or other => treat as zero attendees
-            counts.push({ id: ev._id, count: 0 });
-          }
-        }
-
-        // attach counts
-        const withCounts = myEvents.map((ev) => {
-          const match = counts.find((c) => c.id === ev._id);
-          // derive a reliable creation timestamp: prefer ev.createdAt; else decode from ObjectId; else fallback to event date
-          let derivedCreatedAt = ev.createdAt;
-          if (
-            !derivedCreatedAt &&
-            ev._id &&
-            typeof ev._id === "string" &&
-            ev._id.length >= 8
-          ) {
-            try {
-              const ts = parseInt(ev._id.substring(0, 8), 16) * 1000; // ObjectId timestamp seconds -> ms
-              derivedCreatedAt = new Date(ts).toISOString();
-            } catch {
-              /* ignore */
-            }
-          }
-          if (!derivedCreatedAt && ev.date) derivedCreatedAt = ev.date;
-          return {
-            ...ev,
-            attendees: match ? match.count : 0,
-            _createdAt: derivedCreatedAt,
-          };
+        // Events this admin created or co-organizes
+        const res = await apiService.getManagedEvents({
+          query: debouncedQuery || undefined,
+          category: categoryFilter || undefined,
+          min_registrations: minAttendees || undefined,
+          sort: sortOption === "attendees" ? "popular" : "new",
+          order: sortDir,
+          page: currentPage + 1,
+          limit: perPage,
         });
-
+        if (!res?.data?.success) throw new Error("Failed to fetch events");
         if (!mounted) return;
-        setEvents(withCounts);
-        setFilteredEvents(withCounts); // initial
-
-        // compute stats
-        const now = Date.now();
-        const total = withCounts.length;
-        const upcoming = withCounts.filter(
-          (ev) => new Date(ev.date).getTime() >= now
-        ).length;
-        const attendees = withCounts.reduce(
-          (s, e) => s + (Number(e.attendees) || 0),
-          0
+        setEvents(
+          (res.data.events || []).map((ev) => ({
+            ...ev,
+            attendees: ev.registrations_count,
+          }))
         );
-        setStats({ total, upcoming, attendees });
+        setTotalPages(res.data.pages || 0);
+        setStats(res.data.stats);
+        setCategories(res.data.categories || []);
+        setError("");
       } catch (e) {
         console.error(e);
         if (mounted) setError("Failed to load events");
@@ -112,11 +96,67 @@ function Dashboard() {
 
     if (user?.isAdmin) load();
 
+    return () => {
+      mounted = false;
+    };
+  }, [
+    user,
+    debouncedQuery,
+    categoryFilter,
+    minAttendees,
+    sortOption,
+    sortDir,
+    currentPage,
+    perPage,
+    reloadKey,
+  ]);
+
+  // Archived events and pending invitations are loaded once
+  useEffect(() => {
+    let mounted = true;
+
+    const load = async () => {
+      // Past events are archived, not deleted
+      try {
+        const archivedRes = await apiService.getManagedEvents({
+          archived: true,
+          limit: 100,
+        });
+        if (mounted && archivedRes?.data?.success)
+          setArchivedEvents(archivedRes.data.events || []);
+      } catch {
+        /* archive is optional for the dashboard */
+      }
+
+      try {
+        const invitesRes = await apiService.getCoOrganizerInvites();
+        if (mounted && invitesRes?.data?.success)
+          setInvites(invitesRes.data.invites || []);
+      } catch {
+        /* invitations are optional for the dashboard */
+      }
+
+      try {
+        const feedbackRes = await apiService.getFeedbackSummary();
+        if (mounted && feedbackRes?.data?.success) setFeedback(feedbackRes.data);
+      } catch {
+        /* feedback is optional for the dashboard */
+      }
+    };
+
+    if (user?.isAdmin) load();
+
     return () => {
       mounted = false;
     };
   }, [user]);
 
+  // Apply a filter change and go back to the first page
+  const changeFilter = (setter) => (value) => {
+    setter(value);
+    setCurrentPage(0);
+  };
+
   // show modal
   const handleDelete = (eventId) => {
     setPendingDeleteId(eventId);
@@ -128,20 +168,7 @@ function Dashboard() {
     setDeleteLoading(true);
     try {
       await apiService.deleteEvent(pendingDeleteId);
-      setEvents((prev) => {
-        const updated = prev.filter((e) => e._id !== pendingDeleteId);
-        const now = Date.now();
-        const total = updated.length;
-        const upcoming = updated.filter(
-          (ev) => new Date(ev.date).getTime() >= now
-        ).length;
-        const attendees = updated.reduce(
-          (s, e) => s + (Number(e.attendees) || 0),
-          0
-        );
-        setStats({ total, upcoming, attendees });
-        return updated;
-      });
+      setReloadKey((k) => k + 1);
       setShowDeleteModal(false);
       setPendingDeleteId(null);
       showSuccessToast("Event deleted");
@@ -159,41 +186,134 @@ function Dashboard() {
     setShowDeleteModal(false);
   };
 
-  // Build category list (unique)
-  const categories = Array.from(
-    new Set(events.map((e) => e.category).filter(Boolean))
-  );
+  const openRestore = (ev) => {
+    setRestoreTarget(ev);
+    setRestoreForm({ date: "", registration_deadline: "" });
+  };
 
-  // Filtering + sorting
-  useEffect(() => {
-    let list = [...events];
-    const q = searchQuery.trim().toLowerCase();
-    if (q) list = list.filter((e) => (e.title || "").toLowerCase().includes(q));
-    if (categoryFilter)
-      list = list.filter((e) => e.category === categoryFilter);
-    if (minAttendees !== "" && !isNaN(minAttendees)) {
-      const minA = Number(minAttendees);
-      list = list.filter((e) => (e.attendees || 0) >= minA);
+  const confirmRestore = async () => {
+    if (!restoreTarget) return;
+    if (!restoreForm.date || !restoreForm.registration_deadline) {
+      showErrorToast("Pick a new date and registration deadline");
+      return;
+    }
+    setRestoreLoading(true);
+    try {
+      await apiService.restoreEvent(restoreTarget._id, restoreForm);
+      setArchivedEvents((prev) => prev.filter((e) => e._id !== restoreTarget._id));
+      setReloadKey((k) => k + 1);
+      setRestoreTarget(null);
+      showSuccessToast("Event restored");
+    } catch (e) {
+      showErrorToast(e.response?.data?.message || "Failed to restore event");
+    } finally {
+      setRestoreLoading(false);
+    }
+  };
+
+  const respondToInvite = async (invite, action) => {
+    try {
+      await apiService.respondToCoOrganizerInvite(invite.eventId, action);
+      setInvites((prev) => prev.filter((i) => i.eventId !== invite.eventId));
+      if (action === "accept") {
+        // Pull the newly shared event into the table
+        setReloadKey((k) => k + 1);
+        showSuccessToast(`You now co-organize ${invite.eventTitle}`);
+      } else {
+        showSuccessToast("Invitation declined");
+      }
+    } catch (e) {
+      showErrorToast(e.response?.data?.message || "Failed to respond to invitation");
+    }
+  };
+
+  const loadTeam = async (eventId) => {
+    const { data } = await apiService.getCoOrganizers(eventId);
+    setTeam(data);
+  };
+
+  const openTeam = async (ev) => {
+    setTeamEvent(ev);
+    setTeam(null);
+    setInviteEmail("");
+    try {
+      await loadTeam(ev._id);
+    } catch (e) {
+      showErrorToast(e.response?.data?.message || "Failed to load organizers");
+      setTeamEvent(null);
+    }
+  };
+
+  const sendInvite = async (e) => {
+    e.preventDefault();
+    if (!inviteEmail.trim()) return;
+    setTeamLoading(true);
+    try {
+      await apiService.inviteCoOrganizer(teamEvent._id, inviteEmail.trim());
+      setInviteEmail("");
+      showSuccessToast("Invitation sent");
+      await loadTeam(teamEvent._id);
+    } catch (e) {
+      showErrorToast(e.response?.data?.message || "Failed to send invitation");
+    } finally {
+      setTeamLoading(false);
+    }
+  };
+
+  const removeFromTeam = async (userId) => {
+    setTeamLoading(true);
+    try {
+      await apiService.removeCoOrganizer(teamEvent._id, userId);
+      await loadTeam(teamEvent._id);
+    } catch (e) {
+      showErrorToast(e.response?.data?.message || "Failed to remove organizer");
+    } finally {
+      setTeamLoading(false);
+    }
+  };
+
+  const openReport = async (ev) => {
+    setReportEvent(ev);
+    setReport(null);
+    setHistory(null);
+    try {
+      const { data } = await apiService.getPaymentReport(ev._id);
+      setReport(data);
+    } catch (e) {
+      showErrorToast(e.response?.data?.message || "Failed to load payments");
+      setReportEvent(null);
+    }
+  };
+
+  const downloadReport = async () => {
+    try {
+      const res = await apiService.downloadPaymentReport(reportEvent._id);
+      const url = window.URL.createObjectURL(new Blob([res.data], { type: "text/csv" }));
+      const a = document.createElement("a");
+      a.href = url;
+      a.download = `Payments_${(reportEvent.title || "event").replace(/[^a-z0-9]/gi, "_")}.csv`;
+      document.body.appendChild(a);
+      a.click();
+      a.remove();
+      window.URL.revokeObjectURL(url);
+    } catch (e) {
+      console.error(e);
+      showErrorToast("Failed to export payments");
     }
-    // sort
-    // Sorting: 'new' uses _createdAt (injected) or createdAt -> ObjectId derived timestamp -> event date.
-    const getCreated = (e) =>
-      new Date(
-        e._createdAt ||
-          e.createdAt ||
-          (e._id && typeof e._id === "string" && e._id.length >= 8
-            ? parseInt(e._id.substring(0, 8), 16) * 1000
-            : e.date || 0)
-      );
-    const sorter = {
-      new: (a, b) => getCreated(a) - getCreated(b),
-      attendees: (a, b) => (a.attendees || 0) - (b.attendees || 0),
-    }[sortOption];
-    if (sorter) list.sort(sorter);
-    if (sortDir === "desc") list.reverse();
-    setFilteredEvents(list);
-    setCurrentPage(0); // reset page when filters change
-  }, [searchQuery, categoryFilter, minAttendees, sortOption, sortDir, events]);
+  };
+
+  const showHistory = async (paymentId) => {
+    if (history?._id === paymentId) {
+      setHistory(null);
+      return;
+    }
+    try {
+      const { data } = await apiService.getPaymentHistory(paymentId);
+      setHistory(data.payment);
+    } catch (e) {
+      showErrorToast(e.response?.data?.message || "Failed to load payment history");
+    }
+  };
 
   const eventAttendee = async (e) => {
     // console.log(e);
@@ -209,7 +329,7 @@ function Dashboard() {
         fontFamily: "Silevena",
       }}
     >
-      {loading && <Loader color={document.documentElement.getAttribute("data-theme") === "dark" ? "#ffffff" : "#000000"} />}
+      {loading && events.length === 0 && <Loader color={document.documentElement.getAttribute("data-theme") === "dark" ? "#ffffff" : "#000000"} />}
       <Header />
       <main
         className="layout-container"
@@ -225,6 +345,29 @@ function Dashboard() {
             <p className="text-muted" style={{ margin: 0 }}>
               Welcome {user?.username} — manage and analyze your events.
             </p>
+            {user?.isSuperAdmin && (
+              <button
+                className="btn btn-outline"
+                style={{ marginTop: ".75rem" }}
+                onClick={() => navigate("/admin-applications")}
+              >
+                Organizer Applications
+              </button>
+            )}
+            <button
+              className="btn btn-outline"
+              style={{ marginTop: ".75rem", marginLeft: user?.isSuperAdmin ? ".5rem" : 0 }}
+              onClick={() => navigate("/refunds")}
+            >
+              Refunds
+            </button>
+            <button
+              className="btn btn-outline"
+              style={{ marginTop: ".75rem", marginLeft: ".5rem" }}
+              onClick={() => navigate("/bans")}
+            >
+              Bans
+            </button>
           </div>
           {/* Unified styled search / filter bar */}
           <div
@@ -256,7 +399,7 @@ function Dashboard() {
               >
                 <select
                   value={categoryFilter}
-                  onChange={(e) => setCategoryFilter(e.target.value)}
+                  onChange={(e) => changeFilter(setCategoryFilter)(e.target.value)}
                   className="eventsPage-filterSelect fx-select"
                   aria-label="Filter by category"
                 >
@@ -288,7 +431,7 @@ function Dashboard() {
                     type="button"
                     className="fx-pill"
                     data-active={minAttendees === pill.val}
-                    onClick={() => setMinAttendees(pill.val)}
+                    onClick={() => changeFilter(setMinAttendees)(pill.val)}
                   >
                     {pill.label}
                   </button>
@@ -316,7 +459,7 @@ function Dashboard() {
                 <select
                   className="fx-sortSelect"
                   value={sortOption}
-                  onChange={(e) => setSortOption(e.target.value)}
+                  onChange={(e) => changeFilter(setSortOption)(e.target.value)}
                   aria-label="Sort criteria"
                 >
                   <option value="new">NEW</option>
@@ -326,7 +469,7 @@ function Dashboard() {
                   type="button"
                   className="fx-sortDirBtn"
                   onClick={() =>
-                    setSortDir((d) => (d === "asc" ? "desc" : "asc"))
+                    changeFilter(setSortDir)((d) => (d === "asc" ? "desc" : "asc"))
                   }
                   title={`Toggle sort direction (${
                     sortDir === "asc" ? "Ascending" : "Descending"
@@ -350,6 +493,7 @@ function Dashboard() {
                     setMinAttendees("");
                     setSortOption("new");
                     setSortDir("desc");
+                    setCurrentPage(0);
                   }}
                 >
                   Reset
@@ -418,9 +562,41 @@ function Dashboard() {
             </div>
           </div>
 
+          {invites.length > 0 && (
+            <section style={{ marginTop: "1.5rem" }}>
+              <h2 style={{ marginBottom: ".5rem" }}>Co-organizer Invitations</h2>
+              {invites.map((invite) => (
+                <div key={invite.eventId} className="surface p-md db-invite">
+                  <div>
+                    <strong>{invite.eventTitle}</strong>
+                    <div className="text-muted">
+                      {new Date(invite.eventDate).toLocaleString()}
+                      {invite.invitedBy?.username &&
+                        ` — invited by ${invite.invitedBy.username}`}
+                    </div>
+                  </div>
+                  <div className="action-buttons">
+                    <button
+                      className="action-btn btn-outline"
+                      onClick={() => respondToInvite(invite, "accept")}
+                    >
+                      accept
+                    </button>
+                    <button
+                      className="action-btn btn-danger"
+                      onClick={() => respondToInvite(invite, "decline")}
+                    >
+                      decline
+                    </button>
+                  </div>
+                </div>
+              ))}
+            </section>
+          )}
+
           <section style={{ marginTop: "1.5rem" }}>
             <h2 style={{ marginBottom: ".5rem" }}>Your Events</h2>
-            {filteredEvents.length === 0 && !loading ? (
+            {events.length === 0 && !loading ? (
               <div className="surface p-md">
                 You haven't created any events yet.
               </div>
@@ -454,57 +630,104 @@ function Dashboard() {
                         </tr>
                       ))}
                     {!loading &&
-                      filteredEvents
-                        .slice(
-                          currentPage * perPage,
-                          (currentPage + 1) * perPage
-                        )
-                        .map((ev) => (
-                          <tr
-                            key={ev._id}
-                            style={{
-                              borderBottom: "1px solid var(--border-light)",
-                            }}
+                      events.map((ev) => (
+                        <tr
+                          key={ev._id}
+                          style={{
+                            borderBottom: "1px solid var(--border-light)",
+                          }}
+                        >
+                          <td
+                            style={{ padding: "12px", cursor: "pointer" }} // hand icon
+                            onClick={() => eventAttendee(ev._id)}
                           >
-                            <td
-                              style={{ padding: "12px", cursor: "pointer" }} // hand icon
-                              onClick={() => eventAttendee(ev._id)}
-                            >
-                              {ev.title}
-                            </td>
-                            <td style={{ padding: "12px" }}>
-                              {new Date(ev.date).toLocaleString()}
-                            </td>
-                            <td style={{ padding: "12px" }}>{ev.location}</td>
-                            <td style={{ padding: "12px" }}>
-                              {ev.attendees ?? 0}
-                            </td>
-                            <td style={{ padding: "12px" }}>
-                              <div className="action-buttons">
+                            {ev.title}
+                          </td>
+                          <td style={{ padding: "12px" }}>
+                            {new Date(ev.date).toLocaleString()}
+                          </td>
+                          <td style={{ padding: "12px" }}>{ev.location}</td>
+                          <td style={{ padding: "12px" }}>
+                            {ev.attendees ?? 0}
+                          </td>
+                          <td style={{ padding: "12px" }}>
+                            <div className="action-buttons">
+                              <a
+                                href={`/events/${ev._id}/edit`}
+                                className="action-btn btn-outline"
+                                title="Edit"
+                              >
+                                <FaEdit style={{ marginRight: 8 }} />
+                                <span>edit</span>
+                              </a>
+                              <button
+                                className="action-btn btn-outline"
+                                onClick={() => openTeam(ev)}
+                                title="Organizers"
+                              >
+                                <FaUsers style={{ marginRight: 8 }} />
+                                <span>team</span>
+                              </button>
+                              {ev.registration_fee > 0 && (
+                                <button
+                                  className="action-btn btn-outline"
+                                  onClick={() => openReport(ev)}
+                                  title="Payments"
+                                >
+                                  <FaMoneyBillWave style={{ marginRight: 8 }} />
+                                  <span>payments</span>
+                                </button>
+                              )}
+                              {ev.registration_fee > 0 && (
                                 <a
-                                  href={`/events/${ev._id}/edit`}
+                                  href={`/events/${ev._id}/coupons`}
                                   className="action-btn btn-outline"
-                                  title="Edit"
+                                  title="Discount codes"
                                 >
-                                  <FaEdit style={{ marginRight: 8 }} />
-                                  <span>edit</span>
+                                  <FaTags style={{ marginRight: 8 }} />
+                                  <span>codes</span>
                                 </a>
-                                <button
-                                  className="action-btn btn-danger"
-                                  onClick={() => handleDelete(ev._id)}
-                                  title="Delete"
-                                >
-                                  <FaTrash style={{ marginRight: 8 }} />
-                                  <span>delete</span>
-                                </button>
-                              </div>
-                            </td>
-                          </tr>
-                        ))}
+                              )}
+                              <a
+                                href={`/events/${ev._id}/messages`}
+                                className="action-btn btn-outline"
+                                title="Email attendees"
+                              >
+                                <FaEnvelope style={{ marginRight: 8 }} />
+                                <span>email</span>
+                              </a>
+                              <a
+                                href={`/events/${ev._id}/certificates`}
+                                className="action-btn btn-outline"
+                                title="Certificates"
+                              >
+                                <FaCertificate style={{ marginRight: 8 }} />
+                                <span>certificates</span>
+                              </a>
+                              <a
+                                href={`/events/${ev._id}/feedback/results`}
+                                className="action-btn btn-outline"
+                                title="Feedback survey"
+                              >
+                                <FaStar style={{ marginRight: 8 }} />
+                                <span>feedback</span>
+                              </a>
+                              <button
+                                className="action-btn btn-danger"
+                                onClick={() => handleDelete(ev._id)}
+                                title="Delete"
+                              >
+                                <FaTrash style={{ marginRight: 8 }} />
+                                <span>delete</span>
+                              </button>
+                            </div>
+                          </td>
+                        </tr>
+                      ))}
                   </tbody>
                 </table>
                 {/* pagination controls */}
-                {filteredEvents.length > perPage && (
+                {(totalPages > 1 || perPage !== 6) && (
                   <div className="pagination-wrap">
                     <div className="per-page">
                       <label>
@@ -533,7 +756,7 @@ function Dashboard() {
                     </button>
                     <div className="page-numbers">
                       {Array.from({
-                        length: Math.ceil(filteredEvents.length / perPage),
+                        length: totalPages,
                       }).map((_, i) => (
                         <button
                           key={i}
@@ -548,21 +771,21 @@ function Dashboard() {
                     </div>
                     <div className="page-info">
                       Page {currentPage + 1} /{" "}
-                      {Math.ceil(filteredEvents.length / perPage)}
+                      {totalPages}
                     </div>
                     <button
                       className="btn btn-outline"
                       onClick={() =>
                         setCurrentPage((p) =>
                           Math.min(
-                            Math.ceil(filteredEvents.length / perPage) - 1,
+                            totalPages - 1,
                             p + 1
                           )
                         )
                       }
                       disabled={
                         currentPage >=
-                        Math.ceil(filteredEvents.length / perPage) - 1
+                        totalPages - 1
                       }
                     >
                       Next <FaChevronRight />
@@ -572,9 +795,367 @@ function Dashboard() {
               </div>
             )}
           </section>
+
+          {feedback?.events.length > 0 && (
+            <section style={{ marginTop: "1.5rem" }}>
+              <h2 style={{ marginBottom: ".5rem" }}>Feedback</h2>
+              {feedback.organizer.averageRating !== null && (
+                <p className="text-muted">
+                  <StarRating value={feedback.organizer.averageRating} /> {feedback.organizer.averageRating} / 5 across{" "}
+                  {feedback.organizer.ratings} rating(s) of {feedback.organizer.events} event(s) you created
+                </p>
+              )}
+              <div style={{ overflowX: "auto" }}>
+                <table className="dashboard-table">
+                  <thead>
+                    <tr style={{ textAlign: "left" }}>
+                      <th>Event</th>
+                      <th>Date</th>
+                      <th>Answers</th>
+                      <th>Average</th>
+                      <th>Actions</th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {feedback.events.map((row) => (
+                      <tr key={row.event._id}>
+                        <td>{row.event.title}</td>
+                        <td>{new Date(row.event.date).toLocaleDateString()}</td>
+                        <td>
+                          {row.responses}
+                          {!row.enabled && <div className="text-muted">survey off</div>}
+                        </td>
+                        <td>
+                          {row.averageRating !== null ? (
+                            <>
+                              <StarRating value={row.averageRating} /> {row.averageRating}
+                            </>
+                          ) : (
+                            "—"
+                          )}
+                        </td>
+                        <td>
+                          <a href={`/events/${row.event._id}/feedback/results`} className="action-btn btn-outline">
+                            results
+                          </a>
+                        </td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              </div>
+            </section>
+          )}
+
+          {archivedEvents.length > 0 && (
+            <section style={{ marginTop: "1.5rem" }}>
+              <h2 style={{ marginBottom: ".5rem" }}>Archived Events</h2>
+              <div style={{ overflowX: "auto" }}>
+                <table className="dashboard-table">
+                  <thead>
+                    <tr style={{ textAlign: "left" }}>
+                      <th>Title</th>
+                      <th>Date</th>
+                      <th>Archived On</th>
+                      <th>Actions</th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {archivedEvents.map((ev) => (
+                      <tr key={ev._id}>
+                        <td
+                          style={{ cursor: "pointer" }}
+                          onClick={() => eventAttendee(ev._id)}
+                        >
+                          {ev.title}
+                        </td>
+                        <td>{new Date(ev.date).toLocaleString()}</td>
+                        <td>
+                          {ev.archived_at
+                            ? new Date(ev.archived_at).toLocaleDateString()
+                            : "—"}
+                        </td>
+                        <td>
+                          <div className="action-buttons">
+                            <button
+                              className="action-btn btn-outline"
+                              onClick={() => openRestore(ev)}
+                            >
+                              restore
+                            </button>
+                            {ev.registration_fee > 0 && (
+                              <button
+                                className="action-btn btn-outline"
+                                onClick={() => openReport(ev)}
+                              >
+                                payments
+                              </button>
+                            )}
+                          </div>
+                        </td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              </div>
+            </section>
+          )}
         </section>
       </main>
       <Footer />
+      <ToastContainer />
+
+      {/* Restore archived event modal */}
+      {restoreTarget && (
+        <div className="db-modal-overlay" role="dialog" aria-modal="true">
+          <div className="db-modal">
+            <h3>Restore "{restoreTarget.title}"</h3>
+            <p>Pick a new date to put this event back on the schedule.</p>
+            <label className="db-modal-field">
+              Event date
+              <input
+                type="datetime-local"
+                value={restoreForm.date}
+                onChange={(e) =>
+                  setRestoreForm((f) => ({ ...f, date: e.target.value }))
+                }
+              />
+            </label>
+            <label className="db-modal-field">
+              Registration deadline
+              <input
+                type="datetime-local"
+                value={restoreForm.registration_deadline}
+                onChange={(e) =>
+                  setRestoreForm((f) => ({
+                    ...f,
+                    registration_deadline: e.target.value,
+                  }))
+                }
+              />
+            </label>
+            <div
+              style={{
+                display: "flex",
+                gap: 8,
+                justifyContent: "flex-end",
+                marginTop: 12,
+              }}
+            >
+              <button
+                className="btn btn-outline"
+                onClick={() => setRestoreTarget(null)}
+                disabled={restoreLoading}
+              >
+                Cancel
+              </button>
+              <button
+                className="btn btn-primary"
+                onClick={confirmRestore}
+                disabled={restoreLoading}
+              >
+                {restoreLoading ? "Restoring..." : "Restore"}
+              </button>
+            </div>
+          </div>
+        </div>
+      )}
+
+      {/* Revenue and reconciliation report modal */}
+      {reportEvent && (
+        <div className="db-modal-overlay" role="dialog" aria-modal="true">
+          <div className="db-modal db-modal-wide">
+            <h3>Payments for "{reportEvent.title}"</h3>
+            {!report ? (
+              <p>Loading...</p>
+            ) : (
+              <div className="db-report">
+                <div className="db-report-stats">
+                  <div>
+                    <span className="text-muted">Gross</span>
+                    <strong>৳ {report.summary.gross}</strong>
+                  </div>
+                  <div>
+                    <span className="text-muted">Refunded</span>
+                    <strong>৳ {report.summary.refunded}</strong>
+                  </div>
+                  <div>
+                    <span className="text-muted">Net</span>
+                    <strong>৳ {report.summary.net}</strong>
+                  </div>
+                  <div>
+                    <span className="text-muted">Refunds owed</span>
+                    <strong>৳ {report.summary.pending_refunds}</strong>
+                  </div>
+                </div>
+                {report.summary.series_gross > 0 && (
+                  <p className="text-muted">
+                    Includes ৳ {report.summary.series_gross} of whole-series payments that also
+                    cover the other sessions.
+                  </p>
+                )}
+                {Object.keys(report.summary.by_gateway).length > 0 && (
+                  <p className="text-muted">
+                    {Object.entries(report.summary.by_gateway)
+                      .map(([name, g]) => `${name}: ${g.count} payment(s), ৳ ${g.gross}`)
+                      .join(" · ")}
+                  </p>
+                )}
+
+                {report.flags.length > 0 && (
+                  <ul className="db-report-flags">
+                    {report.flags.map((f, i) => (
+                      <li key={i}>
+                        <strong>{f.user?.username || f.user?.email || "—"}</strong> {f.message}
+                      </li>
+                    ))}
+                  </ul>
+                )}
+
+                {report.payments.length === 0 ? (
+                  <p>No payments yet.</p>
+                ) : (
+                  <div style={{ overflowX: "auto" }}>
+                    <table className="dashboard-table">
+                      <thead>
+                        <tr style={{ textAlign: "left" }}>
+                          <th>Date</th>
+                          <th>Attendee</th>
+                          <th>Gateway</th>
+                          <th>Amount</th>
+                          <th>Status</th>
+                          <th>Transaction</th>
+                        </tr>
+                      </thead>
+                      <tbody>
+                        {report.payments.map((p) => (
+                          <React.Fragment key={p._id}>
+                            <tr style={{ cursor: "pointer" }} onClick={() => showHistory(p._id)}>
+                              <td>{new Date(p.completed_at || p.createdAt).toLocaleString()}</td>
+                              <td>
+                                {p.user?.username || "—"}
+                                {p.scope === "series" && <span className="text-muted"> (series)</span>}
+                              </td>
+                              <td>{p.gateway}</td>
+                              <td>
+                                ৳ {p.amount}
+                                {p.refunded > 0 && (
+                                  <span className="text-muted"> (−{p.refunded})</span>
+                                )}
+                              </td>
+                              <td title={p.failure_reason}>{p.status}</td>
+                              <td>{p.trans_id || "—"}</td>
+                            </tr>
+                            {history?._id === p._id && (
+                              <tr>
+                                <td colSpan={6}>
+                                  <ol className="db-report-history">
+                                    {history.history.map((h, i) => (
+                                      <li key={i}>
+                                        {new Date(h.at).toLocaleString()} — {h.action} → {h.status}
+                                        {h.note && <span className="text-muted"> ({h.note})</span>}
+                                      </li>
+                                    ))}
+                                  </ol>
+                                </td>
+                              </tr>
+                            )}
+                          </React.Fragment>
+                        ))}
+                      </tbody>
+                    </table>
+                  </div>
+                )}
+              </div>
+            )}
+            <div style={{ display: "flex", gap: 8, justifyContent: "flex-end", marginTop: 12 }}>
+              <button className="btn btn-outline" onClick={() => setReportEvent(null)}>
+                Close
+              </button>
+              <button className="btn btn-primary" onClick={downloadReport} disabled={!report}>
+                Export CSV
+              </button>
+            </div>
+          </div>
+        </div>
+      )}
+
+      {/* Co-organizer management modal */}
+      {teamEvent && (
+        <div className="db-modal-overlay" role="dialog" aria-modal="true">
+          <div className="db-modal">
+            <h3>Organizers of "{teamEvent.title}"</h3>
+            {!team ? (
+              <p>Loading...</p>
+            ) : (
+              <ul className="db-team-list">
+                <li>
+                  <span>{team.owner?.username || team.owner?.email}</span>
+                  <span className="text-muted">owner</span>
+                </li>
+                {team.coOrganizers.map((u) => (
+                  <li key={u._id}>
+                    <span>{u.username || u.email}</span>
+                    <button
+                      className="action-btn btn-danger"
+                      onClick={() => removeFromTeam(u._id)}
+                      disabled={teamLoading}
+                    >
+                      remove
+                    </button>
+                  </li>
+                ))}
+                {team.invites.map((invite) => (
+                  <li key={invite._id}>
+                    <span>{invite.user?.email}</span>
+                    <button
+                      className="action-btn btn-outline"
+                      onClick={() => removeFromTeam(invite.user?._id)}
+                      disabled={teamLoading}
+                    >
+                      cancel invite
+                    </button>
+                  </li>
+                ))}
+              </ul>
+            )}
+            <form onSubmit={sendInvite}>
+              <label className="db-modal-field">
+                Invite an organizer by email
+                <input
+                  type="email"
+                  value={inviteEmail}
+                  onChange={(e) => setInviteEmail(e.target.value)}
+                  placeholder="organizer@example.com"
+                />
+              </label>
+              <div
+                style={{
+                  display: "flex",
+                  gap: 8,
+                  justifyContent: "flex-end",
+                  marginTop: 12,
+                }}
+              >
+                <button
+                  type="button"
+                  className="btn btn-outline"
+                  onClick={() => setTeamEvent(null)}
+                >
+                  Close
+                </button>
+                <button
+                  type="submit"
+                  className="btn btn-primary"
+                  disabled={teamLoading}
+                >
+                  {teamLoading ? "Sending..." : "Send Invite"}
+                </button>
+              </div>
+            </form>
+          </div>
+        </div>
+      )}
 
       {/* Delete confirmation modal */}
       {showDeleteModal && (
@@ -7,6 +7,8 @@ import { clearEventCaches } from "../utils/cacheUtils";
 import { useAuth } from "../contexts/AuthContext";
 import { showSuccessToast, showErrorToast } from "../utils/toastUtils";
 import Loader from "../Components/loader";
+import FormBuilder from "../Components/FormBuilder";
+import { toEditorFields, toFormFields } from "../utils/registrationForm";
 import "../CSS/eventDetails.css";
 
 export default function EditEvent() {
@@ -17,6 +19,13 @@ export default function EditEvent() {
   const [loading, setLoading] = useState(true);
   const [saving, setSaving] = useState(false);
   const [error, setError] = useState("");
+  const [inSeries, setInSeries] = useState(false);
+  const [scope, setScope] = useState("this"); // 'this' | 'future'
+  const [gateways, setGateways] = useState([]); // [{ name, label, configured }]
+  const [policy, setPolicy] = useState({ full_refund_until: "", partial_refund_percent: 0, partial_refund_until: "" });
+  const [tiers, setTiers] = useState([]); // early-bird prices [{ label, price, until }]
+  const [team, setTeam] = useState({ enabled: false, min_size: 2, max_size: 4 });
+  const [formFields, setFormFields] = useState([]); // registration questions
 
   useEffect(() => {
     (async () => {
@@ -35,11 +44,23 @@ export default function EditEvent() {
             organizer: ev.organizer,
             prize_money: ev.prize_money,
             registration_fee: ev.registration_fee,
+            capacity: ev.capacity ?? 0,
             category: ev.category,
             tags: ev.tags?.join(", ") || "",
             image: null,
             current_image: ev.event_image || "",
+            payment_gateways: ev.payment_gateways?.length ? ev.payment_gateways : ["bkash"],
           });
+          const toInput = (d) => (d ? new Date(d).toISOString().slice(0, 16) : "");
+          setPolicy({
+            full_refund_until: toInput(ev.cancellation_policy?.full_refund_until),
+            partial_refund_percent: ev.cancellation_policy?.partial_refund_percent ?? 0,
+            partial_refund_until: toInput(ev.cancellation_policy?.partial_refund_until),
+          });
+          if (ev.team_registration?.enabled) setTeam(ev.team_registration);
+          setFormFields(toEditorFields(ev.registration_form));
+          setTiers((ev.price_tiers || []).map((t) => ({ label: t.label, price: t.price, until: toInput(t.until) })));
+          setInSeries(!!ev.series);
         } else setError(data.message || "Failed to load");
       } catch (e) {
         setError(e.response?.data?.message || "Failed to load");
@@ -49,6 +70,13 @@ export default function EditEvent() {
     })();
   }, [id]);
 
+  useEffect(() => {
+    apiService
+      .getPaymentGateways()
+      .then(({ data }) => setGateways(data.gateways || []))
+      .catch(() => setGateways([]));
+  }, []);
+
   if (!user?.isAdmin)
     return (
       <div style={{ padding: "4rem 1.5rem", textAlign: "center" }}>
@@ -81,6 +109,30 @@ export default function EditEvent() {
     } else setForm((p) => ({ ...p, [name]: value }));
   };
 
+  const onPolicyChange = (e) => {
+    const { name, value } = e.target;
+    setPolicy((p) => ({ ...p, [name]: value }));
+  };
+
+  const onTeamChange = (e) => {
+    const { name, value } = e.target;
+    setTeam((p) => ({ ...p, [name]: name === "enabled" ? value === "true" : value }));
+  };
+
+  const onTierChange = (index, e) => {
+    const { name, value } = e.target;
+    setTiers((prev) => prev.map((t, i) => (i === index ? { ...t, [name]: value } : t)));
+  };
+
+  const toggleGateway = (name) => {
+    setForm((p) => ({
+      ...p,
+      payment_gateways: p.payment_gateways.includes(name)
+        ? p.payment_gateways.filter((g) => g !== name)
+        : [...p.payment_gateways, name],
+    }));
+  };
+
   const submit = async (e) => {
     e.preventDefault();
     if (!form) return; // pre-check size again
@@ -90,6 +142,12 @@ export default function EditEvent() {
       showErrorToast(msg);
       return;
     }
+    if (Number(form.registration_fee) > 0 && form.payment_gateways.length === 0) {
+      const msg = "Choose at least one payment method";
+      setError(msg);
+      showErrorToast(msg);
+      return;
+    }
     setSaving(true);
     setError("");
     try {
@@ -103,13 +161,26 @@ export default function EditEvent() {
             .map((tag) => tag.trim())
             .filter((tag) => tag.length > 0);
           tagsArray.forEach((tag) => fd.append("tags", tag));
+        } else if (k === "payment_gateways") {
+          fd.append(k, JSON.stringify(v));
         } else if (k !== "current_image") {
           fd.append(k, v);
         }
       });
+      if (Number(form.registration_fee) > 0) {
+        fd.append("cancellation_policy", JSON.stringify(policy));
+        fd.append("price_tiers", JSON.stringify(tiers));
+      }
+      fd.append("team_registration", JSON.stringify(team));
+      fd.append("registration_form", JSON.stringify(toFormFields(formFields)));
+      if (inSeries) fd.append("scope", scope);
       const { data } = await apiService.updateEvent(id, fd);
       if (data.success) {
-        showSuccessToast("Event updated");
+        showSuccessToast(
+          data.updatedSessions
+            ? `Event and ${data.updatedSessions} later session(s) updated`
+            : "Event updated"
+        );
         
         // Clear events cache to ensure updated event shows up correctly
         clearEventCaches();
@@ -281,6 +352,102 @@ export default function EditEvent() {
                   required
                 />
               </div>
+              {Number(form.registration_fee) > 0 && gateways.length > 0 && (
+                <div className="ed-field">
+                  <label>Payment Methods</label>
+                  <div className="ed-scopeOptions">
+                    {gateways.map((g) => (
+                      <label key={g.name}>
+                        <input
+                          type="checkbox"
+                          checked={form.payment_gateways.includes(g.name)}
+                          onChange={() => toggleGateway(g.name)}
+                        />{" "}
+                        {g.label}
+                      </label>
+                    ))}
+                  </div>
+                </div>
+              )}
+              {Number(form.registration_fee) > 0 && (
+                <>
+                  <div className="ed-field span-2">
+                    <label>Early-bird Pricing</label>
+                    {tiers.map((tier, index) => (
+                      <div key={index} className="ed-tier-row">
+                        <input
+                          type="text"
+                          name="label"
+                          placeholder="Label"
+                          value={tier.label}
+                          onChange={(e) => onTierChange(index, e)}
+                        />
+                        <input
+                          type="number"
+                          min="0"
+                          step="0.01"
+                          name="price"
+                          placeholder="Price (৳)"
+                          value={tier.price}
+                          onChange={(e) => onTierChange(index, e)}
+                          required
+                        />
+                        <input
+                          type="datetime-local"
+                          name="until"
+                          value={tier.until}
+                          onChange={(e) => onTierChange(index, e)}
+                          required
+                        />
+                        <button
+                          type="button"
+                          className="ed-outlineBtn"
+                          onClick={() => setTiers((prev) => prev.filter((_, i) => i !== index))}
+                        >
+                          Remove
+                        </button>
+                      </div>
+                    ))}
+                    <button
+                      type="button"
+                      className="ed-outlineBtn"
+                      onClick={() => setTiers((prev) => [...prev, { label: "Early bird", price: "", until: "" }])}
+                    >
+                      + Add price tier
+                    </button>
+                    <small className="ed-help">Each price applies until its date, then the regular fee</small>
+                  </div>
+                  <div className="ed-field">
+                    <label>Full Refund Until</label>
+                    <input
+                      type="datetime-local"
+                      name="full_refund_until"
+                      value={policy.full_refund_until}
+                      onChange={onPolicyChange}
+                    />
+                  </div>
+                  <div className="ed-field">
+                    <label>Partial Refund (%)</label>
+                    <input
+                      type="number"
+                      min="0"
+                      max="100"
+                      name="partial_refund_percent"
+                      value={policy.partial_refund_percent}
+                      onChange={onPolicyChange}
+                    />
+                  </div>
+                  <div className="ed-field">
+                    <label>Partial Refund Until</label>
+                    <input
+                      type="datetime-local"
+                      name="partial_refund_until"
+                      value={policy.partial_refund_until}
+                      onChange={onPolicyChange}
+                    />
+                  </div>
+                </>
+              )}
               <div className="ed-field">
                 <label>Prize Money (৳)</label>
                 <input
@@ -293,7 +460,71 @@ export default function EditEvent() {
                   required
                 />
               </div>
+              <div className="ed-field">
+                <label>Capacity (0 = unlimited)</label>
+                <input
+                  type="number"
+                  min="0"
+                  step="1"
+                  name="capacity"
+                  value={form.capacity}
+                  onChange={onChange}
+                />
+              </div>
+              <div className="ed-field">
+                <label>Registration</label>
+                <select name="enabled" value={String(team.enabled)} onChange={onTeamChange}>
+                  <option value="false">Individual attendees</option>
+                  <option value="true">Teams</option>
+                </select>
+              </div>
+              {team.enabled && (
+                <>
+                  <div className="ed-field">
+                    <label>Min Team Size</label>
+                    <input type="number" min="1" step="1" name="min_size" value={team.min_size} onChange={onTeamChange} />
+                  </div>
+                  <div className="ed-field">
+                    <label>Max Team Size</label>
+                    <input type="number" min="2" step="1" name="max_size" value={team.max_size} onChange={onTeamChange} />
+                  </div>
+                </>
+              )}
             </div>
+            <div className="ed-field" style={{ marginTop: "1rem" }}>
+              <label>Registration Questions</label>
+              <FormBuilder fields={formFields} onChange={setFormFields} />
+              <small className="ed-help">
+                Answers already given keep the question they were given for.
+              </small>
+            </div>
+            {inSeries && (
+              <div className="ed-field" style={{ marginTop: "1rem" }}>
+                <label>This event is part of a series. Apply changes to</label>
+                <div className="ed-scopeOptions">
+                  <label>
+                    <input
+                      type="radio"
+                      name="scope"
+                      value="this"
+                      checked={scope === "this"}
+                      onChange={() => setScope("this")}
+                    />{" "}
+                    This session only
+                  </label>
+                  <label>
+                    <input
+                      type="radio"
+                      name="scope"
+                      value="future"
+                      checked={scope === "future"}
+                      onChange={() => setScope("future")}
+                    />{" "}
+                    This and all future sessions
+                  </label>
+                </div>
+              </div>
+            )}
             <div className="ed-editActions" style={{ marginTop: "1.2rem" }}>
               <button
                 type="button"
@@ -1,19 +1,42 @@
 import axios from "axios";
 import React, { useEffect, useState } from "react";
-import { useParams } from "react-router-dom";
+import { useNavigate, useParams } from "react-router-dom";
 import "../CSS/EventAttendee.css";
+import "../CSS/checkIn.css";
+import "../CSS/registrationForm.css";
 import Header from "../Components/Header";
 import Footer from "../Components/Footer";
 import Loader from "../Components/loader";
 import defaultavator from "../assets/img/defaultavator.png";
 import { showErrorToast, showSuccessToast } from "../utils/toastUtils";
+import { apiService } from "../utils/apiService";
+import AttendeeFilter from "../Components/AttendeeFilter";
+
+// Roles and placements decide which certificate an attendee gets
+const ROLE_OPTIONS = [
+  ["participant", "Participant"],
+  ["volunteer", "Volunteer"],
+  ["speaker", "Speaker"],
+];
+const PLACEMENT_OPTIONS = [
+  ["", "None"],
+  ["winner", "Winner"],
+  ["runner_up", "Runner-up"],
+];
 
 function EventAttendee() {
   const { id } = useParams();
+  const navigate = useNavigate();
   const [users, setUsers] = useState([]);
+  const [teams, setTeams] = useState([]);
   const [loading, setLoading] = useState(true);
   const [showConfirmModal, setShowConfirmModal] = useState(false);
   const [userToBan, setUserToBan] = useState(null);
+  const [event, setEvent] = useState(null);
+  const [filter, setFilter] = useState({ status: "all", checked_in: "", answer_key: "", answer_value: "" });
+  const [exporting, setExporting] = useState(false);
+  const [banForm, setBanForm] = useState({ scope: "event", reason: "", expires_at: "" });
+  const [bans, setBans] = useState([]); // active bans affecting this event
   const backend = import.meta.env.VITE_BACKEND_LINK;
   const fetchData = async () => {
     try {
@@ -30,31 +53,79 @@ function EventAttendee() {
     } finally {
       setLoading(false);
     }
+    try {
+      const { data } = await apiService.getEventBans(id);
+      if (data.success) setBans(data.bans);
+    } catch (error) {
+      console.error(error);
+    }
+    // Teams (with pending invitations) of team events
+    try {
+      const { data } = await apiService.getEventTeams(id);
+      if (data.success) setTeams(data.teams);
+    } catch (error) {
+      console.error(error);
+    }
   };
   useEffect(() => {
     fetchData();
+    apiService
+      .getEvent(id)
+      .then(({ data }) => data.success && setEvent(data.event))
+      .catch((error) => console.error(error));
   }, [id]);
 
+  // Download the attendees matching the filter as CSV or Excel
+  const exportAttendees = async (format) => {
+    if (filter.answer_key && !filter.answer_value) {
+      showErrorToast("Choose the answer to filter by");
+      return;
+    }
+    setExporting(true);
+    try {
+      const res = await apiService.exportAttendees(id, format, filter);
+      const url = window.URL.createObjectURL(new Blob([res.data]));
+      const a = document.createElement("a");
+      a.href = url;
+      a.download = `Attendees_${(event?.title || "event").replace(/[^a-z0-9]/gi, "_")}.${format}`;
+      document.body.appendChild(a);
+      a.click();
+      a.remove();
+      window.URL.revokeObjectURL(url);
+    } catch (error) {
+      console.error(error);
+      showErrorToast("Failed to export attendees");
+    } finally {
+      setExporting(false);
+    }
+  };
+
   const handleBanClick = (user) => {
     setUserToBan(user);
+    setBanForm({ scope: "event", reason: "", expires_at: "" });
     setShowConfirmModal(true);
   };
 
   const confirmBan = async () => {
     if (!userToBan) return;
-    
+    if (!banForm.reason.trim()) {
+      showErrorToast("Give a reason for the ban.");
+      return;
+    }
+
     try {
-      const { data } = await axios.put(`${backend}/api/unregister`, {
+      const { data } = await apiService.banUser(id, {
         userId: userToBan.userId._id,
-        eventId: id,
+        scope: banForm.scope,
+        reason: banForm.reason,
+        expires_at: banForm.expires_at ? new Date(banForm.expires_at).toISOString() : undefined,
       });
       if (data.success) {
-        console.log(data);
-        showSuccessToast(`${userToBan.userId.username} has been banned successfully.`);
+        showSuccessToast(data.message);
         fetchData();
       }
     } catch (error) {
-      showErrorToast("Failed to ban user.");
+      showErrorToast(error.response?.data?.message || "Failed to ban user.");
     } finally {
       setShowConfirmModal(false);
       setUserToBan(null);
@@ -66,21 +137,143 @@ function EventAttendee() {
     setUserToBan(null);
   };
 
-  const BanUser = async (userid) => {
+  const liftBan = async (ban) => {
+    if (!confirm(`Lift the ban of ${ban.user?.username}?`)) return;
     try {
-      const { data } = await axios.put(`${backend}/api/unregister`, {
-        userId: userid,
-        eventId: id,
-      });
-      if (data.success) {
-        console.log(data);
-        showSuccessToast("Unregistered successfully. ");
-        fetchData();
-      }
+      const { data } = await apiService.liftBan(ban._id);
+      showSuccessToast(data.message);
+      setBans((prev) => prev.filter((b) => b._id !== ban._id));
+    } catch (error) {
+      showErrorToast(error.response?.data?.message || "Failed to lift the ban.");
+    }
+  };
+
+  // Placements apply to the whole team, so the response lists every registration that changed
+  const setCertificateRole = async (registration, changes) => {
+    try {
+      const { data } = await apiService.setCertificateRole(id, registration._id, changes);
+      showSuccessToast(data.message);
+      setUsers((prev) =>
+        prev.map((u) => {
+          const changed = data.registrations.find((r) => r._id === u._id);
+          return changed ? { ...u, role: changed.role, placement: changed.placement } : u;
+        })
+      );
     } catch (error) {
-      showErrorToast("Unregistration failed.");
+      showErrorToast(error.response?.data?.message || "Failed to update the role.");
+    }
+  };
+
+  const renderPlacement = (registration) => (
+    <label>
+      Placement
+      <select
+        value={registration.placement || ""}
+        onChange={(e) => setCertificateRole(registration, { placement: e.target.value })}
+      >
+        {PLACEMENT_OPTIONS.map(([value, label]) => (
+          <option key={value} value={value}>
+            {label}
+          </option>
+        ))}
+      </select>
+    </label>
+  );
+
+  // Team members are listed under their team
+  const individuals = users.filter((u) => !u.team || !teams.some((t) => String(t._id) === String(u.team._id)));
+
+  // Registration form answer as text (files link to the upload)
+  const renderAnswer = (answer) => {
+    if (answer.type === "file") {
+      return (
+        <a href={answer.value?.url} target="_blank" rel="noreferrer">
+          {answer.value?.name || "file"}
+        </a>
+      );
     }
+    if (Array.isArray(answer.value)) return answer.value.join(", ");
+    if (typeof answer.value === "boolean") return answer.value ? "Yes" : "No";
+    return answer.value;
   };
+
+  const renderCard = (user) => (
+    <div className="attendee-card" key={user._id}>
+      <div className="profile-pic-container">
+        <img
+          src={user.userId.profilePic || defaultavator}
+          alt={user.userId.username}
+          className="profile-pic"
+        />
+      </div>
+      <h3>{user.userId.username}</h3>
+      <p>
+        <strong>Email:</strong> {user.userId.email}
+      </p>
+      <p>
+        <strong>Location:</strong> {user.userId.location}
+      </p>
+      <p>
+        <strong>Date of Birth:</strong>{" "}
+        {new Date(user.userId.dob).toLocaleDateString()}
+      </p>
+      <p>
+        <strong>Registration Status:</strong>{" "}
+        {user.is_waitlisted
+          ? "Waitlisted"
+          : user.is_registered
+          ? "Registered"
+          : "Not Registered"}
+      </p>
+      <p>
+        <strong>Payment Status:</strong> {user.payment_status}
+      </p>
+      <p>
+        <strong>Check-in:</strong>{" "}
+        {user.checked_in
+          ? new Date(user.checked_in_at).toLocaleString()
+          : "Not checked in"}
+      </p>
+      <p>
+        <strong>Registered At:</strong>{" "}
+        {new Date(user.createdAt).toLocaleString()}
+      </p>
+      {user.is_registered && (
+        <div className="attendee-certificate-role">
+          <label>
+            Role
+            <select
+              value={user.role || "participant"}
+              onChange={(e) => setCertificateRole(user, { role: e.target.value })}
+            >
+              {ROLE_OPTIONS.map(([value, label]) => (
+                <option key={value} value={value}>
+                  {label}
+                </option>
+              ))}
+            </select>
+          </label>
+          {!user.team && renderPlacement(user)}
+        </div>
+      )}
+      {user.answers?.length > 0 && (
+        <ul className="rf-answers">
+          {user.answers.map((answer) => (
+            <li key={answer.key}>
+              <strong>{answer.label}:</strong> {renderAnswer(answer)}
+            </li>
+          ))}
+        </ul>
+      )}
+      <button
+        className="attendee-button"
+        onClick={() => handleBanClick(user)}
+      >
+        Ban user
+      </button>
+    </div>
+  );
+
   return (
     <div className="page-wrapper">
       {loading && <Loader color={document.documentElement.getAttribute("data-theme") === "dark" ? "#ffffff" : "#000000"} />}
@@ -88,50 +281,82 @@ function EventAttendee() {
       <div className="content-wrapper">
         <div className="attendees-container">
           <h2>Event Attendees</h2>
-          {users.length === 0 ? (
+          <div className="attendees-toolbar">
+            <button
+              className="checkin-button"
+              onClick={() => navigate(`/event-attendee/${id}/check-in`)}
+            >
+              Scan Tickets
+            </button>
+            <span>
+              {users.filter((u) => u.checked_in).length} / {users.length} checked in
+            </span>
+          </div>
+          <div className="attendees-toolbar">
+            <AttendeeFilter event={event} filter={filter} onChange={setFilter} />
+            <div className="attendee-export">
+              <button className="checkin-button" disabled={exporting} onClick={() => exportAttendees("csv")}>
+                Export CSV
+              </button>
+              <button className="checkin-button" disabled={exporting} onClick={() => exportAttendees("xlsx")}>
+                Export Excel
+              </button>
+              <button className="checkin-button" onClick={() => navigate(`/events/${id}/messages`)}>
+                Email Attendees
+              </button>
+            </div>
+          </div>
+          {users.length === 0 && teams.length === 0 ? (
             <p>No attendees found.</p>
           ) : (
-            <div className="attendees-grid">
-              {users.map((user) => (
-                <div className="attendee-card" key={user._id}>
-                  <div className="profile-pic-container">
-                    <img
-                      src={user.userId.profilePic || defaultavator}
-                      alt={user.userId.username}
-                      className="profile-pic"
-                    />
-                  </div>
-                  <h3>{user.userId.username}</h3>
-                  <p>
-                    <strong>Email:</strong> {user.userId.email}
-                  </p>
-                  <p>
-                    <strong>Location:</strong> {user.userId.location}
-                  </p>
-                  <p>
-                    <strong>Date of Birth:</strong>{" "}
-                    {new Date(user.userId.dob).toLocaleDateString()}
-                  </p>
-                  <p>
-                    <strong>Registration Status:</strong>{" "}
-                    {user.is_registered ? "Registered" : "Not Registered"}
-                  </p>
-                  <p>
-                    <strong>Payment Status:</strong> {user.payment_status}
-                  </p>
-                  <p>
-                    <strong>Registered At:</strong>{" "}
-                    {new Date(user.createdAt).toLocaleString()}
-                  </p>
-                  <button
-                    className="attendee-button"
-                    onClick={() => handleBanClick(user)}
-                  >
-                    Ban user
-                  </button>
-                </div>
-              ))}
-            </div>
+            <>
+              {teams.map((team) => {
+                const seats = users.filter((u) => String(u.team?._id) === String(team._id));
+                const pending = team.members.filter((m) => m.status === "invited");
+                const registeredSeat = seats.find((u) => u.is_registered);
+                return (
+                  <section className="attendee-team" key={team._id}>
+                    <h3>
+                      Team {team.name}{" "}
+                      <span className={`attendee-team-status ${team.status}`}>{team.status}</span>
+                    </h3>
+                    <p>
+                      Captain: {team.captain?.username} · {seats.length} seat(s)
+                      {pending.length > 0 && ` · invited: ${pending.map((m) => m.email).join(", ")}`}
+                    </p>
+                    {registeredSeat && <div className="attendee-certificate-role">{renderPlacement(registeredSeat)}</div>}
+                    {seats.length > 0 && <div className="attendees-grid">{seats.map(renderCard)}</div>}
+                  </section>
+                );
+              })}
+              {individuals.length > 0 && (
+                <>
+                  {teams.length > 0 && <h3>Individual attendees</h3>}
+                  <div className="attendees-grid">{individuals.map(renderCard)}</div>
+                </>
+              )}
+            </>
+          )}
+          {bans.length > 0 && (
+            <section className="attendee-team">
+              <h3>Banned users</h3>
+              <ul className="attendee-bans">
+                {bans.map((ban) => (
+                  <li key={ban._id}>
+                    <span>
+                      <strong>{ban.user?.username}</strong> ({ban.user?.email}) —{" "}
+                      {ban.scope === "organizer" ? "all of the organizer's events" : "this event"}
+                      {ban.expires_at ? `, until ${new Date(ban.expires_at).toLocaleString()}` : ", permanently"}
+                      <br />
+                      <em>{ban.reason}</em>
+                    </span>
+                    <button className="checkin-button" onClick={() => liftBan(ban)}>
+                      Lift ban
+                    </button>
+                  </li>
+                ))}
+              </ul>
+            </section>
           )}
         </div>
       </div>
@@ -144,8 +369,33 @@ function EventAttendee() {
               <h3>Confirm Ban User</h3>
             </div>
             <div className="modal-body">
-              <p>Are you sure you want to ban <strong>{userToBan?.userId?.username}</strong> from this event?</p>
-              <p className="warning-text">This action will remove the user from the event and cannot be undone.</p>
+              <p>Ban <strong>{userToBan?.userId?.username}</strong> from registering?</p>
+              <div className="ban-form">
+                <label>
+                  Applies to
+                  <select value={banForm.scope} onChange={(e) => setBanForm({ ...banForm, scope: e.target.value })}>
+                    <option value="event">This event</option>
+                    <option value="organizer">All events of this event's organizer</option>
+                  </select>
+                </label>
+                <label>
+                  Reason (sent to the user)
+                  <textarea
+                    rows={3}
+                    value={banForm.reason}
+                    onChange={(e) => setBanForm({ ...banForm, reason: e.target.value })}
+                  />
+                </label>
+                <label>
+                  Until (leave empty for a permanent ban)
+                  <input
+                    type="datetime-local"
+                    value={banForm.expires_at}
+                    onChange={(e) => setBanForm({ ...banForm, expires_at: e.target.value })}
+                  />
+                </label>
+              </div>
+              <p className="warning-text">The user's registration is cancelled; paid fees go to refund review.</p>
             </div>
             <div className="modal-actions">
               <button className="cancel-btn" onClick={cancelBan}>
@@ -0,0 +1,350 @@
+import React, { useEffect, useState } from "react";
+import { Link, useParams } from "react-router-dom";
+import Header from "../Components/Header";
+import Footer from "../Components/Footer";
+import { ToastContainer } from "react-toastify";
+import { apiService } from "../utils/apiService";
+import { showErrorToast, showSuccessToast } from "../utils/toastUtils";
+import "../CSS/dashboard.css";
+import "../CSS/certificates.css";
+
+const TYPE_LABELS = {
+  participation: "Participation",
+  winner: "Winner",
+  runner_up: "Runner-up",
+  volunteer: "Volunteer",
+  speaker: "Speaker",
+};
+
+const STATUS_LABELS = {
+  queued: "queued",
+  running: "sending",
+  completed: "done",
+};
+
+// Certificates issued to the checked-in attendees of an event: emailing, ZIP download and revocation
+function EventCertificates() {
+  const { id } = useParams();
+  const [event, setEvent] = useState(null);
+  const [certificates, setCertificates] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [revoking, setRevoking] = useState(null); // certificate being revoked
+  const [reason, setReason] = useState("");
+  const [batches, setBatches] = useState([]);
+  const [details, setDetails] = useState(null); // batch whose deliveries are shown
+  const [sending, setSending] = useState(false);
+  const [zipping, setZipping] = useState(false);
+
+  useEffect(() => {
+    let mounted = true;
+    Promise.all([apiService.getEvent(id), apiService.getEventCertificates(id), apiService.getCertificateBatches(id)])
+      .then(([ev, list, runs]) => {
+        if (!mounted) return;
+        if (ev.data.success) setEvent(ev.data.event);
+        if (list.data.success) setCertificates(list.data.certificates);
+        if (runs.data.success) setBatches(runs.data.batches);
+      })
+      .catch((error) => showErrorToast(error.response?.data?.message || "Failed to load certificates"))
+      .finally(() => mounted && setLoading(false));
+    return () => {
+      mounted = false;
+    };
+  }, [id]);
+
+  // Follow the emails while a run is going, then refresh the certificates' emailed dates
+  const inProgress = batches.some((b) => b.status !== "completed");
+  useEffect(() => {
+    if (!inProgress) return;
+    const timer = setInterval(async () => {
+      try {
+        const { data } = await apiService.getCertificateBatches(id);
+        if (!data.success) return;
+        setBatches(data.batches);
+        if (data.batches.every((b) => b.status === "completed")) {
+          const list = await apiService.getEventCertificates(id);
+          if (list.data.success) setCertificates(list.data.certificates);
+        }
+      } catch (error) {
+        console.error(error);
+      }
+    }, 5000);
+    return () => clearInterval(timer);
+  }, [id, inProgress]);
+
+  const send = async (resend) => {
+    if (resend && !confirm("Email every valid certificate again, including to attendees who already got theirs?")) return;
+    setSending(true);
+    try {
+      const { data } = await apiService.sendCertificates(id, resend);
+      showSuccessToast(data.message);
+      setBatches((prev) => [data.batch, ...prev]);
+    } catch (error) {
+      showErrorToast(error.response?.data?.message || "Failed to send certificates");
+    } finally {
+      setSending(false);
+    }
+  };
+
+  const retry = async (batch) => {
+    try {
+      const { data } = await apiService.retryCertificateBatch(id, batch._id);
+      showSuccessToast(data.message);
+      setBatches((prev) => prev.map((b) => (b._id === batch._id ? data.summary : b)));
+    } catch (error) {
+      showErrorToast(error.response?.data?.message || "Failed to retry");
+    }
+  };
+
+  const showDetails = async (batch) => {
+    try {
+      const { data } = await apiService.getCertificateBatch(id, batch._id);
+      setDetails(data);
+    } catch (error) {
+      showErrorToast(error.response?.data?.message || "Failed to load deliveries");
+    }
+  };
+
+  const downloadZip = async () => {
+    setZipping(true);
+    try {
+      const res = await apiService.downloadEventCertificates(id);
+      const url = window.URL.createObjectURL(new Blob([res.data], { type: "application/zip" }));
+      const a = document.createElement("a");
+      a.href = url;
+      a.download = `Certificates_${(event?.title || "event").replace(/[^a-z0-9]/gi, "_")}.zip`;
+      document.body.appendChild(a);
+      a.click();
+      a.remove();
+      window.URL.revokeObjectURL(url);
+    } catch (error) {
+      console.error(error);
+      showErrorToast("Failed to download certificates");
+    } finally {
+      setZipping(false);
+    }
+  };
+
+  const revoke = async (e) => {
+    e.preventDefault();
+    try {
+      const { data } = await apiService.revokeCertificate(revoking._id, reason);
+      showSuccessToast(data.message);
+      setCertificates((prev) => prev.map((c) => (c._id === revoking._id ? data.certificate : c)));
+      setRevoking(null);
+    } catch (error) {
+      showErrorToast(error.response?.data?.message || "Failed to revoke the certificate");
+    }
+  };
+
+  const ended = event && new Date(event.date) < new Date();
+
+  return (
+    <div style={{ minHeight: "100vh", display: "flex", flexDirection: "column" }}>
+      <Header />
+      <main className="layout-container" style={{ flex: 1, padding: "2.5rem 0" }}>
+        <h1 className="ed-title" style={{ margin: 0 }}>
+          Certificates
+        </h1>
+        <p className="text-muted">
+          {event ? `${event.title}. ` : ""}
+          Checked-in attendees get a certificate once the event ends, and it is emailed to them automatically. Each one
+          has a verification ID anyone can check; revoked certificates show as revoked and can no longer be downloaded.
+          Winner, runner-up, volunteer and speaker certificates follow the roles set on the attendees page.
+        </p>
+        <div className="action-buttons" style={{ margin: "1rem 0" }}>
+          <Link to={`/events/${id}/certificates/design`} className="action-btn btn-outline">
+            design certificates
+          </Link>
+          {ended && (
+            <>
+              <button className="action-btn btn-primary" onClick={() => send(false)} disabled={sending || inProgress}>
+                {sending ? "Queueing..." : "email new certificates"}
+              </button>
+              <button className="action-btn btn-outline" onClick={() => send(true)} disabled={sending || inProgress}>
+                email all again
+              </button>
+              <button className="action-btn btn-outline" onClick={downloadZip} disabled={zipping || certificates.length === 0}>
+                {zipping ? "Preparing..." : "download all (ZIP)"}
+              </button>
+            </>
+          )}
+        </div>
+
+        {batches.length > 0 && (
+          <div style={{ overflowX: "auto", marginBottom: "1.5rem" }}>
+            <h3>Email runs</h3>
+            <table className="dashboard-table">
+              <thead>
+                <tr style={{ textAlign: "left" }}>
+                  <th>Date</th>
+                  <th>Started by</th>
+                  <th>Status</th>
+                  <th>Delivered</th>
+                  <th>Actions</th>
+                </tr>
+              </thead>
+              <tbody>
+                {batches.map((b) => (
+                  <tr key={b._id}>
+                    <td>{new Date(b.createdAt).toLocaleString()}</td>
+                    <td>{b.requested_by?.username || "automatic"}</td>
+                    <td>{STATUS_LABELS[b.status]}</td>
+                    <td>
+                      {b.sent} of {b.total} sent
+                      {b.failed > 0 && <div className="text-muted">{b.failed} failed</div>}
+                      {b.queued > 0 && <div className="text-muted">{b.queued} queued</div>}
+                    </td>
+                    <td>
+                      <div className="action-buttons">
+                        <button className="action-btn btn-outline" onClick={() => showDetails(b)}>
+                          details
+                        </button>
+                        {b.failed > 0 && (
+                          <button className="action-btn btn-outline" onClick={() => retry(b)}>
+                            retry failed
+                          </button>
+                        )}
+                      </div>
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        )}
+
+        {loading ? (
+          <div className="surface p-md">Loading...</div>
+        ) : certificates.length === 0 ? (
+          <div className="surface p-md">
+            {ended ? "No attendee was checked in, so no certificates were issued." : "Certificates are issued after the event ends."}
+          </div>
+        ) : (
+          <div style={{ overflowX: "auto" }}>
+            <table className="dashboard-table">
+              <thead>
+                <tr style={{ textAlign: "left" }}>
+                  <th>Attendee</th>
+                  <th>Type</th>
+                  <th>Certificate ID</th>
+                  <th>Issued</th>
+                  <th>Emailed</th>
+                  <th>Status</th>
+                  <th>Actions</th>
+                </tr>
+              </thead>
+              <tbody>
+                {certificates.map((c) => (
+                  <tr key={c._id}>
+                    <td>
+                      {c.recipient_name}
+                      {c.team_name && <div className="text-muted">Team {c.team_name}</div>}
+                      <div className="text-muted">{c.user?.email}</div>
+                    </td>
+                    <td>{TYPE_LABELS[c.type] || c.type}</td>
+                    <td className="cert-code">
+                      <Link to={`/certificates/verify/${c.code}`}>{c.code}</Link>
+                    </td>
+                    <td>{new Date(c.issued_at).toLocaleDateString()}</td>
+                    <td>{c.emailed_at ? new Date(c.emailed_at).toLocaleDateString() : "—"}</td>
+                    <td>
+                      {c.revoked_at ? (
+                        <span className="cert-revoked">
+                          revoked {new Date(c.revoked_at).toLocaleDateString()}
+                          {c.revoked_by?.username && ` by ${c.revoked_by.username}`}
+                          <div className="text-muted">{c.revoke_reason}</div>
+                        </span>
+                      ) : (
+                        "valid"
+                      )}
+                    </td>
+                    <td>
+                      {!c.revoked_at && (
+                        <button
+                          className="action-btn btn-danger"
+                          onClick={() => {
+                            setRevoking(c);
+                            setReason("");
+                          }}
+                        >
+                          revoke
+                        </button>
+                      )}
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        )}
+      </main>
+      <Footer />
+      <ToastContainer />
+
+      {details && (
+        <div className="db-modal-overlay" role="dialog" aria-modal="true">
+          <div className="db-modal">
+            <h3>Certificate emails of {new Date(details.summary.createdAt).toLocaleString()}</h3>
+            <div style={{ maxHeight: 320, overflowY: "auto" }}>
+              <table className="dashboard-table">
+                <thead>
+                  <tr style={{ textAlign: "left" }}>
+                    <th>Attendee</th>
+                    <th>Status</th>
+                    <th>Sent</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {details.items.map((item) => (
+                    <tr key={item._id}>
+                      <td>
+                        {item.name || "—"}
+                        <div className="text-muted">{item.email}</div>
+                      </td>
+                      <td>
+                        {item.status}
+                        {item.status === "queued" && item.attempts > 0 && (
+                          <div className="text-muted">retrying ({item.attempts} failed)</div>
+                        )}
+                        {item.status === "failed" && item.error && <div className="text-muted">{item.error}</div>}
+                      </td>
+                      <td>{item.sent_at ? new Date(item.sent_at).toLocaleString() : "—"}</td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+            <div style={{ display: "flex", justifyContent: "flex-end", marginTop: 12 }}>
+              <button className="btn btn-outline" onClick={() => setDetails(null)}>
+                Close
+              </button>
+            </div>
+          </div>
+        </div>
+      )}
+
+      {revoking && (
+        <div className="db-modal-overlay" role="dialog" aria-modal="true">
+          <form className="db-modal" onSubmit={revoke}>
+            <h3>Revoke the certificate of {revoking.recipient_name}?</h3>
+            <p className="text-muted">The verification page will show the certificate as revoked, with your reason.</p>
+            <label className="db-modal-field">
+              Reason
+              <textarea rows={3} value={reason} maxLength={500} onChange={(e) => setReason(e.target.value)} required />
+            </label>
+            <div style={{ display: "flex", justifyContent: "flex-end", gap: 8, marginTop: 12 }}>
+              <button type="button" className="btn btn-outline" onClick={() => setRevoking(null)}>
+                Cancel
+              </button>
+              <button type="submit" className="btn btn-danger">
+                Revoke
+              </button>
+            </div>
+          </form>
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default EventCertificates;
@@ -0,0 +1,239 @@
+import React, { useEffect, useState } from "react";
+import { useParams } from "react-router-dom";
+import Header from "../Components/Header";
+import Footer from "../Components/Footer";
+import { ToastContainer } from "react-toastify";
+import { apiService } from "../utils/apiService";
+import { showErrorToast, showSuccessToast } from "../utils/toastUtils";
+import "../CSS/dashboard.css";
+
+const emptyCoupon = {
+  code: "",
+  discount_type: "percent",
+  discount_value: "",
+  max_uses: 0,
+  per_user_limit: 1,
+  expires_at: "",
+};
+
+const describeDiscount = (c) =>
+  c.discount_type === "percent" ? `${c.discount_value}%` : `৳ ${c.discount_value}`;
+
+// Discount codes of one event and who redeemed them
+function EventCoupons() {
+  const { id } = useParams();
+  const [event, setEvent] = useState(null);
+  const [coupons, setCoupons] = useState([]);
+  const [redemptions, setRedemptions] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [form, setForm] = useState(null); // new code being created
+  const [saving, setSaving] = useState(false);
+
+  useEffect(() => {
+    let mounted = true;
+    Promise.all([apiService.getEvent(id), apiService.getCoupons(id), apiService.getCouponRedemptions(id)])
+      .then(([ev, list, used]) => {
+        if (!mounted) return;
+        if (ev.data.success) setEvent(ev.data.event);
+        if (list.data.success) setCoupons(list.data.coupons);
+        if (used.data.success) setRedemptions(used.data.redemptions);
+      })
+      .catch((error) => showErrorToast(error.response?.data?.message || "Failed to load discount codes"))
+      .finally(() => mounted && setLoading(false));
+    return () => {
+      mounted = false;
+    };
+  }, [id]);
+
+  const onChange = (e) => {
+    const { name, value } = e.target;
+    setForm((prev) => ({ ...prev, [name]: value }));
+  };
+
+  const createCoupon = async () => {
+    setSaving(true);
+    try {
+      const { data } = await apiService.createCoupon(id, form);
+      setCoupons((prev) => [data.coupon, ...prev]);
+      showSuccessToast(`Code ${data.coupon.code} created`);
+      setForm(null);
+    } catch (error) {
+      showErrorToast(error.response?.data?.message || "Failed to create code");
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const toggleActive = async (coupon) => {
+    try {
+      const { data } = await apiService.updateCoupon(id, coupon._id, { active: !coupon.active });
+      setCoupons((prev) => prev.map((c) => (c._id === coupon._id ? data.coupon : c)));
+    } catch (error) {
+      showErrorToast(error.response?.data?.message || "Failed to update code");
+    }
+  };
+
+  const removeCoupon = async (coupon) => {
+    if (!confirm(`Delete code ${coupon.code}?`)) return;
+    try {
+      const { data } = await apiService.deleteCoupon(id, coupon._id);
+      setCoupons((prev) => prev.filter((c) => c._id !== coupon._id));
+      showSuccessToast(data.message);
+    } catch (error) {
+      showErrorToast(error.response?.data?.message || "Failed to delete code");
+    }
+  };
+
+  return (
+    <div style={{ minHeight: "100vh", display: "flex", flexDirection: "column" }}>
+      <Header />
+      <main className="layout-container" style={{ flex: 1, padding: "2.5rem 0" }}>
+        <h1 className="ed-title" style={{ margin: 0 }}>
+          Discount Codes
+        </h1>
+        <p className="text-muted">
+          {event ? `${event.title} — regular fee ৳ ${event.registration_fee}. ` : ""}
+          Codes made for a series also work on each of its sessions.
+        </p>
+
+        <div className="action-buttons" style={{ margin: "1rem 0" }}>
+          <button className="action-btn btn-primary" onClick={() => setForm(emptyCoupon)}>
+            new code
+          </button>
+        </div>
+
+        {loading ? (
+          <div className="surface p-md">Loading...</div>
+        ) : coupons.length === 0 ? (
+          <div className="surface p-md">No discount codes yet.</div>
+        ) : (
+          <div style={{ overflowX: "auto" }}>
+            <table className="dashboard-table">
+              <thead>
+                <tr style={{ textAlign: "left" }}>
+                  <th>Code</th>
+                  <th>Discount</th>
+                  <th>Used</th>
+                  <th>Per User</th>
+                  <th>Expires</th>
+                  <th>Actions</th>
+                </tr>
+              </thead>
+              <tbody>
+                {coupons.map((c) => (
+                  <tr key={c._id}>
+                    <td>
+                      {c.code}
+                      {!c.active && <div className="text-muted">inactive</div>}
+                    </td>
+                    <td>{describeDiscount(c)}</td>
+                    <td>
+                      {c.used_count}
+                      {c.max_uses > 0 && ` / ${c.max_uses}`}
+                    </td>
+                    <td>{c.per_user_limit || "unlimited"}</td>
+                    <td>{c.expires_at ? new Date(c.expires_at).toLocaleString() : "—"}</td>
+                    <td>
+                      <div className="action-buttons">
+                        <button className="action-btn btn-outline" onClick={() => toggleActive(c)}>
+                          {c.active ? "deactivate" : "activate"}
+                        </button>
+                        {c.used_count === 0 && (
+                          <button className="action-btn btn-danger" onClick={() => removeCoupon(c)}>
+                            delete
+                          </button>
+                        )}
+                      </div>
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        )}
+
+        {redemptions.length > 0 && (
+          <>
+            <h3 style={{ marginTop: "2rem" }}>Redemptions</h3>
+            <div style={{ overflowX: "auto" }}>
+              <table className="dashboard-table">
+                <thead>
+                  <tr style={{ textAlign: "left" }}>
+                    <th>Date</th>
+                    <th>Attendee</th>
+                    <th>Code</th>
+                    <th>Price</th>
+                    <th>Discount</th>
+                    <th>Status</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {redemptions.map((r) => (
+                    <tr key={r._id}>
+                      <td>{new Date(r.createdAt).toLocaleDateString()}</td>
+                      <td>
+                        {r.user?.username || "—"}
+                        <div className="text-muted">{r.user?.email}</div>
+                      </td>
+                      <td>{r.code}</td>
+                      <td>৳ {r.base_amount}</td>
+                      <td>৳ {r.discount}</td>
+                      <td>{r.status === "reserved" ? "payment in progress" : r.status}</td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          </>
+        )}
+      </main>
+      <Footer />
+      <ToastContainer />
+
+      {form && (
+        <div className="db-modal-overlay" role="dialog" aria-modal="true">
+          <div className="db-modal">
+            <h3>New discount code</h3>
+            <label className="db-modal-field">
+              Code
+              <input type="text" name="code" value={form.code} onChange={onChange} placeholder="EARLY20" />
+            </label>
+            <label className="db-modal-field">
+              Type
+              <select name="discount_type" value={form.discount_type} onChange={onChange}>
+                <option value="percent">Percentage</option>
+                <option value="fixed">Fixed amount (৳)</option>
+              </select>
+            </label>
+            <label className="db-modal-field">
+              {form.discount_type === "percent" ? "Discount (%)" : "Discount (৳)"}
+              <input type="number" min="0" name="discount_value" value={form.discount_value} onChange={onChange} />
+            </label>
+            <label className="db-modal-field">
+              Total uses (0 for unlimited)
+              <input type="number" min="0" name="max_uses" value={form.max_uses} onChange={onChange} />
+            </label>
+            <label className="db-modal-field">
+              Uses per attendee (0 for unlimited)
+              <input type="number" min="0" name="per_user_limit" value={form.per_user_limit} onChange={onChange} />
+            </label>
+            <label className="db-modal-field">
+              Expires (optional)
+              <input type="datetime-local" name="expires_at" value={form.expires_at} onChange={onChange} />
+            </label>
+            <div style={{ display: "flex", gap: 8, justifyContent: "flex-end", marginTop: 12 }}>
+              <button className="btn btn-outline" onClick={() => setForm(null)} disabled={saving}>
+                Cancel
+              </button>
+              <button className="btn btn-primary" onClick={createCoupon} disabled={saving}>
+                {saving ? "Saving..." : "Create"}
+              </button>
+            </div>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default EventCoupons;
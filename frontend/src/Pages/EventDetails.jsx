@@ -1,5 +1,5 @@
 import React, { useEffect, useState, useCallback } from "react";
-import { useParams, useNavigate } from "react-router-dom";
+import { useParams, useNavigate, useSearchParams, Link } from "react-router-dom";
 import Header from "../Components/Header";
 import Footer from "../Components/Footer";
 import { apiService } from "../utils/apiService";
@@ -8,6 +8,10 @@ import { useAuth } from "../contexts/AuthContext";
 import { ToastContainer } from "react-toastify";
 import { showErrorToast, showSuccessToast } from "../utils/toastUtils";
 import Loader from "../Components/loader";
+import TeamPanel from "../Components/TeamPanel";
+import RegistrationForm from "../Components/RegistrationForm";
+import StarRating from "../Components/StarRating";
+import { checkAnswers } from "../utils/registrationForm";
 import "../CSS/upEventPage.css";
 import "../CSS/eventDetails.css";
 import axios from "axios";
@@ -27,6 +31,25 @@ const formatDateTime = (iso) => {
 
 const shimmerLines = Array.from({ length: 6 });
 
+// Cancellation policy in words
+const describePolicy = (policy) => {
+  const parts = [];
+  if (policy?.full_refund_until) parts.push(`Full refund until ${formatDateTime(policy.full_refund_until)}`);
+  if (policy?.partial_refund_percent > 0) {
+    parts.push(
+      `${policy.partial_refund_percent}% until ${
+        policy.partial_refund_until ? formatDateTime(policy.partial_refund_until) : "the event"
+      }`
+    );
+  }
+  return parts.length ? parts.join(", ") : "No refunds";
+};
+
+const GATEWAY_LABELS = {
+  bkash: "bKash",
+  sslcommerz: "Card / Mobile banking (SSLCommerz)",
+};
+
 function EventDetails() {
   const { id } = useParams();
   const navigate = useNavigate();
@@ -35,6 +58,20 @@ function EventDetails() {
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState("");
   const [isRegistered, setIsRegistered] = useState(false);
+  const [registration, setRegistration] = useState(null);
+  const [waitlistPosition, setWaitlistPosition] = useState(null);
+  const [seats, setSeats] = useState(null);
+  const [ticket, setTicket] = useState(null);
+  const [seriesInfo, setSeriesInfo] = useState(null); // { series, sessions, quote }
+  const [reminders, setReminders] = useState(null); // { enabled, watching }
+  const [gateway, setGateway] = useState("bkash");
+  const [price, setPrice] = useState(null); // current price, with the applied discount code
+  const [couponInput, setCouponInput] = useState("");
+  const [teamInfo, setTeamInfo] = useState(null); // { team, invitations } on team events
+  const [answers, setAnswers] = useState({}); // registration form answers by field key
+  const [ban, setBan] = useState(null); // the user's active ban from this event, if any
+  const [organizerRating, setOrganizerRating] = useState(null); // attendees' average rating of the creator's events
+  const [searchParams, setSearchParams] = useSearchParams();
   const [regError, setRegError] = useState("");
   const backend = import.meta.env.VITE_BACKEND_LINK;
   // editing handled on separate page now
@@ -47,18 +84,183 @@ function EventDetails() {
       );
       if (data.success) {
         setIsRegistered(true);
+        setRegistration(data.registration);
+        setWaitlistPosition(data.waitlistPosition);
+        // Answers given earlier are reused when the payment is retried
+        if (data.registration?.answers?.length) {
+          setAnswers(Object.fromEntries(data.registration.answers.map((a) => [a.key, a.value])));
+        }
       }
     } catch (error) {
       console.log(error);
     }
   };
+  const getSeats = async () => {
+    try {
+      const { data } = await apiService.getEventSeats(eventID.id);
+      if (data.success) setSeats(data);
+    } catch (error) {
+      console.log(error);
+    }
+  };
+  const getOrganizerRating = async (userId) => {
+    try {
+      const { data } = await apiService.getOrganizerRating(userId);
+      if (data.success) setOrganizerRating(data.rating);
+    } catch (error) {
+      console.log(error);
+    }
+  };
+  const getSeries = async () => {
+    try {
+      const { data } = await apiService.getEventSeries(eventID.id, user?._id);
+      if (data.success) setSeriesInfo(data);
+    } catch (error) {
+      console.log(error);
+    }
+  };
+  // Early-bird price right now, less a discount code when one is given
+  const getPrice = async (code) => {
+    try {
+      const { data } = await apiService.getEventPrice(eventID.id, { userId: user?._id, code });
+      if (data.success) setPrice(data);
+      return data;
+    } catch (error) {
+      if (code) throw error;
+      console.log(error);
+    }
+  };
+  const applyCoupon = async () => {
+    const code = couponInput.trim();
+    if (!code) {
+      getPrice();
+      return;
+    }
+    try {
+      const data = await getPrice(code);
+      showSuccessToast(`Code ${data.code} applied: you pay ৳${data.amount}.`);
+    } catch (error) {
+      showErrorToast(error.response?.data?.message || "Invalid discount code");
+    }
+  };
+  // A fully discounted registration is confirmed without going to the gateway
+  const finishPayment = (data) => {
+    if (!data.free) {
+      window.location.href = data.url;
+      return;
+    }
+    showSuccessToast("Your discount code covered the fee. Registration completed.");
+    getRegistration();
+    getSeats();
+    getPrice();
+    if (event.series) getSeries();
+  };
+  const getTeam = async () => {
+    try {
+      const { data } = await apiService.getMyTeam(eventID.id);
+      if (data.success) setTeamInfo(data);
+    } catch (error) {
+      console.log(error);
+    }
+  };
+  // The captain pays the fee once for the whole team
+  const payForTeam = async (teamId) => {
+    try {
+      const { data } = await apiService.createPayment({
+        eventId: event._id,
+        gateway,
+        coupon: price?.code || undefined,
+        team: teamId,
+      });
+      finishPayment(data);
+      if (data.free) getTeam();
+    } catch (error) {
+      showErrorToast(error.response?.data?.message || "Payment failed to start.");
+    }
+  };
+  const getBan = async () => {
+    try {
+      const { data } = await apiService.getMyEventBan(eventID.id);
+      if (data.success) setBan(data.ban);
+    } catch (error) {
+      console.log(error);
+    }
+  };
+  const getReminders = async () => {
+    try {
+      const { data } = await apiService.getEventReminders(eventID.id);
+      if (data.success) setReminders(data);
+    } catch (error) {
+      console.log(error);
+    }
+  };
+  const updateReminders = async (changes) => {
+    try {
+      const { data } = await apiService.updateEventReminders(event._id, changes);
+      if (data.success) setReminders(data);
+    } catch (error) {
+      showErrorToast(error.response?.data?.message || "Could not update reminders.");
+    }
+  };
+  const isFull = !!seats?.capacity && seats.seatsLeft === 0;
+  const isWaitlisted = !!registration?.is_waitlisted;
+  const awaitingPayment =
+    !!registration && !isWaitlisted && registration.payment_status === "pending";
+  // The seat hold ran out before payment; paying again reuses the registration
+  const paymentExpired =
+    !!registration && !isWaitlisted && registration.payment_status === "failed";
+  const isConfirmed = !!registration && !isWaitlisted && !awaitingPayment && !paymentExpired;
+  // Team events are registered (and paid for) through the team panel
+  const isTeamEvent = !!event?.team_registration?.enabled;
+  // Banned users can still see the event but not register for it
+  const isBanned = !!ban;
+  const isTeamCaptain = !!teamInfo?.team && String(teamInfo.team.captain?._id) === String(user?._id);
+  // Only the creator, accepted co-organizers and super admins may edit the event
+  const canManage =
+    !!user?.isAdmin &&
+    !!event &&
+    (user.isSuperAdmin ||
+      String(event.createdBy) === String(user._id) ||
+      (event.co_organizers || []).some((id) => String(id) === String(user._id)));
+
+  const toggleTicket = async () => {
+    if (ticket) {
+      setTicket(null);
+      return;
+    }
+    try {
+      const { data } = await apiService.getTicket(registration._id);
+      if (data.success) setTicket(data);
+    } catch (error) {
+      showErrorToast(error.response?.data?.message || "Could not load ticket.");
+    }
+  };
   useEffect(() => {
+    // Sessions of a series link to each other, so reset when the id changes
+    setIsRegistered(false);
+    setRegistration(null);
+    setWaitlistPosition(null);
+    setTicket(null);
+    setSeriesInfo(null);
+    setReminders(null);
+    setPrice(null);
+    setCouponInput("");
+    setTeamInfo(null);
+    setBan(null);
     const load = async () => {
       try {
         const { data } = await apiService.getEvent(id);
         if (data.success) {
           setEvent(data.event);
+          setGateway(data.event.payment_gateways?.[0] || "bkash");
           getRegistration();
+          getSeats();
+          if (data.event.createdBy) getOrganizerRating(data.event.createdBy);
+          if (data.event.registration_fee > 0) getPrice();
+          if (data.event.series) getSeries();
+          if (isAuthenticated && !user?.isAdmin) getReminders();
+          if (isAuthenticated && !user?.isAdmin) getBan();
+          if (isAuthenticated && !user?.isAdmin && data.event.team_registration?.enabled) getTeam();
         } else {
           setError(data.message || "Failed to load event");
         }
@@ -69,7 +271,15 @@ function EventDetails() {
       }
     };
     load();
-  }, []);
+  }, [id]);
+
+  // Landing here from the opt-out link of a reminder email
+  useEffect(() => {
+    if (searchParams.get("reminders") === "off") {
+      showSuccessToast("Reminder emails for this event are turned off.");
+      setSearchParams({}, { replace: true });
+    }
+  }, [searchParams, setSearchParams]);
 
   const openEdit = () => {
     if (event) navigate(`/events/${event._id}/edit`);
@@ -101,70 +311,169 @@ function EventDetails() {
       return;
     }
     if (!event) return;
-    if (isRegistered) {
+    if (isRegistered && !awaitingPayment && !paymentExpired) {
       return;
     }
     if (new Date(event.registration_deadline) < new Date()) return;
+    const problem = checkAnswers(event.registration_form, answers);
+    if (problem) {
+      showErrorToast(problem);
+      return;
+    }
 
     setRegError("");
     try {
-      if (event.registration_fee === 0) {
+      if (isFull && (!isRegistered || paymentExpired)) {
+        const { data } = await apiService.registerForEvent({
+          eventId: event._id,
+          answers,
+        });
+        if (data.success) {
+          showSuccessToast(`Event is full. You are #${data.position} on the waitlist.`);
+          setIsRegistered(true);
+          setRegistration(data.registration);
+          setWaitlistPosition(data.position);
+        }
+      } else if (event.registration_fee === 0) {
         try {
-          const { data } = await axios.post(`${backend}/api/register-event`, {
-            userId: user._id,
+          const { data } = await apiService.registerForEvent({
             eventId: event._id,
+            answers,
           });
           if (data.success) {
             showSuccessToast("Registration completed.");
             setIsRegistered(true);
+            setRegistration(data.registration);
+            getSeats();
           }
         } catch (error) {
           console.log(error.message);
+          showErrorToast(error.response?.data?.message || "Registration failed.");
+          if (error.response?.data?.banned) getBan();
         }
       } else {
-        console.log(event.registration_fee);
-        console.log(typeof event.registration_fee);
-        // alert("Bkash");
         try {
-          const { data } = await axios.post(
-            `${backend}/api/bkash/pay`,
-            {
-              amount: event.registration_fee,
-              eventId: event._id,
-              userId: user._id,
-            },
-            { withCredentials: true }
-          );
-          window.location.href = data.bkashURL;
-          console.log(data);
+          const { data } = await apiService.createPayment({
+            eventId: event._id,
+            gateway,
+            coupon: price?.code || undefined,
+            answers,
+          });
+          finishPayment(data);
         } catch (error) {
           console.log(error);
+          showErrorToast(error.response?.data?.message || "Payment failed to start.");
+          if (error.response?.data?.banned) getBan();
         }
       }
 
       // window.location.href = data.url;
     } catch (e) {
       setRegError(e.response?.data?.message || "Registration failed");
+      showErrorToast(e.response?.data?.message || "Registration failed.");
+      if (e.response?.data?.banned) getBan();
     } finally {
     }
   };
 
+  // Ask before cancelling a paid registration, saying what the cancellation policy refunds
+  const confirmRefund = async (series) => {
+    try {
+      const { data } = await apiService.getRefundQuote(event._id, series);
+      if (data.amountPaid <= 0) return true;
+      return confirm(
+        data.amount > 0
+          ? `You will get ৳${data.amount} (${data.percent}%) of ৳${data.amountPaid} back once the organizer approves the refund. Continue?`
+          : `The cancellation policy allows no refund of your ৳${data.amountPaid} at this time. Continue?`
+      );
+    } catch (error) {
+      console.error(error);
+      return confirm("Could not check the refund for this registration. Continue?");
+    }
+  };
+
   const handleUnRegister = async () => {
     console.log("unregister");
     console.log(event._id);
     console.log(user._id);
+    if (isTeamCaptain && registration?.team && !confirm("Withdraw the whole team? Every member loses their seat.")) return;
+    if (!isWaitlisted && !(await confirmRefund(false))) return;
     try {
-      const { data } = await axios.put(`${backend}/api/unregister`, {
-        userId: user._id,
+      const { data } = await apiService.unregisterFromEvent({
         eventId: event._id,
       });
       if (data.success) {
         console.log(data);
         showSuccessToast("Unregistered successfully. ");
         showSuccessToast(data.message);
+        setIsRegistered(false);
+        setRegistration(null);
+        setWaitlistPosition(null);
+        getSeats();
+        if (isTeamEvent) getTeam();
+      }
+    } catch (error) {
+      showErrorToast(error.response?.data?.message || "Unregistration failed.");
+    }
+  };
+
+  // Register for every open session of the series at once
+  const handleSeriesRegister = async () => {
+    if (!isAuthenticated) {
+      navigate("/login");
+      return;
+    }
+    const problem = checkAnswers(event.registration_form, answers);
+    if (problem) {
+      showErrorToast(problem);
+      return;
+    }
+    try {
+      if (seriesInfo.quote.amount > 0) {
+        const { data } = await apiService.createPayment({
+          eventId: event._id,
+          series: true,
+          gateway,
+          coupon: price?.code || undefined,
+          answers,
+        });
+        finishPayment(data);
+        return;
+      }
+      const { data } = await apiService.registerForEvent({
+        eventId: event._id,
+        series: true,
+        answers,
+      });
+      if (data.success) {
+        showSuccessToast(`Registered for ${data.registrations.length} session(s).`);
+        getRegistration();
+        getSeats();
+        getSeries();
       }
     } catch (error) {
-      showErrorToast("Unregistration failed.");
+      showErrorToast(error.response?.data?.message || "Series registration failed.");
+    }
+  };
+
+  const handleSeriesUnregister = async () => {
+    if (!confirm("Leave all upcoming sessions of this series?")) return;
+    if (!(await confirmRefund(true))) return;
+    try {
+      const { data } = await apiService.unregisterFromEvent({
+        eventId: event._id,
+        series: true,
+      });
+      if (data.success) {
+        showSuccessToast(`Left ${data.removedCount} session(s). ${data.message}`);
+        setIsRegistered(false);
+        setRegistration(null);
+        setWaitlistPosition(null);
+        getSeats();
+        getSeries();
+      }
+    } catch (error) {
+      showErrorToast(error.response?.data?.message || "Unregistration failed.");
     }
   };
 
@@ -224,7 +533,9 @@ function EventDetails() {
                 <span className="ed-badge type">
                   {(event.event_type || "event").toUpperCase()}
                 </span>
-                {new Date(event.date) > new Date() ? (
+                {event.is_archived ? (
+                  <span className="ed-badge past">ARCHIVED</span>
+                ) : new Date(event.date) > new Date() ? (
                   <span className="ed-badge upcoming">UPCOMING</span>
                 ) : (
                   <span className="ed-badge past">PAST</span>
@@ -237,7 +548,18 @@ function EventDetails() {
                 <h1 className="ed-title">{event.title}</h1>
                 <p className="ed-organizer">
                   Hosted by <strong>{event.organizer}</strong>
+                  {organizerRating?.averageRating != null && (
+                    <span title={`${organizerRating.ratings} rating(s) of ${organizerRating.events} event(s)`}>
+                      {" "}
+                      · <StarRating value={organizerRating.averageRating} /> {organizerRating.averageRating}
+                    </span>
+                  )}
                 </p>
+                {isConfirmed && new Date(event.date) < new Date() && (
+                  <Link to={`/events/${event._id}/feedback`} className="ed-feedbackLink">
+                    How was it? Rate this event
+                  </Link>
+                )}
               </header>
 
               <section className="ed-metaGrid">
@@ -257,18 +579,44 @@ function EventDetails() {
                   <div className="ed-metaBox">
                     <h4>Fee</h4>
                     <p>
-                      {event.registration_fee
-                        ? `৳ ${event.registration_fee}`
-                        : "Free"}
+                      {price?.tier ? (
+                        <>
+                          ৳ {price.base} <s>৳ {event.registration_fee}</s>
+                          <br />
+                          <small>
+                            {price.tier.label} until {formatDateTime(price.tier.until)}
+                          </small>
+                        </>
+                      ) : event.registration_fee ? (
+                        `৳ ${event.registration_fee}`
+                      ) : (
+                        "Free"
+                      )}
                     </p>
                   </div>
                 )}
+                {event.registration_fee > 0 && (
+                  <div className="ed-metaBox">
+                    <h4>Refunds</h4>
+                    <p>{describePolicy(event.cancellation_policy)}</p>
+                  </div>
+                )}
                 {event.prize_money !== 0 && (
                   <div className="ed-metaBox">
                     <h4>Prize Money</h4>
                     <p>{event.prize_money ? `৳ ${event.prize_money}` : "—"}</p>
                   </div>
                 )}
+                {seats?.capacity > 0 && (
+                  <div className="ed-metaBox">
+                    <h4>Seats Left</h4>
+                    <p>
+                      {seats.seatsLeft} / {seats.capacity}
+                      {seats.waitlistCount > 0 &&
+                        ` (${seats.waitlistCount} waitlisted)`}
+                    </p>
+                  </div>
+                )}
                 <div className="ed-metaBox">
                   <h4>Created</h4>
                   <p>{formatDateTime(event.createdAt)}</p>
@@ -284,19 +632,132 @@ function EventDetails() {
                 <p>{event.description}</p>
               </section>
 
+              {seriesInfo && (
+                <section className="ed-description ed-sessions">
+                  <h3>Sessions ({seriesInfo.sessions.length})</h3>
+                  <ul>
+                    {seriesInfo.sessions.map((session) => (
+                      <li
+                        key={session._id}
+                        className={session._id === event._id ? "current" : ""}
+                      >
+                        <Link to={`/events/${session._id}`}>
+                          {formatDateTime(session.date)}
+                        </Link>
+                        {session._id === event._id && <span> — this session</span>}
+                      </li>
+                    ))}
+                  </ul>
+                </section>
+              )}
+
+              {isBanned && (
+                <p className="ed-banNotice" role="alert">
+                  {ban.message}
+                </p>
+              )}
+
+              {!user?.isAdmin &&
+                !isBanned &&
+                !isTeamEvent &&
+                event.registration_form?.length > 0 &&
+                !event.is_archived &&
+                (!isRegistered || awaitingPayment || paymentExpired) && (
+                  <section className="ed-description">
+                    <h3>Registration Questions</h3>
+                    <RegistrationForm
+                      eventId={event._id}
+                      fields={event.registration_form}
+                      answers={answers}
+                      onChange={setAnswers}
+                    />
+                  </section>
+                )}
+
+              {!user?.isAdmin &&
+                !isBanned &&
+                event.registration_fee > 0 &&
+                !event.is_archived &&
+                (!isRegistered || awaitingPayment || (paymentExpired && !isFull)) && (
+                  <div className="ed-gateways ed-coupon">
+                    <span>Discount code</span>
+                    <input
+                      type="text"
+                      value={couponInput}
+                      onChange={(e) => setCouponInput(e.target.value)}
+                      placeholder="Enter code"
+                    />
+                    <button type="button" className="ed-outlineBtn" onClick={applyCoupon}>
+                      Apply
+                    </button>
+                    {price?.code && (
+                      <em>
+                        {price.code}: −৳{price.discount}, you pay ৳{price.amount}
+                      </em>
+                    )}
+                  </div>
+                )}
+
+              {!user?.isAdmin &&
+                !isBanned &&
+                event.registration_fee > 0 &&
+                !event.is_archived &&
+                (!isRegistered || awaitingPayment || (paymentExpired && !isFull)) &&
+                event.payment_gateways?.length > 1 && (
+                  <div className="ed-gateways">
+                    <span>Pay with</span>
+                    {event.payment_gateways.map((name) => (
+                      <label key={name}>
+                        <input
+                          type="radio"
+                          name="gateway"
+                          value={name}
+                          checked={gateway === name}
+                          onChange={() => setGateway(name)}
+                        />
+                        {GATEWAY_LABELS[name] || name}
+                      </label>
+                    ))}
+                  </div>
+                )}
+
+              {isTeamEvent && teamInfo && !isBanned && (!isRegistered || awaitingPayment || paymentExpired) && (
+                <TeamPanel
+                  event={event}
+                  user={user}
+                  teamInfo={teamInfo}
+                  reload={getTeam}
+                  onPay={payForTeam}
+                  onRegistered={() => {
+                    getRegistration();
+                    getSeats();
+                  }}
+                />
+              )}
+
               <div className="ed-actions">
                 {user?.isAdmin ? (
                   <>
-                    <button className="ed-primaryBtn" onClick={openEdit}>
-                      Edit Event
-                    </button>
-                    <button className="ed-outlineBtn" onClick={deleteEvent}>
-                      Delete
+                    {canManage && (
+                      <>
+                        <button className="ed-primaryBtn" onClick={openEdit}>
+                          Edit Event
+                        </button>
+                        <button className="ed-outlineBtn" onClick={deleteEvent}>
+                          Delete
+                        </button>
+                      </>
+                    )}
+                    <button
+                      className="ed-outlineBtn"
+                      onClick={() => navigate("/upcoming-events")}
+                    >
+                      More Events
                     </button>
                   </>
                 ) : (
                   <>
-                    {!isRegistered && (
+                    {!isRegistered && !isBanned && !event.is_archived && !isTeamEvent && (
                       <button
                         className={`ed-primaryBtn ${
                           !isRegistered ? "pulse" : ""
@@ -304,17 +765,49 @@ function EventDetails() {
                         onClick={handleRegister}
                         disabled={isRegistered}
                       >
-                        Register Now
+                        {isFull ? "Join Waitlist" : "Register Now"}
                       </button>
                     )}
-                    {isRegistered && (
+                    {seriesInfo?.quote?.sessionIds.length > 1 && !isBanned && !event.is_archived && !isTeamEvent && (
+                      <button className="ed-outlineBtn" onClick={handleSeriesRegister}>
+                        Register for All {seriesInfo.quote.sessionIds.length} Sessions
+                        {seriesInfo.quote.amount > 0 && ` (৳${seriesInfo.quote.amount})`}
+                      </button>
+                    )}
+                    {registration?.series && !event.is_archived && (
+                      <button className="ed-outlineBtn" onClick={handleSeriesUnregister}>
+                        Leave Series
+                      </button>
+                    )}
+                    {isConfirmed && (
+                      <button className="ed-outlineBtn" onClick={toggleTicket}>
+                        {ticket ? "Hide Ticket" : "View Ticket"}
+                      </button>
+                    )}
+                    {awaitingPayment && !isBanned && !isTeamEvent && (
+                      <button className="ed-primaryBtn pulse" onClick={handleRegister}>
+                        Complete Payment
+                      </button>
+                    )}
+                    {paymentExpired && !isBanned && !event.is_archived && !isTeamEvent && (
+                      <button className="ed-primaryBtn pulse" onClick={handleRegister}>
+                        {isFull ? "Join Waitlist" : "Retry Payment"}
+                      </button>
+                    )}
+                    {isRegistered && !event.is_archived && (
                       <button
                         className={`ed-primaryBtn ${
                           !isRegistered ? "pulse" : ""
                         }`}
                         onClick={() => handleUnRegister()}
                       >
-                        Unregister
+                        {isWaitlisted
+                          ? "Leave Waitlist"
+                          : registration?.team
+                          ? isTeamCaptain
+                            ? "Withdraw Team"
+                            : "Leave Team"
+                          : "Unregister"}
                       </button>
                     )}
                     <button
@@ -325,6 +818,15 @@ function EventDetails() {
                     </button>
                   </>
                 )}
+                {!event.is_archived && (
+                  <a
+                    className="ed-outlineBtn"
+                    href={`${backend}/api/events/${event._id}/calendar.ics`}
+                    download
+                  >
+                    Add to Calendar
+                  </a>
+                )}
               </div>
               {isRegistered && (
                 <p
@@ -334,9 +836,56 @@ function EventDetails() {
                     marginTop: ".5rem",
                   }}
                 >
-                  You have registered for this event.
+                  {isWaitlisted
+                    ? `You are #${waitlistPosition} on the waitlist. We'll email you if a seat opens up.`
+                    : awaitingPayment
+                    ? registration.payment_due_at
+                      ? `A seat is held for you until ${formatDateTime(registration.payment_due_at)}. Complete the payment to confirm it.`
+                      : "A seat is held for you. Complete the payment to confirm it."
+                    : paymentExpired
+                    ? "Your seat was released because the payment was not completed in time."
+                    : "You have registered for this event."}
                 </p>
               )}
+              {reminders && !event.is_archived && (
+                <div className="ed-reminders">
+                  {isRegistered ? (
+                    <label>
+                      <input
+                        type="checkbox"
+                        checked={reminders.enabled}
+                        onChange={(e) => updateReminders({ enabled: e.target.checked })}
+                      />
+                      Email me reminders for this event
+                    </label>
+                  ) : (
+                    new Date(event.registration_deadline) > new Date() && (
+                      <label>
+                        <input
+                          type="checkbox"
+                          checked={reminders.watching && reminders.enabled}
+                          onChange={(e) =>
+                            updateReminders({ watching: e.target.checked, enabled: true })
+                          }
+                        />
+                        Remind me before registration closes
+                      </label>
+                    )
+                  )}
+                </div>
+              )}
+              {ticket && (
+                <section className="ed-description ed-ticket">
+                  <h3>Your Ticket</h3>
+                  <img src={ticket.qrDataUrl} alt="Event ticket QR code" />
+                  <p>
+                    {ticket.checkedIn
+                      ? "You have been checked in."
+                      : "Show this QR code at the entrance to check in."}
+                  </p>
+                  <code>{ticket.ticketCode}</code>
+                </section>
+              )}
             </div>
           </article>
         )}
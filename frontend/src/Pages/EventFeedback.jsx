@@ -0,0 +1,151 @@
+import React, { useEffect, useState } from "react";
+import { Link, useParams } from "react-router-dom";
+import Header from "../Components/Header";
+import Footer from "../Components/Footer";
+import StarRating from "../Components/StarRating";
+import { ToastContainer } from "react-toastify";
+import { apiService } from "../utils/apiService";
+import { showErrorToast, showSuccessToast } from "../utils/toastUtils";
+import "../CSS/dashboard.css";
+import "../CSS/feedback.css";
+
+// Post-event survey for attendees (linked from the invitation email); an earlier answer can be changed
+function EventFeedback() {
+  const { id } = useParams();
+  const [data, setData] = useState(null); // { event, survey, canAnswer, reason, closes_at, response }
+  const [rating, setRating] = useState(0);
+  const [answers, setAnswers] = useState({});
+  const [comment, setComment] = useState("");
+  const [saving, setSaving] = useState(false);
+
+  useEffect(() => {
+    let mounted = true;
+    apiService
+      .getFeedbackSurvey(id)
+      .then(({ data }) => {
+        if (!mounted || !data.success) return;
+        setData(data);
+        if (data.response) {
+          setRating(data.response.rating);
+          setAnswers(Object.fromEntries(data.response.answers.map((a) => [a.key, a.value])));
+          setComment(data.response.comment || "");
+        }
+      })
+      .catch((error) => showErrorToast(error.response?.data?.message || "Failed to load the survey"));
+    return () => {
+      mounted = false;
+    };
+  }, [id]);
+
+  const setAnswer = (key, value) => setAnswers((prev) => ({ ...prev, [key]: value }));
+
+  const submit = async (e) => {
+    e.preventDefault();
+    if (!rating) {
+      showErrorToast("Rate the event from 1 to 5 stars");
+      return;
+    }
+    setSaving(true);
+    try {
+      const { data: result } = await apiService.submitFeedback(id, { rating, answers, comment });
+      showSuccessToast(result.message);
+      setData((prev) => ({ ...prev, response: result.response }));
+    } catch (error) {
+      showErrorToast(error.response?.data?.message || "Failed to send your feedback");
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const renderQuestion = (q) => {
+    if (q.type === "rating") {
+      return <StarRating value={answers[q.key] || 0} label={q.label} onChange={(n) => setAnswer(q.key, n)} />;
+    }
+    if (q.type === "choice") {
+      return (
+        <div className="feedback-choices">
+          {q.options.map((option) => (
+            <label key={option}>
+              <input
+                type="radio"
+                name={q.key}
+                value={option}
+                checked={answers[q.key] === option}
+                onChange={() => setAnswer(q.key, option)}
+              />{" "}
+              {option}
+            </label>
+          ))}
+        </div>
+      );
+    }
+    return (
+      <textarea
+        rows={3}
+        maxLength={1000}
+        value={answers[q.key] || ""}
+        onChange={(e) => setAnswer(q.key, e.target.value)}
+      />
+    );
+  };
+
+  return (
+    <div style={{ minHeight: "100vh", display: "flex", flexDirection: "column" }}>
+      <Header />
+      <main className="layout-container" style={{ flex: 1, padding: "2.5rem 0" }}>
+        <h1 className="ed-title" style={{ margin: 0 }}>
+          Event Feedback
+        </h1>
+        {!data ? (
+          <div className="surface p-md">Loading...</div>
+        ) : (
+          <>
+            <p className="text-muted">
+              <Link to={`/events/${id}`}>{data.event.title}</Link> · {new Date(data.event.date).toLocaleDateString()}
+              {data.canAnswer && ` · open until ${new Date(data.closes_at).toLocaleDateString()}`}
+            </p>
+            {!data.canAnswer ? (
+              <div className="surface p-md">{data.reason}</div>
+            ) : (
+              <form className="feedback-form surface p-md" onSubmit={submit}>
+                {data.response && (
+                  <span className="text-muted">
+                    Thanks, you answered on {new Date(data.response.updatedAt).toLocaleDateString()}. You can still change
+                    your answers.
+                  </span>
+                )}
+                <div className="feedback-question">
+                  <strong>How would you rate the event overall? *</strong>
+                  <StarRating value={rating} label="Overall rating" onChange={setRating} />
+                </div>
+                {data.survey.questions.map((q) => (
+                  <div className="feedback-question" key={q.key}>
+                    <strong>
+                      {q.label}
+                      {q.required && " *"}
+                    </strong>
+                    {renderQuestion(q)}
+                  </div>
+                ))}
+                <label className="db-modal-field">
+                  Anything else you want the organizers to know?
+                  <textarea rows={4} maxLength={1000} value={comment} onChange={(e) => setComment(e.target.value)} />
+                </label>
+                <span className="text-muted">Organizers see your answers without your name.</span>
+                <div className="action-buttons">
+                  <button type="submit" className="action-btn btn-primary" disabled={saving}>
+                    {saving ? "Sending..." : data.response ? "update feedback" : "send feedback"}
+                  </button>
+                </div>
+              </form>
+            )}
+          </>
+        )}
+      </main>
+      <Footer />
+      <ToastContainer />
+    </div>
+  );
+}
+
+export default EventFeedback;
@@ -0,0 +1,253 @@
+import React, { useEffect, useState } from "react";
+import { Link, useParams } from "react-router-dom";
+import Header from "../Components/Header";
+import Footer from "../Components/Footer";
+import StarRating from "../Components/StarRating";
+import { ToastContainer } from "react-toastify";
+import { apiService } from "../utils/apiService";
+import { showErrorToast, showSuccessToast } from "../utils/toastUtils";
+import "../CSS/dashboard.css";
+import "../CSS/feedback.css";
+
+const TYPE_LABELS = {
+  rating: "Stars (1-5)",
+  choice: "One of several options",
+  text: "Written answer",
+};
+
+// Organizers set up an event's feedback survey and read the aggregated (anonymous) answers
+function EventFeedbackResults() {
+  const { id } = useParams();
+  const [data, setData] = useState(null); // { event, survey, questionTypes, maxQuestions, summary }
+  const [survey, setSurvey] = useState(null); // survey being edited
+  const [saving, setSaving] = useState(false);
+
+  useEffect(() => {
+    let mounted = true;
+    apiService
+      .getFeedbackResults(id)
+      .then(({ data }) => {
+        if (!mounted || !data.success) return;
+        setData(data);
+        setSurvey({
+          ...data.survey,
+          questions: data.survey.questions.map((q) => ({ ...q, options: (q.options || []).join(", ") })),
+        });
+      })
+      .catch((error) => showErrorToast(error.response?.data?.message || "Failed to load feedback"));
+    return () => {
+      mounted = false;
+    };
+  }, [id]);
+
+  const updateQuestion = (index, changes) =>
+    setSurvey((prev) => ({ ...prev, questions: prev.questions.map((q, i) => (i === index ? { ...q, ...changes } : q)) }));
+
+  const save = async (e) => {
+    e.preventDefault();
+    setSaving(true);
+    try {
+      const payload = {
+        ...survey,
+        questions: survey.questions.map((q) => ({
+          ...q,
+          options: q.type === "choice" ? q.options.split(",").map((o) => o.trim()).filter(Boolean) : [],
+        })),
+      };
+      const { data: result } = await apiService.saveFeedbackSurvey(id, payload);
+      showSuccessToast(result.message);
+      setSurvey({
+        ...result.survey,
+        questions: result.survey.questions.map((q) => ({ ...q, options: (q.options || []).join(", ") })),
+      });
+    } catch (error) {
+      showErrorToast(error.response?.data?.message || "Failed to save the survey");
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const summary = data?.summary;
+  const questionResults = summary ? Object.entries(summary.questions) : [];
+  const textResults = summary ? Object.entries(summary.texts) : [];
+
+  return (
+    <div style={{ minHeight: "100vh", display: "flex", flexDirection: "column" }}>
+      <Header />
+      <main className="layout-container" style={{ flex: 1, padding: "2.5rem 0" }}>
+        <h1 className="ed-title" style={{ margin: 0 }}>
+          Feedback
+        </h1>
+        {!data ? (
+          <div className="surface p-md">Loading...</div>
+        ) : (
+          <>
+            <p className="text-muted">
+              <Link to={`/events/${id}`}>{data.event.title}</Link>. Attendees are emailed the survey once the event ends
+              {survey.sent_at && ` (sent ${new Date(survey.sent_at).toLocaleString()})`} and can answer for {data.windowDays} days.
+              Answers are anonymous.
+            </p>
+
+            <section className="surface p-md" style={{ margin: "1rem 0" }}>
+              <h2 style={{ marginTop: 0 }}>
+                Results{" "}
+                {summary.averageRating !== null && (
+                  <>
+                    <StarRating value={summary.averageRating} /> {summary.averageRating} / 5
+                  </>
+                )}
+              </h2>
+              {summary.responses === 0 ? (
+                <p className="text-muted">No answers yet.</p>
+              ) : (
+                <>
+                  <p className="text-muted">{summary.responses} answer(s)</p>
+                  <div className="feedback-distribution">
+                    {[5, 4, 3, 2, 1].map((n) => (
+                      <React.Fragment key={n}>
+                        <span>{n} star{n === 1 ? "" : "s"}</span>
+                        <div className="feedback-bar">
+                          <span style={{ width: `${(summary.distribution[n - 1] / summary.responses) * 100}%` }} />
+                        </div>
+                        <span>{summary.distribution[n - 1]}</span>
+                      </React.Fragment>
+                    ))}
+                  </div>
+
+                  {questionResults.map(([key, q]) => (
+                    <div key={key} style={{ marginTop: "1rem" }}>
+                      <h4 style={{ marginBottom: 4 }}>{q.label}</h4>
+                      {q.type === "rating" ? (
+                        <span>
+                          <StarRating value={q.average} /> {q.average} / 5 from {q.answers} answer(s)
+                        </span>
+                      ) : (
+                        <ul className="feedback-comments">
+                          {Object.entries(q.counts)
+                            .sort((a, b) => b[1] - a[1])
+                            .map(([option, count]) => (
+                              <li key={option}>
+                                {option}: {count}
+                              </li>
+                            ))}
+                        </ul>
+                      )}
+                    </div>
+                  ))}
+
+                  {textResults.map(([key, t]) => (
+                    <div key={key} style={{ marginTop: "1rem" }}>
+                      <h4 style={{ marginBottom: 4 }}>{t.label}</h4>
+                      <ul className="feedback-comments">
+                        {t.answers.map((answer, i) => (
+                          <li key={i}>{answer}</li>
+                        ))}
+                      </ul>
+                    </div>
+                  ))}
+
+                  {summary.comments.length > 0 && (
+                    <div style={{ marginTop: "1rem" }}>
+                      <h4 style={{ marginBottom: 4 }}>Latest comments</h4>
+                      <ul className="feedback-comments">
+                        {summary.comments.map((c, i) => (
+                          <li key={i}>{c}</li>
+                        ))}
+                      </ul>
+                    </div>
+                  )}
+                </>
+              )}
+            </section>
+
+            <form className="surface p-md" onSubmit={save} style={{ display: "grid", gap: 12 }}>
+              <h2 style={{ margin: 0 }}>Survey</h2>
+              <label>
+                <input
+                  type="checkbox"
+                  checked={survey.enabled}
+                  onChange={(e) => setSurvey({ ...survey, enabled: e.target.checked })}
+                />{" "}
+                Ask attendees for feedback after the event
+              </label>
+              <label className="db-modal-field">
+                Who may answer
+                <select value={survey.audience} onChange={(e) => setSurvey({ ...survey, audience: e.target.value })}>
+                  <option value="checked_in">Attendees checked in at the venue</option>
+                  <option value="registered">Everyone registered</option>
+                </select>
+              </label>
+              <span className="text-muted">
+                Everyone rates the event from 1 to 5 stars and can leave a comment. Add your own questions below.
+              </span>
+              {survey.questions.map((q, i) => (
+                <div key={i} className="feedback-question-editor">
+                  <input
+                    type="text"
+                    placeholder="Question"
+                    value={q.label}
+                    maxLength={200}
+                    onChange={(e) => updateQuestion(i, { label: e.target.value })}
+                  />
+                  <select value={q.type} onChange={(e) => updateQuestion(i, { type: e.target.value })}>
+                    {data.questionTypes.map((t) => (
+                      <option key={t} value={t}>
+                        {TYPE_LABELS[t] || t}
+                      </option>
+                    ))}
+                  </select>
+                  {q.type === "choice" && (
+                    <input
+                      type="text"
+                      placeholder="Options, separated by commas"
+                      value={q.options}
+                      onChange={(e) => updateQuestion(i, { options: e.target.value })}
+                    />
+                  )}
+                  <label>
+                    <input
+                      type="checkbox"
+                      checked={q.required}
+                      onChange={(e) => updateQuestion(i, { required: e.target.checked })}
+                    />{" "}
+                    required
+                  </label>
+                  <button
+                    type="button"
+                    className="action-btn btn-outline"
+                    onClick={() => setSurvey({ ...survey, questions: survey.questions.filter((_, j) => j !== i) })}
+                  >
+                    remove
+                  </button>
+                </div>
+              ))}
+              <div className="action-buttons">
+                {survey.questions.length < data.maxQuestions && (
+                  <button
+                    type="button"
+                    className="action-btn btn-outline"
+                    onClick={() =>
+                      setSurvey({
+                        ...survey,
+                        questions: [...survey.questions, { label: "", type: "rating", options: "", required: false }],
+                      })
+                    }
+                  >
+                    add question
+                  </button>
+                )}
+                <button type="submit" className="action-btn btn-primary" disabled={saving}>
+                  {saving ? "Saving..." : "save survey"}
+                </button>
+              </div>
+            </form>
+          </>
+        )}
+      </main>
+      <Footer />
+      <ToastContainer />
+    </div>
+  );
+}
+
+export default EventFeedbackResults;
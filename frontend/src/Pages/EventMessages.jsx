@@ -0,0 +1,257 @@
+import React, { useEffect, useState } from "react";
+import { useParams } from "react-router-dom";
+import Header from "../Components/Header";
+import Footer from "../Components/Footer";
+import AttendeeFilter from "../Components/AttendeeFilter";
+import { ToastContainer } from "react-toastify";
+import { apiService } from "../utils/apiService";
+import { showErrorToast, showSuccessToast } from "../utils/toastUtils";
+import "../CSS/dashboard.css";
+import "../CSS/checkIn.css";
+
+const emptyFilter = { status: "all", checked_in: "", answer_key: "", answer_value: "" };
+
+const STATUS_LABELS = {
+  queued: "queued",
+  sending: "sending",
+  completed: "done",
+};
+
+// Who a message went to, in words
+const describeFilter = (filter = {}) =>
+  [
+    filter.status && filter.status !== "all" ? filter.status : "everyone",
+    filter.checked_in === "yes" && "checked in",
+    filter.checked_in === "no" && "not checked in",
+    filter.answer_key && `${filter.answer_key} = ${filter.answer_value}`,
+  ]
+    .filter(Boolean)
+    .join(", ");
+
+// Email the attendees of one event and follow how the deliveries went
+function EventMessages() {
+  const { id } = useParams();
+  const [event, setEvent] = useState(null);
+  const [messages, setMessages] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [filter, setFilter] = useState(emptyFilter);
+  const [recipientCount, setRecipientCount] = useState(null);
+  const [subject, setSubject] = useState("");
+  const [body, setBody] = useState("");
+  const [sending, setSending] = useState(false);
+  const [details, setDetails] = useState(null); // { summary, recipients }
+
+  useEffect(() => {
+    let mounted = true;
+    Promise.all([apiService.getEvent(id), apiService.getEventMessages(id)])
+      .then(([ev, list]) => {
+        if (!mounted) return;
+        if (ev.data.success) setEvent(ev.data.event);
+        if (list.data.success) setMessages(list.data.messages);
+      })
+      .catch((error) => showErrorToast(error.response?.data?.message || "Failed to load messages"))
+      .finally(() => mounted && setLoading(false));
+    return () => {
+      mounted = false;
+    };
+  }, [id]);
+
+  // How many attendees the current filter reaches
+  useEffect(() => {
+    if (filter.answer_key && !filter.answer_value) return;
+    let mounted = true;
+    apiService
+      .countMessageRecipients(id, filter)
+      .then(({ data }) => mounted && setRecipientCount(data.count))
+      .catch(() => mounted && setRecipientCount(null));
+    return () => {
+      mounted = false;
+    };
+  }, [id, filter]);
+
+  // Follow deliveries while messages are still going out
+  const inProgress = messages.some((m) => m.status !== "completed");
+  useEffect(() => {
+    if (!inProgress) return;
+    const timer = setInterval(() => {
+      apiService
+        .getEventMessages(id)
+        .then(({ data }) => data.success && setMessages(data.messages))
+        .catch((error) => console.error(error));
+    }, 5000);
+    return () => clearInterval(timer);
+  }, [id, inProgress]);
+
+  const send = async (e) => {
+    e.preventDefault();
+    if (!confirm(`Email ${recipientCount ?? "the selected"} attendee(s)?`)) return;
+    setSending(true);
+    try {
+      const { data } = await apiService.sendEventMessage(id, { subject, body, filter });
+      showSuccessToast(data.message);
+      setMessages((prev) => [data.sent, ...prev]);
+      setSubject("");
+      setBody("");
+    } catch (error) {
+      showErrorToast(error.response?.data?.message || "Failed to send message");
+    } finally {
+      setSending(false);
+    }
+  };
+
+  const showDetails = async (message) => {
+    try {
+      const { data } = await apiService.getEventMessage(id, message._id);
+      setDetails(data);
+    } catch (error) {
+      showErrorToast(error.response?.data?.message || "Failed to load deliveries");
+    }
+  };
+
+  const retry = async (message) => {
+    try {
+      const { data } = await apiService.retryEventMessage(id, message._id);
+      showSuccessToast(data.message);
+      setMessages((prev) => prev.map((m) => (m._id === message._id ? data.summary : m)));
+    } catch (error) {
+      showErrorToast(error.response?.data?.message || "Failed to retry");
+    }
+  };
+
+  return (
+    <div style={{ minHeight: "100vh", display: "flex", flexDirection: "column" }}>
+      <Header />
+      <main className="layout-container" style={{ flex: 1, padding: "2.5rem 0" }}>
+        <h1 className="ed-title" style={{ margin: 0 }}>
+          Email Attendees
+        </h1>
+        <p className="text-muted">
+          {event ? `${event.title}. ` : ""}
+          Messages are queued and sent a few at a time; each attendee gets one copy.
+        </p>
+
+        <form className="surface p-md" onSubmit={send} style={{ display: "grid", gap: 12, margin: "1rem 0" }}>
+          <AttendeeFilter event={event} filter={filter} onChange={setFilter} />
+          <span className="text-muted">
+            {recipientCount === null ? "" : `${recipientCount} attendee(s) will get this email`}
+          </span>
+          <label className="db-modal-field">
+            Subject
+            <input type="text" value={subject} maxLength={150} onChange={(e) => setSubject(e.target.value)} required />
+          </label>
+          <label className="db-modal-field">
+            Message
+            <textarea rows={6} value={body} maxLength={5000} onChange={(e) => setBody(e.target.value)} required />
+          </label>
+          <div className="action-buttons">
+            <button type="submit" className="action-btn btn-primary" disabled={sending || recipientCount === 0}>
+              {sending ? "Sending..." : "send"}
+            </button>
+          </div>
+        </form>
+
+        {loading ? (
+          <div className="surface p-md">Loading...</div>
+        ) : messages.length === 0 ? (
+          <div className="surface p-md">No messages sent yet.</div>
+        ) : (
+          <div style={{ overflowX: "auto" }}>
+            <table className="dashboard-table">
+              <thead>
+                <tr style={{ textAlign: "left" }}>
+                  <th>Date</th>
+                  <th>Subject</th>
+                  <th>Recipients</th>
+                  <th>Status</th>
+                  <th>Delivered</th>
+                  <th>Actions</th>
+                </tr>
+              </thead>
+              <tbody>
+                {messages.map((m) => (
+                  <tr key={m._id}>
+                    <td>{new Date(m.createdAt).toLocaleString()}</td>
+                    <td>
+                      {m.subject}
+                      {m.sender?.username && <div className="text-muted">by {m.sender.username}</div>}
+                    </td>
+                    <td>
+                      {m.total}
+                      <div className="text-muted">{describeFilter(m.filter)}</div>
+                    </td>
+                    <td>{STATUS_LABELS[m.status]}</td>
+                    <td>
+                      {m.sent} sent
+                      {m.failed > 0 && <div className="text-muted">{m.failed} failed</div>}
+                      {m.queued > 0 && <div className="text-muted">{m.queued} queued</div>}
+                    </td>
+                    <td>
+                      <div className="action-buttons">
+                        <button className="action-btn btn-outline" onClick={() => showDetails(m)}>
+                          details
+                        </button>
+                        {m.failed > 0 && (
+                          <button className="action-btn btn-outline" onClick={() => retry(m)}>
+                            retry failed
+                          </button>
+                        )}
+                      </div>
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        )}
+      </main>
+      <Footer />
+      <ToastContainer />
+
+      {details && (
+        <div className="db-modal-overlay" role="dialog" aria-modal="true">
+          <div className="db-modal">
+            <h3>{details.summary.subject}</h3>
+            <p className="text-muted" style={{ whiteSpace: "pre-wrap" }}>
+              {details.summary.body}
+            </p>
+            <div style={{ maxHeight: 320, overflowY: "auto" }}>
+              <table className="dashboard-table">
+                <thead>
+                  <tr style={{ textAlign: "left" }}>
+                    <th>Attendee</th>
+                    <th>Status</th>
+                    <th>Sent</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {details.recipients.map((r) => (
+                    <tr key={r._id}>
+                      <td>
+                        {r.name || "—"}
+                        <div className="text-muted">{r.email}</div>
+                      </td>
+                      <td>
+                        {r.status}
+                        {r.status === "queued" && r.attempts > 0 && (
+                          <div className="text-muted">retrying ({r.attempts} failed)</div>
+                        )}
+                      </td>
+                      <td>{r.sent_at ? new Date(r.sent_at).toLocaleString() : "—"}</td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+            <div style={{ display: "flex", justifyContent: "flex-end", marginTop: 12 }}>
+              <button className="btn btn-outline" onClick={() => setDetails(null)}>
+                Close
+              </button>
+            </div>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default EventMessages;
@@ -6,12 +6,17 @@ import Loader from "../Components/loader";
 import "../CSS/joinedEvents.css";
 import { useAuth } from "../contexts/AuthContext";
 import { useNavigate } from "react-router-dom";
+import { ToastContainer } from "react-toastify";
+import { apiService } from "../utils/apiService";
+import { showErrorToast, showSuccessToast } from "../utils/toastUtils";
 
 function JoinedEvent() {
   const backend_link = import.meta.env.VITE_BACKEND_LINK;
   const [registrations, setRegistrations] = useState([]);
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState("");
+  const [feedUrl, setFeedUrl] = useState("");
+  const [refunds, setRefunds] = useState([]);
   const { user } = useAuth();
   const navigate = useNavigate();
 
@@ -48,6 +53,15 @@ function JoinedEvent() {
     fetchRegistrations();
   }, [backend_link, user]);
 
+  // Refund requests from cancelled paid registrations
+  useEffect(() => {
+    if (!user || user.isAdmin) return;
+    apiService
+      .getUserRefunds(user._id)
+      .then(({ data }) => setRefunds(data.refunds || []))
+      .catch(() => setRefunds([]));
+  }, [user]);
+
   const formatDateParts = (isoDate) => {
     if (!isoDate) return { month: "—", day: "—" };
     const d = new Date(isoDate);
@@ -79,6 +93,37 @@ function JoinedEvent() {
       </div>
     );
   }
+  const loadFeed = async () => {
+    try {
+      const { data } = await apiService.getCalendarFeed();
+      if (data.success) setFeedUrl(data.url);
+    } catch (err) {
+      showErrorToast(err.response?.data?.message || "Could not load your calendar link");
+    }
+  };
+
+  const copyFeed = async () => {
+    try {
+      await navigator.clipboard.writeText(feedUrl);
+      showSuccessToast("Calendar link copied");
+    } catch {
+      showErrorToast("Copy failed, select the link and copy it manually");
+    }
+  };
+
+  const resetFeed = async () => {
+    if (!window.confirm("Reset your calendar link? Calendars subscribed to the old link will stop updating.")) return;
+    try {
+      const { data } = await apiService.resetCalendarFeed();
+      if (data.success) {
+        setFeedUrl(data.url);
+        showSuccessToast(data.message);
+      }
+    } catch (err) {
+      showErrorToast(err.response?.data?.message || "Could not reset your calendar link");
+    }
+  };
+
   const eventDetails = async (eventId) => {
     console.log(eventId);
     navigate(`/events/${eventId}`);
@@ -96,6 +141,43 @@ function JoinedEvent() {
       <main className="je-main">
         <h1 className="sr-only">My Joined Events</h1>
 
+        <section className="je-calendar" aria-label="Calendar subscription">
+          <div>
+            <h2>Calendar subscription</h2>
+            <p>
+              Subscribe to this private link in Google Calendar, Outlook or Apple Calendar.
+              Date and venue changes of your events show up automatically.
+            </p>
+          </div>
+          {feedUrl ? (
+            <div className="je-calendar-link">
+              <input type="text" value={feedUrl} readOnly onFocus={(e) => e.target.select()} />
+              <button onClick={copyFeed}>Copy</button>
+              <button className="je-calendar-reset" onClick={resetFeed}>Reset link</button>
+            </div>
+          ) : (
+            <button onClick={loadFeed}>Get calendar link</button>
+          )}
+        </section>
+
+        {refunds.length > 0 && (
+          <section className="je-refunds" aria-label="Refunds">
+            <h2>Refunds</h2>
+            <ul>
+              {refunds.map((r) => (
+                <li key={r._id}>
+                  <span>{r.event?.title || "Event"}</span>
+                  <span>৳ {r.amount}</span>
+                  <span className={`je-refund-status ${r.status}`}>{r.status}</span>
+                  {r.status === "rejected" && r.review_note && (
+                    <small>{r.review_note}</small>
+                  )}
+                </li>
+              ))}
+            </ul>
+          </section>
+        )}
+
         {registrations.length === 0 && (
           <p className="je-status">You haven't joined any events yet.</p>
         )}
@@ -213,6 +295,7 @@ function JoinedEvent() {
         )}
       </main>
       <Footer />
+      <ToastContainer />
     </div>
   );
 }
@@ -121,40 +121,6 @@ function Login() {
     }
   };
 
-  const refreshAccessToken = async () => {
-    try {
-      const refreshToken = localStorage.getItem("refresh-token");
-      if (!refreshToken) throw new Error("No refresh token available");
-
-      const response = await fetch(
-        "https://backend-beryl-nu-15.vercel.app/token",
-        {
-          method: "POST",
-          headers: {
-            Accept: "application/json",
-            "Content-Type": "application/json",
-          },
-          body: JSON.stringify({ token: refreshToken }),
-        }
-      );
-
-      const data = await response.json();
-
-      if (data.accessToken) {
-        localStorage.setItem("auth-token", data.accessToken); // Update access token
-        return data.accessToken;
-      } else {
-        throw new Error("Failed to refresh token");
-      }
-    } catch (error) {
-      console.error("Error refreshing access token:", error);
-      toast.error("Session expired, please log in again.");
-      localStorage.removeItem("auth-token");
-      localStorage.removeItem("refresh-token");
-      window.location.replace("/login");
-    }
-  };
-
   const signup = async () => {
     if (!isPasswordValid) {
       toast.warning("Password does not meet the criteria.");
@@ -8,6 +8,7 @@ import 'react-toastify/dist/ReactToastify.css';
 import '../CSS/profile.css';
 import Footer from '../Components/Footer';
 import Loader from "../Components/loader";
+import StarRating from '../Components/StarRating';
 
 const Profile = () => {
   const { isAuthenticated, logout, refreshUserData } = useAuth();
@@ -34,6 +35,8 @@ const Profile = () => {
   const [certsOpen, setCertsOpen] = useState(false);
   const [certsLoading, setCertsLoading] = useState(false);
   const [certsError, setCertsError] = useState('');
+  // Average feedback rating of the events an organizer created
+  const [organizerRating, setOrganizerRating] = useState(null);
 
   // Password change state
   const [showPasswordModal, setShowPasswordModal] = useState(false);
@@ -60,6 +63,15 @@ const Profile = () => {
     } finally { setCertsLoading(false); }
   };
 
+  useEffect(() => {
+    if (!profileData.isAdmin || !profileData._id) return;
+    let mounted = true;
+    apiService.getOrganizerRating(profileData._id)
+      .then(({ data }) => mounted && data.success && setOrganizerRating(data.rating))
+      .catch((error) => console.error(error));
+    return () => { mounted = false; };
+  }, [profileData.isAdmin, profileData._id]);
+
   const toggleCertificates = () => {
     const next = !certsOpen;
     setCertsOpen(next);
@@ -362,6 +374,11 @@ const Profile = () => {
             />
             <h2>{profileData.username}</h2>
             <p className="user-role">{profileData.isAdmin ? "Admin User" : "Student"}</p>
+            {organizerRating?.averageRating != null && (
+              <p className="user-role" title={`${organizerRating.ratings} rating(s) of ${organizerRating.events} event(s)`}>
+                <StarRating value={organizerRating.averageRating} /> {organizerRating.averageRating} / 5 from attendees
+              </p>
+            )}
           </div>
         </div>
 
@@ -465,18 +482,29 @@ const Profile = () => {
                   <tr>
                     <th>Event</th>
                     <th>Event Date</th>
+                    <th>Type</th>
                     <th>Registered</th>
+                    <th>Certificate ID</th>
                     <th>Action</th>
                   </tr>
                 </thead>
                 <tbody>
                   {certificates.map(c => (
                     <tr key={c.registrationId}>
-                      <td>{c.eventTitle}</td>
+                      <td>
+                        {c.eventTitle}
+                        {c.teamName && <div style={{ opacity: 0.7, fontSize: "0.85em" }}>Team {c.teamName}</div>}
+                      </td>
                       <td>{new Date(c.eventDate).toLocaleDateString()}</td>
+                      <td>{c.typeLabel}</td>
                       <td>{new Date(c.createdAt).toLocaleDateString()}</td>
                       <td>
-                        <button className="download-btn" onClick={() => handleDownloadCert(c.registrationId, c.eventTitle)}>Download</button>
+                        <Link to={`/certificates/verify/${c.certificateId}`} style={{ fontFamily: 'monospace', wordBreak: 'break-all' }}>{c.certificateId}</Link>
+                      </td>
+                      <td>
+                        {c.revoked
+                          ? <span style={{ color:'var(--accent-color)' }}>Revoked</span>
+                          : <button className="download-btn" onClick={() => handleDownloadCert(c.registrationId, c.eventTitle)}>Download</button>}
                       </td>
                     </tr>
                   ))}
@@ -0,0 +1,179 @@
+import React, { useEffect, useState } from "react";
+import Header from "../Components/Header";
+import Footer from "../Components/Footer";
+import { ToastContainer } from "react-toastify";
+import { apiService } from "../utils/apiService";
+import { showErrorToast, showSuccessToast } from "../utils/toastUtils";
+import "../CSS/dashboard.css";
+
+const STATUSES = ["pending", "failed", "completed", "rejected"];
+
+// Organizer queue for refund requests from cancelled paid registrations
+function Refunds() {
+  const [status, setStatus] = useState("pending");
+  const [refunds, setRefunds] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [review, setReview] = useState(null); // { refund, decision }
+  const [note, setNote] = useState("");
+  const [saving, setSaving] = useState(false);
+
+  useEffect(() => {
+    let mounted = true;
+    setLoading(true);
+    apiService
+      .getRefunds(status)
+      .then(({ data }) => {
+        if (mounted && data.success) setRefunds(data.refunds);
+      })
+      .catch(() => showErrorToast("Failed to load refunds"))
+      .finally(() => mounted && setLoading(false));
+    return () => {
+      mounted = false;
+    };
+  }, [status]);
+
+  const openReview = (refund, decision) => {
+    setReview({ refund, decision });
+    setNote("");
+  };
+
+  const submitReview = async () => {
+    if (review.decision === "reject" && !note.trim()) {
+      showErrorToast("Please give a reason for the rejection");
+      return;
+    }
+    setSaving(true);
+    try {
+      const { data } = await apiService.reviewRefund(review.refund._id, review.decision, note.trim());
+      setRefunds((prev) => prev.filter((r) => r._id !== review.refund._id));
+      showSuccessToast(data.message);
+      setReview(null);
+    } catch (error) {
+      // A refused payout stays in the failed tab to retry
+      if (error.response?.status === 502) setRefunds((prev) => prev.filter((r) => r._id !== review.refund._id));
+      showErrorToast(error.response?.data?.message || "Failed to save decision");
+      setReview(null);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const canReview = status === "pending" || status === "failed";
+
+  return (
+    <div style={{ minHeight: "100vh", display: "flex", flexDirection: "column" }}>
+      <Header />
+      <main className="layout-container" style={{ flex: 1, padding: "2.5rem 0" }}>
+        <h1 className="ed-title" style={{ margin: 0 }}>
+          Refunds
+        </h1>
+        <p className="text-muted">
+          Approve refunds to send them back through the payment gateway, or reject them with a reason.
+        </p>
+
+        <div className="action-buttons" style={{ margin: "1rem 0" }}>
+          {STATUSES.map((s) => (
+            <button
+              key={s}
+              className={`action-btn ${status === s ? "btn-primary" : "btn-outline"}`}
+              onClick={() => setStatus(s)}
+            >
+              {s}
+            </button>
+          ))}
+        </div>
+
+        {loading ? (
+          <div className="surface p-md">Loading...</div>
+        ) : refunds.length === 0 ? (
+          <div className="surface p-md">No {status} refunds.</div>
+        ) : (
+          <div style={{ overflowX: "auto" }}>
+            <table className="dashboard-table">
+              <thead>
+                <tr style={{ textAlign: "left" }}>
+                  <th>Requested</th>
+                  <th>Attendee</th>
+                  <th>Event</th>
+                  <th>Paid</th>
+                  <th>Refund</th>
+                  <th>Gateway</th>
+                  {canReview ? <th>Actions</th> : <th>Note</th>}
+                </tr>
+              </thead>
+              <tbody>
+                {refunds.map((r) => (
+                  <tr key={r._id}>
+                    <td>{new Date(r.createdAt).toLocaleDateString()}</td>
+                    <td>
+                      {r.user?.username || "—"}
+                      <div className="text-muted">{r.user?.email}</div>
+                    </td>
+                    <td>{r.event?.title || "—"}</td>
+                    <td>৳ {r.amount_paid}</td>
+                    <td>
+                      ৳ {r.amount} ({r.percent}%)
+                    </td>
+                    <td>{r.gateway || "manual"}</td>
+                    {canReview ? (
+                      <td>
+                        {r.failure_reason && <div className="text-muted">{r.failure_reason}</div>}
+                        <div className="action-buttons">
+                          <button
+                            className="action-btn btn-outline"
+                            onClick={() => openReview(r, "approve")}
+                          >
+                            {status === "failed" ? "retry" : "approve"}
+                          </button>
+                          <button
+                            className="action-btn btn-danger"
+                            onClick={() => openReview(r, "reject")}
+                          >
+                            reject
+                          </button>
+                        </div>
+                      </td>
+                    ) : (
+                      <td>{r.review_note || r.refund_id || "—"}</td>
+                    )}
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        )}
+      </main>
+      <Footer />
+      <ToastContainer />
+
+      {review && (
+        <div className="db-modal-overlay" role="dialog" aria-modal="true">
+          <div className="db-modal">
+            <h3>
+              {review.decision === "approve" ? "Refund" : "Reject"} ৳{review.refund.amount} to{" "}
+              {review.refund.user?.username}
+            </h3>
+            <label className="db-modal-field">
+              {review.decision === "approve" ? "Note (optional)" : "Reason"}
+              <input type="text" value={note} onChange={(e) => setNote(e.target.value)} />
+            </label>
+            <div style={{ display: "flex", gap: 8, justifyContent: "flex-end", marginTop: 12 }}>
+              <button className="btn btn-outline" onClick={() => setReview(null)} disabled={saving}>
+                Cancel
+              </button>
+              <button
+                className={`btn ${review.decision === "approve" ? "btn-primary" : "btn-danger"}`}
+                onClick={submitReview}
+                disabled={saving}
+              >
+                {saving ? "Saving..." : review.decision === "approve" ? "Refund" : "Reject"}
+              </button>
+            </div>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default Refunds;
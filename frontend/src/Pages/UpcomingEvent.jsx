@@ -10,10 +10,13 @@ import { FaChevronLeft, FaChevronRight } from "react-icons/fa";
 function EventsPage() {
   const backend_link = import.meta.env.VITE_BACKEND_LINK;
   const [events, setEvents] = useState([]);
-  const [filteredEvents, setFilteredEvents] = useState([]);
+  const [totalPages, setTotalPages] = useState(0);
+  const [categories, setCategories] = useState([]);
   const [loading, setLoading] = useState(true);
+  const [fetching, setFetching] = useState(false);
   const [error, setError] = useState("");
   const [searchQuery, setSearchQuery] = useState("");
+  const [debouncedQuery, setDebouncedQuery] = useState("");
   const [categoryFilter, setCategoryFilter] = useState("");
   const [feeFilter, setFeeFilter] = useState(""); // '', 'free', 'paid'
   const [isShrunk, setIsShrunk] = useState(false);
@@ -21,54 +24,88 @@ function EventsPage() {
   const [sortDir, setSortDir] = useState("desc"); // 'asc' | 'desc'
   const [currentPage, setCurrentPage] = useState(0);
   const [perPage, setPerPage] = useState(12);
+  const [reloadKey, setReloadKey] = useState(0);
 
-  const CACHE_KEY = "events_cache";
-  const CACHE_TTL = 1000 * 60 * 2; // 2 minutes instead of 10 minutes for more frequent updates
+  // Categories for the filter come from the server, not from the current page
+  useEffect(() => {
+    axios
+      .get(`${backend_link}/api/events/filters`)
+      .then(({ data }) => data.success && setCategories(data.categories))
+      .catch((err) => console.error(err));
+  }, [backend_link]);
 
-  // Extract unique categories
-  const categories = [
-    ...new Set(events.map((e) => e.category).filter(Boolean)),
-  ];
+  // Wait for the user to stop typing before searching
+  useEffect(() => {
+    const timer = setTimeout(() => {
+      setDebouncedQuery(searchQuery.trim());
+      setCurrentPage(0);
+    }, 300);
+    return () => clearTimeout(timer);
+  }, [searchQuery]);
+
+  // Apply a filter change and go back to the first page
+  const changeFilter = (setter) => (value) => {
+    setter(value);
+    setCurrentPage(0);
+  };
 
+  // Search, filtering, sorting and pagination all happen on the server
   useEffect(() => {
+    let ignore = false;
     const fetchEvents = async () => {
+      setFetching(true);
       try {
-        // 🔹 1. Try loading cache first
-        const cached = localStorage.getItem(CACHE_KEY);
-        if (cached) {
-          const { data, timestamp } = JSON.parse(cached);
-          if (Date.now() - timestamp < CACHE_TTL) {
-            setEvents(data);
-            setFilteredEvents(data);
-            setLoading(false);
-            return; // ✅ Load from cache, skip API
-          }
-        }
-
-        // 🔹 2. No cache or stale cache, fetch from API
-        const response = await axios.get(`${backend_link}/api/events`);
+        // "Relevant" ranks by text match when searching, otherwise by soonest date
+        const sort =
+          sortOption === "relevant"
+            ? debouncedQuery
+              ? "relevance"
+              : "date"
+            : sortOption;
+        const response = await axios.get(`${backend_link}/api/events`, {
+          params: {
+            query: debouncedQuery || undefined,
+            category: categoryFilter || undefined,
+            fee: feeFilter || undefined,
+            sort,
+            order: sortDir,
+            page: currentPage + 1,
+            limit: perPage,
+          },
+        });
+        if (ignore) return;
         if (response.data.success) {
-          const eventData = response.data.events || [];
-          setEvents(eventData);
-          setFilteredEvents(eventData);
-
-          // 🔹 3. Save new data to localStorage
-          localStorage.setItem(
-            CACHE_KEY,
-            JSON.stringify({ data: eventData, timestamp: Date.now() })
-          );
+          setEvents(response.data.events || []);
+          setTotalPages(response.data.pages || 0);
+          setError("");
         } else {
           setError("Failed to load events");
         }
       } catch (err) {
         console.error(err);
-        setError("An error occurred while fetching events");
+        if (!ignore) setError("An error occurred while fetching events");
       } finally {
-        setLoading(false);
+        if (!ignore) {
+          setFetching(false);
+          setLoading(false);
+        }
       }
     };
     fetchEvents();
-  }, [backend_link]);
+    return () => {
+      ignore = true;
+    };
+  }, [
+    backend_link,
+    debouncedQuery,
+    categoryFilter,
+    feeFilter,
+    sortOption,
+    sortDir,
+    currentPage,
+    perPage,
+    reloadKey,
+  ]);
 
   // Scroll listener for sticky + blur search bar
   useEffect(() => {
@@ -85,95 +122,11 @@ function EventsPage() {
     window.scrollTo({ top: 0, behavior: "smooth" });
   };
 
-  // Force refresh events by clearing cache and refetching
-  const handleRefresh = async () => {
-    setLoading(true);
-    localStorage.removeItem(CACHE_KEY); // Clear cache
-    
-    try {
-      const response = await axios.get(`${backend_link}/api/events`);
-      if (response.data.success) {
-        const eventData = response.data.events || [];
-        setEvents(eventData);
-        setFilteredEvents(eventData);
-        
-        // Save new data to localStorage
-        localStorage.setItem(
-          CACHE_KEY,
-          JSON.stringify({ data: eventData, timestamp: Date.now() })
-        );
-      } else {
-        setError("Failed to load events");
-      }
-    } catch (err) {
-      console.error(err);
-      setError("An error occurred while fetching events");
-    } finally {
-      setLoading(false);
-    }
+  // Force refresh events
+  const handleRefresh = () => {
+    setReloadKey((k) => k + 1);
   };
 
-  // Combined search and filters (title, category, fee)
-  useEffect(() => {
-    const q = searchQuery.trim().toLowerCase();
-    let working = events.filter(
-      (event) => !q || (event.title || "").toLowerCase().includes(q)
-    );
-
-    if (categoryFilter) {
-      working = working.filter(
-        (event) => event.category && event.category === categoryFilter
-      );
-    }
-
-    if (feeFilter) {
-      if (feeFilter === "free") {
-        working = working.filter((e) => Number(e.registration_fee) === 0);
-      } else if (feeFilter === "paid") {
-        working = working.filter((e) => Number(e.registration_fee) > 0);
-      }
-    }
-
-    // Sorting
-    const sorters = {
-      new: (a, b) => {
-        const da = new Date(a.createdAt || a.date || 0).getTime();
-        const db = new Date(b.createdAt || b.date || 0).getTime();
-        return da - db;
-      },
-      popular: (a, b) => {
-        const pop = (e) =>
-          e.registrations_count ??
-          e.registrationCount ??
-          e.popularity ??
-          e.participants ??
-          e.prize_money ??
-          0;
-        return pop(a) - pop(b);
-      },
-      relevant: (a, b) => {
-        const now = Date.now();
-        const ta = new Date(a.date || a.createdAt || 0).getTime();
-        const tb = new Date(b.date || b.createdAt || 0).getTime();
-        const aPast = ta < now;
-        const bPast = tb < now;
-        if (aPast !== bPast) return aPast ? 1 : -1;
-        return ta - tb;
-      },
-    };
-
-    if (sorters[sortOption]) {
-      working = [...working].sort(sorters[sortOption]);
-    }
-
-    if (sortDir === "desc") {
-      working.reverse();
-    }
-
-    setFilteredEvents(working);
-    setCurrentPage(0); // reset page when filters change
-  }, [searchQuery, categoryFilter, feeFilter, events, sortOption, sortDir]);
-
   if (loading) return <Loader color={document.documentElement.getAttribute("data-theme") === "dark" ? "#ffffff" : "#000000"} />;
   if (error) return <p className="eventsPage-error">{error}</p>;
   return (
@@ -208,7 +161,7 @@ function EventsPage() {
             <div className="fx-selectWrap fx-item">
               <select
                 value={categoryFilter}
-                onChange={(e) => setCategoryFilter(e.target.value)}
+                onChange={(e) => changeFilter(setCategoryFilter)(e.target.value)}
                 onFocus={handleFocus}
                 onClick={handleFocus}
                 className="eventsPage-filterSelect fx-select"
@@ -241,7 +194,7 @@ function EventsPage() {
                   className="fx-pill"
                   data-active={feeFilter === btn.val}
                   onClick={() => {
-                    setFeeFilter(btn.val);
+                    changeFilter(setFeeFilter)(btn.val);
                     handleFocus();
                   }}
                 >
@@ -267,7 +220,7 @@ function EventsPage() {
                 className="fx-sortSelect"
                 value={sortOption}
                 onChange={(e) => {
-                  setSortOption(e.target.value);
+                  changeFilter(setSortOption)(e.target.value);
                   handleFocus();
                 }}
                 onFocus={handleFocus}
@@ -281,7 +234,7 @@ function EventsPage() {
                 type="button"
                 className="fx-sortDirBtn"
                 onClick={() =>
-                  setSortDir((d) => (d === "asc" ? "desc" : "asc"))
+                  changeFilter(setSortDir)((d) => (d === "asc" ? "desc" : "asc"))
                 }
                 title={`Toggle sort direction (currently ${
                   sortDir === "asc" ? "Ascending" : "Descending"
@@ -298,7 +251,7 @@ function EventsPage() {
                 type="button"
                 className="fx-refreshBtn"
                 onClick={handleRefresh}
-                disabled={loading}
+                disabled={fetching}
                 title="Refresh events"
                 aria-label="Refresh events"
                 style={{
@@ -306,24 +259,22 @@ function EventsPage() {
                   border: "1px solid #ccc",
                   borderRadius: "6px",
                   background: "#fff",
-                  cursor: loading ? "not-allowed" : "pointer",
-                  opacity: loading ? 0.6 : 1
+                  cursor: fetching ? "not-allowed" : "pointer",
+                  opacity: fetching ? 0.6 : 1
                 }}
               >
-                {loading ? "⟳" : "🔄"}
+                {fetching ? "⟳" : "🔄"}
               </button>
             </div>
           </div>
         </div>
 
-        {filteredEvents.length === 0 && (
+        {events.length === 0 && !fetching && (
           <p className="eventsPage-noEvents">No events found.</p>
         )}
 
         <div className="eventCard-grid">
-          {filteredEvents
-            .slice(currentPage * perPage, (currentPage + 1) * perPage)
-            .map((event, index) => {
+          {events.map((event, index) => {
             const startDate = event.date ? new Date(event.date) : null;
             const endDate = event.end_date ? new Date(event.end_date) : null;
 
@@ -404,7 +355,7 @@ function EventsPage() {
         </div>
 
         {/* Pagination Controls */}
-        {filteredEvents.length > perPage && (
+        {(totalPages > 1 || perPage !== 12) && (
           <div className="pagination-wrap" style={{ 
             display: 'flex', 
             justifyContent: 'space-between', 
@@ -469,7 +420,7 @@ function EventsPage() {
               
               <div className="page-numbers" style={{ display: 'flex', gap: '2px' }}>
                 {Array.from({
-                  length: Math.ceil(filteredEvents.length / perPage),
+                  length: totalPages,
                 }).map((_, i) => (
                   <button
                     key={i}
@@ -498,7 +449,7 @@ function EventsPage() {
                 minWidth: '80px',
                 textAlign: 'center'
               }}>
-                Page {currentPage + 1} / {Math.ceil(filteredEvents.length / perPage)}
+                Page {currentPage + 1} / {totalPages}
               </div>
               
               <button
@@ -506,22 +457,22 @@ function EventsPage() {
                 onClick={() =>
                   setCurrentPage((p) =>
                     Math.min(
-                      Math.ceil(filteredEvents.length / perPage) - 1,
+                      totalPages - 1,
                       p + 1
                     )
                   )
                 }
                 disabled={
                   currentPage >=
-                  Math.ceil(filteredEvents.length / perPage) - 1
+                  totalPages - 1
                 }
                 style={{
                   padding: '8px 12px',
                   border: '1px solid var(--border-light)',
-                  background: currentPage >= Math.ceil(filteredEvents.length / perPage) - 1 ? 'var(--bg-secondary)' : 'var(--bg-primary)',
-                  color: currentPage >= Math.ceil(filteredEvents.length / perPage) - 1 ? 'var(--text-muted)' : 'var(--text-primary)',
+                  background: currentPage >= totalPages - 1 ? 'var(--bg-secondary)' : 'var(--bg-primary)',
+                  color: currentPage >= totalPages - 1 ? 'var(--text-muted)' : 'var(--text-primary)',
                   borderRadius: '6px',
-                  cursor: currentPage >= Math.ceil(filteredEvents.length / perPage) - 1 ? 'not-allowed' : 'pointer',
+                  cursor: currentPage >= totalPages - 1 ? 'not-allowed' : 'pointer',
                   display: 'flex',
                   alignItems: 'center',
                   gap: '4px'
@@ -0,0 +1,133 @@
+import React, { useEffect, useState } from "react";
+import { useNavigate, useParams } from "react-router-dom";
+import Header from "../Components/Header";
+import Footer from "../Components/Footer";
+import { apiService } from "../utils/apiService";
+import "../CSS/certificates.css";
+
+const formatDate = (iso) => (iso ? new Date(iso).toLocaleDateString() : "—");
+
+// Public page behind the QR code on certificates: anyone can check that a certificate is genuine
+function VerifyCertificate() {
+  const { code } = useParams();
+  const navigate = useNavigate();
+  const [input, setInput] = useState(code || "");
+  const [result, setResult] = useState(null); // { valid, certificate } or { valid: false, message }
+  const [loading, setLoading] = useState(!!code);
+
+  useEffect(() => {
+    if (!code) return;
+    let mounted = true;
+    setLoading(true);
+    setInput(code);
+    apiService
+      .verifyCertificate(code)
+      .then(({ data }) => mounted && setResult(data))
+      .catch((error) =>
+        mounted &&
+        setResult({ valid: false, message: error.response?.data?.message || "Could not check this certificate" })
+      )
+      .finally(() => mounted && setLoading(false));
+    return () => {
+      mounted = false;
+    };
+  }, [code]);
+
+  const submit = (e) => {
+    e.preventDefault();
+    const value = input.trim();
+    if (value) navigate(`/certificates/verify/${encodeURIComponent(value)}`);
+  };
+
+  const certificate = result?.certificate;
+
+  return (
+    <div style={{ minHeight: "100vh", display: "flex", flexDirection: "column" }}>
+      <Header />
+      <main className="layout-container cert-verify" style={{ flex: 1, padding: "2.5rem 0" }}>
+        <h1 className="ed-title" style={{ margin: 0 }}>
+          Verify a Certificate
+        </h1>
+        <p className="text-muted">Enter the certificate ID printed on the certificate, or scan its QR code.</p>
+
+        <form className="cert-verify-form" onSubmit={submit}>
+          <input
+            type="text"
+            value={input}
+            onChange={(e) => setInput(e.target.value)}
+            placeholder="Certificate ID"
+            aria-label="Certificate ID"
+          />
+          <button type="submit" className="action-btn btn-primary">
+            Verify
+          </button>
+        </form>
+
+        {loading && <div className="surface p-md">Checking...</div>}
+
+        {!loading && result && !certificate && (
+          <div className="cert-verify-result invalid">
+            <strong>Not verified.</strong> {result.message}
+          </div>
+        )}
+
+        {!loading && certificate && (
+          <>
+            <div className={`cert-verify-result ${result.valid ? "valid" : "invalid"}`}>
+              {result.valid ? (
+                <strong>This certificate is genuine.</strong>
+              ) : (
+                <>
+                  <strong>This certificate was revoked</strong> on {formatDate(certificate.revoked_at)}.
+                  {certificate.revoke_reason && <div>Reason: {certificate.revoke_reason}</div>}
+                </>
+              )}
+            </div>
+            <dl className="cert-verify-details surface p-md">
+              <dt>Awarded to</dt>
+              <dd>
+                {certificate.recipient.name}
+                {certificate.recipient.team && <span className="text-muted"> (team {certificate.recipient.team})</span>}
+              </dd>
+              {certificate.type_label && (
+                <>
+                  <dt>Certificate</dt>
+                  <dd>{certificate.type_label}</dd>
+                </>
+              )}
+              <dt>Event</dt>
+              <dd>
+                {certificate.event.title}
+                <div className="text-muted">
+                  {formatDate(certificate.event.date)}
+                  {certificate.event.location && ` · ${certificate.event.location}`}
+                </div>
+              </dd>
+              <dt>Issued by</dt>
+              <dd>
+                {certificate.issuer.name}
+                {certificate.issuer.organizer && (
+                  <div className="text-muted">organized by {certificate.issuer.organizer}</div>
+                )}
+              </dd>
+              <dt>Issued on</dt>
+              <dd>{formatDate(certificate.issued_at)}</dd>
+              <dt>Certificate ID</dt>
+              <dd className="cert-code">{certificate.code}</dd>
+            </dl>
+            {result.valid && (
+              <img
+                className="cert-verify-image"
+                src={apiService.certificateImageUrl(certificate.code)}
+                alt={`Certificate of ${certificate.recipient.name}`}
+              />
+            )}
+          </>
+        )}
+      </main>
+      <Footer />
+    </div>
+  );
+}
+
+export default VerifyCertificate;
@@ -39,7 +39,8 @@ export const AuthProvider = ({ children }) => {
               username: response.data.user.username,
               email: response.data.user.email,
               isAdmin: response.data.user.isAdmin,
-              isApprovedAdmin: response.data.user.isApprovedAdmin
+              isApprovedAdmin: response.data.user.isApprovedAdmin,
+              isSuperAdmin: response.data.user.isSuperAdmin
             }));
           } else {
             logout();
@@ -73,7 +74,8 @@ export const AuthProvider = ({ children }) => {
           username: response.data.user.username,
           email: response.data.user.email,
           isAdmin: response.data.user.isAdmin,
-          isApprovedAdmin: response.data.user.isApprovedAdmin
+          isApprovedAdmin: response.data.user.isApprovedAdmin,
+          isSuperAdmin: response.data.user.isSuperAdmin
         }));
       } else {
         // Fallback to provided userData if profile fetch fails
@@ -89,6 +91,8 @@ export const AuthProvider = ({ children }) => {
   };
 
   const logout = () => {
+    const refreshToken = localStorage.getItem('refresh-token');
+    if (refreshToken) apiService.logout(refreshToken).catch(() => {});
     localStorage.removeItem('auth-token');
   localStorage.removeItem('refresh-token');
   localStorage.removeItem('auth-user');
@@ -109,7 +113,8 @@ export const AuthProvider = ({ children }) => {
             username: response.data.user.username,
             email: response.data.user.email,
             isAdmin: response.data.user.isAdmin,
-            isApprovedAdmin: response.data.user.isApprovedAdmin
+            isApprovedAdmin: response.data.user.isApprovedAdmin,
+            isSuperAdmin: response.data.user.isSuperAdmin
           }));
           return response.data.user;
         }
@@ -26,10 +26,41 @@ api.interceptors.request.use(
   }
 );
 
-// Handle token expiration
+// Exchange the stored refresh token for a new token pair.
+// Concurrent 401s share one request so a rotated token is never replayed.
+let refreshPromise = null;
+const refreshTokens = () => {
+  if (!refreshPromise) {
+    const refreshtoken = localStorage.getItem('refresh-token');
+    refreshPromise = axios
+      .post(`${API_BASE_URL}/token/refresh`, { refreshtoken })
+      .then(({ data }) => {
+        localStorage.setItem('auth-token', data.token);
+        localStorage.setItem('refresh-token', data.refreshtoken);
+        return data.token;
+      })
+      .finally(() => {
+        refreshPromise = null;
+      });
+  }
+  return refreshPromise;
+};
+
+// Handle token expiration: refresh once and retry, otherwise send to login
 api.interceptors.response.use(
   (response) => response,
   async (error) => {
+    const original = error.config;
+    if (error.response?.status === 401 && original && !original._retry && localStorage.getItem('refresh-token')) {
+      original._retry = true;
+      try {
+        const token = await refreshTokens();
+        original.headers.Authorization = `Bearer ${token}`;
+        return api(original);
+      } catch {
+        // refresh token expired or revoked - fall through to logout
+      }
+    }
     if (error.response?.status === 401) {
       // Token expired or invalid
       localStorage.removeItem('auth-token');
@@ -53,11 +84,8 @@ export const apiService = {
 
   // Upload profile photo
   uploadProfilePhoto: (userId, formData) => {
-    return axios.put(`${API_BASE_URL}/upload-photo/${userId}`, formData, {
-      headers: {
-        'Content-Type': 'multipart/form-data',
-        'Authorization': `Bearer ${localStorage.getItem('auth-token')}`,
-      },
+    return api.put(`/upload-photo/${userId}`, formData, {
+      headers: { 'Content-Type': 'multipart/form-data' },
     });
   },
 
@@ -67,37 +95,144 @@ export const apiService = {
   // Register
   register: (userData) => api.post('/signup', userData),
 
+  // Revoke the refresh token of this device
+  logout: (refreshtoken) => api.post('/logout', { refreshtoken }),
+
+  // Organizer application review (super admins)
+  getAdminApplications: (status) => api.get('/admin-applications', { params: { status } }),
+  reviewAdminApplication: (userId, decision, reason) =>
+    api.post(`/admin-applications/${userId}/${decision}`, { reason }),
+  getAuditLogs: (params) => api.get('/audit-logs', { params }),
+
   // Event APIs
   createEvent: (eventData) => {
-    return axios.post(`${API_BASE_URL}/events`, eventData, {
-      headers: {
-        'Content-Type': 'multipart/form-data',
-        'Authorization': `Bearer ${localStorage.getItem('auth-token')}`,
-      },
+    return api.post('/events', eventData, {
+      headers: { 'Content-Type': 'multipart/form-data' },
     });
   },
 
-  getEvents: () => api.get('/events'),
+  // Search upcoming events (query, category, tags, fee, dates, sort, page/cursor...)
+  getEvents: (params) => api.get('/events', { params }),
+  getEventFilters: () => api.get('/events/filters'),
   getEvent: (eventId) => api.get(`/events/${eventId}`),
+  getEventSeats: (eventId) => api.get(`/events/${eventId}/seats`),
+  getEventSeries: (eventId, userId) => api.get(`/events/${eventId}/series`, { params: { userId } }),
+  getEventReminders: (eventId) => api.get(`/events/${eventId}/reminders`),
+  updateEventReminders: (eventId, settings) => api.put(`/events/${eventId}/reminders`, settings),
 
   updateEvent: (eventId, eventData) => {
-    return axios.put(`${API_BASE_URL}/events/${eventId}`, eventData, {
-      headers: {
-        'Content-Type': 'multipart/form-data',
-        'Authorization': `Bearer ${localStorage.getItem('auth-token')}`,
-      },
+    return api.put(`/events/${eventId}`, eventData, {
+      headers: { 'Content-Type': 'multipart/form-data' },
     });
   },
 
   deleteEvent: (eventId) => api.delete(`/events/${eventId}`),
+  getArchivedEvents: (params) => api.get('/events/archive', { params }),
+  restoreEvent: (eventId, payload) => api.post(`/events/${eventId}/restore`, payload),
+  // Events the signed-in admin created or co-organizes
+  getManagedEvents: (params) => api.get('/events/managed', { params }),
+
+  // Co-organizer APIs
+  getCoOrganizers: (eventId) => api.get(`/events/${eventId}/co-organizers`),
+  inviteCoOrganizer: (eventId, email) => api.post(`/events/${eventId}/co-organizers`, { email }),
+  removeCoOrganizer: (eventId, userId) => api.delete(`/events/${eventId}/co-organizers/${userId}`),
+  getCoOrganizerInvites: () => api.get('/co-organizer-invites'),
+  respondToCoOrganizerInvite: (eventId, action) => api.post(`/events/${eventId}/co-organizers/${action}`),
 
   // Registration APIs
   registerForEvent: (payload) => api.post('/register-event', payload),
+  unregisterFromEvent: (payload) => api.put('/unregister', payload),
   getUserRegistrations: (userId) => api.get(`/registrations/user/${userId}`),
   getEventRegistrations: (eventId) => api.get(`/registrations/event/${eventId}`),
+  exportAttendees: (eventId, format, filter) =>
+    api.get(`/events/${eventId}/attendees/export`, { params: { format, ...filter }, responseType: 'blob' }),
+  uploadFormFile: (eventId, key, file) => {
+    const formData = new FormData();
+    formData.append('key', key);
+    formData.append('file', file);
+    return api.post(`/events/${eventId}/form-files`, formData, {
+      headers: { 'Content-Type': 'multipart/form-data' },
+    });
+  },
+  // Team registration APIs
+  getEventTeams: (eventId) => api.get(`/events/${eventId}/teams`),
+  getMyTeam: (eventId) => api.get(`/events/${eventId}/teams/mine`),
+  createTeam: (eventId, payload) => api.post(`/events/${eventId}/teams`, payload),
+  inviteTeamMembers: (teamId, emails) => api.post(`/teams/${teamId}/invite`, { emails }),
+  removeTeamMember: (teamId, memberId) => api.delete(`/teams/${teamId}/members/${memberId}`),
+  respondToTeam: (teamId, action, answers) => api.post(`/teams/${teamId}/respond`, { action, answers }),
+  registerTeam: (teamId) => api.post(`/teams/${teamId}/register`),
+  disbandTeam: (teamId) => api.delete(`/teams/${teamId}`),
+  // Attendee email APIs
+  countMessageRecipients: (eventId, filter) => api.get(`/events/${eventId}/messages/recipients`, { params: filter }),
+  getEventMessages: (eventId) => api.get(`/events/${eventId}/messages`),
+  sendEventMessage: (eventId, payload) => api.post(`/events/${eventId}/messages`, payload),
+  getEventMessage: (eventId, messageId) => api.get(`/events/${eventId}/messages/${messageId}`),
+  retryEventMessage: (eventId, messageId) => api.post(`/events/${eventId}/messages/${messageId}/retry`),
+  // Ban APIs
+  getBans: (status) => api.get('/bans', { params: status ? { status } : {} }),
+  getEventBans: (eventId) => api.get(`/events/${eventId}/bans`),
+  getMyEventBan: (eventId) => api.get(`/events/${eventId}/bans/mine`),
+  banUser: (eventId, payload) => api.post(`/events/${eventId}/bans`, payload),
+  liftBan: (banId) => api.post(`/bans/${banId}/lift`),
+  // Payment APIs
+  getPaymentGateways: () => api.get('/payments/gateways'),
+  createPayment: (payload) => api.post('/payments/create', payload),
+  getEventPrice: (eventId, params) => api.get(`/events/${eventId}/price`, { params }),
+  // Discount code APIs
+  getCoupons: (eventId) => api.get(`/events/${eventId}/coupons`),
+  createCoupon: (eventId, payload) => api.post(`/events/${eventId}/coupons`, payload),
+  updateCoupon: (eventId, couponId, payload) => api.put(`/events/${eventId}/coupons/${couponId}`, payload),
+  deleteCoupon: (eventId, couponId) => api.delete(`/events/${eventId}/coupons/${couponId}`),
+  getCouponRedemptions: (eventId) => api.get(`/events/${eventId}/coupons/redemptions`),
+  // Refund APIs
+  getRefundQuote: (eventId, series = false) => api.get(`/events/${eventId}/refund-quote`, { params: { series } }),
+  getRefunds: (status) => api.get('/refunds', { params: status ? { status } : {} }),
+  reviewRefund: (refundId, decision, note) => api.post(`/refunds/${refundId}/${decision}`, { note }),
+  getUserRefunds: (userId) => api.get(`/refunds/user/${userId}`),
+  // Payment ledger APIs
+  getPaymentReport: (eventId) => api.get(`/events/${eventId}/payments/report`),
+  downloadPaymentReport: (eventId) => api.get(`/events/${eventId}/payments/report`, { params: { format: 'csv' }, responseType: 'blob' }),
+  getPaymentHistory: (paymentId) => api.get(`/payments/${paymentId}/history`),
+  // Ticket & check-in APIs
+  getTicket: (registrationId) => api.get(`/tickets/${registrationId}`),
+  checkIn: (payload) => api.post('/check-in', payload),
+  // Calendar feed APIs
+  getCalendarFeed: () => api.get('/calendar/feed'),
+  resetCalendarFeed: () => api.post('/calendar/feed/reset'),
+  // Feedback survey APIs
+  getFeedbackSurvey: (eventId) => api.get(`/events/${eventId}/feedback/survey`),
+  submitFeedback: (eventId, feedback) => api.post(`/events/${eventId}/feedback`, feedback),
+  getFeedbackResults: (eventId) => api.get(`/events/${eventId}/feedback/results`),
+  saveFeedbackSurvey: (eventId, survey) => api.put(`/events/${eventId}/feedback/survey`, { survey }),
+  getFeedbackSummary: () => api.get('/feedback/summary'),
+  getOrganizerRating: (userId) => api.get(`/users/${userId}/organizer-rating`),
   // Certificate APIs
   getUserCertificates: (userId) => api.get(`/certificates/user/${userId}`),
   downloadCertificate: (registrationId) => api.get(`/certificates/${registrationId}/download`, { responseType: 'blob' }),
+  verifyCertificate: (code) => api.get(`/certificates/verify/${encodeURIComponent(code)}`),
+  certificateImageUrl: (code) => `${API_BASE_URL}/certificates/verify/${encodeURIComponent(code)}/image`,
+  getEventCertificates: (eventId) => api.get(`/events/${eventId}/certificates`),
+  revokeCertificate: (certificateId, reason) => api.post(`/certificates/${certificateId}/revoke`, { reason }),
+  downloadEventCertificates: (eventId) => api.get(`/events/${eventId}/certificates/zip`, { responseType: 'blob' }),
+  getCertificateBatches: (eventId) => api.get(`/events/${eventId}/certificates/batches`),
+  getCertificateBatch: (eventId, batchId) => api.get(`/events/${eventId}/certificates/batches/${batchId}`),
+  sendCertificates: (eventId, resend) => api.post(`/events/${eventId}/certificates/batches`, { resend }),
+  retryCertificateBatch: (eventId, batchId) => api.post(`/events/${eventId}/certificates/batches/${batchId}/retry`),
+  getCertificateTemplate: (eventId) => api.get(`/events/${eventId}/certificate-template`),
+  saveCertificateTemplate: (eventId, template) => api.put(`/events/${eventId}/certificate-template`, { template }),
+  previewCertificateTemplate: (eventId, template, type) =>
+    api.post(`/events/${eventId}/certificate-template/preview`, { template, type }, { responseType: 'blob' }),
+  setCertificateRole: (eventId, registrationId, changes) =>
+    api.put(`/events/${eventId}/registrations/${registrationId}/certificate-role`, changes),
+  uploadCertificateImage: (eventId, file, kind) => {
+    const formData = new FormData();
+    formData.append('kind', kind);
+    formData.append('image', file);
+    return api.post(`/events/${eventId}/certificate-template/images`, formData, {
+      headers: { 'Content-Type': 'multipart/form-data' },
+    });
+  },
 };
 
 export default api;
@@ -0,0 +1,78 @@
+/**
+ * Helpers for event registration forms (custom questions asked at registration)
+ */
+
+export const FIELD_TYPES = [
+  { value: "text", label: "Text" },
+  { value: "select", label: "Dropdown" },
+  { value: "checkbox", label: "Checkboxes" },
+  { value: "file", label: "File upload" },
+];
+
+const splitList = (text) =>
+  String(text || "")
+    .split(",")
+    .map((s) => s.trim())
+    .filter(Boolean);
+
+/**
+ * Turn an event's saved form into editable fields (lists become comma separated text)
+ */
+export const toEditorFields = (fields = []) =>
+  fields.map((f) => ({
+    ...f,
+    options: (f.options || []).join(", "),
+    accept: (f.accept || []).join(", "),
+    min_length: f.min_length ?? "",
+    max_length: f.max_length ?? "",
+    max_size_mb: f.max_size_mb ?? 5,
+  }));
+
+/**
+ * Turn edited fields back into what the API expects
+ */
+export const toFormFields = (fields = []) =>
+  fields.map((f) => ({
+    ...f,
+    options: splitList(f.options),
+    accept: splitList(f.accept),
+  }));
+
+export const emptyField = () => ({
+  label: "",
+  type: "text",
+  required: false,
+  help: "",
+  options: "",
+  min_length: "",
+  max_length: "",
+  pattern: "",
+  pattern_message: "",
+  accept: "",
+  max_size_mb: 5,
+});
+
+/**
+ * First problem with the answers before they are sent, or null (the server checks them again)
+ */
+export const checkAnswers = (fields = [], answers = {}) => {
+  for (const field of fields) {
+    const value = answers[field.key];
+    const blank =
+      value === undefined || value === null || value === "" || value === false || (Array.isArray(value) && value.length === 0);
+    if (blank) {
+      if (field.required) return `"${field.label}" is required`;
+      continue;
+    }
+    if (field.type === "text") {
+      const text = String(value).trim();
+      if (field.min_length && text.length < field.min_length) {
+        return `"${field.label}" needs at least ${field.min_length} characters`;
+      }
+      if (field.pattern && !new RegExp(`^(?:${field.pattern})$`).test(text)) {
+        return field.pattern_message || `"${field.label}" is not in the expected format`;
+      }
+    }
+  }
+  return null;
+};